@@ -0,0 +1,16 @@
+/**
+ * DECY Password Hasher
+ * Prints a scrypt hash to paste into DECY_ADMIN_USERS
+ * Run: node scripts/hash-password.js <password>
+ */
+
+const AuthService = require('../services/auth');
+
+const password = process.argv[2];
+
+if (!password) {
+    console.error('Usage: node scripts/hash-password.js <password>');
+    process.exit(1);
+}
+
+console.log(AuthService.hashPassword(password));
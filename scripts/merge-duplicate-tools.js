@@ -0,0 +1,123 @@
+/**
+ * DECY Duplicate Merge
+ * Finds tools stored more than once to cover several categories (same site, and one name
+ * contains the other - "Canva" twice, "Notion" and "Notion AI") and keeps one entry per tool:
+ * the shortest ID survives in its category, the others' categories become its
+ * secondaryCategories and their names its aliases. Intent-map priorities naming a removed ID
+ * are pointed at the survivor.
+ * Run: node scripts/merge-duplicate-tools.js [--dry-run]
+ */
+
+require('dotenv').config();
+const ToolCatalog = require('../services/catalog');
+const { getRepository } = require('../services/repository');
+const { getIntentMap } = require('../services/intentMap');
+const { compactName } = require('../services/fuzzyMatch');
+
+const dryRun = process.argv.includes('--dry-run');
+
+function host(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Groups of two or more tools that are the same product, survivor first
+ */
+function findDuplicates(tools) {
+    const bySite = new Map();
+    for (const tool of tools) {
+        const site = host(tool.url);
+        if (!site) continue;
+        if (!bySite.has(site)) bySite.set(site, []);
+        bySite.get(site).push(tool);
+    }
+
+    const groups = [];
+    for (const sameSite of bySite.values()) {
+        const sorted = [...sameSite].sort((a, b) => a.id.length - b.id.length || a.id.localeCompare(b.id));
+        const survivor = sorted[0];
+        const name = compactName(survivor.name);
+        const copies = sorted.slice(1).filter(tool => {
+            const other = compactName(tool.name);
+            return other.includes(name) || name.includes(other);
+        });
+        if (copies.length > 0) groups.push([survivor, ...copies]);
+    }
+    return groups;
+}
+
+async function mergeDuplicates() {
+    const repository = getRepository();
+    const catalog = new ToolCatalog(repository);
+    const intentMap = getIntentMap();
+    const results = { merged: 0, removed: 0, intents: 0, failed: 0 };
+    const renamed = new Map();
+
+    console.log(`🔗 DECY Duplicate Merge${dryRun ? ' (dry run)' : ''}\n`);
+
+    for (const [survivor, ...copies] of findDuplicates(repository.getAllTools())) {
+        const secondaryCategories = [...new Set([
+            ...(survivor.secondaryCategories || []),
+            ...copies.flatMap(copy => [copy.categoryKey, ...(copy.secondaryCategories || [])])
+        ])].filter(key => key !== survivor.categoryKey);
+        const aliases = [...new Set([
+            ...(survivor.aliases || []),
+            ...copies.map(copy => copy.name).filter(name => name !== survivor.name)
+        ])];
+
+        console.log(`✅ ${survivor.id} (${survivor.categoryKey}) ← ${copies.map(copy => `${copy.id} (${copy.categoryKey})`).join(', ')}`);
+        console.log(`   also listed in: ${secondaryCategories.join(', ')}${aliases.length > 0 ? ` | aliases: ${aliases.join(', ')}` : ''}`);
+        copies.forEach(copy => renamed.set(copy.id, survivor.id));
+        results.merged++;
+        results.removed += copies.length;
+        if (dryRun) continue;
+
+        const changes = { secondaryCategories, ...(aliases.length > 0 ? { aliases } : {}) };
+        const updated = await catalog.updateTool(survivor.categoryKey, survivor.id, changes);
+        if (!updated.success) {
+            console.log(`   ❌ ${updated.error}${updated.fields ? `: ${updated.fields.map(f => `${f.field} ${f.message}`).join('; ')}` : ''}`);
+            results.failed++;
+            continue;
+        }
+        for (const copy of copies) {
+            // Through its own category the copy is deleted outright, not just unlisted
+            const deleted = await catalog.deleteTool(copy.categoryKey, copy.id);
+            if (!deleted.success) {
+                console.log(`   ❌ ${copy.id}: ${deleted.error}`);
+                results.failed++;
+            }
+        }
+    }
+
+    for (const pattern of intentMap.getPatterns()) {
+        if (!pattern.priority.some(id => renamed.has(id))) continue;
+
+        const priority = [...new Set(pattern.priority.map(id => renamed.get(id) || id))];
+        console.log(`🧭 Intent "${pattern.id}": ${pattern.priority.join(', ')} → ${priority.join(', ')}`);
+        results.intents++;
+        if (dryRun) continue;
+
+        const result = await intentMap.replace(pattern.id, { ...pattern, priority });
+        if (!result.success) {
+            console.log(`   ❌ ${result.error}`);
+            results.failed++;
+        }
+    }
+
+    console.log('\n════════════════════════════════════');
+    console.log(`✅ Merged:  ${results.merged} tools (${results.removed} duplicate entries removed)`);
+    console.log(`🧭 Intents: ${results.intents} updated`);
+    console.log(`❌ Failed:  ${results.failed}`);
+    console.log('════════════════════════════════════');
+}
+
+mergeDuplicates().then(() => {
+    process.exit(0);
+}).catch(error => {
+    console.error('Merge failed:', error);
+    process.exit(1);
+});
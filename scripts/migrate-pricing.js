@@ -0,0 +1,58 @@
+/**
+ * DECY Pricing Migration
+ * Fills the structured pricing fields (currency, amount, period, tiers) of every catalog tool
+ * from its `pricing.premium` text. Tools that already have tiers are left alone.
+ * Run: node scripts/migrate-pricing.js [--dry-run]
+ */
+
+require('dotenv').config();
+const ToolCatalog = require('../services/catalog');
+const { getRepository } = require('../services/repository');
+const { structurePricing, costEstimate } = require('../services/pricing');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migratePricing() {
+    const repository = getRepository();
+    const catalog = new ToolCatalog(repository);
+    const results = { migrated: 0, unpriced: 0, skipped: 0, failed: 0 };
+
+    console.log(`💲 DECY Pricing Migration${dryRun ? ' (dry run)' : ''}\n`);
+
+    for (const tool of repository.getAllTools()) {
+        if (Array.isArray(tool.pricing?.tiers)) {
+            results.skipped++;
+            continue;
+        }
+
+        const pricing = structurePricing(tool.pricing);
+        const summary = pricing.tiers.length > 0
+            ? pricing.tiers.map(tier => `${tier.name ? `${tier.name} ` : ''}${tier.amount} ${pricing.currency}/${tier.period}`).join(', ')
+            : 'no price in text';
+        console.log(`${pricing.tiers.length > 0 ? '✅' : '➖'} ${tool.id}: "${tool.pricing.premium}" → ${summary} | ${costEstimate({ pricing }).label}`);
+
+        if (pricing.tiers.length === 0) results.unpriced++;
+        else results.migrated++;
+        if (dryRun) continue;
+
+        const result = await catalog.updateTool(tool.categoryKey, tool.id, { pricing });
+        if (!result.success) {
+            console.log(`   ❌ ${result.error}${result.fields ? `: ${result.fields.map(f => `${f.field} ${f.message}`).join('; ')}` : ''}`);
+            results.failed++;
+        }
+    }
+
+    console.log('\n════════════════════════════════════');
+    console.log(`✅ Priced:   ${results.migrated}`);
+    console.log(`➖ Unpriced: ${results.unpriced} (no price in the text - structured fields left empty)`);
+    console.log(`⏭️  Skipped:  ${results.skipped} (already structured)`);
+    console.log(`❌ Failed:   ${results.failed}`);
+    console.log('════════════════════════════════════');
+}
+
+migratePricing().then(() => {
+    process.exit(0);
+}).catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
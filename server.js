@@ -7,55 +7,319 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const RecommendationEngine = require('./services/recommendation');
 const ToolScraper = require('./services/scraper');
+const AuthService = require('./services/auth');
+const ToolCatalog = require('./services/catalog');
+const SessionService = require('./services/sessions');
+const { FeedbackService } = require('./services/feedback');
+const RateLimiter = require('./services/rateLimit');
+const ApiValidator = require('./services/apiValidator');
+const openApiSpec = require('./services/openapi');
+const { createResponseCache } = require('./services/responseCache');
+const { getRepository } = require('./services/repository');
+const { getIntentMap } = require('./services/intentMap');
+const { getLLMRouter } = require('./services/llm');
+const { costEstimate } = require('./services/pricing');
+const { FILTER_FLAGS, applyConstraints } = require('./services/constraints');
+const { getRankingConfig } = require('./services/ranking');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize engines
-const engine = new RecommendationEngine(process.env.GEMINI_API_KEY);
-const scraper = new ToolScraper();
+// Behind a proxy (Vercel, nginx) req.ip must come from X-Forwarded-For for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Initialize engines (all share one storage repository)
+let repository;
+try {
+    repository = getRepository();
+} catch (error) {
+    // Corrupted/partial data files are caught here instead of serving an empty catalog
+    console.error(`[DECY] ❌ Storage check failed: ${error.message}`);
+    process.exit(1);
+}
+repository.watch(); // pick up hand edits and other processes' writes
+let intentMap;
+try {
+    intentMap = getIntentMap();
+} catch (error) {
+    // A broken data/intents.json would silently drop every intent pattern
+    console.error(`[DECY] ❌ Intent map check failed: ${error.message}`);
+    process.exit(1);
+}
+intentMap.watch();
+let llm;
+try {
+    llm = getLLMRouter();
+} catch (error) {
+    // Bad LLM_CONFIG / LLM_CHAIN_* - fail now, not on the first chat
+    console.error(`[DECY] ❌ ${error.message}`);
+    process.exit(1);
+}
+try {
+    getRankingConfig();
+} catch (error) {
+    // Bad RANKING_CONFIG / RANKING_WEIGHTS - fail now, not on the first recommendation
+    console.error(`[DECY] ❌ ${error.message}`);
+    process.exit(1);
+}
+const engine = new RecommendationEngine(llm, repository, intentMap);
+const scraper = new ToolScraper(repository, llm);
 engine.setScraper(scraper);  // Connect scraper for auto-discovery
+const auth = new AuthService();
+const catalog = new ToolCatalog(repository);
+const sessions = new SessionService(repository);
+engine.setSessions(sessions);
+const feedback = new FeedbackService(repository, { classify: (query, category) => engine.classifyQuery(query, category) });
+engine.setFeedback(feedback);
+const responseCache = createResponseCache(repository);
+engine.setCache(responseCache);
+const rateLimiter = new RateLimiter(auth);
+const limitLLM = rateLimiter.middleware(); // throttling + daily quota for LLM-backed routes
+// Feedback gets its own buckets and no LLM quota - rating tools shouldn't use up chat requests
+const limitFeedback = new RateLimiter(auth, { ip: { dailyQuota: 0 }, apiKey: { dailyQuota: 0 } }).middleware();
+const apiValidator = new ApiValidator(openApiSpec);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(apiValidator.middleware()); // every /api request is checked against services/openapi.js
+// ...routes that need credentials check it themselves, after auth, so outsiders get a 401 not a schema
+const validateRequest = apiValidator.validateAfterAuth();
 
 // API Routes
 
+/**
+ * GET /api/openapi.json
+ * The OpenAPI 3.1 spec for this API (rendered at /api/docs)
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+/**
+ * GET /api/docs
+ * Interactive API docs (Swagger UI)
+ */
+app.get('/api/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public/api-docs.html'));
+});
+
+// ============================================
+//  AUTH ROUTES - Admin login & roles
+// ============================================
+
+/**
+ * POST /api/auth/login
+ * Username/password login for the admin dashboard
+ * Body: { username: string, password: string }
+ * Returns: { success, token, user: { username, role }, expiresAt }
+ * Too many failed attempts from one IP → 429 with Retry-After
+ */
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+
+    const retryAfter = auth.loginRetryAfter(req.ip);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, error: `Too many failed logins - try again in ${retryAfter}s` });
+    }
+
+    const session = auth.login(username, password, req.ip);
+    if (!session) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    res.json({
+        success: true,
+        token: session.token,
+        user: { username: session.username, role: session.role },
+        expiresAt: new Date(session.expiresAt).toISOString()
+    });
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post('/api/auth/logout', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    if (req.auth.token) {
+        auth.logout(req.auth.token);
+    }
+    res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * Who am I? Used by the admin dashboard to check its session
+ */
+app.get('/api/auth/me', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    res.json({
+        success: true,
+        user: { username: req.auth.username, role: req.auth.role, type: req.auth.type }
+    });
+});
+
 /**
  * GET /api/health
- * Health check endpoint
+ * Health check endpoint - includes each LLM provider's circuit breaker state
  */
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         service: 'DECY API',
         version: '1.0.0',
-        geminiEnabled: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here'
+        geminiEnabled: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here',
+        llm: llm.describe(),
+        llmProviders: llm.getProviderStatus(),
+        ranking: getRankingConfig().weights,
+        storage: repository.getStatus()
     });
 });
 
+// ============================================
+//  SESSION ROUTES - Server-side conversations
+// ============================================
+
+/**
+ * Who the caller is for sessions and feedback: a logged-in user / API key, otherwise the
+ * browser's X-Client-Id (a random id the chat page keeps in localStorage) - null if neither
+ */
+function callerId(req) {
+    const caller = auth.identify(req);
+    if (caller) {
+        return caller.type === 'session'
+            ? `user:${caller.username}`
+            : `key:${crypto.createHash('sha256').update(caller.key).digest('hex').slice(0, 16)}`;
+    }
+
+    return clientId(req);
+}
+
+/**
+ * The browser's X-Client-Id as `client:<id>`, or null. The caller picks it, so it says who is who
+ * but can't be trusted to stop one person voting many times.
+ */
+function clientId(req) {
+    const id = req.get('x-client-id');
+    return id && /^[A-Za-z0-9_-]{16,64}$/.test(id) ? `client:${id}` : null;
+}
+
+/**
+ * Sets req.sessionOwner from callerId(), or answers 401
+ */
+function identifySessionOwner(req, res, next) {
+    req.sessionOwner = callerId(req);
+    if (req.sessionOwner) return next();
+
+    res.status(401).json({
+        success: false,
+        error: 'Log in or send an X-Client-Id header to use sessions'
+    });
+}
+
+/**
+ * For chat routes: if the body names a sessionId, check the caller owns it and set req.chatSessionId
+ */
+function resolveChatSession(req, res, next) {
+    if (!req.body.sessionId) return next();
+
+    identifySessionOwner(req, res, () => {
+        if (!sessions.get(req.sessionOwner, req.body.sessionId)) {
+            return res.status(404).json({
+                success: false,
+                error: `Session "${req.body.sessionId}" not found`
+            });
+        }
+        req.chatSessionId = req.body.sessionId;
+        next();
+    });
+}
+
+/**
+ * GET /api/sessions
+ * The caller's conversations, newest first (no messages)
+ * Returns: { success, sessions: [{ id, title, createdAt, updatedAt, messageCount }] }
+ */
+app.get('/api/sessions', identifySessionOwner, validateRequest, (req, res) => {
+    res.json({ success: true, sessions: sessions.list(req.sessionOwner) });
+});
+
+/**
+ * POST /api/sessions
+ * Start a conversation
+ * Body: { title?: string, messages?: Array<{role, content}> } - messages imports an existing local chat
+ */
+app.post('/api/sessions', identifySessionOwner, validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await sessions.create(req.sessionOwner, req.body), 201);
+    } catch (error) {
+        sendStorageError(res, 'Failed to create session', error);
+    }
+});
+
+/**
+ * GET /api/sessions/:id
+ * One conversation with its messages; assistant messages keep their type and
+ * structured result ({ toolIds, budget, readyPrompt } | { steps } | { toolName, toolUrl, steps, proTips })
+ */
+app.get('/api/sessions/:id', identifySessionOwner, validateRequest, (req, res) => {
+    const session = sessions.get(req.sessionOwner, req.params.id);
+    if (!session) {
+        return res.status(404).json({ success: false, error: `Session "${req.params.id}" not found` });
+    }
+    res.json({ success: true, session });
+});
+
+/**
+ * PATCH /api/sessions/:id
+ * Rename a conversation
+ * Body: { title: string }
+ */
+app.patch('/api/sessions/:id', identifySessionOwner, validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await sessions.rename(req.sessionOwner, req.params.id, req.body.title));
+    } catch (error) {
+        sendStorageError(res, 'Failed to rename session', error);
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ */
+app.delete('/api/sessions/:id', identifySessionOwner, validateRequest, async (req, res) => {
+    try {
+        const deleted = await sessions.delete(req.sessionOwner, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: `Session "${req.params.id}" not found` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendStorageError(res, 'Failed to delete session', error);
+    }
+});
+
 /**
  * POST /api/chat
  * Conversational endpoint - handles questions and detects intent
- * Body: { message: string, history?: Array<{role: 'user'|'assistant', content: string}> }
+ * Body: { message: string, history?: Array<{role: 'user'|'assistant', content: string}>, sessionId?: string }
+ * With sessionId, history is loaded from that session (see /api/sessions) and the reply is saved to it
  * Returns: { type: 'question' | 'tool_request', response?: string }
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', limitLLM, resolveChatSession, async (req, res) => {
     try {
         const { message, history = [] } = req.body;
 
-        if (!message || message.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Please enter a message'
-            });
-        }
-
-        const result = await engine.handleChat(message.trim(), history);
+        const result = await engine.handleChat(message.trim(), history, {
+            sessionId: req.chatSessionId,
+            useLLM: req.llmAllowed,
+            onLLMCall: req.countLLMCall
+        });
         res.json(result);
     } catch (error) {
         console.error('[DECY] Chat error:', error);
@@ -69,22 +333,65 @@ app.post('/api/chat', async (req, res) => {
 
 
 /**
- * POST /api/recommend
- * Get AI tool recommendations
- * Body: { query: string, budget: 'free' | 'premium', category?: string }
+ * POST /api/chat/stream
+ * Streaming version of /api/chat over Server-Sent Events
+ * Body: same as /api/chat
+ * Events: token { text } → show_tools | show_tool_groups | show_workflow | show_guide → followUps → done { type, response }
+ *         error { response } if the reply fails part-way
  */
-app.post('/api/recommend', async (req, res) => {
-    try {
-        const { query, budget = 'free', category = null } = req.body;
+app.post('/api/chat/stream', limitLLM, resolveChatSession, async (req, res) => {
+    const { message, history = [] } = req.body;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop proxies from buffering the stream
+    });
+    res.flushHeaders();
 
-        if (!query || query.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Please tell me what you want to do'
-            });
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+
+    const send = (event, data) => {
+        if (!clientGone) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
         }
+    };
 
-        const recommendations = await engine.getRecommendations(query.trim(), budget, category);
+    try {
+        await engine.streamChat(message.trim(), history, send, {
+            sessionId: req.chatSessionId,
+            useLLM: req.llmAllowed,
+            onLLMCall: req.countLLMCall
+        });
+    } catch (error) {
+        console.error('[DECY] Chat stream error:', error);
+        send('error', { response: 'Something went wrong. Please try again.' });
+    }
+    res.end();
+});
+
+/**
+ * POST /api/recommend
+ * Get AI tool recommendations
+ * Body: { query: string, budget: 'free' | 'premium', category?: string, maxMonthlyBudget?: number, currency?: string,
+ *         filters?: { platforms, languages, openSource, selfHostable, hasApi, noTraining, noRetention, noWatermark, ... } }
+ * With maxMonthlyBudget and no budget, paid tools within the budget are included.
+ * A query with several separate needs also gets `groups`: [{ need, category, confidence, toolIds }].
+ */
+app.post('/api/recommend', limitLLM, async (req, res) => {
+    try {
+        const { query, maxMonthlyBudget = null, currency = 'USD', category = null, filters = null } = req.body;
+        const { budget = maxMonthlyBudget === null ? 'free' : 'premium' } = req.body;
+
+        const recommendations = await engine.getRecommendations(query.trim(), budget, category, {
+            useLLM: req.llmAllowed,
+            onLLMCall: req.countLLMCall,
+            maxMonthlyBudget,
+            currency,
+            filters
+        });
 
         res.json(recommendations);
     } catch (error) {
@@ -99,20 +406,15 @@ app.post('/api/recommend', async (req, res) => {
 /**
  * POST /api/tools-by-ids
  * Get specific tools by their IDs (used when AI recommends specific tools)
- * Body: { toolIds: string[], budget: 'free' | 'premium' }
+ * Body: { toolIds: string[], budget: 'free' | 'premium', maxMonthlyBudget?: number, currency?: string, query?: string }
+ * Each tool comes with its ranking breakdown for `query`
  */
 app.post('/api/tools-by-ids', async (req, res) => {
     try {
-        const { toolIds, budget = 'free' } = req.body;
+        const { toolIds, maxMonthlyBudget = null, currency = 'USD', query = '' } = req.body;
+        const { budget = maxMonthlyBudget === null ? 'free' : 'premium' } = req.body;
 
-        if (!toolIds || !Array.isArray(toolIds) || toolIds.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No tool IDs provided'
-            });
-        }
-
-        const tools = engine.getToolsByIds(toolIds, budget);
+        const tools = engine.getToolsByIds(toolIds, budget, { maxMonthlyBudget, currency, query });
 
         res.json({
             success: true,
@@ -127,23 +429,50 @@ app.post('/api/tools-by-ids', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/feedback
+ * Rate recommendations: thumbs up / down (on one tool, or the whole list without toolId),
+ * "picked this tool" or a comment. Filed under the query's intent pattern; feeds ranking's popularity.
+ * Body: { type: 'up' | 'down' | 'picked' | 'comment', query: string, toolIds?: string[], toolId?: string,
+ *         comment?: string, category?: string, sessionId?: string }
+ * Anonymous votes count once per (hashed) IP towards popularity; their X-Client-Id only groups them in the stats
+ */
+app.post('/api/feedback', limitFeedback, async (req, res) => {
+    try {
+        const caller = auth.identify(req) ? callerId(req) : null;
+        const voter = caller || `ip:${crypto.createHash('sha256').update(req.ip || '').digest('hex').slice(0, 16)}`;
+        sendCatalogResult(res, await feedback.record(voter, req.body, caller ? null : clientId(req)), 201);
+    } catch (error) {
+        sendStorageError(res, 'Failed to save feedback', error);
+    }
+});
+
+/**
+ * GET /api/feedback/stats
+ * Feedback per intent pattern: counts, satisfaction, best-received tools, recent comments (viewer)
+ */
+app.get('/api/feedback/stats', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    try {
+        res.json({ success: true, ...feedback.getStats() });
+    } catch (error) {
+        console.error('[DECY] Feedback stats error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load feedback stats' });
+    }
+});
+
 /**
  * POST /api/generate-prompt
  * Generate an optimized prompt for a specific AI tool
  * Body: { toolId: string, toolName: string, description: string }
  */
-app.post('/api/generate-prompt', async (req, res) => {
+app.post('/api/generate-prompt', limitLLM, async (req, res) => {
     try {
         const { toolId, toolName, description } = req.body;
 
-        if (!toolName || !description) {
-            return res.status(400).json({
-                success: false,
-                error: 'Tool name and description are required'
-            });
-        }
-
-        const prompt = await engine.generatePromptForTool(toolId, toolName, description);
+        const prompt = await engine.generatePromptForTool(toolId, toolName, description, {
+            useLLM: req.llmAllowed,
+            onLLMCall: req.countLLMCall
+        });
 
         res.json({
             success: true,
@@ -163,7 +492,7 @@ app.post('/api/generate-prompt', async (req, res) => {
  * Get all available categories
  */
 app.get('/api/categories', (req, res) => {
-    const tools = require('./data/tools.json');
+    const tools = repository.getCatalog();
     const categories = Object.entries(tools.categories).map(([key, cat]) => ({
         id: key,
         name: cat.name,
@@ -174,14 +503,43 @@ app.get('/api/categories', (req, res) => {
     res.json({ categories });
 });
 
+/**
+ * GET /api/tools/all
+ * Get all tools from the database with category info (viewer)
+ */
+app.get('/api/tools/all', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    try {
+        const data = repository.getCatalog();
+        const allTools = repository.getAllTools();
+
+        res.json({
+            totalTools: data.metadata.totalTools,
+            lastUpdated: data.metadata.lastUpdated,
+            categories: Object.keys(data.categories).length,
+            tools: allTools
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/tools/:category
- * Get tools by category
+ * Get tools by category, each with its estimated monthly cost
+ * Query: budget=free, maxMonthlyBudget=10, currency=USD, platform=ios,web, language=es,
+ *        openSource / selfHostable / hasApi / noTraining / noRetention / noWatermark = true
  */
 app.get('/api/tools/:category', (req, res) => {
     const { category } = req.params;
-    const { budget } = req.query;
-    const tools = require('./data/tools.json');
+    const { budget, currency = 'USD' } = req.query;
+    const maxMonthlyBudget = req.query.maxMonthlyBudget === undefined ? null : parseFloat(req.query.maxMonthlyBudget);
+    const list = (value) => (value ? value.split(',') : []);
+    const filters = {
+        platforms: list(req.query.platform),
+        languages: list(req.query.language),
+        ...Object.fromEntries(Object.keys(FILTER_FLAGS).map(flag => [flag, req.query[flag] === 'true']))
+    };
+    const tools = repository.getCatalog();
 
     const categoryData = tools.categories[category];
 
@@ -197,29 +555,201 @@ app.get('/api/tools/:category', (req, res) => {
     if (budget === 'free') {
         filteredTools = filteredTools.filter(t => t.pricing.free);
     }
+    filteredTools = applyConstraints(filteredTools, engine.queryConstraints('', { maxMonthlyBudget, currency, filters })).tools;
 
     res.json({
         success: true,
         category: categoryData.name,
-        tools: filteredTools
+        tools: filteredTools.map(t => ({ ...t, cost: costEstimate(t) }))
     });
 });
 
+// ============================================
+//  CATALOG CRUD ROUTES - Curate tools by hand
+// ============================================
+
+/**
+ * Send a ToolCatalog (or SessionService / IntentMap) result with the matching HTTP status
+ */
+function sendCatalogResult(res, result, successStatus = 200) {
+    if (result.success) {
+        return res.status(successStatus).json(result);
+    }
+
+    const status = { validation: 400, not_found: 404, conflict: 409 }[result.code] || 500;
+    res.status(status).json({
+        success: false,
+        error: result.error,
+        ...(result.fields ? { fields: result.fields } : {})
+    });
+}
+
+/**
+ * Report a failed store write - 503 when the store is read-only (e.g. Vercel's filesystem)
+ */
+function sendStorageError(res, message, error) {
+    console.error(`[DECY] ${message}:`, error);
+    const { writable } = repository.getStatus();
+    res.status(writable ? 500 : 503).json({
+        success: false,
+        error: writable ? message : `${message} - the ${repository.backend} store is read-only`
+    });
+}
+
+/**
+ * POST /api/tools/:category
+ * Create a tool in a category (curator)
+ * Body: full tool entry - { id, name, bestFor, deploy, limits, pricing, ease, url, ... }
+ * Returns 400 with { fields: [{ field, message }] } when the tool fails the schema
+ */
+app.post('/api/tools/:category', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await catalog.createTool(req.params.category, req.body), 201);
+    } catch (error) {
+        sendStorageError(res, 'Failed to create tool', error);
+    }
+});
+
+/**
+ * PUT /api/tools/:category/:id
+ * Replace a tool entirely; if it currently lives in another category it is moved here (curator)
+ * Body: full tool entry
+ */
+app.put('/api/tools/:category/:id', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        const { category, id } = req.params;
+        sendCatalogResult(res, await catalog.replaceTool(category, id, req.body));
+    } catch (error) {
+        sendStorageError(res, 'Failed to update tool', error);
+    }
+});
+
+/**
+ * PATCH /api/tools/:category/:id
+ * Edit some fields of a tool; null removes an optional field (curator)
+ * Body: partial tool entry, e.g. { pricing: { premium: "$15/month" } }
+ */
+app.patch('/api/tools/:category/:id', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        const { category, id } = req.params;
+        sendCatalogResult(res, await catalog.updateTool(category, id, req.body));
+    } catch (error) {
+        sendStorageError(res, 'Failed to update tool', error);
+    }
+});
+
+/**
+ * POST /api/tools/:category/:id/move
+ * Move a tool to another category (curator)
+ * Body: { category: string }
+ */
+app.post('/api/tools/:category/:id/move', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        const { category, id } = req.params;
+        sendCatalogResult(res, await catalog.moveTool(category, id, req.body.category));
+    } catch (error) {
+        sendStorageError(res, 'Failed to move tool', error);
+    }
+});
+
+/**
+ * DELETE /api/tools/:category/:id
+ * Remove a tool from the catalog (admin)
+ */
+app.delete('/api/tools/:category/:id', auth.requireRole('admin'), validateRequest, async (req, res) => {
+    try {
+        const { category, id } = req.params;
+        sendCatalogResult(res, await catalog.deleteTool(category, id));
+    } catch (error) {
+        sendStorageError(res, 'Failed to delete tool', error);
+    }
+});
+
+// ============================================
+//  INTENT MAP ROUTES - Tune intent matching
+// ============================================
+
+/**
+ * Report a failed write to data/intents.json
+ */
+function sendIntentError(res, message, error) {
+    console.error(`[DECY] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+}
+
+/**
+ * GET /api/intents
+ * Intent patterns in match order, with warnings for unknown categories / tool IDs (viewer)
+ * Returns: { success, version, updatedAt, intents, warnings: [{ intentId, field, message }] }
+ */
+app.get('/api/intents', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    res.json({ success: true, ...intentMap.describe() });
+});
+
+/**
+ * POST /api/intents
+ * Add an intent pattern (curator)
+ * Body: { id, intents: string[], category, context, priority: string[] }
+ */
+app.post('/api/intents', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await intentMap.create(req.body), 201);
+    } catch (error) {
+        sendIntentError(res, 'Failed to save intent', error);
+    }
+});
+
+/**
+ * POST /api/intents/test
+ * How a message is analyzed: matched pattern, category, tools and the top pattern scores (viewer)
+ * Body: { message, intent? } - `intent` is an unsaved draft to try out
+ */
+app.post('/api/intents/test', auth.requireRole('viewer'), validateRequest, async (req, res) => {
+    try {
+        const { message, intent = null } = req.body;
+        res.json({ success: true, ...(await engine.explainIntent(message, intent)) });
+    } catch (error) {
+        console.error('[DECY] Intent test error:', error);
+        res.status(500).json({ success: false, error: 'Failed to analyze message' });
+    }
+});
+
+/**
+ * PUT /api/intents/:id
+ * Replace an intent pattern (curator)
+ */
+app.put('/api/intents/:id', auth.requireRole('curator'), validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await intentMap.replace(req.params.id, req.body));
+    } catch (error) {
+        sendIntentError(res, 'Failed to save intent', error);
+    }
+});
+
+/**
+ * DELETE /api/intents/:id
+ * Remove an intent pattern (admin)
+ */
+app.delete('/api/intents/:id', auth.requireRole('admin'), validateRequest, async (req, res) => {
+    try {
+        sendCatalogResult(res, await intentMap.remove(req.params.id));
+    } catch (error) {
+        sendIntentError(res, 'Failed to delete intent', error);
+    }
+});
+
 // ============================================
 //  SCRAPER API ROUTES - Auto Tool Discovery
 // ============================================
 
 /**
  * POST /api/discover/url
- * Discover a new AI tool by its website URL
+ * Discover a new AI tool by its website URL (curator)
  * Body: { url: string }
  */
-app.post('/api/discover/url', async (req, res) => {
+app.post('/api/discover/url', auth.requireRole('curator'), validateRequest, async (req, res) => {
     try {
         const { url } = req.body;
-        if (!url) {
-            return res.status(400).json({ success: false, error: 'URL is required' });
-        }
         const result = await scraper.discoverToolByUrl(url);
         res.json(result);
     } catch (error) {
@@ -230,15 +760,12 @@ app.post('/api/discover/url', async (req, res) => {
 
 /**
  * POST /api/discover/name
- * Discover a new AI tool by searching for its name
+ * Discover a new AI tool by searching for its name (curator)
  * Body: { name: string }
  */
-app.post('/api/discover/name', async (req, res) => {
+app.post('/api/discover/name', auth.requireRole('curator'), validateRequest, async (req, res) => {
     try {
         const { name } = req.body;
-        if (!name) {
-            return res.status(400).json({ success: false, error: 'Tool name is required' });
-        }
         const result = await scraper.discoverToolByName(name);
         res.json(result);
     } catch (error) {
@@ -249,10 +776,10 @@ app.post('/api/discover/name', async (req, res) => {
 
 /**
  * POST /api/discover/scrape
- * Run a full scrape of AI tool directories
+ * Run a full scrape of AI tool directories (curator)
  * Returns: { discovered, added, skipped, errors }
  */
-app.post('/api/discover/scrape', async (req, res) => {
+app.post('/api/discover/scrape', auth.requireRole('curator'), validateRequest, async (req, res) => {
     try {
         const results = await scraper.runFullScrape();
         res.json({ success: true, ...results });
@@ -264,57 +791,69 @@ app.post('/api/discover/scrape', async (req, res) => {
 
 /**
  * GET /api/discover/stats
- * Get scraper stats
+ * Get scraper stats (viewer)
  */
-app.get('/api/discover/stats', (req, res) => {
+app.get('/api/discover/stats', auth.requireRole('viewer'), validateRequest, (req, res) => {
     const stats = scraper.getStats();
     res.json(stats);
 });
 
 /**
  * GET /api/discover/tools
- * Get full list of discovered tools
+ * Get full list of discovered tools (viewer)
  */
-app.get('/api/discover/tools', (req, res) => {
+app.get('/api/discover/tools', auth.requireRole('viewer'), validateRequest, (req, res) => {
     try {
-        const fs = require('fs');
-        const discoveredPath = path.join(__dirname, 'data', 'discovered.json');
-        const discovered = JSON.parse(fs.readFileSync(discoveredPath, 'utf-8'));
-        res.json(discovered);
+        res.json(repository.getDiscoveries());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// ============================================
+//  LLM ROUTES - Model output quality
+// ============================================
+
 /**
- * GET /api/tools/all
- * Get all tools from the database with category info
+ * GET /api/llm/stats
+ * How often the chat model's replies fail the action schemas, per action (viewer)
+ * Returns: { success, since, actions: { show_tools: { total, valid, repaired, failed, failureRate }, ... } }
  */
-app.get('/api/tools/all', (req, res) => {
-    try {
-        const fs = require('fs');
-        const toolsPath = path.join(__dirname, 'data', 'tools.json');
-        const data = JSON.parse(fs.readFileSync(toolsPath, 'utf-8'));
-
-        const allTools = [];
-        for (const [categoryKey, category] of Object.entries(data.categories)) {
-            for (const tool of category.tools) {
-                allTools.push({
-                    ...tool,
-                    categoryKey,
-                    categoryName: category.name
-                });
-            }
-        }
+app.get('/api/llm/stats', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    res.json({ success: true, ...engine.actions.getStats() });
+});
 
-        res.json({
-            totalTools: data.metadata.totalTools,
-            lastUpdated: data.metadata.lastUpdated,
-            categories: Object.keys(data.categories).length,
-            tools: allTools
-        });
+// ============================================
+//  CACHE ROUTES - LLM response cache
+// ============================================
+
+/**
+ * GET /api/cache/stats
+ * Response cache size and hit rates, overall and per namespace (chat, prompt, recommend) (viewer)
+ */
+app.get('/api/cache/stats', auth.requireRole('viewer'), validateRequest, (req, res) => {
+    res.json({
+        success: true,
+        enabled: !!responseCache,
+        stats: responseCache ? responseCache.getStats() : null
+    });
+});
+
+/**
+ * DELETE /api/cache
+ * Purge cached responses - all, or one namespace with ?namespace=chat (admin)
+ */
+app.delete('/api/cache', auth.requireRole('admin'), validateRequest, async (req, res) => {
+    if (!responseCache) {
+        return res.status(404).json({ success: false, error: 'Response cache is disabled (CACHE_BACKEND=off)' });
+    }
+
+    try {
+        const removed = await responseCache.purge(req.query.namespace || null);
+        res.json({ success: true, removed });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error('[DECY] Cache purge error:', error);
+        res.status(500).json({ success: false, error: 'Failed to purge cache' });
     }
 });
 
@@ -325,6 +864,7 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public/index.html'));
 });
 
+// The dashboard itself is public - it shows a login form and every API call it makes is role-checked
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public/admin.html'));
 });
@@ -337,6 +877,24 @@ app.get('/response', (req, res) => {
     res.sendFile(path.join(__dirname, 'rsponse.html'));
 });
 
+// Unknown /api routes, malformed JSON bodies and bad URLs get JSON errors instead of Express's HTML pages
+app.use('/api', (req, res) => {
+    res.status(404).json({ success: false, error: `No such endpoint: ${req.method} ${req.originalUrl.split('?')[0]}` });
+});
+
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, error: 'Request body is not valid JSON' });
+    }
+    if (error instanceof URIError) {
+        return res.status(400).json({ success: false, error: 'Malformed URL' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ success: false, error: 'Request body is too large' });
+    }
+    next(error);
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`
@@ -0,0 +1,327 @@
+/**
+ * DECY API Validator
+ * Checks every /api request (path params, query, JSON body) against services/openapi.js
+ * before it reaches a route, and checks JSON responses on the way out.
+ *
+ * Bad request → 400 { success: false, error, fields: [{ field, message }] }, where `error` is the
+ * operation's x-invalid-message (when x-invalid-fields lists what it's about, only if one of those
+ * failed). Body fields are named bare ("toolIds"), others are prefixed ("query.budget", "path.category").
+ *
+ * Operations that need credentials (no anonymous option in `security`) aren't checked by the global
+ * middleware: routes mount validateAfterAuth() behind their auth check, so callers without access
+ * get the 401 / 403, not the shape of the request.
+ *
+ * Response checking is for catching spec drift: OPENAPI_RESPONSE_VALIDATION=log (default) logs
+ * mismatches, "strict" turns them into 500s, "off" skips the check.
+ */
+
+const { ajv, formatErrors } = require('./toolSchema');
+const spec = require('./openapi');
+
+const SPEC_KEY = 'decy:openapi';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * JSON pointer segment (RFC 6901) - "/api/chat" → "~1api~1chat"
+ */
+const escapePointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * decodeURIComponent that leaves malformed escapes ("%E0%A4%A") as they are
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+class ApiValidator {
+    constructor(openapi = spec, options = {}) {
+        this.spec = openapi;
+        this.responseMode = options.responseMode || process.env.OPENAPI_RESPONSE_VALIDATION || 'log';
+        if (!['log', 'strict', 'off'].includes(this.responseMode)) {
+            throw new Error(`Unknown OPENAPI_RESPONSE_VALIDATION "${this.responseMode}" (use "log", "strict" or "off")`);
+        }
+
+        if (!ajv.getSchema(SPEC_KEY)) {
+            ajv.addSchema(openapi, SPEC_KEY);
+        }
+
+        // Static segments sort before {params} so /api/tools/all wins over /api/tools/{category}
+        this.routes = Object.keys(openapi.paths)
+            .map(template => ({ template, ...this.compileTemplate(template) }))
+            .sort((a, b) => a.paramCount - b.paramCount);
+
+        this.validators = new Map(); // JSON pointer → compiled validator
+    }
+
+    /**
+     * Express middleware - validates the request (unless it needs credentials, see
+     * validateAfterAuth) and wraps res.json to validate the response
+     */
+    middleware() {
+        return (req, res, next) => {
+            const match = this.match(req.method, req.path);
+            if (!match) return next(); // not an API route (static files, pages)
+
+            const deferred = this.requiresCredentials(match.operation);
+            if (!deferred && this.rejectInvalid(req, res, match)) return;
+
+            if (this.responseMode !== 'off') {
+                this.watchResponse(req, res, match);
+            }
+            if (deferred) req.apiOperation = match;
+            next();
+        };
+    }
+
+    /**
+     * Route middleware that validates the request of an operation needing credentials - mount it
+     * after the route's auth check
+     */
+    validateAfterAuth() {
+        return (req, res, next) => {
+            const match = req.apiOperation || this.match(req.method, req.path);
+            if (match && this.rejectInvalid(req, res, match)) return;
+            next();
+        };
+    }
+
+    /**
+     * Does the operation turn away anonymous callers? (`security` set, with no `{}` entry)
+     */
+    requiresCredentials(operation) {
+        const security = operation.security || this.spec.security || [];
+        return security.length > 0 && !security.some(requirement => Object.keys(requirement).length === 0);
+    }
+
+    /**
+     * Find the operation for a request: { template, pointer, operation, params } or null
+     */
+    match(method, requestPath) {
+        const verb = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+        if (!METHODS.includes(verb)) return null;
+
+        for (const route of this.routes) {
+            const found = route.pattern.exec(requestPath);
+            if (!found) continue;
+
+            const pathItem = this.spec.paths[route.template];
+            if (!pathItem[verb]) continue;
+
+            const params = {};
+            route.names.forEach((name, index) => {
+                params[name] = safeDecode(found[index + 1]);
+            });
+
+            return {
+                template: route.template,
+                pointer: `#/paths/${escapePointer(route.template)}/${verb}`,
+                operation: pathItem[verb],
+                parameters: [...(pathItem.parameters || []), ...(pathItem[verb].parameters || [])],
+                params
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Answer 400 if the request doesn't match the spec - returns whether it did
+     */
+    rejectInvalid(req, res, match) {
+        const fields = this.validateRequest(req, match);
+        if (fields.length === 0) return false;
+
+        res.status(400).json({
+            success: false,
+            error: this.invalidMessage(match.operation, fields),
+            fields
+        });
+        return true;
+    }
+
+    /**
+     * The operation's x-invalid-message, unless its x-invalid-fields say which fields it's about
+     * and none of them failed - a bad maxMonthlyBudget isn't "Please tell me what you want to do"
+     */
+    invalidMessage(operation, fields) {
+        const message = operation['x-invalid-message'];
+        const about = operation['x-invalid-fields'];
+        if (!message) return 'Invalid request';
+        if (!about) return message;
+
+        const primary = fields.some(({ field }) =>
+            field === '(root)' || about.some(name => field === name || field.startsWith(`${name}.`)));
+        return primary ? message : 'Invalid request';
+    }
+
+    /**
+     * All problems with the request, as [{ field, message }]
+     */
+    validateRequest(req, match) {
+        const fields = [];
+
+        for (const parameter of match.parameters.map(p => this.resolve(p))) {
+            const source = parameter.in === 'path' ? match.params
+                : parameter.in === 'query' ? req.query
+                    : null;
+            if (!source) continue;
+
+            const value = source[parameter.name];
+            const field = `${parameter.in}.${parameter.name}`;
+
+            if (value === undefined) {
+                if (parameter.required) fields.push({ field, message: 'is required' });
+                continue;
+            }
+
+            const validate = this.compileSchema(parameter.schema);
+            if (!validate(value)) {
+                fields.push(...this.describe(validate.errors, field));
+            }
+        }
+
+        const requestBody = match.operation.requestBody;
+        if (requestBody) {
+            const body = req.body;
+            const empty = body === undefined || (body && typeof body === 'object' && Object.keys(body).length === 0);
+
+            if (empty && !requestBody.required) {
+                return fields;
+            }
+
+            const validate = this.validatorAt(`${match.pointer}/requestBody/content/application~1json/schema`);
+            if (!validate(body ?? {})) {
+                fields.push(...this.describe(validate.errors));
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Check JSON responses against the documented schema for their status code
+     */
+    watchResponse(req, res, match) {
+        const originalJson = res.json.bind(res);
+
+        res.json = body => {
+            const status = String(res.statusCode);
+            const responses = match.operation.responses || {};
+            const documented = responses[status] ? status : (responses.default ? 'default' : null);
+
+            let problem = null;
+            if (!documented) {
+                problem = `status ${status} is not documented`;
+            } else {
+                const response = this.resolve(responses[documented]);
+                const hasJson = response.content && response.content['application/json'];
+                if (hasJson) {
+                    const pointer = responses[documented].$ref
+                        ? `${responses[documented].$ref}/content/application~1json/schema`
+                        : `${match.pointer}/responses/${documented}/content/application~1json/schema`;
+                    const validate = this.validatorAt(pointer);
+                    if (!validate(body)) {
+                        problem = this.describe(validate.errors)
+                            .map(({ field, message }) => `${field} ${message}`)
+                            .join('; ');
+                    }
+                }
+            }
+
+            if (problem) {
+                console.warn(`[API] ${req.method} ${match.template} → ${status} response doesn't match the spec: ${problem}`);
+                if (this.responseMode === 'strict') {
+                    res.status(500);
+                    return originalJson({ success: false, error: 'Response failed validation' });
+                }
+            }
+
+            return originalJson(body);
+        };
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * "/api/tools/{category}/{id}" → { pattern: /^\/api\/tools\/([^/]+)\/([^/]+)\/?$/, names: ['category', 'id'] }
+     */
+    compileTemplate(template) {
+        const names = [];
+        const source = template
+            .split('/')
+            .map(segment => {
+                const param = /^\{(.+)\}$/.exec(segment);
+                if (param) {
+                    names.push(param[1]);
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('\\/');
+        return { pattern: new RegExp(`^${source}\\/?$`), names, paramCount: names.length };
+    }
+
+    /**
+     * Validator for a schema inside the spec (so its #/components refs resolve)
+     */
+    validatorAt(pointer) {
+        if (!this.validators.has(pointer)) {
+            const validate = ajv.getSchema(`${SPEC_KEY}${pointer}`);
+            if (!validate) {
+                throw new Error(`No schema at ${pointer} in the OpenAPI spec`);
+            }
+            this.validators.set(pointer, validate);
+        }
+        return this.validators.get(pointer);
+    }
+
+    /**
+     * Validator for a parameter schema - inline (no refs) unless it points into the spec
+     */
+    compileSchema(schema) {
+        if (schema.$ref) return this.validatorAt(schema.$ref);
+        if (!this.validators.has(schema)) {
+            this.validators.set(schema, ajv.compile(schema));
+        }
+        return this.validators.get(schema);
+    }
+
+    /**
+     * Follow a local $ref (#/components/...) to the object it names
+     */
+    resolve(object) {
+        if (!object || !object.$ref) return object;
+        return object.$ref
+            .replace(/^#\//, '')
+            .split('/')
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, key) => node[key], this.spec);
+    }
+
+    /**
+     * Ajv errors → [{ field, message }], dropping the noise oneOf/anyOf branches add
+     */
+    describe(errors = [], prefix = '') {
+        const relevant = errors
+            .filter(err => !['anyOf', 'oneOf', 'if'].includes(err.keyword))
+            .map(err => (err.keyword === 'pattern' && err.params.pattern === '\\S' ? { ...err, message: 'must not be blank' } : err));
+        const seen = new Set();
+
+        return formatErrors(relevant.length > 0 ? relevant : errors, null)
+            .map(({ field, message }) => ({
+                field: prefix ? (field === '(root)' ? prefix : `${prefix}.${field}`) : field,
+                message
+            }))
+            .filter(({ field, message }) => {
+                const key = `${field} ${message}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+}
+
+module.exports = ApiValidator;
@@ -0,0 +1,234 @@
+/**
+ * DECY Auth Service
+ * Admin API keys + username/password sessions with roles (viewer < curator < admin)
+ *
+ * Configured from env:
+ *   DECY_API_KEYS     = "key1:admin,key2:curator"
+ *   DECY_ADMIN_USERS  = "alice:admin:<password>,bob:viewer:<password>"
+ *                       (password may be plain text or a "scrypt$salt$hash" from scripts/hash-password.js)
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'curator', 'admin'];
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+// Failed logins from one client within the window before it's locked out for the window
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+class AuthService {
+    constructor() {
+        this.apiKeys = this.parseApiKeys(process.env.DECY_API_KEYS || '');
+        this.users = this.parseUsers(process.env.DECY_ADMIN_USERS || '');
+        this.sessions = new Map(); // token -> { username, role, expiresAt }
+        this.failedLogins = new Map(); // client -> { count, since, lockedUntil }
+
+        if (this.apiKeys.size === 0 && this.users.size === 0) {
+            console.log('[AUTH] ⚠️  No admin credentials configured - admin and discovery routes are locked');
+        } else {
+            console.log(`[AUTH] ${this.users.size} user(s), ${this.apiKeys.size} API key(s) configured`);
+        }
+    }
+
+    /**
+     * Parse "key:role" pairs from env
+     */
+    parseApiKeys(raw) {
+        const keys = new Map();
+        for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+            const [key, role = 'viewer'] = entry.split(':');
+            if (!ROLES.includes(role)) {
+                console.log(`[AUTH] Ignoring API key with unknown role "${role}"`);
+                continue;
+            }
+            keys.set(key, { role });
+        }
+        return keys;
+    }
+
+    /**
+     * Parse "username:role:password" entries from env (password may contain ':')
+     */
+    parseUsers(raw) {
+        const users = new Map();
+        for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+            const [username, role, ...rest] = entry.split(':');
+            const password = rest.join(':');
+            if (!username || !password || !ROLES.includes(role)) {
+                console.log(`[AUTH] Ignoring malformed user entry for "${username || '?'}"`);
+                continue;
+            }
+            users.set(username, { role, password });
+        }
+        return users;
+    }
+
+    /**
+     * Hash a password for storage in DECY_ADMIN_USERS
+     */
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    /**
+     * Constant-time check of a password against a stored (plain or scrypt) value
+     */
+    verifyPassword(password, stored) {
+        let expected;
+        let actual;
+
+        if (stored.startsWith('scrypt$')) {
+            const [, salt, hash] = stored.split('$');
+            expected = Buffer.from(hash, 'hex');
+            actual = crypto.scryptSync(password, salt, expected.length);
+        } else {
+            // Compare digests so differing lengths don't leak through timingSafeEqual
+            expected = crypto.createHash('sha256').update(stored).digest();
+            actual = crypto.createHash('sha256').update(password).digest();
+        }
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Username/password login - returns a session or null. Failures are counted against
+     * `client` (e.g. the IP), and a locked-out client gets null - see loginRetryAfter.
+     */
+    login(username, password, client = null) {
+        if (this.loginRetryAfter(client) > 0) return null;
+
+        const user = typeof username === 'string' ? this.users.get(username) : null;
+        if (!user || typeof password !== 'string' || !this.verifyPassword(password, user.password)) {
+            this.recordFailedLogin(client);
+            return null;
+        }
+        this.failedLogins.delete(client);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = {
+            username,
+            role: user.role,
+            expiresAt: Date.now() + SESSION_TTL_MS
+        };
+        this.sessions.set(token, session);
+        console.log(`[AUTH] ${username} logged in (${user.role})`);
+
+        return { token, ...session };
+    }
+
+    /**
+     * Seconds until `client` may try to log in again, 0 when it isn't locked out
+     */
+    loginRetryAfter(client) {
+        const record = this.failedLogins.get(client);
+        if (!record || !record.lockedUntil) return 0;
+
+        const left = record.lockedUntil - Date.now();
+        if (left <= 0) {
+            this.failedLogins.delete(client);
+            return 0;
+        }
+        return Math.ceil(left / 1000);
+    }
+
+    recordFailedLogin(client) {
+        if (client === null) return;
+        const now = Date.now();
+        let record = this.failedLogins.get(client);
+        if (!record || now - record.since > LOGIN_WINDOW_MS) {
+            record = { count: 0, since: now, lockedUntil: null };
+            this.failedLogins.set(client, record);
+        }
+
+        record.count++;
+        if (record.count >= MAX_FAILED_LOGINS) {
+            record.lockedUntil = now + LOGIN_WINDOW_MS;
+            console.log(`[AUTH] ${record.count} failed logins from ${client} - locked out for ${LOGIN_WINDOW_MS / 60000} minutes`);
+        }
+    }
+
+    /**
+     * End a session
+     */
+    logout(token) {
+        return this.sessions.delete(token);
+    }
+
+    /**
+     * Resolve the caller from a request: session bearer token or X-API-Key header
+     */
+    identify(req) {
+        const apiKey = req.get('x-api-key');
+        if (apiKey) {
+            const keyInfo = this.findApiKey(apiKey);
+            return keyInfo ? { type: 'api_key', username: 'api-key', role: keyInfo.role, key: apiKey } : null;
+        }
+
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        return { type: 'session', username: session.username, role: session.role, token };
+    }
+
+    /**
+     * Look up an API key without leaking timing on the comparison
+     */
+    findApiKey(candidate) {
+        const candidateDigest = crypto.createHash('sha256').update(candidate).digest();
+        for (const [key, info] of this.apiKeys) {
+            const keyDigest = crypto.createHash('sha256').update(key).digest();
+            if (crypto.timingSafeEqual(candidateDigest, keyDigest)) {
+                return info;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Does `role` satisfy `required`? (admin ⊃ curator ⊃ viewer)
+     */
+    hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Express middleware: require an authenticated caller with at least `role`
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            const caller = this.identify(req);
+
+            if (!caller) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+
+            if (!this.hasRole(caller.role, role)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `This action requires the ${role} role`
+                });
+            }
+
+            req.auth = caller;
+            next();
+        };
+    }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
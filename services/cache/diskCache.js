@@ -0,0 +1,117 @@
+/**
+ * DECY Disk Cache
+ * Cache backend that keeps one JSON file per entry (default data/cache/), so cached
+ * answers survive restarts. LRU order is tracked in memory and rebuilt from file
+ * modification times at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../storage/atomicFile');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'cache');
+
+class DiskCache {
+    constructor(options = {}) {
+        this.name = 'disk';
+        this.dir = options.dir || process.env.CACHE_DIR || DEFAULT_DIR;
+        this.maxEntries = options.maxEntries || 500;
+        this.index = new Map(); // key → namespace, least recently used first
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.loadIndex();
+    }
+
+    async get(key) {
+        const namespace = this.index.get(key);
+        if (namespace === undefined) return null;
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this.fileFor(key), 'utf-8'));
+        } catch (e) {
+            // Removed by another process, or unreadable - treat as a miss
+            this.index.delete(key);
+            return null;
+        }
+
+        this.index.delete(key);
+        this.index.set(key, namespace);
+        // Keep the file's mtime in step so LRU order survives a restart
+        const now = new Date();
+        fs.promises.utimes(this.fileFor(key), now, now).catch(() => {});
+        return entry;
+    }
+
+    /**
+     * Store an entry; resolves to how many least-recently-used entries were evicted
+     */
+    async set(key, entry) {
+        writeFileAtomic(this.fileFor(key), JSON.stringify(entry));
+        this.index.delete(key);
+        this.index.set(key, entry.namespace);
+
+        let evicted = 0;
+        while (this.index.size > this.maxEntries) {
+            await this.delete(this.index.keys().next().value);
+            evicted++;
+        }
+        return evicted;
+    }
+
+    async delete(key) {
+        this.index.delete(key);
+        await fs.promises.rm(this.fileFor(key), { force: true });
+    }
+
+    /**
+     * Remove every entry (or only one namespace's); resolves to how many were removed
+     */
+    async clear(namespace = null) {
+        let removed = 0;
+        for (const [key, entryNamespace] of [...this.index]) {
+            if (!namespace || entryNamespace === namespace) {
+                await this.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    size() {
+        return this.index.size;
+    }
+
+    /**
+     * Rebuild the index from the files on disk, oldest first; drops expired and unreadable files
+     */
+    loadIndex() {
+        const files = fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => {
+                const filePath = path.join(this.dir, name);
+                try {
+                    const entry = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                    if (entry.expiresAt > Date.now()) {
+                        return { key: name.slice(0, -5), namespace: entry.namespace, mtime: fs.statSync(filePath).mtimeMs };
+                    }
+                } catch (e) {
+                    // fall through and remove it
+                }
+                fs.rmSync(filePath, { force: true });
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.mtime - b.mtime);
+
+        for (const file of files) {
+            this.index.set(file.key, file.namespace);
+        }
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+}
+
+module.exports = DiskCache;
@@ -0,0 +1,61 @@
+/**
+ * DECY Memory Cache
+ * Cache backend that keeps entries in a Map - insertion order doubles as LRU order
+ */
+
+class MemoryCache {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map(); // key → { namespace, value, expiresAt }
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Move to the most-recently-used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store an entry; resolves to how many least-recently-used entries were evicted
+     */
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        let evicted = 0;
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            evicted++;
+        }
+        return evicted;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Remove every entry (or only one namespace's); resolves to how many were removed
+     */
+    async clear(namespace = null) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (!namespace || entry.namespace === namespace) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = MemoryCache;
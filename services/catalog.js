@@ -0,0 +1,219 @@
+/**
+ * DECY Tool Catalog
+ * Create / edit / move / delete tools through the repository - every change is schema-validated.
+ * Structured pricing (currency, amount, period, tiers) is derived from `pricing.premium` unless
+ * the change sends its own tiers. New tools get `addedAt` (today) unless they bring one, and
+ * replacing a tool keeps it.
+ *
+ * A tool lives in one primary category and may be listed in others through
+ * `secondaryCategories`. Editing it through one of those listings edits it in place, moving it
+ * to one makes that its primary (the old primary becomes a secondary), and deleting it there
+ * only removes the listing.
+ *
+ * Methods resolve to { success: true, tool, category } or
+ * { success: false, code: 'validation' | 'not_found' | 'conflict', error, fields? }
+ */
+
+const { getRepository, isSecondaryListing } = require('./repository');
+const { validateTool } = require('./toolSchema');
+const { structurePricing, clearStructuredPricing } = require('./pricing');
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+class ToolCatalog {
+    constructor(repository = getRepository()) {
+        this.repository = repository;
+    }
+
+    /**
+     * Add a new tool to a category
+     */
+    async createTool(categoryKey, tool) {
+        if (!this.repository.hasCategory(categoryKey)) {
+            return this.notFound(`Category "${categoryKey}" not found`);
+        }
+
+        tool = { ...tool, pricing: structurePricing(tool.pricing), addedAt: tool.addedAt || today() };
+        const check = validateTool(tool);
+        if (!check.valid) {
+            return this.invalid(check.errors);
+        }
+        const categoryErrors = this.checkSecondaryCategories(tool, categoryKey);
+        if (categoryErrors.length > 0) {
+            return this.invalid(categoryErrors);
+        }
+
+        const existing = this.repository.getTool(tool.id);
+        if (existing) {
+            return this.conflict(`Tool "${tool.id}" already exists in ${existing.categoryKey}`);
+        }
+
+        try {
+            await this.repository.insertTool(categoryKey, tool);
+        } catch (error) {
+            // Lost a race with another writer
+            if (error.code === 'conflict') return this.conflict(error.message);
+            throw error;
+        }
+        console.log(`[CATALOG] Created "${tool.id}" in ${categoryKey}`);
+
+        return { success: true, tool, category: categoryKey };
+    }
+
+    /**
+     * Replace a tool entirely (PUT) - also moves it if `categoryKey` differs (and isn't one of
+     * its secondary categories)
+     */
+    replaceTool(categoryKey, toolId, tool) {
+        return this.applyChange(categoryKey, toolId, current => ({
+            ...tool,
+            id: tool.id ?? toolId,
+            ...(current.addedAt && !tool.addedAt ? { addedAt: current.addedAt } : {})
+        }), 'Replaced');
+    }
+
+    /**
+     * Merge changes into an existing tool (PATCH)
+     */
+    updateTool(categoryKey, toolId, changes) {
+        return this.applyChange(categoryKey, toolId, current => {
+            const merged = { ...current, ...changes };
+            // Nested objects merge one level deep so { pricing: { premium } } keeps `free`
+            for (const key of ['deploy', 'pricing', 'privacy']) {
+                if (changes[key] && typeof changes[key] === 'object' && !Array.isArray(changes[key])) {
+                    merged[key] = { ...current[key], ...changes[key] };
+                }
+            }
+            // A new premium text without new tiers makes the old structured pricing stale
+            const pricing = changes.pricing;
+            if (pricing && typeof pricing === 'object' && 'premium' in pricing && !('tiers' in pricing) && merged.pricing) {
+                merged.pricing = clearStructuredPricing(merged.pricing);
+            }
+            // null clears an optional field
+            for (const [key, value] of Object.entries(changes)) {
+                if (value === null) delete merged[key];
+            }
+            return merged;
+        }, 'Updated');
+    }
+
+    /**
+     * Move a tool's primary category without changing anything else. Moving it to one of its
+     * secondary categories swaps the two.
+     */
+    async moveTool(categoryKey, toolId, targetCategoryKey) {
+        const found = this.repository.getTool(toolId);
+
+        if (!found || (found.categoryKey !== categoryKey && !isSecondaryListing(found.tool, categoryKey))) {
+            return this.notFound(`Tool "${toolId}" not found in ${categoryKey}`);
+        }
+        if (!this.repository.hasCategory(targetCategoryKey)) {
+            return this.invalid([{ field: 'category', message: `unknown category "${targetCategoryKey}"` }]);
+        }
+
+        let tool = found.tool;
+        if (isSecondaryListing(tool, targetCategoryKey)) {
+            tool = {
+                ...tool,
+                secondaryCategories: tool.secondaryCategories.map(key => (key === targetCategoryKey ? found.categoryKey : key))
+            };
+        }
+
+        await this.repository.saveTool(toolId, targetCategoryKey, tool);
+        console.log(`[CATALOG] Moved "${toolId}" ${found.categoryKey} → ${targetCategoryKey}`);
+
+        return { success: true, tool, category: targetCategoryKey };
+    }
+
+    /**
+     * Remove a tool - or, through a secondary category, just its listing there
+     */
+    async deleteTool(categoryKey, toolId) {
+        const found = this.repository.getTool(toolId);
+
+        if (found && isSecondaryListing(found.tool, categoryKey)) {
+            const { secondaryCategories, ...rest } = found.tool;
+            const remaining = secondaryCategories.filter(key => key !== categoryKey);
+            const tool = remaining.length > 0 ? { ...rest, secondaryCategories: remaining } : rest;
+
+            await this.repository.saveTool(toolId, found.categoryKey, tool);
+            console.log(`[CATALOG] Unlisted "${toolId}" from ${categoryKey} (stays in ${found.categoryKey})`);
+
+            return { success: true, tool, category: found.categoryKey };
+        }
+        if (!found || found.categoryKey !== categoryKey) {
+            return this.notFound(`Tool "${toolId}" not found in ${categoryKey}`);
+        }
+
+        await this.repository.deleteTool(toolId);
+        console.log(`[CATALOG] Deleted "${toolId}" from ${categoryKey}`);
+
+        return { success: true, tool: found.tool, category: categoryKey };
+    }
+
+    /**
+     * Shared path for PUT/PATCH: build the new entry, validate, then store it under `categoryKey`
+     */
+    async applyChange(categoryKey, toolId, buildTool, verb) {
+        const found = this.repository.getTool(toolId);
+
+        if (!found) {
+            return this.notFound(`Tool "${toolId}" not found`);
+        }
+        if (!this.repository.hasCategory(categoryKey)) {
+            return this.notFound(`Category "${categoryKey}" not found`);
+        }
+        // Addressed through a secondary listing - edit it where it lives
+        if (isSecondaryListing(found.tool, categoryKey)) {
+            categoryKey = found.categoryKey;
+        }
+
+        const built = buildTool(found.tool);
+        const tool = { ...built, pricing: structurePricing(built.pricing) };
+        if (tool.id !== toolId) {
+            return this.invalid([{ field: 'id', message: 'cannot be changed' }]);
+        }
+
+        const check = validateTool(tool);
+        if (!check.valid) {
+            return this.invalid(check.errors);
+        }
+        const categoryErrors = this.checkSecondaryCategories(tool, categoryKey);
+        if (categoryErrors.length > 0) {
+            return this.invalid(categoryErrors);
+        }
+
+        await this.repository.saveTool(toolId, categoryKey, tool);
+        console.log(`[CATALOG] ${verb} "${toolId}" in ${categoryKey}`);
+
+        return { success: true, tool, category: categoryKey };
+    }
+
+    /**
+     * Secondary categories must exist and differ from the primary: [{ field, message }]
+     */
+    checkSecondaryCategories(tool, categoryKey) {
+        return (tool.secondaryCategories || []).flatMap((key, index) => {
+            const field = `secondaryCategories.${index}`;
+            if (key === categoryKey) return [{ field, message: `"${key}" is already the primary category` }];
+            if (!this.repository.hasCategory(key)) return [{ field, message: `unknown category "${key}"` }];
+            return [];
+        });
+    }
+
+    invalid(fields) {
+        return { success: false, code: 'validation', error: 'Tool failed validation', fields };
+    }
+
+    notFound(error) {
+        return { success: false, code: 'not_found', error };
+    }
+
+    conflict(error) {
+        return { success: false, code: 'conflict', error };
+    }
+}
+
+module.exports = ToolCatalog;
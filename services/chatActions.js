@@ -0,0 +1,204 @@
+/**
+ * DECY Chat Actions
+ * Strict JSON Schemas for what the chat model may answer with (show_tools, show_tool_groups,
+ * show_workflow, show_guide, chat), plus the repair prompt used when it answers with something else
+ * and per-action counters of how often that happens.
+ */
+
+const { ajv, formatErrors } = require('./toolSchema');
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const toolId = { type: 'string', minLength: 1, maxLength: 64 };
+
+const ACTION_SCHEMAS = {
+    show_tools: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'message', 'tools'],
+        properties: {
+            action: { const: 'show_tools' },
+            message: text(2000),
+            budget: { type: 'string', enum: ['free', 'premium'] },
+            tools: { type: 'array', minItems: 1, maxItems: 5, uniqueItems: true, items: toolId },
+            ready_prompt: { type: ['string', 'null'], maxLength: 4000 }
+        }
+    },
+    show_tool_groups: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'message', 'groups'],
+        properties: {
+            action: { const: 'show_tool_groups' },
+            message: text(2000),
+            budget: { type: 'string', enum: ['free', 'premium'] },
+            groups: {
+                type: 'array',
+                minItems: 2,
+                maxItems: 4,
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['need', 'tools'],
+                    properties: {
+                        need: text(200),
+                        tools: { type: 'array', minItems: 1, maxItems: 3, uniqueItems: true, items: toolId }
+                    }
+                }
+            }
+        }
+    },
+    show_workflow: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'message', 'steps'],
+        properties: {
+            action: { const: 'show_workflow' },
+            message: text(2000),
+            steps: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 10,
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['step', 'title', 'tool_id', 'tool_name'],
+                    properties: {
+                        step: { type: 'integer', minimum: 1 },
+                        title: text(200),
+                        tool_id: toolId,
+                        tool_name: text(100),
+                        prompt: { type: 'string', maxLength: 4000 }
+                    }
+                }
+            }
+        }
+    },
+    show_guide: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'message', 'tool_name', 'steps'],
+        properties: {
+            action: { const: 'show_guide' },
+            message: text(2000),
+            tool_id: toolId,
+            tool_name: text(100),
+            tool_url: { type: 'string', format: 'uri', pattern: '^https?://' },
+            steps: { type: 'array', minItems: 1, maxItems: 12, items: text(1000) },
+            pro_tips: { type: 'array', maxItems: 6, items: text(1000) }
+        }
+    },
+    chat: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'message'],
+        properties: {
+            action: { const: 'chat' },
+            message: text(4000)
+        }
+    }
+};
+
+const ACTIONS = Object.keys(ACTION_SCHEMAS);
+
+class ChatActionValidator {
+    constructor() {
+        this.validators = Object.fromEntries(
+            Object.entries(ACTION_SCHEMAS).map(([action, schema]) => [action, ajv.compile(schema)])
+        );
+        this.resetStats();
+    }
+
+    /**
+     * Parse and validate raw model output: { valid, action, output, errors: string[] }
+     * `action` is null when the output doesn't name a known action.
+     */
+    check(raw) {
+        let output;
+        try {
+            output = JSON.parse(raw);
+        } catch (e) {
+            // Models sometimes wrap the object in prose or a code fence
+            const match = String(raw).match(/\{[\s\S]*\}/);
+            try {
+                output = match ? JSON.parse(match[0]) : undefined;
+            } catch (ignored) {
+                output = undefined;
+            }
+            if (output === undefined) {
+                return { valid: false, action: null, output: null, errors: [`reply is not valid JSON (${e.message})`] };
+            }
+        }
+
+        if (!output || typeof output !== 'object' || Array.isArray(output)) {
+            return { valid: false, action: null, output: null, errors: ['reply must be a JSON object'] };
+        }
+
+        const action = ACTIONS.includes(output.action) ? output.action : null;
+        if (!action) {
+            return { valid: false, action: null, output, errors: [`action must be one of: ${ACTIONS.join(', ')}`] };
+        }
+
+        const validate = this.validators[action];
+        if (validate(output)) {
+            return { valid: true, action, output, errors: [] };
+        }
+        return {
+            valid: false,
+            action,
+            output,
+            errors: formatErrors(validate.errors, null).map(({ field, message }) => `${field} ${message}`)
+        };
+    }
+
+    /**
+     * The conversation plus the bad reply and what was wrong with it, for one repair attempt
+     */
+    repairMessages(messages, raw, errors) {
+        return [
+            ...messages,
+            { role: 'assistant', content: String(raw).slice(0, 4000) },
+            {
+                role: 'user',
+                content: `Your last reply did not match the required JSON format:\n${errors.map(e => `- ${e}`).join('\n')}\n\n` +
+                    `Reply again with ONLY the corrected JSON object, using exactly one of the formats from your instructions ` +
+                    `(action: ${ACTIONS.join(', ')}) and no other fields.`
+            }
+        ];
+    }
+
+    /**
+     * Count one model reply: outcome is 'valid' (first try), 'repaired' or 'failed'.
+     * Replies that named no known action are counted under "unknown".
+     */
+    record(action, outcome) {
+        const bucket = this.stats[action || 'unknown'];
+        bucket.total++;
+        bucket[outcome]++;
+    }
+
+    /**
+     * { since, actions: { show_tools: { total, valid, repaired, failed, failureRate }, ... } }
+     */
+    getStats() {
+        const actions = {};
+        for (const [action, counts] of Object.entries(this.stats)) {
+            actions[action] = {
+                ...counts,
+                failureRate: counts.total > 0 ? Number(((counts.repaired + counts.failed) / counts.total).toFixed(3)) : 0
+            };
+        }
+        return { since: this.since, actions };
+    }
+
+    resetStats() {
+        this.since = new Date().toISOString();
+        this.stats = Object.fromEntries(
+            [...ACTIONS, 'unknown'].map(action => [action, { total: 0, valid: 0, repaired: 0, failed: 0 }])
+        );
+    }
+}
+
+module.exports = {
+    ACTION_SCHEMAS,
+    ChatActionValidator
+};
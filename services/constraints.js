@@ -0,0 +1,389 @@
+/**
+ * DECY Query Constraints
+ * Pulls hard requirements out of a message - "not Canva", "no signup", "open source only",
+ * "works offline", "no watermark", "under $10/month" - and checks tools against them.
+ *
+ *   constraints = { exclude: [toolId], maxMonthlyPrice, currency, requires: [attribute],
+ *                   platforms: [platform], languages: [code], phrases, query }
+ *
+ * `currency` is an ISO code ('USD'); prices are compared through services/pricing.js.
+ * Platforms and languages only come from API filters (withFilters) - "an iOS app" in a message
+ * is usually what to build, not where the tool runs.
+ *
+ * `query` is the message with the constraint wording taken out, so "not Canva" doesn't rank
+ * Canva first. Requirements are judged from a tool's structured attributes (openSource,
+ * privacy, freeTierWatermark...) and, where those aren't filled in, from its own text: a tool
+ * needs evidence for what it must have (open source, offline) and is only ruled out for what
+ * it must not have (signup, watermark) when its entry says so.
+ */
+
+const { CURRENCIES, toUSD, fitsBudget, formatPrice } = require('./pricing');
+
+const DESKTOP = ['windows', 'macos', 'linux'];
+
+// A structured boolean when the tool has it, otherwise `fallback`
+const known = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+// Each check returns true (satisfied), false (violated) or null (the tool's entry doesn't say)
+const ATTRIBUTES = {
+    free_tier: {
+        label: 'free',
+        pattern: /\b(?:free only|only free|(?:completely|totally|entirely|100%) free|must be free|free tools? only|nothing paid|no paid)\b/,
+        unknownPasses: false,
+        check: (tool) => tool.pricing?.free === true
+    },
+    no_signup: {
+        label: 'no signup',
+        pattern: /\b(?:no|without(?: an?)?|without having to|don'?t want to|not)\s+(?:sign(?:ing)?[- ]?ups?|registration|register(?:ing)?|accounts?|log(?:ging)?[- ]?ins?)\b/,
+        unknownPasses: true,
+        check: (tool, text) => {
+            if (/\bno (?:sign[- ]?up|account|login|registration)\b/.test(text)) return true;
+            if (/\b(?:sign[- ]?up|account|login|registration) (?:required|needed)\b/.test(text)) return false;
+            return null;
+        }
+    },
+    open_source: {
+        label: 'open source',
+        pattern: /\bopen[- ]?source\b|\boss\b/,
+        unknownPasses: false,
+        check: (tool, text) => known(tool.openSource, /\bopen[- ]?source\b/.test(text) ? true : null)
+    },
+    self_hostable: {
+        label: 'self-hostable',
+        pattern: /\bself[- ]?host(?:ed|able|ing)?\b/,
+        unknownPasses: false,
+        check: (tool, text) => known(tool.selfHostable, /\bself[- ]?host/.test(text) ? true : null)
+    },
+    has_api: {
+        label: 'API access',
+        pattern: /\b(?:with|has|have|offers?|via) (?:an? |its )?api\b|\bapi access\b/,
+        unknownPasses: false,
+        check: (tool, text) => {
+            if (tool.hasApi === true || (tool.platforms || []).includes('api')) return true;
+            return known(tool.hasApi, /\bapi\b/.test(text) ? true : null);
+        }
+    },
+    no_training: {
+        label: 'no training on your data',
+        pattern: /\b(?:doesn'?t|does not|won'?t|will not|never|not) train(?:s|ing)? on (?:my|our|your|user|customer) (?:data|content|files)\b|\bno (?:ai |model )?training on (?:my|our|user) data\b/,
+        unknownPasses: false,
+        check: (tool) => (typeof tool.privacy?.trainsOnData === 'boolean' ? !tool.privacy.trainsOnData : null)
+    },
+    no_retention: {
+        label: 'no data retention',
+        pattern: /\b(?:no|zero)[- ]data[- ]retention\b|\bzero[- ]retention\b|\b(?:doesn'?t|does not|won'?t|never) (?:store|keep|retain|save) (?:my|our|your|user) (?:data|files|content)\b/,
+        unknownPasses: false,
+        check: (tool) => (tool.privacy?.retention ? tool.privacy.retention === 'none' : null)
+    },
+    offline: {
+        label: 'works offline',
+        pattern: /\b(?:works? offline|offline|runs? locally|run it locally|local only|on[- ]device|no internet|without internet)\b/,
+        unknownPasses: false,
+        check: (tool, text) => {
+            if (tool.selfHostable === true) return true;
+            if (/\b(?:offline|runs? locally|on[- ]device|self[- ]host)/.test(text)) return true;
+            if (/\b(?:cloud[- ]only|browser[- ]only|requires? (?:an )?internet)\b/.test(text)) return false;
+            return null;
+        }
+    },
+    no_watermark: {
+        label: 'no watermark',
+        pattern: /\b(?:no|without|zero)\s+watermarks?\b|\bwatermark[- ]free\b/,
+        unknownPasses: true,
+        check: (tool, text) => {
+            if (typeof tool.freeTierWatermark === 'boolean') return !tool.freeTierWatermark;
+            // Limits are about the free tier - "Watermark on free tier" settles it
+            if (/\bwatermark/i.test(tool.limits || '')) return false;
+            if (/\b(?:no|without) watermarks?\b|\bwatermark-free\b/.test(text)) return true;
+            return /\bwatermark/.test(text) ? false : null;
+        }
+    }
+};
+
+// "under $10/month", "less than 15 euros a month", "$20 max", "budget of $10 per year"
+const CURRENCY = '([$€£₹])';
+const AMOUNT = '(\\d+(?:[.,]\\d{1,2})?)';
+const CURRENCY_WORD = '(dollars?|bucks|usd|euros?|eur|pounds?|gbp|rupees?|inr)';
+const PERIOD = '(?:\\s*(?:\\/|per|a|an|each)\\s*(month|mo|year|yr|annum|week|wk))?';
+const PRICE_CAP = [
+    new RegExp(`\\b(?:under|below|less than|cheaper than|max(?:imum)?(?: of)?|at most|up to|no more than|within|budget(?: of| is)?)\\s*${CURRENCY}?\\s*${AMOUNT}\\s*${CURRENCY_WORD}?${PERIOD}`, 'g'),
+    new RegExp(`${CURRENCY}\\s*${AMOUNT}\\s*${CURRENCY_WORD}?${PERIOD}\\s*(?:or less|or under|max(?:imum)?|tops)\\b`, 'g')
+];
+const MONTHS_PER = { month: 1, mo: 1, year: 12, yr: 12, annum: 12, week: 12 / 52, wk: 12 / 52 };
+const CURRENCY_WORDS = { dollar: 'USD', buck: 'USD', usd: 'USD', euro: 'EUR', eur: 'EUR', pound: 'GBP', gbp: 'GBP', rupee: 'INR', inr: 'INR' };
+
+// "not Canva", "anything but Midjourney or DALL-E", "alternatives to Notion"
+const EXCLUSION_CUE = /\b(?:not|no|except(?: for)?|excluding|exclude|without|besides|other than|instead of|alternatives? to|apart from|avoid|anything but|but not|don'?t (?:want|like|suggest|recommend|use))\s+((?:[\w.+-]+(?:\s*,\s*|\s+(?:or|and|nor)\s+|\s+)?){1,6})/g;
+
+/**
+ * The constraints in a message. findTool(text) → catalog tool or null says whether some
+ * words are a tool's name; after an exclusion cue the longest run of up to three words
+ * that is one counts ("not canva for my bakery" → canva).
+ */
+function parseConstraints(message, findTool) {
+    let rest = ` ${String(message || '').toLowerCase()} `;
+    const phrases = [];
+    const take = (match) => {
+        phrases.push(match.trim());
+        rest = rest.replace(match, ' ');
+    };
+
+    const requires = [];
+    for (const [attribute, { pattern }] of Object.entries(ATTRIBUTES)) {
+        const match = rest.match(pattern);
+        if (match) {
+            requires.push(attribute);
+            take(match[0]);
+        }
+    }
+
+    let maxMonthlyPrice = null;
+    let currency = null;
+    for (const pattern of PRICE_CAP) {
+        for (const match of [...rest.matchAll(pattern)]) {
+            const [text, symbol, amount, word, period] = match;
+            // A bare number ("under 60 seconds") isn't a price
+            if (!symbol && !word && !period) continue;
+
+            const monthly = parseFloat(amount.replace(',', '.')) / (MONTHS_PER[period] || 1);
+            if (maxMonthlyPrice === null || monthly < maxMonthlyPrice) {
+                maxMonthlyPrice = Math.round(monthly * 100) / 100;
+                currency = CURRENCIES[symbol] || CURRENCY_WORDS[(word || '').replace(/s$/, '')] || 'USD';
+            }
+            take(text);
+        }
+    }
+
+    const exclude = [];
+    for (const match of [...rest.matchAll(EXCLUSION_CUE)]) {
+        const names = [];
+        for (const piece of match[1].split(/\s*,\s*|\s+(?:or|and|nor)\s+/).filter(Boolean)) {
+            const words = piece.trim().split(/\s+/);
+            for (let size = Math.min(words.length, 3); size >= 1; size--) {
+                const name = words.slice(0, size).join(' ');
+                const tool = findTool(name);
+                if (tool) {
+                    if (!exclude.includes(tool.id)) exclude.push(tool.id);
+                    names.push(name);
+                    break;
+                }
+            }
+        }
+        if (names.length === 0) continue;
+
+        // Only the cue and the names go - "not canva for my bakery" keeps "for my bakery"
+        phrases.push(match[0].slice(0, match[0].length - match[1].length).trim() + ' ' + names.join(', '));
+        rest = rest.replace(match[0], ' ' + names.reduce((text, name) => text.replace(name, ' '), match[1]));
+    }
+
+    return {
+        exclude,
+        maxMonthlyPrice,
+        currency,
+        requires,
+        platforms: [],
+        languages: [],
+        phrases,
+        query: rest.replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * The constraints with a numeric monthly budget (from the API, not the message) added - the
+ * tighter cap wins
+ */
+function withBudget(constraints, maxMonthly, currency = 'USD') {
+    if (maxMonthly === null || maxMonthly === undefined) return constraints;
+    const current = constraints.maxMonthlyPrice;
+    if (current !== null && toUSD(current, constraints.currency) <= toUSD(maxMonthly, currency)) return constraints;
+    return { ...constraints, maxMonthlyPrice: maxMonthly, currency };
+}
+
+// API filter flags and the attribute each one requires
+const FILTER_FLAGS = {
+    openSource: 'open_source',
+    selfHostable: 'self_hostable',
+    hasApi: 'has_api',
+    offline: 'offline',
+    noSignup: 'no_signup',
+    noWatermark: 'no_watermark',
+    noTraining: 'no_training',
+    noRetention: 'no_retention'
+};
+
+/**
+ * The constraints with API filters added:
+ * { platforms: ['ios' | 'desktop' | 'mobile' ...], languages: ['es'], openSource: true, hasApi: true, ... }
+ * A flag set to false adds nothing - filters only narrow.
+ */
+function withFilters(constraints, filters) {
+    if (!filters) return constraints;
+
+    const requires = [...constraints.requires];
+    for (const [flag, attribute] of Object.entries(FILTER_FLAGS)) {
+        if (filters[flag] === true && !requires.includes(attribute)) requires.push(attribute);
+    }
+    const merge = (current, added) => [...new Set([...current, ...(added || []).map(value => String(value).toLowerCase())])];
+
+    return {
+        ...constraints,
+        requires,
+        platforms: merge(constraints.platforms, filters.platforms),
+        languages: merge(constraints.languages, filters.languages)
+    };
+}
+
+function hasConstraints(constraints) {
+    return !!constraints && (constraints.exclude.length > 0 || constraints.requires.length > 0 ||
+        constraints.maxMonthlyPrice !== null || constraints.platforms.length > 0 || constraints.languages.length > 0);
+}
+
+/**
+ * Whether a tool runs on `platform` - true, false, or null when its entry doesn't list platforms.
+ * 'desktop' is any of Windows, macOS and Linux; 'mobile' is iOS or Android.
+ */
+function runsOn(tool, platform) {
+    if (platform === 'api' && tool.hasApi === true) return true;
+    if (!Array.isArray(tool.platforms)) return null;
+    const wanted = platform === 'desktop' ? DESKTOP : platform === 'mobile' ? ['ios', 'android'] : [platform];
+    return wanted.some(name => tool.platforms.includes(name));
+}
+
+/**
+ * Whether a tool works in a language - tools that don't list languages are taken to work in
+ * English only
+ */
+function speaks(tool, language) {
+    return Array.isArray(tool.languages) ? tool.languages.includes(language) : language === 'en';
+}
+
+/**
+ * Why a tool breaks the constraints: [] when it doesn't
+ */
+function violations(tool, constraints) {
+    if (!hasConstraints(constraints)) return [];
+
+    const reasons = [];
+    if (constraints.exclude.includes(tool.id)) {
+        reasons.push('excluded');
+    }
+    if (!fitsBudget(tool, constraints.maxMonthlyPrice, constraints.currency)) {
+        reasons.push('price');
+    }
+
+    const text = [tool.name, tool.bestFor, tool.whySuitsYou, tool.limits, tool.deploy?.note, tool.pricing?.premium]
+        .filter(Boolean).join(' ').toLowerCase();
+    for (const attribute of constraints.requires) {
+        const { check, unknownPasses } = ATTRIBUTES[attribute];
+        const result = check(tool, text);
+        if (result === false || (result === null && !unknownPasses)) reasons.push(attribute);
+    }
+    for (const platform of constraints.platforms) {
+        if (runsOn(tool, platform) !== true) reasons.push(`platform:${platform}`);
+    }
+    for (const language of constraints.languages) {
+        if (!speaks(tool, language)) reasons.push(`language:${language}`);
+    }
+    return reasons;
+}
+
+/**
+ * Split tools into those meeting the constraints and those ruled out: { tools, ruledOut: [{ tool, reasons }] }
+ */
+function applyConstraints(tools, constraints) {
+    if (!hasConstraints(constraints)) return { tools, ruledOut: [] };
+
+    const kept = [];
+    const ruledOut = [];
+    for (const tool of tools) {
+        const reasons = violations(tool, constraints);
+        if (reasons.length === 0) kept.push(tool);
+        else ruledOut.push({ tool, reasons });
+    }
+    return { tools: kept, ruledOut };
+}
+
+const PLATFORM_LABELS = {
+    web: 'the web', ios: 'iOS', android: 'Android', windows: 'Windows', macos: 'macOS', linux: 'Linux',
+    browser_extension: 'a browser extension', discord: 'Discord', slack: 'Slack', api: 'an API',
+    desktop: 'desktop', mobile: 'mobile'
+};
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function platformLabel(platform) {
+    return PLATFORM_LABELS[platform] || platform;
+}
+
+function languageLabel(code) {
+    try {
+        return languageNames.of(code);
+    } catch (e) {
+        return code;
+    }
+}
+
+/**
+ * The constraints as short labels: ['not Canva', 'under $10/month', 'no signup', 'on iOS', 'in Spanish']
+ */
+function describeConstraints(constraints, nameOf = (id) => id) {
+    if (!hasConstraints(constraints)) return [];
+    return [
+        ...constraints.exclude.map(id => `not ${nameOf(id)}`),
+        ...(constraints.maxMonthlyPrice !== null ? [`under ${formatPrice(constraints.maxMonthlyPrice, constraints.currency)}`] : []),
+        ...constraints.requires.map(attribute => ATTRIBUTES[attribute].label),
+        ...constraints.platforms.map(platform => `on ${platformLabel(platform)}`),
+        ...constraints.languages.map(language => `in ${languageLabel(language)}`)
+    ];
+}
+
+/**
+ * Why nothing was left: "None of the 6 matching tools fit: Canva is excluded; 3 cost more
+ * than $10/month; 2 aren't known to meet "open source"."
+ */
+function explainNoResults(ruledOut, constraints) {
+    if (ruledOut.length === 0) {
+        return `No tools in the catalog match ${describeConstraints(constraints).join(', ')}.`;
+    }
+
+    const count = (reason) => ruledOut.filter(({ reasons }) => reasons.includes(reason));
+    const parts = [];
+
+    const excluded = count('excluded');
+    if (excluded.length > 0) {
+        parts.push(`${excluded.map(({ tool }) => tool.name).join(', ')} ${excluded.length === 1 ? 'is' : 'are'} excluded`);
+    }
+    const pricey = count('price');
+    if (pricey.length > 0) {
+        parts.push(`${pricey.length} cost more than ${formatPrice(constraints.maxMonthlyPrice, constraints.currency)}`);
+    }
+    for (const attribute of constraints.requires) {
+        const failing = count(attribute);
+        if (failing.length === 0) continue;
+        parts.push(`${failing.length} ${failing.length === 1 ? "isn't" : "aren't"} known to meet "${ATTRIBUTES[attribute].label}"`);
+    }
+    for (const platform of constraints.platforms) {
+        const failing = count(`platform:${platform}`);
+        if (failing.length === 0) continue;
+        parts.push(`${failing.length} ${failing.length === 1 ? "isn't" : "aren't"} known to run on ${platformLabel(platform)}`);
+    }
+    for (const language of constraints.languages) {
+        const failing = count(`language:${language}`);
+        if (failing.length === 0) continue;
+        parts.push(`${failing.length} ${failing.length === 1 ? "isn't" : "aren't"} known to work in ${languageLabel(language)}`);
+    }
+
+    return `None of the ${ruledOut.length} matching tools fit: ${parts.join('; ')}.`;
+}
+
+module.exports = {
+    ATTRIBUTES,
+    FILTER_FLAGS,
+    parseConstraints,
+    withBudget,
+    withFilters,
+    hasConstraints,
+    violations,
+    applyConstraints,
+    describeConstraints,
+    explainNoResults
+};
@@ -0,0 +1,251 @@
+/**
+ * DECY Recommendation Feedback
+ * What people thought of the tools they were shown: thumbs up / down (on one tool or the whole
+ * list), "picked this tool" and free-text comments. Each entry is filed under the query's intent
+ * pattern and category, so curators can see per intent what works (GET /api/feedback/stats).
+ *
+ * It also feeds ranking's popularity feature: popularity(toolId, intentId) is a smoothed share of
+ * positive signals, from feedback on that intent and overall. Each voter counts once per tool -
+ * their latest thumb and whether they ever picked it - so repeat clicks can't inflate a tool.
+ * The voter is an identity the caller can't mint at will (a user, API key or hashed IP); an
+ * anonymous browser's self-chosen client id only tells people apart in getStats().
+ *
+ * Entry: { id, type, query, category, intent, toolIds, toolId, comment, sessionId, voter, clientId, createdAt }
+ * record() resolves to { success: true, feedback } or { success: false, code: 'validation', error, fields }
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./repository');
+
+const FEEDBACK_TYPES = ['up', 'down', 'picked', 'comment'];
+const MAX_QUERY_LENGTH = 2000;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_TOOL_IDS = 20;
+// Pseudo-votes that pull tools with little feedback towards a neutral 0.5
+const POPULARITY_PRIOR = 4;
+// Per intent in getStats(): tools listed and comments shown
+const STATS_TOOLS = 5;
+const STATS_COMMENTS = 5;
+
+const OVERALL = '*';
+
+class FeedbackService {
+    /**
+     * @param {ToolRepository} [repository]
+     * @param {object} [options] - { classify: (query, categoryKey) → { intent, category } }, how a
+     *                             query is filed (RecommendationEngine.classifyQuery)
+     */
+    constructor(repository = getRepository(), { classify = null } = {}) {
+        this.repository = repository;
+        this.classify = classify;
+        // scope (OVERALL or an intent id) → toolId → { ratings: voter → up|down, picks: Set(voter),
+        // people: the same keyed by client id where there is one, for getStats() }
+        this.signals = null;
+    }
+
+    /**
+     * Validate and store one piece of feedback from `voter` (who it counts for in ranking - a user,
+     * API key or hashed IP). `clientId` is an anonymous browser's X-Client-Id, kept for the stats only.
+     * body: { type, query, toolIds?, toolId?, comment?, category?, sessionId? }
+     */
+    async record(voter, body, clientId = null) {
+        const { type, query, toolIds = [], toolId = null, comment = null, category = null, sessionId = null } = body;
+        const fields = this.check({ type, query, toolIds, toolId, comment, category });
+        if (fields.length > 0) {
+            return { success: false, code: 'validation', error: 'Feedback failed validation', fields };
+        }
+
+        const filed = this.classify ? this.classify(query, category) : { intent: null, category };
+        const entry = {
+            id: crypto.randomUUID(),
+            type,
+            query: query.trim(),
+            category: filed.category,
+            intent: filed.intent,
+            toolIds,
+            toolId,
+            comment: comment === null ? null : comment.trim(),
+            sessionId,
+            voter,
+            clientId,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.repository.addFeedback(entry);
+        if (this.signals) this.addSignal(entry);
+        console.log(`[FEEDBACK] ${type}${toolId ? ` ${toolId}` : ''} for "${entry.query}" (${entry.intent || 'no intent'})`);
+
+        const { voter: omitted, clientId: alsoOmitted, ...feedback } = entry;
+        return { success: true, feedback };
+    }
+
+    /**
+     * Field errors for a feedback body - checks the request schema can't (known tools and
+     * categories, fields a type needs)
+     */
+    check({ type, query, toolIds, toolId, comment, category }) {
+        const fields = [];
+        const known = new Set(this.repository.getAllTools().map(tool => tool.id));
+
+        if (!FEEDBACK_TYPES.includes(type)) {
+            fields.push({ field: 'type', message: `must be one of: ${FEEDBACK_TYPES.join(', ')}` });
+        }
+        if (typeof query !== 'string' || !query.trim() || query.length > MAX_QUERY_LENGTH) {
+            fields.push({ field: 'query', message: `must be a non-empty string of at most ${MAX_QUERY_LENGTH} characters` });
+        }
+        if (!Array.isArray(toolIds) || toolIds.length > MAX_TOOL_IDS) {
+            fields.push({ field: 'toolIds', message: `must be an array of at most ${MAX_TOOL_IDS} tool IDs` });
+        } else {
+            toolIds.forEach((id, index) => {
+                if (!known.has(id)) fields.push({ field: `toolIds.${index}`, message: 'is not a known tool ID' });
+            });
+        }
+
+        if (toolId === null) {
+            if (type === 'picked') fields.push({ field: 'toolId', message: 'is required for "picked"' });
+        } else if (!known.has(toolId)) {
+            fields.push({ field: 'toolId', message: 'is not a known tool ID' });
+        } else if (Array.isArray(toolIds) && toolIds.length > 0 && !toolIds.includes(toolId)) {
+            fields.push({ field: 'toolId', message: 'must be one of toolIds' });
+        }
+
+        if (comment === null) {
+            if (type === 'comment') fields.push({ field: 'comment', message: 'is required for "comment"' });
+        } else if (typeof comment !== 'string' || !comment.trim() || comment.length > MAX_COMMENT_LENGTH) {
+            fields.push({ field: 'comment', message: `must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters` });
+        }
+
+        if (category !== null && !this.repository.hasCategory(category)) {
+            fields.push({ field: 'category', message: 'is not a known category' });
+        }
+        return fields;
+    }
+
+    /**
+     * Popularity of a tool from 0 to 1 (0.5 = no signal either way), counting its feedback under
+     * `intentId` twice - or null while there's no feedback on any tool, so ranking leaves it out
+     */
+    popularity(toolId, intentId = null) {
+        const signals = this.getSignals();
+        if (signals.get(OVERALL).size === 0) return null;
+
+        const overall = this.countsFor(OVERALL, toolId);
+        const forIntent = intentId ? this.countsFor(intentId, toolId) : { up: 0, down: 0, picked: 0 };
+        const positive = overall.up + overall.picked + forIntent.up + forIntent.picked;
+        const negative = overall.down + forIntent.down;
+        return (positive + POPULARITY_PRIOR / 2) / (positive + negative + POPULARITY_PRIOR);
+    }
+
+    /**
+     * Feedback per intent pattern, most feedback first:
+     * { total, since, types: { up, down, picked, comment }, intents: [{ intent, category, total, up, down,
+     *   picked, comments, satisfaction, tools: [{ id, name, up, down, picked, popularity }], recentComments }] }
+     * Entry counts are raw; a tool's up / down / picked count people (by client id where there is
+     * one). satisfaction = up / (up + down).
+     */
+    getStats() {
+        const entries = this.repository.listFeedback();
+        const names = new Map(this.repository.getAllTools().map(tool => [tool.id, tool.name]));
+        const types = Object.fromEntries(FEEDBACK_TYPES.map(type => [type, 0]));
+        const byIntent = new Map();
+
+        for (const entry of entries) {
+            types[entry.type]++;
+            const key = entry.intent || null;
+            if (!byIntent.has(key)) {
+                byIntent.set(key, { intent: key, category: key ? entry.category : null, total: 0, up: 0, down: 0, picked: 0, comments: [] });
+            }
+            const group = byIntent.get(key);
+            group.total++;
+            if (entry.type === 'comment') group.comments.push(entry);
+            else group[entry.type]++;
+        }
+
+        const intents = [...byIntent.values()].map(({ comments, ...group }) => {
+            const rated = group.up + group.down;
+            const scope = group.intent ? this.getSignals().get(group.intent) : null;
+            const tools = scope
+                ? [...scope.keys()]
+                    .map(id => ({ id, name: names.get(id) || id, ...this.countsFor(group.intent, id, 'people'), popularity: this.popularity(id, group.intent) }))
+                    .sort((a, b) => b.popularity - a.popularity || (b.up + b.picked) - (a.up + a.picked))
+                    .slice(0, STATS_TOOLS)
+                : [];
+            return {
+                ...group,
+                comments: comments.length,
+                satisfaction: rated > 0 ? group.up / rated : null,
+                tools,
+                recentComments: comments.slice(-STATS_COMMENTS).reverse()
+                    .map(({ comment, query, toolId, createdAt }) => ({ comment, query, toolId, createdAt }))
+            };
+        }).sort((a, b) => b.total - a.total);
+
+        return {
+            total: entries.length,
+            since: entries.length > 0 ? entries[0].createdAt : null,
+            types,
+            intents
+        };
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * Per-tool signals, built from the store on first use and kept up to date by record()
+     */
+    getSignals() {
+        if (!this.signals) {
+            this.signals = new Map([[OVERALL, new Map()]]);
+            for (const entry of this.repository.listFeedback()) {
+                this.addSignal(entry);
+            }
+        }
+        return this.signals;
+    }
+
+    addSignal(entry) {
+        if (!entry.toolId || entry.type === 'comment') return;
+
+        for (const scope of entry.intent ? [OVERALL, entry.intent] : [OVERALL]) {
+            if (!this.signals.has(scope)) this.signals.set(scope, new Map());
+            const tools = this.signals.get(scope);
+            if (!tools.has(entry.toolId)) {
+                tools.set(entry.toolId, { ratings: new Map(), picks: new Set(), people: { ratings: new Map(), picks: new Set() } });
+            }
+
+            const signal = tools.get(entry.toolId);
+            const person = entry.clientId || entry.voter;
+            // Entries from before votes were keyed by IP have the client id as their voter - untrusted
+            const voter = entry.voter.startsWith('client:') ? null : entry.voter;
+            if (entry.type === 'picked') {
+                if (voter) signal.picks.add(voter);
+                signal.people.picks.add(person);
+            } else {
+                if (voter) signal.ratings.set(voter, entry.type);
+                signal.people.ratings.set(person, entry.type);
+            }
+        }
+    }
+
+    /**
+     * A tool's { up, down, picked } under `scope`, counting voters - or, with by = 'people',
+     * anonymous browsers by client id
+     */
+    countsFor(scope, toolId, by = 'voters') {
+        const signal = this.getSignals().get(scope)?.get(toolId);
+        if (!signal) return { up: 0, down: 0, picked: 0 };
+
+        const { ratings, picks } = by === 'people' ? signal.people : signal;
+        const thumbs = [...ratings.values()];
+        return {
+            up: thumbs.filter(rating => rating === 'up').length,
+            down: thumbs.filter(rating => rating === 'down').length,
+            picked: picks.size
+        };
+    }
+}
+
+module.exports = {
+    FeedbackService,
+    FEEDBACK_TYPES
+};
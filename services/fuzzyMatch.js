@@ -0,0 +1,135 @@
+/**
+ * DECY Fuzzy Matching
+ * Small string helpers for matching loosely written tool names ("midjourney_ai",
+ * "Bolt.new", "Eleven Labs") to catalog entries.
+ */
+
+// Below this trigram overlap two names are treated as unrelated, however few edits apart
+const MIN_NGRAM_OVERLAP = 0.3;
+
+// Words that decorate a tool name without identifying it
+const NOISE_WORDS = new Set(['ai', 'app', 'the', 'tool', 'by', 'io', 'com', 'new', 'so', 'dev', 'hq']);
+
+/**
+ * "Midjourney_AI" → "midjourney", "Bolt.new" → "bolt", "v0 by Vercel" → "v0 vercel"
+ */
+function normalizeName(text) {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/[̀-ͯ]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    const meaningful = words.filter(word => !NOISE_WORDS.has(word));
+    return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+/**
+ * The same with spaces removed, so "eleven labs" and "elevenlabs" compare equal
+ */
+function compactName(text) {
+    return normalizeName(text).replace(/ /g, '');
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of neighbouring
+ * letters ("lovabel" is one edit from "lovable") - optimal string alignment distance
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * 0..1 - 1 means identical, based on edit distance relative to the longer string
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * 0..1 Dice coefficient of the padded character n-grams - forgiving of extra or missing
+ * letters in long names, where edit distance adds up
+ */
+function ngramSimilarity(a, b, n = 3) {
+    const grams = (text) => {
+        const padded = ` ${text} `;
+        const counts = new Map();
+        for (let i = 0; i + n <= padded.length; i++) {
+            const gram = padded.slice(i, i + n);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+        return counts;
+    };
+
+    const left = grams(a);
+    const right = grams(b);
+    let shared = 0;
+    let total = 0;
+    for (const [gram, count] of left) {
+        shared += Math.min(count, right.get(gram) || 0);
+        total += count;
+    }
+    for (const count of right.values()) total += count;
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * How alike two (compacted) names are, 0..1: edit-distance similarity, but only when the
+ * names share enough trigrams to be about the same word ("pitch" and "pika" don't)
+ */
+function nameSimilarity(a, b) {
+    if (a === b) return 1;
+    return ngramSimilarity(a, b) >= MIN_NGRAM_OVERLAP ? similarity(a, b) : 0;
+}
+
+/**
+ * Best-scoring entry for `query`, or null if none reaches `threshold`.
+ * entries: [{ value, names: string[] }] - each name is compared after compactName()
+ */
+function bestMatch(query, entries, threshold = 0.8) {
+    const target = compactName(query);
+    if (!target) return null;
+
+    let best = null;
+    for (const entry of entries) {
+        for (const name of entry.names) {
+            const score = nameSimilarity(target, compactName(name));
+            if (score >= threshold && (!best || score > best.score)) {
+                best = { value: entry.value, score };
+            }
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    normalizeName,
+    compactName,
+    editDistance,
+    similarity,
+    ngramSimilarity,
+    nameSimilarity,
+    bestMatch
+};
@@ -0,0 +1,146 @@
+/**
+ * DECY Grounding
+ * Keeps the chat model honest about the catalog: every tool ID it answers with is checked
+ * against the tools we actually have. Near misses ("midjourney_ai", "Bolt.new") are mapped to
+ * the real ID by fuzzy name matching; anything else is replaced with one of the candidates the
+ * intent analysis found, or dropped. Tools the user ruled out ("not Canva") are replaced the
+ * same way. Each change is reported as a correction.
+ *
+ *   correction = { from, to, reason }  reason: fuzzy | backfill | dropped | duplicate | constraint
+ */
+
+const { bestMatch } = require('./fuzzyMatch');
+
+const FUZZY_THRESHOLD = 0.8;
+
+class ToolGrounder {
+    /**
+     * @param {DecyIntelligence} intelligence - its allToolsFlat is the catalog we ground against
+     */
+    constructor(intelligence) {
+        this.intelligence = intelligence;
+        this.byId = new Map(intelligence.allToolsFlat.map(tool => [tool.id, tool]));
+        this.entries = intelligence.allToolsFlat.map(tool => ({
+            value: tool.id,
+            names: [tool.id, tool.name, ...(tool.aliases || [])]
+        }));
+    }
+
+    /**
+     * Catalog tool for a model-supplied ID or name: { id, how: 'exact' | 'fuzzy' } or null
+     */
+    resolveId(raw) {
+        if (typeof raw !== 'string' || !raw.trim()) return null;
+        if (this.byId.has(raw)) return { id: raw, how: 'exact' };
+
+        const match = bestMatch(raw, this.entries, FUZZY_THRESHOLD);
+        return match ? { id: match.value, how: 'fuzzy' } : null;
+    }
+
+    /**
+     * Ground a show_tools list. Unknown IDs, repeats and tools breaking the query's `constraints`
+     * are swapped for unused candidates (free ones first when the budget is free) so the answer
+     * keeps its length; returns { ids, corrections }.
+     */
+    groundToolIds(ids, candidates = [], { budget = 'free', constraints = null } = {}) {
+        const allow = tool => this.intelligence.allows(tool, constraints);
+        const grounded = [];
+        const corrections = [];
+        const unresolved = [];
+
+        for (const raw of ids) {
+            const resolved = this.resolveId(raw);
+            if (!resolved) {
+                unresolved.push({ raw, reason: null });
+            } else if (!allow(this.byId.get(resolved.id))) {
+                unresolved.push({ raw, reason: 'constraint' });
+            } else if (grounded.includes(resolved.id)) {
+                unresolved.push({ raw, reason: 'duplicate' });
+            } else {
+                grounded.push(resolved.id);
+                if (resolved.how === 'fuzzy') corrections.push({ from: raw, to: resolved.id, reason: 'fuzzy' });
+            }
+        }
+
+        const spares = this.spareCandidates(candidates, grounded, budget).filter(allow);
+        for (const { raw, reason } of unresolved) {
+            const spare = spares.shift();
+            if (spare) grounded.push(spare.id);
+            corrections.push({ from: raw, to: spare ? spare.id : null, reason: reason || (spare ? 'backfill' : 'dropped') });
+        }
+
+        return { ids: grounded, corrections };
+    }
+
+    /**
+     * Ground each workflow step's tool_id (and set tool_name to the catalog name). A step whose
+     * tool can't be resolved is matched by its title and tool name, then by a spare candidate;
+     * steps with no tool at all are dropped and the rest renumbered. Tools breaking `constraints`
+     * are replaced the same way. Returns { steps, corrections }.
+     */
+    groundWorkflowSteps(steps, candidates = [], { constraints = null } = {}) {
+        const allow = tool => this.intelligence.allows(tool, constraints);
+        const grounded = [];
+        const corrections = [];
+        const used = [];
+
+        for (const step of steps) {
+            let resolved = this.resolveId(step.tool_id) || this.resolveId(step.tool_name);
+            let reason = 'fuzzy';
+
+            if (resolved && !allow(this.byId.get(resolved.id))) {
+                resolved = null;
+                reason = 'constraint';
+            }
+            if (!resolved) {
+                // A tool an earlier step already uses would just repeat that step
+                const byText = this.intelligence.searchAllTools(`${step.title} ${step.tool_name}`, { constraints })
+                    .find(tool => !used.includes(tool.id));
+                const [spare] = byText ? [byText] : this.spareCandidates(candidates, used, 'premium').filter(allow);
+                resolved = spare ? { id: spare.id, how: 'backfill' } : null;
+                if (reason !== 'constraint') reason = 'backfill';
+            }
+
+            if (!resolved) {
+                corrections.push({ from: step.tool_id, to: null, reason: reason === 'constraint' ? reason : 'dropped' });
+                continue;
+            }
+
+            if (resolved.id !== step.tool_id) {
+                corrections.push({ from: step.tool_id, to: resolved.id, reason });
+            }
+            used.push(resolved.id);
+            grounded.push({
+                ...step,
+                step: grounded.length + 1,
+                tool_id: resolved.id,
+                tool_name: this.byId.get(resolved.id).name
+            });
+        }
+
+        return { steps: grounded, corrections };
+    }
+
+    /**
+     * Catalog tool for a show_guide reply - by tool_id, then tool_name - or null when the guide
+     * is about something we don't list (guides for outside tools are still allowed)
+     */
+    groundGuideTool(toolId, toolName) {
+        const resolved = this.resolveId(toolId) || this.resolveId(toolName);
+        return resolved ? this.byId.get(resolved.id) : null;
+    }
+
+    /**
+     * Candidates not already used, budget-matching ones first
+     */
+    spareCandidates(candidates, used, budget) {
+        const spares = candidates.filter(tool => tool && this.byId.has(tool.id) && !used.includes(tool.id));
+        if (budget !== 'free') return spares;
+        return [
+            ...spares.filter(tool => tool.pricing && tool.pricing.free),
+            ...spares.filter(tool => !(tool.pricing && tool.pricing.free))
+        ];
+    }
+}
+
+module.exports = ToolGrounder;
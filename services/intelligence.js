@@ -2,34 +2,226 @@
  * DECY Intelligence Layer
  * Smart pre-filtering and context building for AI recommendations
  * This is what makes DECY actually understand user needs
+ *
+ * Tools are found two ways and the scores combined: the hand-written intent map below, and
+ * offline retrieval over each tool's text - BM25 always, plus a local embedding model when
+ * EMBEDDINGS_MODEL is set (see ./retrieval/embeddings.js). ./ranking.js puts the candidates in
+ * order; analyses carry each tool's breakdown in `rankings`.
  */
 
+const { BM25Index } = require('./retrieval/bm25');
+const { EmbeddingIndex } = require('./retrieval/embeddings');
+const { compactName, nameSimilarity } = require('./fuzzyMatch');
+const { getIntentMap } = require('./intentMap');
+const { isSecondaryListing, categoryKeysOf } = require('./repository');
+const { rankTools, diversify } = require('./ranking');
+const { parseConstraints, withFilters, hasConstraints, applyConstraints, violations, describeConstraints, explainNoResults } = require('./constraints');
+
+// Within retrieval: share of the semantic score when embeddings are available
+const SEMANTIC_WEIGHT = 0.5;
+// Cosine similarity below this is noise, not a match
+const SEMANTIC_MIN_SIMILARITY = parseFloat(process.env.EMBEDDINGS_MIN_SIMILARITY) || 0.35;
+// Retrieval-only results (no intent matched) need at least this score
+const MIN_RETRIEVAL_SCORE = 0.15;
+// Guidance queries: how close a misspelt tool name must be, and the shortest word worth fuzzy-matching
+const GUIDANCE_FUZZY_THRESHOLD = 0.85;
+const GUIDANCE_FUZZY_MIN_LENGTH = 4;
+// Words that describe the task, not a tool - never fuzzy-matched ("slides" isn't SlidesAI)
+const GUIDANCE_GENERIC_WORDS = new Set([
+    'about', 'with', 'using', 'from', 'into', 'your', 'this', 'that', 'what', 'when', 'some', 'start',
+    'make', 'create', 'build', 'guide', 'help', 'tutorial', 'tips', 'video', 'videos', 'image', 'images',
+    'photo', 'photos', 'slides', 'editing', 'draw', 'drawing', 'design', 'write', 'writing', 'code',
+    'music', 'voice', 'text', 'logo', 'website', 'chat'
+]);
+// Tool names after "not" / "except" must be this close - a looser match would exclude the wrong tool
+const EXCLUSION_FUZZY_THRESHOLD = 0.85;
+// Compound requests ("a logo and a promo video"): each part needs this pattern score to count
+// as a need of its own, and at most this many needs are kept
+const MULTI_INTENT_MIN_SCORE = 10;
+const MAX_NEEDS = 3;
+// Lead-in trimmed from a need's label ("i need a logo" → "logo")
+const NEED_LEAD_IN = /^(?:(?:i|we)\s+(?:need|want|would like|'d like)(?:\s+to)?\s+)?(?:(?:make|create|get|build|do)\s+)?(?:(?:a|an|the|some|my|our)\s+)?/;
+// Words that join separate needs in one message
+const NEED_SEPARATOR = /\s*(?:[,;&+]|\band also\b|\bas well as\b|\bplus\b|\balso\b|\band then\b|\bthen\b|\band\b)\s*/;
+
+/**
+ * { toolId: ranking } for ranked items
+ */
+function rankingsById(ranked) {
+    return Object.fromEntries(ranked.map(({ tool, ranking }) => [tool.id, ranking]));
+}
+
 class DecyIntelligence {
-    constructor(tools) {
+    /**
+     * @param {object} tools - the catalog
+     * @param {object} [options]
+     * @param {EmbeddingClient|null} [options.embedder] - local embedding model for semantic retrieval
+     * @param {Array} [options.intents] - intent patterns (defaults to data/intents.json, see ./intentMap.js)
+     */
+    constructor(tools, { embedder = null, intents = getIntentMap().getPatterns(), popularity = null } = {}) {
         this.tools = tools;
-        this.intentMap = this.buildIntentMap();
+        // Intent mapping — maps real user language to tool categories and use cases
+        this.intentMap = intents;
+        // (tool, intentId) → 0..1 or null from user feedback, for ranking (null = no source)
+        this.popularity = popularity;
         this.allToolsFlat = this.flattenTools();
+        this.toolNames = this.allToolsFlat.map(tool => ({
+            tool,
+            names: [tool.name, tool.id.replace(/_/g, ' ')].map(name => ({ name, method: 'name' }))
+                .concat((tool.aliases || []).map(name => ({ name, method: 'alias' })))
+                .map(entry => ({ ...entry, compact: compactName(entry.name) }))
+        }));
+        this.buildRetrieval(embedder);
+    }
+
+    /**
+     * BM25 index over each tool's name, bestFor, whySuitsYou, limits and category keywords;
+     * the embedding index over the same text is built in the background and used once ready
+     */
+    buildRetrieval(embedder) {
+        this.lexical = new BM25Index(this.allToolsFlat.map(tool => ({
+            id: tool.id,
+            fields: [
+                { text: [tool.name, ...(tool.aliases || [])].join(' '), weight: 3 },
+                { text: tool.bestFor, weight: 2 },
+                { text: tool.whySuitsYou || '' },
+                { text: tool.limits || '' },
+                { text: tool.categoryKeywords.join(' ') }
+            ]
+        })));
+
+        this.semantic = null;
+        if (!embedder) return;
+
+        const index = new EmbeddingIndex(embedder, this.allToolsFlat.map(tool => ({
+            id: tool.id,
+            text: [tool.name, tool.bestFor, tool.whySuitsYou, tool.limits, tool.categoryName, tool.categoryKeywords.join(', ')]
+                .filter(Boolean).join('. ')
+        })));
+        index.build()
+            .then(() => {
+                this.semantic = index;
+            })
+            .catch(error => {
+                console.log('[DECY] Tool embeddings unavailable - using BM25 only:', error.message);
+            });
+    }
+
+    /**
+     * Query vector for semantic retrieval, or null when embeddings are off or not ready
+     */
+    async embedQuery(text) {
+        if (!this.semantic) return null;
+        try {
+            return await this.semantic.embedQuery(text);
+        } catch (error) {
+            console.log('[DECY] Query embedding failed - using BM25 only:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Hybrid BM25 + embedding retrieval: [{ tool, score, lexical, semantic }], best first.
+     * Each part is scaled to 0..1 with the query's best hit at 1. Tools breaking `constraints` are left out.
+     */
+    retrieve(query, { queryVector = null, limit = 10, constraints = null } = {}) {
+        const scores = new Map();
+        const entry = (id) => {
+            if (!scores.has(id)) scores.set(id, { lexical: 0, semantic: 0 });
+            return scores.get(id);
+        };
+
+        const lexicalHits = this.lexical.search(query, limit * 2);
+        for (const hit of lexicalHits) {
+            entry(hit.id).lexical = hit.score / lexicalHits[0].score;
+        }
+
+        const semanticHits = this.semantic && queryVector
+            ? this.semantic.search(queryVector, limit * 2).filter(hit => hit.score >= SEMANTIC_MIN_SIMILARITY)
+            : [];
+        for (const hit of semanticHits) {
+            // Cosine scores bunch together, so spread them between the noise floor and the best hit
+            const spread = semanticHits[0].score - SEMANTIC_MIN_SIMILARITY;
+            entry(hit.id).semantic = spread > 0 ? (hit.score - SEMANTIC_MIN_SIMILARITY) / spread : 1;
+        }
+
+        const semanticWeight = semanticHits.length > 0 ? SEMANTIC_WEIGHT : 0;
+        const byId = new Map(this.allToolsFlat.map(tool => [tool.id, tool]));
+        return [...scores.entries()]
+            .map(([id, { lexical, semantic }]) => ({
+                tool: byId.get(id),
+                score: (1 - semanticWeight) * lexical + semanticWeight * semantic,
+                lexical,
+                semantic
+            }))
+            .filter(hit => this.allows(hit.tool, constraints))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Rank the intent map's picks together with retrieval hits (see ./ranking.js): the best six
+     * as [{ tool, ranking }], the first three chosen for variety
+     */
+    rankHybrid(pattern, intentTools, retrieved, confidence, constraints = null) {
+        const candidates = [...intentTools, ...retrieved.map(hit => hit.tool).filter(tool => !intentTools.includes(tool))];
+        return diversify(rankTools(candidates, {
+            intent: { pattern, confidence },
+            textScores: this.textScores(retrieved),
+            constraints,
+            popularity: this.popularity
+        })).slice(0, 6);
+    }
+
+    /**
+     * Ranking context for a query: its best intent pattern (the best in `categoryKey` when
+     * given) and retrieval scores for every tool. options: { categoryKey, constraints, budget }
+     */
+    rankingContext(query, { categoryKey = null, constraints = null, budget = null } = {}) {
+        const text = (query || '').toLowerCase().trim();
+        const [best] = this.scorePatterns(text).filter(({ pattern }) => !categoryKey || pattern.category === categoryKey);
+        return {
+            intent: best ? { pattern: best.pattern, confidence: Math.min(best.score / 20, 1) } : null,
+            textScores: text ? this.textScores(this.retrieve(text, { limit: this.allToolsFlat.length })) : null,
+            constraints,
+            budget,
+            popularity: this.popularity
+        };
     }
 
     /**
-     * Flatten all tools into a single searchable array with category info
+     * Retrieval hits as a Map of tool id → score, for ranking
+     */
+    textScores(retrieved) {
+        return new Map(retrieved.map(hit => [hit.tool.id, hit.score]));
+    }
+
+    /**
+     * Flatten all tools into a single searchable array with category info - one entry per
+     * tool, under its primary category, with `categoryKeys` and the keywords of every
+     * category it's listed in
      */
     flattenTools() {
         const flat = [];
         for (const [catKey, cat] of Object.entries(this.tools.categories)) {
             for (const tool of cat.tools) {
+                if (isSecondaryListing(tool, catKey)) continue;
+
+                const categoryKeys = categoryKeysOf(tool, catKey).filter(key => this.tools.categories[key]);
+                const categoryKeywords = [...new Set(categoryKeys.flatMap(key => this.tools.categories[key].keywords || []))];
                 flat.push({
                     ...tool,
                     categoryKey: catKey,
+                    categoryKeys,
                     categoryName: cat.name,
-                    categoryKeywords: cat.keywords || [],
+                    categoryKeywords,
                     // Build searchable text for matching
                     searchText: [
                         tool.name,
                         tool.bestFor,
                         tool.whySuitsYou || '',
                         tool.limits || '',
-                        ...(cat.keywords || [])
+                        ...categoryKeywords
                     ].join(' ').toLowerCase()
                 });
             }
@@ -38,158 +230,45 @@ class DecyIntelligence {
     }
 
     /**
-     * Intent mapping — maps real user language to tool categories and use cases
-     * This is the "brain" that understands what users actually mean
+     * Score every intent pattern against a lowercased query: [{ pattern, score }], best first
+     * (earlier patterns win ties). An exact phrase scores 20, each matching word 5.
      */
-    buildIntentMap() {
-        return [
-            // === BUILDING / CREATING ===
-            {
-                intents: ['portfolio', 'personal website', 'personal site', 'showcase my work', 'online presence'],
-                category: 'app_building',
-                context: 'The user wants to build a personal portfolio website to showcase their work. Recommend app/website builders that are easy to use and produce professional-looking sites.',
-                priority: ['lovable', 'bolt', 'v0']
-            },
-            {
-                intents: ['landing page', 'saas', 'startup website', 'product page', 'business website'],
-                category: 'app_building',
-                context: 'The user wants to build a professional landing page or business website. Recommend tools that can create polished, conversion-optimized pages.',
-                priority: ['lovable', 'bolt', 'v0']
-            },
-            {
-                intents: ['app', 'mobile app', 'web app', 'build app', 'create app', 'develop app', 'mvp', 'prototype'],
-                category: 'app_building',
-                context: 'The user wants to build a functional application. Recommend no-code/low-code builders that can create real, deployable apps.',
-                priority: ['lovable', 'bolt', 'replit']
-            },
-
-            // === VISUAL CONTENT ===
-            {
-                intents: ['logo', 'brand identity', 'branding', 'brand kit', 'company logo'],
-                category: 'design',
-                context: 'The user needs logo/branding design. Recommend AI tools specifically built for logo creation.',
-                priority: ['looka', 'canva_design', 'kittl']
-            },
-            {
-                intents: ['poster', 'flyer', 'banner', 'social media post', 'instagram post', 'thumbnail', 'cover image', 'marketing material'],
-                category: 'design',
-                context: 'The user wants to create visual marketing content. Recommend design tools with templates for social media and marketing.',
-                priority: ['canva_design', 'kittl', 'figma']
-            },
-            {
-                intents: ['ui design', 'wireframe', 'mockup', 'prototype design', 'user interface', 'figma'],
-                category: 'design',
-                context: 'The user needs to design user interfaces or wireframes. Recommend professional UI/UX design tools.',
-                priority: ['figma', 'uizard', 'canva_design']
-            },
-
-            // === IMAGE GENERATION ===
-            {
-                intents: ['generate image', 'create image', 'ai art', 'artwork', 'illustration', 'picture', 'image generation', 'ai image', 'draw'],
-                category: 'image_generation',
-                context: 'The user wants to generate images from text descriptions. Recommend AI image generators.',
-                priority: ['ideogram', 'leonardo', 'midjourney']
-            },
-            {
-                intents: ['edit photo', 'remove background', 'enhance photo', 'photo editing', 'retouch', 'upscale image'],
-                category: 'image_editing',
-                context: 'The user wants to edit or enhance existing photos. Recommend photo editing AI tools.',
-                priority: ['canva', 'remove_bg', 'clipdrop']
-            },
-
-            // === VIDEO ===
-            {
-                intents: ['video', 'edit video', 'reel', 'short', 'youtube', 'tiktok', 'clip', 'montage'],
-                category: 'video_creation',
-                context: 'The user wants to create or edit video content. Recommend video editing tools.',
-                priority: ['capcut', 'descript', 'invideo']
-            },
-            {
-                intents: ['generate video', 'text to video', 'ai video', 'animate', 'motion', 'video from text'],
-                category: 'video_creation',
-                context: 'The user wants to generate video from text or images using AI. Recommend AI video generators.',
-                priority: ['runway', 'pika', 'invideo']
-            },
-            {
-                intents: ['talking head', 'avatar video', 'spokesperson', 'virtual presenter'],
-                category: 'video_creation',
-                context: 'The user wants AI-generated talking head or avatar videos. Recommend avatar video tools.',
-                priority: ['heygen', 'synthesia', 'd-id']
-            },
-
-            // === WRITING ===
-            {
-                intents: ['write', 'blog', 'article', 'essay', 'content', 'copywriting', 'email', 'marketing copy'],
-                category: 'writing',
-                context: 'The user wants to write or generate text content. Recommend AI writing tools.',
-                priority: ['notion_ai', 'copy_ai', 'jasper']
-            },
-            {
-                intents: ['grammar', 'proofread', 'spelling', 'editing text', 'paraphrase', 'rewrite'],
-                category: 'writing',
-                context: 'The user wants to check grammar, paraphrase, or improve existing text. Recommend editing/grammar tools.',
-                priority: ['grammarly', 'quillbot', 'wordtune']
-            },
-
-            // === CODING ===
-            {
-                intents: ['code', 'programming', 'debug', 'developer', 'coding assistant', 'autocomplete', 'copilot'],
-                category: 'coding_assistance',
-                context: 'The user needs help with coding or programming. Recommend AI coding assistants.',
-                priority: ['cursor', 'github_copilot', 'chatgpt']
-            },
-
-            // === PRESENTATIONS ===
-            {
-                intents: ['presentation', 'slides', 'pitch deck', 'ppt', 'powerpoint', 'keynote', 'slide deck'],
-                category: 'presentation',
-                context: 'The user wants to create a presentation or slide deck. Recommend AI presentation tools.',
-                priority: ['gamma', 'tome', 'beautiful_ai']
-            },
-
-            // === AUDIO ===
-            {
-                intents: ['voice', 'voiceover', 'text to speech', 'narration', 'dubbing', 'voice clone'],
-                category: 'audio',
-                context: 'The user needs text-to-speech, voiceovers, or voice generation. Recommend voice AI tools.',
-                priority: ['elevenlabs', 'murf', 'play_ht']
-            },
-            {
-                intents: ['music', 'song', 'beat', 'soundtrack', 'jingle', 'compose'],
-                category: 'music_generation',
-                context: 'The user wants to create music or audio content. Recommend AI music tools.',
-                priority: ['suno', 'udio', 'aiva']
-            },
-
-            // === PRODUCTIVITY ===
-            {
-                intents: ['meeting notes', 'transcribe', 'summarize meeting', 'meeting summary'],
-                category: 'productivity',
-                context: 'The user wants to transcribe or summarize meetings. Recommend meeting AI tools.',
-                priority: ['otter', 'fireflies', 'granola']
-            },
-            {
-                intents: ['research', 'find information', 'academic', 'papers', 'study'],
-                category: 'research',
-                context: 'The user needs help with research or finding information. Recommend AI research tools.',
-                priority: ['perplexity', 'elicit', 'consensus']
-            },
-
-            // === RESUME (special - crosses categories) ===
-            {
-                intents: ['resume', 'cv', 'cover letter', 'job application'],
-                category: 'design',
-                context: 'The user wants to create a resume or CV. Recommend design tools with resume templates, AND website builders for online portfolios.',
-                priority: ['canva_design', 'lovable', 'notion_ai']
-            }
-        ];
+    scorePatterns(query) {
+        const words = query.split(/\s+/);
+
+        return this.intentMap
+            .map(pattern => {
+                let score = 0;
+                for (const phrase of pattern.intents) {
+                    const intent = phrase.toLowerCase();
+                    // Exact phrase match (strongest signal)
+                    if (query.includes(intent)) {
+                        score += 20;
+                    }
+                    // Individual word matches
+                    for (const iw of intent.split(' ')) {
+                        if (words.includes(iw)) {
+                            score += 5;
+                        }
+                    }
+                }
+                return { pattern, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
     }
 
     /**
      * THE CORE: Understand what the user wants and find the best tools
      * Returns: { matchedTools: [], context: string, confidence: number }
+     * Compound requests come back with multiIntent: true and one group per need (see detectNeeds).
+     * Hard constraints in the message ("not Canva", "under $10/month") filter every tool list and
+     * are returned as `constraints`; `constraintNote` explains when they leave nothing.
+     * options.queryVector - the message's embedding (see embedQuery), for semantic retrieval
+     * options.constraints - parsed constraints to use instead of the message's own
+     * options.filters - attribute filters added to them ({ platforms, languages, openSource, ... })
      */
-    analyzeIntent(userMessage) {
+    analyzeIntent(userMessage, options = {}) {
         const query = userMessage.toLowerCase().trim();
 
         // FIRST: Check if user is asking for guidance on a SPECIFIC tool
@@ -198,59 +277,78 @@ class DecyIntelligence {
             return guidance;
         }
 
-        const words = query.split(/\s+/);
-
-        let bestMatch = null;
-        let bestScore = 0;
+        const parsed = withFilters(options.constraints || this.parseConstraints(query), options.filters);
+        const constraints = hasConstraints(parsed) ? parsed : null;
+        // Match on what's left once the constraint wording is out ("not canva" isn't a vote for Canva);
+        // when nothing is ("alternatives to midjourney"), on what the excluded tools are for
+        let searchQuery = query;
+        if (constraints) {
+            searchQuery = parsed.query || this.allToolsFlat
+                .filter(t => constraints.exclude.includes(t.id))
+                .map(t => `${t.categoryName} ${t.bestFor}`)
+                .join(' ')
+                .toLowerCase() || query;
+        }
 
-        // Score each intent pattern
-        for (const pattern of this.intentMap) {
-            let score = 0;
+        const result = this.matchIntent(searchQuery, constraints, options);
+        if (!constraints) return result;
 
-            for (const intent of pattern.intents) {
-                // Exact phrase match (strongest signal)
-                if (query.includes(intent)) {
-                    score += 20;
-                }
-                // Individual word matches
-                const intentWords = intent.split(' ');
-                for (const iw of intentWords) {
-                    if (words.includes(iw)) {
-                        score += 5;
-                    }
-                }
-            }
+        result.constraints = constraints;
+        result.constraintNote = null;
+        if (result.tools.length === 0) {
+            const unfiltered = this.matchIntent(searchQuery, null, options).tools;
+            result.constraintNote = explainNoResults(applyConstraints(unfiltered, constraints).ruledOut, constraints);
+        }
+        return result;
+    }
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestMatch = pattern;
-            }
+    /**
+     * analyzeIntent without the guidance check - tools that break `constraints` are never picked
+     */
+    matchIntent(query, constraints, options = {}) {
+        // Several independent needs ("a logo and a promo video") - tools for each
+        const needs = this.detectNeeds(query, constraints);
+        if (needs.length > 1) {
+            return this.multiIntentResult(needs);
         }
 
+        const [best] = this.scorePatterns(query);
+        const bestMatch = best ? best.pattern : null;
+        const bestScore = best ? best.score : 0;
+
+        const retrieved = this.retrieve(query, { queryVector: options.queryVector, constraints });
+
         // If we found a strong match, get the tools
         if (bestMatch && bestScore >= 5) {
-            // Get priority tools first, then fill with category tools
-            const relevantTools = this.getRelevantTools(bestMatch, query);
+            // Priority tools and category tools, re-ranked together with retrieval hits
+            const confidence = Math.min(bestScore / 20, 1);
+            const intentTools = this.getRelevantTools(bestMatch, query, constraints);
+            const ranked = this.rankHybrid(bestMatch, intentTools, retrieved, confidence, constraints);
+
+            // Retrieval outranked a weak intent match - the pattern's context would mislead
+            if (ranked.length > 0 && !intentTools.includes(ranked[0].tool)) {
+                return this.retrievalResult(query, ranked);
+            }
 
             return {
                 matched: true,
+                intentId: bestMatch.id,
                 category: bestMatch.category,
                 context: bestMatch.context,
-                confidence: Math.min(bestScore / 20, 1),
-                tools: relevantTools
+                confidence,
+                tools: ranked.map(item => item.tool),
+                rankings: rankingsById(ranked)
             };
         }
 
-        // Fallback: search all tools by keywords
-        const fallbackTools = this.searchAllTools(query);
-        if (fallbackTools.length > 0) {
-            return {
-                matched: true,
-                category: 'mixed',
-                context: `The user is looking for: "${query}". Found tools by keyword match.`,
-                confidence: 0.3,
-                tools: fallbackTools.slice(0, 6)
-            };
+        // Fallback: retrieval over all tools
+        const hits = retrieved.filter(hit => hit.score >= MIN_RETRIEVAL_SCORE);
+        if (hits.length > 0) {
+            return this.retrievalResult(query, rankTools(hits.map(hit => hit.tool), {
+                textScores: this.textScores(hits),
+                constraints,
+                popularity: this.popularity
+            }));
         }
 
         return {
@@ -262,6 +360,135 @@ class DecyIntelligence {
         };
     }
 
+    /**
+     * Hard constraints in a message (see ./constraints.js), with tool names resolved against the catalog
+     */
+    parseConstraints(message) {
+        return parseConstraints(message, text => this.matchToolName(text));
+    }
+
+    /**
+     * The constraints as short labels with tool names: ['not Canva', 'under $10/month']
+     */
+    describeConstraints(constraints) {
+        const labels = describeConstraints(constraints, id => {
+            const tool = this.allToolsFlat.find(t => t.id === id);
+            return tool ? tool.name : id;
+        });
+        return [...new Set(labels)];
+    }
+
+    /**
+     * Whether a tool meets the constraints (always, when there are none)
+     */
+    allows(tool, constraints) {
+        return !constraints || violations(tool, constraints).length === 0;
+    }
+
+    /**
+     * The tool some words name as a whole - exactly or nearly (EXCLUSION_FUZZY_THRESHOLD) - or null
+     */
+    matchToolName(text) {
+        const target = compactName(text);
+        if (target.length < 2) return null;
+
+        let best = null;
+        for (const { tool, names } of this.toolNames) {
+            for (const { compact } of names) {
+                const score = nameSimilarity(target, compact);
+                if (score >= EXCLUSION_FUZZY_THRESHOLD && (!best || score > best.score)) {
+                    best = { tool, score };
+                }
+            }
+        }
+        return best ? best.tool : null;
+    }
+
+    /**
+     * Split a compound request into its separate needs: [{ need, pattern, score, confidence, tools }].
+     * Each part between "and", "plus", commas etc. is matched on its own; parts landing in a
+     * category an earlier part already covers are folded into it. Fewer than two needs means
+     * the message is a single request.
+     */
+    detectNeeds(query, constraints = null) {
+        const needs = [];
+
+        for (const part of query.split(NEED_SEPARATOR)) {
+            const need = part.trim();
+            if (!need) continue;
+
+            const [best] = this.scorePatterns(need);
+            if (!best || best.score < MULTI_INTENT_MIN_SCORE) continue;
+            if (needs.some(existing => existing.pattern.category === best.pattern.category)) continue;
+
+            const confidence = Math.min(best.score / 20, 1);
+            const intentTools = this.getRelevantTools(best.pattern, need, constraints);
+            // Retrieval on the part alone - the whole message would pull every group toward all needs
+            const ranked = this.rankHybrid(best.pattern, intentTools, this.retrieve(need, { constraints }), confidence, constraints).slice(0, 4);
+            needs.push({
+                need: need.replace(NEED_LEAD_IN, '') || need,
+                pattern: best.pattern,
+                score: best.score,
+                confidence,
+                tools: ranked.map(item => item.tool),
+                rankings: rankingsById(ranked)
+            });
+
+            if (needs.length === MAX_NEEDS) break;
+        }
+        return needs;
+    }
+
+    /**
+     * Analysis for a compound request: the first need decides intentId/category, `tools` holds
+     * every group's tools (the candidates for grounding) and `groups` one entry per need
+     */
+    multiIntentResult(needs) {
+        const groups = needs.map(({ need, pattern, confidence, tools, rankings }) => ({
+            intentId: pattern.id,
+            category: pattern.category,
+            need,
+            context: pattern.context,
+            confidence,
+            tools,
+            rankings
+        }));
+        const tools = [];
+        for (const group of groups) {
+            tools.push(...group.tools.filter(tool => !tools.includes(tool)));
+        }
+
+        return {
+            matched: true,
+            multiIntent: true,
+            intentId: groups[0].intentId,
+            category: groups[0].category,
+            context: `The user has ${groups.length} separate needs: ` +
+                groups.map((group, i) => `${i + 1}) "${group.need}" - ${group.context}`).join(' '),
+            // As sure as the weakest need
+            confidence: Math.min(...groups.map(group => group.confidence)),
+            tools,
+            // A tool in two groups keeps its ranking from the first
+            rankings: Object.assign({}, ...[...groups].reverse().map(group => group.rankings)),
+            groups
+        };
+    }
+
+    /**
+     * Analysis for tools found by retrieval rather than the intent map (`ranked` as from rankTools)
+     */
+    retrievalResult(query, ranked) {
+        const top = ranked.slice(0, 6);
+        return {
+            matched: true,
+            category: 'mixed',
+            context: `The user is looking for: "${query}". Found tools by text retrieval.`,
+            confidence: 0.3,
+            tools: top.map(item => item.tool),
+            rankings: rankingsById(top)
+        };
+    }
+
     /**
      * Detect when user is asking HOW TO USE a specific tool
      * e.g., "how to create an app using lovable", "how to use bolt", "guide me on figma"
@@ -276,86 +503,93 @@ class DecyIntelligence {
             'tips for', 'how to get started'
         ];
 
-        const hasGuidanceSignal = guidanceSignals.some(signal => query.includes(signal));
-        if (!hasGuidanceSignal) return null;
-
-        // Look for a specific tool name in the query
-        for (const tool of this.allToolsFlat) {
-            const toolName = tool.name.toLowerCase();
-            const toolId = tool.id.toLowerCase();
-
-            if (query.includes(toolName) || query.includes(toolId)) {
-                return {
-                    matched: true,
-                    isGuidance: true,
-                    category: tool.categoryKey,
-                    tool: tool,
-                    context: `The user is asking for guidance on HOW TO USE ${tool.name}. DO NOT recommend other tools. Instead, give a clear step-by-step guide on how to use ${tool.name} effectively. Include: 1) How to get started 2) Key features to use 3) Tips for best results. Tool details: ${tool.bestFor}. URL: ${tool.url}`,
-                    confidence: 1.0,
-                    tools: [tool]
-                };
-            }
-        }
+        const signal = guidanceSignals.find(signal => query.includes(signal));
+        if (!signal) return null;
 
-        return null;
+        // Look for a specific tool in the rest of the query ("how to make" isn't the Make tool)
+        const match = this.findToolMention(query.split(signal).join(' '));
+        if (!match) return null;
+
+        const { tool } = match;
+        const wrote = match.method === 'fuzzy' ? ` (The user wrote "${match.text}" - they mean ${tool.name}.)` : '';
+        return {
+            matched: true,
+            isGuidance: true,
+            category: tool.categoryKey,
+            tool: tool,
+            match: { text: match.text, method: match.method, score: match.score },
+            context: `The user is asking for guidance on HOW TO USE ${tool.name}.${wrote} DO NOT recommend other tools. Instead, give a clear step-by-step guide on how to use ${tool.name} effectively. Include: 1) How to get started 2) Key features to use 3) Tips for best results. Tool details: ${tool.bestFor}. URL: ${tool.url}`,
+            confidence: match.score,
+            tools: [tool]
+        };
     }
 
     /**
-     * Get relevant tools for a matched intent pattern
+     * The tool some text names: { tool, text, method: 'name' | 'alias' | 'fuzzy', score } or null.
+     * Whole-word names, ids and aliases score 1; so do runs of two or three words that spell a
+     * name without its spaces ("mid journey", "eleven labs"). Only single words that could be a
+     * name - long enough, not a generic task word - are fuzzy-matched ("lovabel"), since a guide
+     * answer recommends nothing else.
      */
-    getRelevantTools(pattern, query) {
-        const tools = [];
-        const addedIds = new Set();
-
-        // 1. Add priority tools first (the best picks)
-        for (const priorityId of pattern.priority) {
-            const tool = this.allToolsFlat.find(t => t.id === priorityId);
-            if (tool && !addedIds.has(tool.id)) {
-                tools.push(tool);
-                addedIds.add(tool.id);
+    findToolMention(text) {
+        const words = text.toLowerCase().split(/[^a-z0-9.]+/).map(word => word.replace(/^\.+|\.+$/g, '')).filter(Boolean);
+        const phrase = ` ${words.join(' ')} `;
+        let best = null;
+
+        for (const { tool, names } of this.toolNames) {
+            for (const { name, method } of names) {
+                if (phrase.includes(` ${name.toLowerCase()} `)) {
+                    if (!best || best.score < 1 || name.length > best.text.length) {
+                        best = { tool, text: name.toLowerCase(), method, score: 1 };
+                    }
+                }
+            }
+        }
+        if (best) return best;
+
+        for (let size = 3; size >= 1; size--) {
+            for (let i = 0; i + size <= words.length; i++) {
+                const chunk = words.slice(i, i + size).join(' ');
+                const target = compactName(chunk);
+                if (target.length < GUIDANCE_FUZZY_MIN_LENGTH) continue;
+                const fuzzy = size === 1 && !GUIDANCE_GENERIC_WORDS.has(chunk);
+
+                for (const { tool, names } of this.toolNames) {
+                    for (const { method, compact } of names) {
+                        const score = fuzzy ? nameSimilarity(target, compact) : Number(target === compact);
+                        if (score >= GUIDANCE_FUZZY_THRESHOLD && (!best || score > best.score)) {
+                            best = { tool, text: chunk, method: score === 1 ? method : 'fuzzy', score: Number(score.toFixed(2)) };
+                        }
+                    }
+                }
             }
         }
+        return best;
+    }
 
-        // 2. Add more tools from the same category
+    /**
+     * Candidate tools for a matched intent pattern - its priority tools, then the rest of its
+     * category - skipping any that break `constraints`. rankHybrid puts them in order.
+     */
+    getRelevantTools(pattern, query, constraints = null) {
+        const priority = pattern.priority
+            .map(id => this.allToolsFlat.find(t => t.id === id))
+            .filter(tool => tool && this.allows(tool, constraints));
         const categoryTools = this.allToolsFlat
-            .filter(t => t.categoryKey === pattern.category && !addedIds.has(t.id))
-            .sort((a, b) => (b.ease || 3) - (a.ease || 3));
-
-        for (const tool of categoryTools) {
-            if (tools.length >= 6) break;
-            tools.push(tool);
-            addedIds.add(tool.id);
-        }
+            .filter(t => t.categoryKeys.includes(pattern.category) && !priority.includes(t) && this.allows(t, constraints));
 
-        return tools;
+        return [...new Set(priority), ...categoryTools];
     }
 
     /**
-     * Search all tools by keyword matching (fallback)
+     * Search all tools by text (BM25, plus embeddings when options.queryVector is given;
+     * options.constraints filters the hits), ranked - each with its retrieval matchScore and ranking
      */
-    searchAllTools(query) {
-        const queryWords = query.toLowerCase().split(/\s+/);
-        const scored = [];
-
-        for (const tool of this.allToolsFlat) {
-            let score = 0;
-            for (const word of queryWords) {
-                if (word.length < 3) continue; // Skip tiny words
-                if (tool.searchText.includes(word)) {
-                    score += 5;
-                }
-                if (tool.name.toLowerCase().includes(word)) {
-                    score += 15;
-                }
-            }
-            if (score > 0) {
-                scored.push({ ...tool, matchScore: score });
-            }
-        }
-
-        return scored
-            .sort((a, b) => b.matchScore - a.matchScore)
-            .slice(0, 6);
+    searchAllTools(query, options = {}) {
+        const hits = this.retrieve(query, { ...options, limit: 6 }).filter(hit => hit.score >= MIN_RETRIEVAL_SCORE);
+        const scores = this.textScores(hits);
+        return rankTools(hits.map(hit => hit.tool), { textScores: scores, constraints: options.constraints || null, popularity: this.popularity })
+            .map(({ tool, ranking }) => ({ ...tool, matchScore: Number(scores.get(tool.id).toFixed(3)), ranking }));
     }
 
     /**
@@ -368,15 +602,44 @@ class DecyIntelligence {
         return matchedTools.map((tool, i) => {
             const pricing = tool.pricing?.free ? 'Free tier available' : (tool.pricing?.premium || 'Paid');
             const premium = tool.pricing?.premium ? ` | Premium: ${tool.pricing.premium}` : '';
+            const attributes = this.describeAttributes(tool);
             return `${i + 1}. **${tool.name}** (ID: ${tool.id})
    - Best for: ${tool.bestFor}
    - Why it suits: ${tool.whySuitsYou || 'Great option'}
    - Pricing: ${pricing}${premium}
    - Ease of use: ${tool.ease || 3}/5
-   - Limits: ${tool.limits || 'Check website'}`;
+   - Limits: ${tool.limits || 'Check website'}${attributes ? `
+   - Facts: ${attributes}` : ''}`;
         }).join('\n\n');
     }
 
+    /**
+     * The structured attributes a tool has, in one line ("Platforms: web, ios | Open source | API"),
+     * or '' when none are filled in
+     */
+    describeAttributes(tool) {
+        const facts = [];
+        if (tool.platforms && tool.platforms.length > 0) facts.push(`Platforms: ${tool.platforms.join(', ')}`);
+        if (typeof tool.openSource === 'boolean') facts.push(tool.openSource ? 'Open source' : 'Closed source');
+        if (tool.selfHostable) facts.push('Self-hostable');
+        if (typeof tool.hasApi === 'boolean') facts.push(tool.hasApi ? 'API available' : 'No API');
+        if (tool.privacy?.trainsOnData === false) facts.push("Doesn't train on user data");
+        if (tool.privacy?.trainsOnData === true) facts.push('Trains on user data by default');
+        if (tool.privacy?.retention) facts.push(`Data retention: ${tool.privacy.retention}`);
+        if (tool.languages && tool.languages.length > 0) facts.push(`Languages: ${tool.languages.join(', ')}`);
+        if (typeof tool.freeTierWatermark === 'boolean') facts.push(tool.freeTierWatermark ? 'Free tier watermarks output' : 'No watermark on free tier');
+        return facts.join(' | ');
+    }
+
+    /**
+     * Tool context for a compound request, one numbered section per need
+     */
+    buildGroupedToolContext(groups) {
+        return groups.map((group, i) =>
+            `NEED ${i + 1}: "${group.need}" (${group.category}, confidence ${group.confidence.toFixed(2)})\n${this.buildToolContext(group.tools)}`
+        ).join('\n\n');
+    }
+
     /**
      * Generate SMART follow-up suggestions based on actual recommended tools + user query
      * These are contextual — not random category suggestions
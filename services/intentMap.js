@@ -0,0 +1,331 @@
+/**
+ * DECY Intent Map
+ * The phrase → category → priority-tools patterns DecyIntelligence matches messages against,
+ * stored in data/intents.json so curators can tune recommendations from the admin dashboard
+ * without a deploy.
+ *
+ * The file is schema-checked on load (a broken file stops startup, like a broken catalog) and
+ * checked against the catalog: priority IDs and categories that don't exist are logged and
+ * listed by GET /api/intents. Every save bumps `version` and sets `updatedAt`.
+ *
+ * Emits 'change' ({ type, intentId?, version }) after every write through it and, once watch()
+ * is called, after hand edits to the file.
+ *
+ * Write methods resolve to { success: true, intent } or
+ * { success: false, code: 'validation' | 'not_found' | 'conflict', error, fields? } (as ToolCatalog)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ajv, formatErrors } = require('./toolSchema');
+const { getRepository } = require('./repository');
+const { writeFileAtomic, withFileLock, WriteQueue } = require('./storage/atomicFile');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'intents.json');
+const ID_PATTERN = '^[a-z0-9][a-z0-9_\\-]*$';
+
+const intentSchema = {
+    $id: 'decy:intent',
+    type: 'object',
+    additionalProperties: false,
+    required: ['id', 'intents', 'category', 'context', 'priority'],
+    properties: {
+        id: { type: 'string', pattern: ID_PATTERN, minLength: 1, maxLength: 64 },
+        intents: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 50,
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' }
+        },
+        category: { type: 'string', pattern: ID_PATTERN, minLength: 1, maxLength: 64 },
+        context: { type: 'string', minLength: 1, maxLength: 1000, pattern: '\\S' },
+        priority: {
+            type: 'array',
+            maxItems: 10,
+            uniqueItems: true,
+            items: { type: 'string', pattern: ID_PATTERN, minLength: 1, maxLength: 64 }
+        }
+    }
+};
+
+const intentFileSchema = {
+    type: 'object',
+    required: ['version', 'intents'],
+    properties: {
+        version: { type: 'integer', minimum: 1 },
+        updatedAt: { type: ['string', 'null'] },
+        intents: { type: 'array', items: { $ref: 'decy:intent' } }
+    }
+};
+
+ajv.addSchema(intentSchema);
+const validatePattern = ajv.getSchema('decy:intent');
+const validateFile = ajv.compile(intentFileSchema);
+
+class IntentMap extends EventEmitter {
+    /**
+     * @param {ToolRepository} [repository] - catalog the patterns are checked against
+     * @param {object} [options] - { filePath } (defaults to INTENTS_FILE or data/intents.json)
+     */
+    constructor(repository = getRepository(), options = {}) {
+        super();
+        this.repository = repository;
+        this.filePath = options.filePath || process.env.INTENTS_FILE || DEFAULT_PATH;
+        this.queue = new WriteQueue();
+        this.watcher = null;
+
+        this.data = this.read();
+        this.lastSignature = this.signature();
+        this.logWarnings();
+    }
+
+    // ---------- Reads ----------
+
+    /**
+     * Patterns in match order - treat as read-only
+     */
+    getPatterns() {
+        return this.data.intents;
+    }
+
+    getVersion() {
+        return this.data.version;
+    }
+
+    get(intentId) {
+        return this.data.intents.find(pattern => pattern.id === intentId) || null;
+    }
+
+    /**
+     * { version, updatedAt, intents, warnings }
+     */
+    describe() {
+        return {
+            version: this.data.version,
+            updatedAt: this.data.updatedAt || null,
+            intents: this.data.intents,
+            warnings: this.getWarnings()
+        };
+    }
+
+    /**
+     * References the catalog can't satisfy: [{ intentId, field, message }]
+     */
+    getWarnings(patterns = this.data.intents) {
+        const catalog = this.repository.getCatalog();
+        const warnings = [];
+
+        for (const pattern of patterns) {
+            if (!catalog.categories[pattern.category]) {
+                warnings.push({ intentId: pattern.id, field: 'category', message: `unknown category "${pattern.category}"` });
+            }
+            for (const toolId of pattern.priority) {
+                if (!this.repository.getTool(toolId)) {
+                    warnings.push({ intentId: pattern.id, field: 'priority', message: `tool "${toolId}" is not in the catalog` });
+                }
+            }
+        }
+        return warnings;
+    }
+
+    /**
+     * Schema check for one pattern: { valid, errors: [{ field, message }] }
+     */
+    validate(pattern) {
+        if (validatePattern(pattern)) return { valid: true, errors: [] };
+        return {
+            valid: false,
+            errors: formatErrors(validatePattern.errors, 'intent')
+        };
+    }
+
+    // ---------- Writes ----------
+
+    /**
+     * Add a pattern at the end of the list (earlier patterns win ties)
+     */
+    create(pattern) {
+        return this.save({ type: 'intent_created', intentId: pattern && pattern.id }, pattern, data => {
+            if (data.intents.some(existing => existing.id === pattern.id)) {
+                return this.conflict(`Intent "${pattern.id}" already exists`);
+            }
+            data.intents.push(pattern);
+            return { success: true, intent: pattern };
+        });
+    }
+
+    /**
+     * Replace a pattern entirely, keeping its place in the list
+     */
+    replace(intentId, pattern) {
+        const next = { id: intentId, ...pattern };
+        if (next.id !== intentId) {
+            return Promise.resolve(this.invalid([{ field: 'id', message: 'cannot be changed' }]));
+        }
+
+        return this.save({ type: 'intent_updated', intentId }, next, data => {
+            const index = data.intents.findIndex(existing => existing.id === intentId);
+            if (index === -1) return this.notFound(`Intent "${intentId}" not found`);
+            data.intents[index] = next;
+            return { success: true, intent: next };
+        });
+    }
+
+    remove(intentId) {
+        return this.save({ type: 'intent_deleted', intentId }, null, data => {
+            const index = data.intents.findIndex(existing => existing.id === intentId);
+            if (index === -1) return this.notFound(`Intent "${intentId}" not found`);
+            const [removed] = data.intents.splice(index, 1);
+            return { success: true, intent: removed };
+        });
+    }
+
+    /**
+     * Validate `pattern` (when given), then re-read the file under its lock, apply `mutate`
+     * and write it back with the version bumped
+     */
+    async save(change, pattern, mutate) {
+        if (pattern !== null) {
+            const check = this.validate(pattern);
+            if (!check.valid) return this.invalid(check.errors);
+        }
+
+        return this.queue.run(() => withFileLock(this.filePath, async () => {
+            const data = this.read();
+            const result = mutate(data);
+            if (!result.success) return result;
+
+            data.version += 1;
+            data.updatedAt = new Date().toISOString();
+            writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+
+            this.data = data;
+            this.lastSignature = this.signature();
+            console.log(`[INTENTS] ${change.type.replace('intent_', '')} "${change.intentId}" - intent map v${data.version}`);
+            if (change.type !== 'intent_deleted') {
+                this.getWarnings([result.intent]).forEach(warning => this.logWarning(warning));
+            }
+            this.emit('change', { ...change, version: data.version });
+            return result;
+        }));
+    }
+
+    // ---------- Watching ----------
+
+    /**
+     * Reload when the file is edited by hand. A file that no longer parses or fails the
+     * schema is ignored and the last good map kept.
+     */
+    watch() {
+        if (this.watcher) return;
+
+        const fileName = path.basename(this.filePath);
+        let debounce = null;
+
+        this.watcher = fs.watch(path.dirname(this.filePath), (event, changed) => {
+            if (changed !== fileName) return;
+
+            clearTimeout(debounce);
+            debounce = setTimeout(() => {
+                const signature = this.signature();
+                if (!signature || signature === this.lastSignature) return; // gone, or our own write
+
+                try {
+                    this.data = this.read();
+                } catch (e) {
+                    console.log(`[INTENTS] Ignoring bad edit to ${fileName}: ${e.message}`);
+                    return;
+                }
+
+                this.lastSignature = signature;
+                console.log(`[INTENTS] ${fileName} changed outside DECY - reloaded v${this.data.version}`);
+                this.logWarnings();
+                this.emit('change', { type: 'external', version: this.data.version });
+            }, 200);
+        });
+        this.watcher.unref();
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * Parse and schema-check the file - throws with the reason, including duplicate IDs
+     */
+    read() {
+        const name = path.basename(this.filePath);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Cannot read ${name}: ${error.message}`);
+        }
+
+        if (!validateFile(data)) {
+            const problems = formatErrors(validateFile.errors, 'intent').map(({ field, message }) => `${field} ${message}`);
+            throw new Error(`${name} failed validation: ${problems.slice(0, 5).join('; ')}`);
+        }
+
+        const seen = new Set();
+        for (const { id } of data.intents) {
+            if (seen.has(id)) throw new Error(`${name} failed validation: intent id "${id}" is used twice`);
+            seen.add(id);
+        }
+        return data;
+    }
+
+    signature() {
+        try {
+            const stat = fs.statSync(this.filePath);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    logWarnings() {
+        for (const warning of this.getWarnings()) this.logWarning(warning);
+    }
+
+    logWarning({ intentId, message }) {
+        console.log(`[INTENTS] ⚠️  Intent "${intentId}": ${message}`);
+    }
+
+    invalid(fields) {
+        return { success: false, code: 'validation', error: 'Intent failed validation', fields };
+    }
+
+    notFound(error) {
+        return { success: false, code: 'not_found', error };
+    }
+
+    conflict(error) {
+        return { success: false, code: 'conflict', error };
+    }
+}
+
+let sharedIntentMap = null;
+
+/**
+ * Process-wide intent map, so the server and engine see the same edits
+ */
+function getIntentMap() {
+    if (!sharedIntentMap) {
+        sharedIntentMap = new IntentMap();
+    }
+    return sharedIntentMap;
+}
+
+module.exports = {
+    IntentMap,
+    intentSchema,
+    getIntentMap
+};
@@ -0,0 +1,75 @@
+/**
+ * DECY JSON Field Streamer
+ * Pulls the text of one string field (e.g. "message") out of a JSON document
+ * while it is still being streamed token by token from the LLM.
+ *
+ * Usage:
+ *   const streamer = new JsonFieldStreamer('message');
+ *   for await (const chunk of llmStream) emit(streamer.push(chunk));
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+class JsonFieldStreamer {
+    constructor(fieldName) {
+        this.keyPattern = new RegExp(`"${fieldName}"\\s*:\\s*"`);
+        this.buffer = '';
+        this.cursor = -1;   // index in buffer where the field's string value continues
+        this.done = false;
+    }
+
+    /**
+     * Feed the next raw chunk; returns newly decoded field text ('' if none yet)
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        if (this.done) return '';
+
+        if (this.cursor === -1) {
+            const match = this.keyPattern.exec(this.buffer);
+            if (!match) return '';
+            this.cursor = match.index + match[0].length;
+        }
+
+        let text = '';
+        while (this.cursor < this.buffer.length) {
+            const ch = this.buffer[this.cursor];
+
+            if (ch === '"') {
+                this.done = true;
+                break;
+            }
+
+            if (ch !== '\\') {
+                text += ch;
+                this.cursor++;
+                continue;
+            }
+
+            // Escape sequence - wait for the rest of it if it's split across chunks
+            const next = this.buffer[this.cursor + 1];
+            if (next === undefined) break;
+
+            if (next === 'u') {
+                const hex = this.buffer.slice(this.cursor + 2, this.cursor + 6);
+                if (hex.length < 4) break;
+                text += String.fromCharCode(parseInt(hex, 16));
+                this.cursor += 6;
+            } else {
+                text += ESCAPES[next] ?? next;
+                this.cursor += 2;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Everything received so far (the full JSON once the stream ends)
+     */
+    get raw() {
+        return this.buffer;
+    }
+}
+
+module.exports = JsonFieldStreamer;
@@ -0,0 +1,84 @@
+/**
+ * DECY Circuit Breaker
+ * Stops calling a provider that keeps failing, so requests go straight to the next one
+ * in the chain instead of waiting for yet another timeout.
+ *
+ *   closed     normal - calls go through, consecutive failures are counted
+ *   open       `failureThreshold` failures in a row - calls are skipped for `cooldownMs`
+ *   half_open  cooldown over - one trial call decides between closed and open
+ */
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - provider name, for logs
+     * @param {object} [options] - { failureThreshold, cooldownMs }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = Math.max(1, options.failureThreshold ?? 5);
+        this.cooldownMs = options.cooldownMs ?? 30000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * May a call go through now? Claims the trial slot when half-open, so callers
+     * that get true must report back with success() or failure().
+     */
+    allow() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'closed') return true;
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    success() {
+        if (this.state !== 'closed') {
+            console.log(`[LLM] ${this.name} recovered - circuit closed`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    failure(error) {
+        this.failures++;
+        this.lastError = error ? error.message : null;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.log(`[LLM] ${this.name} circuit opened after ${this.failures} failure(s) - skipping it for ${Math.ceil(this.cooldownMs / 1000)}s`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Snapshot for /api/health
+     */
+    getStatus() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half_open';
+        }
+        return {
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
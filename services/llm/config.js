@@ -0,0 +1,189 @@
+/**
+ * DECY LLM Configuration
+ * Which providers and models each task tries, in order, and with what parameters.
+ *
+ * Tasks: chat, recommend, prompt (prompt generation), categorize (scraper).
+ * Each task has default parameters, optional per-provider ones (`providers`, for models tuned
+ * differently) and a chain of { provider, model, ...parameter overrides }; the router tries the
+ * chain's configured providers in order until one answers.
+ *
+ * Overrides, later wins:
+ *   LLM_CONFIG=path/to/llm.json     { "tasks": { "chat": { "temperature": 0.5, "chain": [...] } },
+ *                                     "providers": { "openai": { "baseUrl": "...", "timeoutMs": 30000 } } }
+ *   LLM_CHAIN_<TASK>=provider:model,provider:model   e.g. LLM_CHAIN_CHAT=groq:llama-3.3-70b-versatile,local:llama3.1
+ *
+ * Resilience policy per provider - LLM_TIMEOUT_MS, LLM_RETRIES, LLM_RETRY_BASE_MS,
+ * LLM_BREAKER_THRESHOLD and LLM_BREAKER_COOLDOWN_MS set it for every provider; LLM_CONFIG's
+ * "providers": { "<name>": { "timeoutMs", "retries", "retryBaseMs", "failureThreshold", "cooldownMs" } }
+ * overrides it for one. The local provider defaults to a 120s timeout (CPU inference is slow).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDERS = ['groq', 'gemini', 'openai', 'local'];
+const PARAMETERS = ['temperature', 'maxTokens', 'topP'];
+const POLICY_FIELDS = ['timeoutMs', 'retries', 'retryBaseMs', 'failureThreshold', 'cooldownMs'];
+
+const PROVIDER_POLICY_DEFAULTS = {
+    local: { timeoutMs: 120000 }
+};
+
+const DEFAULT_TASKS = {
+    chat: {
+        temperature: 0.6,
+        maxTokens: 1000,
+        providers: {
+            gemini: { temperature: 0.9, topP: 0.95, maxTokens: 1024 }
+        },
+        chain: [
+            { provider: 'groq', model: 'llama-3.3-70b-versatile' },
+            { provider: 'gemini', model: 'gemini-1.5-pro' }
+        ]
+    },
+    recommend: {
+        chain: [
+            { provider: 'gemini', model: 'gemini-2.0-flash-exp' }
+        ]
+    },
+    prompt: {
+        temperature: 0.7,
+        maxTokens: 600,
+        chain: [
+            { provider: 'groq', model: 'llama-3.3-70b-versatile' }
+        ]
+    },
+    categorize: {
+        temperature: 0.3,
+        maxTokens: 500,
+        chain: [
+            { provider: 'groq', model: 'llama-3.3-70b-versatile' }
+        ]
+    }
+};
+
+/**
+ * "groq:llama-3.3-70b-versatile, local:llama3.1" → [{ provider, model }]
+ */
+function parseChain(raw, source) {
+    return raw.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const provider = separator === -1 ? entry : entry.slice(0, separator);
+        const model = separator === -1 ? '' : entry.slice(separator + 1);
+        if (!model) {
+            throw new Error(`${source}: "${entry}" must look like provider:model`);
+        }
+        return { provider, model };
+    });
+}
+
+/**
+ * Non-negative number from the environment, or the fallback
+ */
+function envNumber(env, name, fallback) {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Timeout / retry / breaker settings for one provider
+ */
+function providerPolicy(config, name) {
+    const overrides = {};
+    for (const field of POLICY_FIELDS) {
+        const value = (config.providers[name] || {})[field];
+        if (value !== undefined) overrides[field] = value;
+    }
+    return { ...config.resilience, ...PROVIDER_POLICY_DEFAULTS[name], ...overrides };
+}
+
+/**
+ * Check a finished config so typos fail at startup rather than on the first request
+ */
+function validate(config) {
+    for (const [task, settings] of Object.entries(config.tasks)) {
+        if (!DEFAULT_TASKS[task]) {
+            throw new Error(`LLM config: unknown task "${task}" (use ${Object.keys(DEFAULT_TASKS).join(', ')})`);
+        }
+        if (!Array.isArray(settings.chain)) {
+            throw new Error(`LLM config: tasks.${task}.chain must be an array`);
+        }
+        for (const provider of Object.keys(settings.providers || {})) {
+            if (!PROVIDERS.includes(provider)) {
+                throw new Error(`LLM config: unknown provider "${provider}" in tasks.${task}.providers (use ${PROVIDERS.join(', ')})`);
+            }
+        }
+        for (const link of settings.chain) {
+            if (!PROVIDERS.includes(link.provider)) {
+                throw new Error(`LLM config: unknown provider "${link.provider}" in ${task} (use ${PROVIDERS.join(', ')})`);
+            }
+            if (typeof link.model !== 'string' || !link.model) {
+                throw new Error(`LLM config: every ${task} chain entry needs a model`);
+            }
+        }
+    }
+    return config;
+}
+
+/**
+ * Parameters for one chain entry: the task's, then its provider's, then the entry's own
+ */
+function linkParameters(settings, provider, link) {
+    const parameters = {};
+    for (const source of [settings, (settings.providers || {})[provider] || {}, link]) {
+        for (const name of PARAMETERS) {
+            if (source[name] !== undefined) parameters[name] = source[name];
+        }
+    }
+    return parameters;
+}
+
+/**
+ * Defaults merged with LLM_CONFIG and LLM_CHAIN_* - { tasks, providers }
+ */
+function loadConfig(env = process.env) {
+    const config = {
+        tasks: JSON.parse(JSON.stringify(DEFAULT_TASKS)),
+        providers: {},
+        resilience: {
+            timeoutMs: envNumber(env, 'LLM_TIMEOUT_MS', 20000),
+            retries: envNumber(env, 'LLM_RETRIES', 1),
+            retryBaseMs: envNumber(env, 'LLM_RETRY_BASE_MS', 300),
+            failureThreshold: envNumber(env, 'LLM_BREAKER_THRESHOLD', 3),
+            cooldownMs: envNumber(env, 'LLM_BREAKER_COOLDOWN_MS', 30000)
+        }
+    };
+
+    if (env.LLM_CONFIG) {
+        const file = path.resolve(env.LLM_CONFIG);
+        let custom;
+        try {
+            custom = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            throw new Error(`LLM_CONFIG: can't read ${file} (${error.message})`);
+        }
+
+        for (const [task, settings] of Object.entries(custom.tasks || {})) {
+            config.tasks[task] = { ...config.tasks[task], ...settings };
+        }
+        config.providers = custom.providers || {};
+    }
+
+    for (const task of Object.keys(DEFAULT_TASKS)) {
+        const raw = env[`LLM_CHAIN_${task.toUpperCase()}`];
+        if (raw) {
+            config.tasks[task].chain = parseChain(raw, `LLM_CHAIN_${task.toUpperCase()}`);
+        }
+    }
+
+    return validate(config);
+}
+
+module.exports = {
+    DEFAULT_TASKS,
+    PARAMETERS,
+    PROVIDERS,
+    loadConfig,
+    linkParameters,
+    providerPolicy
+};
@@ -0,0 +1,259 @@
+/**
+ * DECY LLM Router
+ * One entry point for every model call. Callers name a task (chat, recommend, prompt,
+ * categorize); the router walks that task's fallback chain (see ./config.js) and returns
+ * the first provider's answer, skipping providers that have no credentials.
+ *
+ * Providers share one interface:
+ *   name, isConfigured(), complete(request) → text, stream(request) → async iterable of text
+ * where request = { messages: [{ role, content }], model, temperature, maxTokens, topP, json }
+ *
+ * Every call gets the provider's timeout, retries on transient errors (timeouts, 429, 5xx,
+ * dropped connections) with jittered exponential backoff, and goes through a circuit breaker
+ * that skips the provider for a cooldown after repeated failures.
+ */
+
+const GroqProvider = require('./providers/groq');
+const GeminiProvider = require('./providers/gemini');
+const OpenAICompatibleProvider = require('./providers/openaiCompatible');
+const LocalProvider = require('./providers/local');
+const CircuitBreaker = require('./circuitBreaker');
+const { loadConfig, providerPolicy, linkParameters } = require('./config');
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['timeout', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+const PROVIDER_CLASSES = {
+    groq: GroqProvider,
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    local: LocalProvider
+};
+
+class LLMRouter {
+    /**
+     * @param {object} [config] - { tasks, providers } from loadConfig()
+     * @param {object} [providers] - name → provider instance (defaults built from env + config.providers)
+     */
+    constructor(config = loadConfig(), providers = null) {
+        this.config = config;
+        this.policies = Object.fromEntries(
+            Object.keys(PROVIDER_CLASSES).map(name => [name, providerPolicy(config, name)])
+        );
+        this.providers = providers || Object.fromEntries(
+            Object.entries(PROVIDER_CLASSES).map(([name, Provider]) => [
+                name,
+                new Provider({ timeoutMs: this.policies[name].timeoutMs, ...config.providers[name] })
+            ])
+        );
+        this.breakers = Object.fromEntries(
+            Object.keys(this.providers).map(name => [name, new CircuitBreaker(name, this.policies[name] || {})])
+        );
+    }
+
+    /**
+     * Can this task reach any model right now?
+     */
+    isAvailable(task) {
+        return this.links(task).length > 0;
+    }
+
+    /**
+     * Configured chain per task, e.g. { chat: ['groq/llama-3.3-70b-versatile'], recommend: [] }
+     */
+    describe() {
+        return Object.fromEntries(
+            Object.keys(this.config.tasks).map(task => [
+                task,
+                this.links(task).map(({ provider, request }) => `${provider.name}/${request.model}`)
+            ])
+        );
+    }
+
+    /**
+     * Configured providers and their circuit state, e.g. { groq: { state: 'closed', failures: 0, ... } }
+     */
+    getProviderStatus() {
+        const status = {};
+        for (const [name, provider] of Object.entries(this.providers)) {
+            if (provider.isConfigured()) {
+                status[name] = { ...this.breakers[name].getStatus(), timeoutMs: this.policies[name].timeoutMs };
+            }
+        }
+        return status;
+    }
+
+    /**
+     * Ask the task's chain for a reply - resolves to { text, provider, model }.
+     * Rejects with the last provider's error if all of them fail or are skipped.
+     * `onProvider({ provider, model })` is called when a provider has answered.
+     */
+    async complete(task, { messages, json = false, onProvider = () => {} }) {
+        const links = this.requireLinks(task);
+        let lastError = null;
+
+        for (const { provider, request } of links) {
+            const breaker = this.breakers[provider.name];
+            if (!breaker.allow()) {
+                lastError = this.skipped(provider);
+                continue;
+            }
+
+            try {
+                const text = await this.withRetries(provider, () =>
+                    this.withTimeout(provider, provider.complete({ ...request, messages, json }))
+                );
+                breaker.success();
+                onProvider({ provider: provider.name, model: request.model });
+                return { text, provider: provider.name, model: request.model };
+            } catch (error) {
+                breaker.failure(error);
+                lastError = error;
+                console.log(`[LLM] ${provider.name}/${request.model} failed for ${task}: ${error.message}`);
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Streaming variant - yields text chunks. Retries and falls through to the next provider
+     * only while nothing has been yielded; once text is out, a failure is thrown to the caller.
+     * The timeout applies to the first chunk and to every gap between chunks.
+     * `onProvider({ provider, model })` is called when a provider starts answering.
+     */
+    async *stream(task, { messages, json = false, onProvider = () => {} }) {
+        const links = this.requireLinks(task);
+        let lastError = null;
+
+        for (const { provider, request } of links) {
+            const breaker = this.breakers[provider.name];
+            if (!breaker.allow()) {
+                lastError = this.skipped(provider);
+                continue;
+            }
+
+            let started = false;
+            let iterator = null;
+            try {
+                const first = await this.withRetries(provider, () => {
+                    iterator = provider.stream({ ...request, messages, json })[Symbol.asyncIterator]();
+                    return this.withTimeout(provider, iterator.next());
+                });
+
+                // The provider is answering - a client hanging up later isn't its fault
+                started = true;
+                breaker.success();
+                onProvider({ provider: provider.name, model: request.model });
+                for (let step = first; !step.done; step = await this.withTimeout(provider, iterator.next())) {
+                    yield step.value;
+                }
+                return;
+            } catch (error) {
+                breaker.failure(error);
+                if (iterator && iterator.return) iterator.return().catch(() => {});
+                if (started) throw error;
+                lastError = error;
+                console.log(`[LLM] ${provider.name}/${request.model} stream failed for ${task}: ${error.message}`);
+            }
+        }
+        throw lastError;
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * The task's chain, minus providers without credentials: [{ provider, request }]
+     */
+    links(task) {
+        const settings = this.config.tasks[task];
+        if (!settings) {
+            throw new Error(`Unknown LLM task "${task}"`);
+        }
+
+        return settings.chain
+            .map(({ provider, ...link }) => ({ provider: this.providers[provider], request: { ...link, ...linkParameters(settings, provider, link) } }))
+            .filter(({ provider }) => provider && provider.isConfigured());
+    }
+
+    /**
+     * Run `attempt`, retrying transient failures with exponential backoff + full jitter
+     */
+    async withRetries(provider, attempt) {
+        const { retries, retryBaseMs } = this.policies[provider.name] || { retries: 0, retryBaseMs: 0 };
+
+        for (let tries = 0; ; tries++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                if (tries >= retries || !this.isRetryable(error)) throw error;
+
+                const delay = Math.round(Math.random() * retryBaseMs * 2 ** tries);
+                console.log(`[LLM] ${provider.name} ${error.message} - retrying in ${delay}ms (${tries + 1}/${retries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Reject if `promise` takes longer than the provider's timeout
+     */
+    withTimeout(provider, promise) {
+        const { timeoutMs } = this.policies[provider.name] || {};
+        if (!timeoutMs) return promise;
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`timed out after ${timeoutMs}ms`);
+                error.code = 'timeout';
+                reject(error);
+            }, timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Worth another try? Timeouts, rate limits, server errors and dropped connections are;
+     * bad requests and bad keys aren't.
+     */
+    isRetryable(error) {
+        const status = error.status ?? error.response?.status;
+        if (status) return RETRYABLE_STATUS.has(status);
+        return RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code) ||
+            /Connection|Timeout/.test(error.name || ''); // groq-sdk's APIConnectionError / APIConnectionTimeoutError
+    }
+
+    skipped(provider) {
+        const error = new Error(`${provider.name} skipped - circuit open`);
+        error.code = 'circuit_open';
+        return error;
+    }
+
+    requireLinks(task) {
+        const links = this.links(task);
+        if (links.length === 0) {
+            throw new Error(`No LLM provider configured for ${task}`);
+        }
+        return links;
+    }
+}
+
+let sharedRouter = null;
+
+/**
+ * Process-wide router, so the engine and scraper share provider clients
+ */
+function getLLMRouter() {
+    if (!sharedRouter) {
+        sharedRouter = new LLMRouter();
+        const chains = Object.entries(sharedRouter.describe())
+            .map(([task, chain]) => `${task}: ${chain.length > 0 ? chain.join(' → ') : 'none'}`);
+        console.log(`[LLM] ${chains.join(' | ')}`);
+    }
+    return sharedRouter;
+}
+
+module.exports = {
+    LLMRouter,
+    getLLMRouter
+};
@@ -0,0 +1,74 @@
+/**
+ * DECY LLM Provider - Google Gemini
+ * Gemini models via @google/generative-ai. Needs GEMINI_API_KEY.
+ * Chat messages are mapped to Gemini's shape: system → systemInstruction, assistant → "model".
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PLACEHOLDER_KEY = 'your_gemini_api_key_here';
+
+class GeminiProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'gemini';
+        const apiKey = options.apiKey ?? process.env.GEMINI_API_KEY;
+        this.client = apiKey && apiKey !== PLACEHOLDER_KEY ? new GoogleGenerativeAI(apiKey) : null;
+        this.timeoutMs = options.timeoutMs;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    async complete(request) {
+        const { model, contents } = this.prepare(request);
+        const result = await model.generateContent({ contents }, { timeout: this.timeoutMs });
+        return result.response.text();
+    }
+
+    async *stream(request) {
+        const { model, contents } = this.prepare(request);
+        const result = await model.generateContentStream({ contents }, { timeout: this.timeoutMs });
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    }
+
+    /**
+     * Model handle + contents for a chat request
+     */
+    prepare({ messages, model, temperature, maxTokens, topP, json }) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+        // Gemini wants user/model turns that start with the user and don't repeat a role
+        const contents = [];
+        for (const message of messages.filter(m => m.role !== 'system')) {
+            const role = message.role === 'assistant' ? 'model' : 'user';
+            if (contents.length === 0 && role === 'model') continue;
+
+            const previous = contents[contents.length - 1];
+            if (previous && previous.role === role) {
+                previous.parts.push({ text: message.content });
+            } else {
+                contents.push({ role, parts: [{ text: message.content }] });
+            }
+        }
+
+        return {
+            contents,
+            model: this.client.getGenerativeModel({
+                model,
+                ...(system ? { systemInstruction: system } : {}),
+                generationConfig: {
+                    temperature,
+                    topP,
+                    maxOutputTokens: maxTokens,
+                    ...(json ? { responseMimeType: 'application/json' } : {})
+                }
+            })
+        };
+    }
+}
+
+module.exports = GeminiProvider;
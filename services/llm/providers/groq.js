@@ -0,0 +1,58 @@
+/**
+ * DECY LLM Provider - Groq
+ * Llama and friends on Groq's hosted API (groq-sdk). Needs GROQ_API_KEY.
+ */
+
+const Groq = require('groq-sdk');
+
+class GroqProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'groq';
+        const apiKey = options.apiKey ?? process.env.GROQ_API_KEY;
+        this.client = apiKey ? new Groq({
+            apiKey,
+            maxRetries: 0, // the router retries, with its own backoff and circuit breaker
+            ...(options.timeoutMs ? { timeout: options.timeoutMs } : {})
+        }) : null;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * One-shot completion - resolves to the reply text
+     */
+    async complete({ messages, model, temperature, maxTokens, topP, json }) {
+        const completion = await this.client.chat.completions.create({
+            messages,
+            model,
+            temperature,
+            top_p: topP,
+            max_tokens: maxTokens,
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+        });
+        return completion.choices[0]?.message?.content || '';
+    }
+
+    /**
+     * Streaming completion - yields text chunks as they arrive
+     * (Groq's JSON mode can't stream, so `json` is left to the prompt)
+     */
+    async *stream({ messages, model, temperature, maxTokens, topP }) {
+        const stream = await this.client.chat.completions.create({
+            messages,
+            model,
+            temperature,
+            top_p: topP,
+            max_tokens: maxTokens,
+            stream: true
+        });
+        for await (const chunk of stream) {
+            const text = chunk.choices[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,21 @@
+/**
+ * DECY LLM Provider - local model server
+ * Ollama (http://localhost:11434/v1) or llama.cpp's llama-server (http://localhost:8080/v1),
+ * both through their OpenAI-compatible API. Set LOCAL_LLM_URL to turn it on; no key needed.
+ */
+
+const OpenAICompatibleProvider = require('./openaiCompatible');
+
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({
+            name: 'local',
+            baseUrl: process.env.LOCAL_LLM_URL || '',
+            apiKey: process.env.LOCAL_LLM_API_KEY || null,
+            requireKey: false,
+            ...options
+        });
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,79 @@
+/**
+ * DECY LLM Provider - OpenAI-compatible
+ * Any server that speaks the OpenAI /chat/completions API: OpenAI itself, OpenRouter,
+ * Together, Fireworks, vLLM, LM Studio... Configured with OPENAI_BASE_URL + OPENAI_API_KEY.
+ */
+
+const axios = require('axios');
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {object} [options] - { name, baseUrl, apiKey, requireKey, timeoutMs }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.baseUrl = (options.baseUrl ?? process.env.OPENAI_BASE_URL ?? 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+        this.requireKey = options.requireKey ?? true;
+        this.timeoutMs = options.timeoutMs || 60000;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && (!this.requireKey || !!this.apiKey);
+    }
+
+    async complete(request) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, this.body(request), {
+            headers: this.headers(),
+            timeout: this.timeoutMs
+        });
+        return response.data?.choices?.[0]?.message?.content || '';
+    }
+
+    /**
+     * Reads the server-sent event stream ("data: {...}" lines, ending with "data: [DONE]")
+     */
+    async *stream(request) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, { ...this.body(request), stream: true }, {
+            headers: this.headers(),
+            timeout: this.timeoutMs,
+            responseType: 'stream'
+        });
+
+        let buffer = '';
+        for await (const chunk of response.data) {
+            buffer += chunk.toString('utf-8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data) continue;
+                if (data === '[DONE]') return;
+
+                const text = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+    }
+
+    body({ messages, model, temperature, maxTokens, topP, json }) {
+        return {
+            model,
+            messages,
+            temperature,
+            top_p: topP,
+            max_tokens: maxTokens,
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+
+    headers() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,1587 @@
+/**
+ * DECY OpenAPI Specification
+ * OpenAPI 3.1 description of every /api route. Served at /api/openapi.json and used by
+ * services/apiValidator.js to validate requests and responses, so it is the single source
+ * of truth for request shapes - keep it in step with server.js.
+ *
+ * Operation extension:
+ *   x-invalid-message  the `error` text sent with a 400 when the request fails validation
+ *   x-invalid-fields   body fields x-invalid-message is about - other failures get "Invalid request"
+ */
+
+const { toolSchema, PLATFORMS } = require('./toolSchema');
+const { intentSchema } = require('./intentMap');
+const { FILTER_FLAGS } = require('./constraints');
+const { FEATURES, TRADE_OFFS } = require('./ranking');
+const { FEEDBACK_TYPES } = require('./feedback');
+const { version } = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonBody = (schema, required = true) => ({
+    required,
+    content: { 'application/json': { schema } }
+});
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+// Tool and intent schemas without their Ajv $id, so they can live under components
+const { $id, ...toolJsonSchema } = toolSchema;
+const { $id: intentSchemaId, ...intentJsonSchema } = intentSchema;
+
+// Platforms a filter can ask for: the catalog's, plus the desktop / mobile groups
+const FILTER_PLATFORMS = [...PLATFORMS, 'desktop', 'mobile'];
+
+/**
+ * Tool schema plus extra properties (e.g. the category info /api/tools/all adds)
+ */
+function extendTool(properties, required = []) {
+    return {
+        ...toolJsonSchema,
+        required: [...toolJsonSchema.required, ...required],
+        properties: { ...toolJsonSchema.properties, ...properties }
+    };
+}
+
+/**
+ * PATCH body: every field optional, nested objects partial, null clears optional fields
+ */
+function toolPatchSchema() {
+    const properties = {};
+    for (const [name, schema] of Object.entries(toolJsonSchema.properties)) {
+        const partial = schema.type === 'object' ? { ...schema, required: [] } : schema;
+        properties[name] = toolJsonSchema.required.includes(name)
+            ? partial
+            : { anyOf: [partial, { type: 'null' }] };
+    }
+    return { type: 'object', additionalProperties: false, minProperties: 1, properties };
+}
+
+const nonBlank = (maxLength, description) => ({ type: 'string', pattern: '\\S', maxLength, description });
+
+const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'DECY API',
+        version,
+        description: 'AI tool recommendations, chat, catalog curation and discovery. ' +
+            'Requests that fail validation get `400 { success: false, error, fields: [{ field, message }] }`.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+        { name: 'Auth', description: 'Admin login and roles (viewer < curator < admin)' },
+        { name: 'Chat', description: 'Conversational recommendations (rate limited)' },
+        { name: 'Sessions', description: 'Server-side conversations' },
+        { name: 'Recommendations', description: 'Direct recommendation and prompt endpoints (rate limited)' },
+        { name: 'Feedback', description: 'What users thought of their recommendations' },
+        { name: 'Catalog', description: 'Browse and curate the tool catalog' },
+        { name: 'Intents', description: 'The intent map that steers which tools a message gets' },
+        { name: 'Discovery', description: 'Scraper-based tool discovery' },
+        { name: 'System', description: 'Health, cache and this document' }
+    ],
+    paths: {
+        // ---------- Auth ----------
+        '/api/auth/login': {
+            post: {
+                tags: ['Auth'],
+                summary: 'Log in with a username and password',
+                'x-invalid-message': 'Username and password are required',
+                'x-invalid-fields': ['username', 'password'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['username', 'password'],
+                    properties: {
+                        username: { type: 'string', minLength: 1, maxLength: 100 },
+                        password: { type: 'string', minLength: 1, maxLength: 200 }
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Logged in', {
+                        type: 'object',
+                        required: ['success', 'token', 'user', 'expiresAt'],
+                        properties: {
+                            success: { const: true },
+                            token: { type: 'string' },
+                            user: ref('User'),
+                            expiresAt: { type: 'string', format: 'date-time' }
+                        }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    429: errorResponse('TooManyRequests')
+                }
+            }
+        },
+        '/api/auth/logout': {
+            post: {
+                tags: ['Auth'],
+                summary: 'End the current session',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Logged out', ref('Success')),
+                    401: errorResponse('Unauthorized')
+                }
+            }
+        },
+        '/api/auth/me': {
+            get: {
+                tags: ['Auth'],
+                summary: 'The authenticated caller',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Caller', {
+                        type: 'object',
+                        required: ['success', 'user'],
+                        properties: {
+                            success: { const: true },
+                            user: {
+                                ...ref('User'),
+                                properties: { type: { type: 'string', enum: ['session', 'api_key'] } }
+                            }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized')
+                }
+            }
+        },
+
+        // ---------- System ----------
+        '/api/health': {
+            get: {
+                tags: ['System'],
+                summary: 'Health check',
+                responses: {
+                    200: jsonResponse('Service status', {
+                        type: 'object',
+                        required: ['status', 'service', 'version', 'storage'],
+                        properties: {
+                            status: { const: 'ok' },
+                            service: { type: 'string' },
+                            version: { type: 'string' },
+                            geminiEnabled: { type: 'boolean' },
+                            llm: {
+                                type: 'object',
+                                description: 'Usable provider/model chain per task, e.g. { chat: ["groq/llama-3.3-70b-versatile"] }',
+                                additionalProperties: { type: 'array', items: { type: 'string' } }
+                            },
+                            llmProviders: {
+                                type: 'object',
+                                description: 'Configured LLM providers and their circuit breakers',
+                                additionalProperties: ref('ProviderStatus')
+                            },
+                            ranking: {
+                                type: 'object',
+                                description: 'Ranking feature weights in use (RANKING_CONFIG / RANKING_WEIGHTS)',
+                                additionalProperties: { type: 'number' }
+                            },
+                            storage: {
+                                type: 'object',
+                                required: ['backend', 'writable', 'catalogVersion'],
+                                properties: {
+                                    backend: { type: 'string', enum: ['json', 'sqlite'] },
+                                    writable: { type: 'boolean' },
+                                    catalogVersion: { type: 'integer' }
+                                }
+                            }
+                        }
+                    })
+                }
+            }
+        },
+        '/api/openapi.json': {
+            get: {
+                tags: ['System'],
+                summary: 'This OpenAPI document',
+                responses: {
+                    200: jsonResponse('OpenAPI 3.1 document', { type: 'object' })
+                }
+            }
+        },
+        '/api/llm/stats': {
+            get: {
+                tags: ['System'],
+                summary: "How often the chat model's replies fail the action schemas (viewer)",
+                description: '`valid` replies passed first time, `repaired` passed after one repair round-trip, ' +
+                    '`failed` never did. Replies naming no known action count as `unknown`.',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Counters since the server started', {
+                        type: 'object',
+                        required: ['success', 'since', 'actions'],
+                        properties: {
+                            success: { const: true },
+                            since: { type: 'string', format: 'date-time' },
+                            actions: { type: 'object', additionalProperties: ref('ActionStats') }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden')
+                }
+            }
+        },
+        '/api/cache/stats': {
+            get: {
+                tags: ['System'],
+                summary: 'Response cache size and hit rates (viewer)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Cache statistics', {
+                        type: 'object',
+                        required: ['success', 'enabled', 'stats'],
+                        properties: {
+                            success: { const: true },
+                            enabled: { type: 'boolean' },
+                            stats: { anyOf: [ref('CacheStats'), { type: 'null' }] }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden')
+                }
+            }
+        },
+        '/api/cache': {
+            delete: {
+                tags: ['System'],
+                summary: 'Purge cached LLM responses (admin)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                parameters: [{
+                    name: 'namespace',
+                    in: 'query',
+                    description: 'Only purge one namespace',
+                    schema: { type: 'string', enum: ['chat', 'prompt', 'recommend'] }
+                }],
+                responses: {
+                    200: jsonResponse('Purged', {
+                        type: 'object',
+                        required: ['success', 'removed'],
+                        properties: { success: { const: true }, removed: { type: 'integer', minimum: 0 } }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+
+        // ---------- Sessions ----------
+        '/api/sessions': {
+            get: {
+                tags: ['Sessions'],
+                summary: "The caller's conversations, newest first",
+                security: [{ clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Session summaries', {
+                        type: 'object',
+                        required: ['success', 'sessions'],
+                        properties: {
+                            success: { const: true },
+                            sessions: { type: 'array', items: ref('SessionSummary') }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized')
+                }
+            },
+            post: {
+                tags: ['Sessions'],
+                summary: 'Start a conversation (optionally importing existing messages)',
+                'x-invalid-message': 'Session failed validation',
+                security: [{ clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', minLength: 1, maxLength: 100 },
+                        messages: { type: 'array', maxItems: 200, items: ref('ChatMessage') }
+                    }
+                }, false),
+                responses: {
+                    201: jsonResponse('Created', {
+                        type: 'object',
+                        required: ['success', 'session'],
+                        properties: { success: { const: true }, session: ref('Session') }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+        '/api/sessions/{id}': {
+            parameters: [{ $ref: '#/components/parameters/SessionId' }],
+            get: {
+                tags: ['Sessions'],
+                summary: 'One conversation with its messages and stored results',
+                security: [{ clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Session', {
+                        type: 'object',
+                        required: ['success', 'session'],
+                        properties: { success: { const: true }, session: ref('Session') }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    404: errorResponse('NotFound')
+                }
+            },
+            patch: {
+                tags: ['Sessions'],
+                summary: 'Rename a conversation',
+                'x-invalid-message': 'Session failed validation',
+                security: [{ clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['title'],
+                    properties: { title: { type: 'string', minLength: 1, maxLength: 100 } }
+                }),
+                responses: {
+                    200: jsonResponse('Renamed', {
+                        type: 'object',
+                        required: ['success', 'session'],
+                        properties: { success: { const: true }, session: ref('Session') }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            },
+            delete: {
+                tags: ['Sessions'],
+                summary: 'Delete a conversation',
+                security: [{ clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Deleted', ref('Success')),
+                    401: errorResponse('Unauthorized'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+
+        // ---------- Chat ----------
+        '/api/chat': {
+            post: {
+                tags: ['Chat'],
+                summary: 'Chat with DECY - replies with text and, when ready, tools, a workflow or a guide',
+                'x-invalid-message': 'Please enter a message',
+                'x-invalid-fields': ['message'],
+                requestBody: jsonBody(ref('ChatRequest')),
+                responses: {
+                    200: jsonResponse('Chat reply', ref('ChatResult')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    404: errorResponse('NotFound'),
+                    429: errorResponse('TooManyRequests'),
+                    500: jsonResponse('Chat failed', {
+                        type: 'object',
+                        required: ['success', 'type', 'response'],
+                        properties: {
+                            success: { const: false },
+                            type: { const: 'error' },
+                            response: { type: 'string' }
+                        }
+                    })
+                }
+            }
+        },
+        '/api/chat/stream': {
+            post: {
+                tags: ['Chat'],
+                summary: 'Chat with DECY over Server-Sent Events',
+                description: 'Events, in order: `token { text }` (repeated), then one of ' +
+                    '`show_tools { budget, toolIds, readyPrompt, corrections }`, `show_tool_groups { budget, groups, corrections }`, ' +
+                    '`show_workflow { steps, corrections }`, ' +
+                    '`show_guide { toolName, toolUrl, steps, proTips }`, then `followUps { followUps }` and ' +
+                    '`done { type, response }`. `error { response }` is sent if the reply fails part-way.',
+                'x-invalid-message': 'Please enter a message',
+                'x-invalid-fields': ['message'],
+                requestBody: jsonBody(ref('ChatRequest')),
+                responses: {
+                    200: {
+                        description: 'Event stream',
+                        content: { 'text/event-stream': { schema: { type: 'string' } } }
+                    },
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    404: errorResponse('NotFound'),
+                    429: errorResponse('TooManyRequests')
+                }
+            }
+        },
+
+        // ---------- Recommendations ----------
+        '/api/recommend': {
+            post: {
+                tags: ['Recommendations'],
+                summary: 'Recommend tools for a task',
+                'x-invalid-message': 'Please tell me what you want to do',
+                'x-invalid-fields': ['query'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['query'],
+                    properties: {
+                        query: nonBlank(2000, 'What the user wants to do'),
+                        budget: ref('Budget'),
+                        category: { type: ['string', 'null'], description: 'Category key, if already known' },
+                        maxMonthlyBudget: ref('MaxMonthlyBudget'),
+                        currency: ref('Currency'),
+                        filters: ref('ToolFilters')
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Recommendations', ref('Recommendation')),
+                    400: errorResponse('BadRequest'),
+                    429: errorResponse('TooManyRequests'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/tools-by-ids': {
+            post: {
+                tags: ['Recommendations'],
+                summary: 'Look up the tools a chat reply recommended',
+                'x-invalid-message': 'toolIds must be a non-empty array of tool IDs',
+                'x-invalid-fields': ['toolIds'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['toolIds'],
+                    properties: {
+                        toolIds: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', minLength: 1 } },
+                        budget: ref('Budget'),
+                        maxMonthlyBudget: ref('MaxMonthlyBudget'),
+                        currency: ref('Currency'),
+                        query: { type: 'string', maxLength: 2000, description: "The user's request, so each tool's ranking explains its fit" }
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Tools in the order asked for (unknown IDs, paid tools for budget=free and tools over maxMonthlyBudget are skipped)', {
+                        type: 'object',
+                        required: ['success', 'tools'],
+                        properties: {
+                            success: { const: true },
+                            tools: { type: 'array', items: ref('RecommendedTool') }
+                        }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/generate-prompt': {
+            post: {
+                tags: ['Recommendations'],
+                summary: 'Write a ready-to-use prompt for a tool',
+                'x-invalid-message': 'Tool name and description are required',
+                'x-invalid-fields': ['toolName', 'description'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['toolName', 'description'],
+                    properties: {
+                        toolId: { type: 'string' },
+                        toolName: nonBlank(100),
+                        description: nonBlank(2000, 'What the user wants to make with the tool')
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Generated prompt', {
+                        type: 'object',
+                        required: ['success', 'prompt'],
+                        properties: { success: { const: true }, prompt: { type: 'string' } }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    429: errorResponse('TooManyRequests'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+
+        // ---------- Feedback ----------
+        '/api/feedback': {
+            post: {
+                tags: ['Feedback'],
+                summary: 'Rate a recommendation: thumbs up / down, "picked this tool" or a comment',
+                description: 'Filed under the intent pattern the query matches, and fed into ranking as the ' +
+                    'popularity feature. Thumbs without `toolId` rate the whole list. Each voter counts once ' +
+                    'per tool: logged-in user or API key, otherwise the IP. `X-Client-Id` only groups anonymous ' +
+                    'votes in the stats. Rate limited.',
+                'x-invalid-message': 'Feedback failed validation',
+                security: [{}, { clientId: [] }, { bearerAuth: [] }, { apiKey: [] }],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['type', 'query'],
+                    additionalProperties: false,
+                    properties: {
+                        type: { type: 'string', enum: FEEDBACK_TYPES },
+                        query: nonBlank(2000, 'The request the tools were recommended for'),
+                        toolIds: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1 }, description: 'The tools that were shown' },
+                        toolId: { type: ['string', 'null'], minLength: 1, description: 'The tool rated or picked (required for picked)' },
+                        comment: { anyOf: [nonBlank(1000), { type: 'null' }], description: 'Required for comment' },
+                        category: { type: ['string', 'null'], description: 'Category key of the analysis, if known' },
+                        sessionId: { type: ['string', 'null'], maxLength: 64 }
+                    }
+                }),
+                responses: {
+                    201: jsonResponse('Recorded', {
+                        type: 'object',
+                        required: ['success', 'feedback'],
+                        properties: { success: { const: true }, feedback: ref('Feedback') }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    429: errorResponse('TooManyRequests'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+        '/api/feedback/stats': {
+            get: {
+                tags: ['Feedback'],
+                summary: 'Feedback per intent pattern (viewer)',
+                description: 'Entry counts are raw; the up / down / picked counts on tools count people. ' +
+                    '`satisfaction` is up / (up + down), null before any thumbs.',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Feedback statistics', ref('FeedbackStats')),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+
+        // ---------- Catalog ----------
+        '/api/categories': {
+            get: {
+                tags: ['Catalog'],
+                summary: 'All categories',
+                responses: {
+                    200: jsonResponse('Categories', {
+                        type: 'object',
+                        required: ['categories'],
+                        properties: {
+                            categories: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['id', 'name', 'toolCount'],
+                                    properties: {
+                                        id: { type: 'string' },
+                                        name: { type: 'string' },
+                                        icon: { type: ['string', 'null'] },
+                                        toolCount: { type: 'integer', minimum: 0, description: 'Includes tools listed here as a secondary category' }
+                                    }
+                                }
+                            }
+                        }
+                    })
+                }
+            }
+        },
+        '/api/tools/all': {
+            get: {
+                tags: ['Catalog'],
+                summary: 'Every tool once, with its primary category (viewer)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('All tools', {
+                        type: 'object',
+                        required: ['totalTools', 'categories', 'tools'],
+                        properties: {
+                            totalTools: { type: 'integer' },
+                            lastUpdated: { type: ['string', 'null'] },
+                            categories: { type: 'integer' },
+                            tools: { type: 'array', items: ref('CatalogTool') }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/tools/{category}': {
+            parameters: [{ $ref: '#/components/parameters/Category' }],
+            get: {
+                tags: ['Catalog'],
+                summary: 'Tools in a category, including those listed here as a secondary category',
+                parameters: [{
+                    name: 'budget',
+                    in: 'query',
+                    description: '`free` keeps only tools with a free tier',
+                    schema: ref('Budget')
+                }, {
+                    name: 'maxMonthlyBudget',
+                    in: 'query',
+                    description: 'Keep only tools usable for at most this much a month',
+                    schema: { type: 'string', pattern: '^\\d{1,6}(\\.\\d{1,2})?$' }
+                }, {
+                    name: 'currency',
+                    in: 'query',
+                    schema: ref('Currency')
+                }, {
+                    name: 'platform',
+                    in: 'query',
+                    description: 'Comma-separated; a tool must run on each (`desktop` = Windows, macOS or Linux; `mobile` = iOS or Android)',
+                    schema: { type: 'string', pattern: `^(${FILTER_PLATFORMS.join('|')})(,(${FILTER_PLATFORMS.join('|')}))*$` }
+                }, {
+                    name: 'language',
+                    in: 'query',
+                    description: 'Comma-separated ISO 639-1 codes; tools that list no languages count as English-only',
+                    schema: { type: 'string', pattern: '^[a-z]{2}(,[a-z]{2})*$' }
+                }, ...Object.keys(FILTER_FLAGS).map(name => ({
+                    name,
+                    in: 'query',
+                    description: '`true` keeps only tools known to have this attribute',
+                    schema: { type: 'string', enum: ['true', 'false'] }
+                }))],
+                responses: {
+                    200: jsonResponse('Tools', {
+                        type: 'object',
+                        required: ['success', 'category', 'tools'],
+                        properties: {
+                            success: { const: true },
+                            category: { type: 'string' },
+                            tools: { type: 'array', items: extendTool({ cost: ref('CostEstimate') }, ['cost']) }
+                        }
+                    }),
+                    400: errorResponse('BadRequest'),
+                    404: errorResponse('NotFound')
+                }
+            },
+            post: {
+                tags: ['Catalog'],
+                summary: 'Add a tool to a category (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Tool failed validation',
+                requestBody: jsonBody(ref('Tool')),
+                responses: {
+                    201: jsonResponse('Created', ref('CatalogChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    409: errorResponse('Conflict'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+        '/api/tools/{category}/{id}': {
+            parameters: [
+                { $ref: '#/components/parameters/Category' },
+                { $ref: '#/components/parameters/ToolId' }
+            ],
+            put: {
+                tags: ['Catalog'],
+                summary: 'Replace a tool; moves it here if it lives in another category and isn\'t listed here (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Tool failed validation',
+                requestBody: jsonBody({
+                    ...toolJsonSchema,
+                    required: toolJsonSchema.required.filter(field => field !== 'id')
+                }),
+                responses: {
+                    200: jsonResponse('Replaced', ref('CatalogChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            },
+            patch: {
+                tags: ['Catalog'],
+                summary: 'Edit some fields of a tool; null removes an optional field (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Tool failed validation',
+                requestBody: jsonBody(toolPatchSchema()),
+                responses: {
+                    200: jsonResponse('Updated', ref('CatalogChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            },
+            delete: {
+                tags: ['Catalog'],
+                summary: 'Remove a tool, or only its listing when this is one of its secondary categories (admin)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Deleted', ref('CatalogChange')),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+        '/api/tools/{category}/{id}/move': {
+            parameters: [
+                { $ref: '#/components/parameters/Category' },
+                { $ref: '#/components/parameters/ToolId' }
+            ],
+            post: {
+                tags: ['Catalog'],
+                summary: 'Move a tool to another primary category; a secondary one swaps with the old primary (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Tool failed validation',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['category'],
+                    properties: { category: { type: 'string', minLength: 1, description: 'Target category key' } }
+                }),
+                responses: {
+                    200: jsonResponse('Moved', ref('CatalogChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError'),
+                    503: errorResponse('ReadOnly')
+                }
+            }
+        },
+
+        // ---------- Intents ----------
+        '/api/intents': {
+            get: {
+                tags: ['Intents'],
+                summary: 'Intent patterns in match order, plus catalog references that are broken (viewer)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Intent map', {
+                        type: 'object',
+                        required: ['success', 'version', 'intents', 'warnings'],
+                        properties: {
+                            success: { const: true },
+                            version: { type: 'integer', description: 'Bumped on every save' },
+                            updatedAt: { type: ['string', 'null'] },
+                            intents: { type: 'array', items: ref('IntentPattern') },
+                            warnings: { type: 'array', items: ref('IntentWarning') }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden')
+                }
+            },
+            post: {
+                tags: ['Intents'],
+                summary: 'Add an intent pattern at the end of the list (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Intent failed validation',
+                requestBody: jsonBody(ref('IntentPattern')),
+                responses: {
+                    201: jsonResponse('Created', ref('IntentChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    409: errorResponse('Conflict'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/intents/test': {
+            post: {
+                tags: ['Intents'],
+                summary: 'Show how a message is analyzed - optionally with an unsaved pattern (viewer)',
+                description: '`intent` is tried in place of the saved pattern with the same id, or after the ' +
+                    'saved ones if it is new. Nothing is saved.',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'A message (and a valid draft intent, if given) is required',
+                'x-invalid-fields': ['message', 'intent'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['message'],
+                    properties: {
+                        message: nonBlank(2000),
+                        intent: ref('IntentPattern')
+                    }
+                }),
+                responses: {
+                    200: jsonResponse('Analysis', ref('IntentTestResult')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden')
+                }
+            }
+        },
+        '/api/intents/{id}': {
+            parameters: [{ $ref: '#/components/parameters/IntentId' }],
+            put: {
+                tags: ['Intents'],
+                summary: 'Replace an intent pattern, keeping its place in the list (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Intent failed validation',
+                requestBody: jsonBody({
+                    ...intentJsonSchema,
+                    required: intentJsonSchema.required.filter(field => field !== 'id')
+                }),
+                responses: {
+                    200: jsonResponse('Replaced', ref('IntentChange')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError')
+                }
+            },
+            delete: {
+                tags: ['Intents'],
+                summary: 'Remove an intent pattern (admin)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Deleted', ref('IntentChange')),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    404: errorResponse('NotFound'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+
+        // ---------- Discovery ----------
+        '/api/discover/url': {
+            post: {
+                tags: ['Discovery'],
+                summary: "Discover a tool from its website (curator)",
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'A valid http(s) URL is required',
+                'x-invalid-fields': ['url'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['url'],
+                    properties: { url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2000 } }
+                }),
+                responses: {
+                    200: jsonResponse('Discovery result', ref('DiscoveryResult')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/discover/name': {
+            post: {
+                tags: ['Discovery'],
+                summary: 'Discover a tool by searching for its name (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                'x-invalid-message': 'Tool name is required',
+                'x-invalid-fields': ['name'],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['name'],
+                    properties: { name: nonBlank(100) }
+                }),
+                responses: {
+                    200: jsonResponse('Discovery result', ref('DiscoveryResult')),
+                    400: errorResponse('BadRequest'),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/discover/scrape': {
+            post: {
+                tags: ['Discovery'],
+                summary: 'Scrape AI tool directories for new tools (curator)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Scrape totals', {
+                        type: 'object',
+                        required: ['success', 'discovered', 'added', 'skipped', 'errors'],
+                        properties: {
+                            success: { const: true },
+                            discovered: { type: 'integer' },
+                            added: { type: 'integer' },
+                            skipped: { type: 'integer' },
+                            errors: { type: 'integer' }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        },
+        '/api/discover/stats': {
+            get: {
+                tags: ['Discovery'],
+                summary: 'Catalog and scraper totals (viewer)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Stats', {
+                        type: 'object',
+                        properties: {
+                            totalTools: { type: 'integer' },
+                            categories: { type: 'integer' },
+                            lastUpdated: { type: ['string', 'null'] },
+                            totalDiscovered: { type: 'integer' },
+                            lastScrape: { type: ['string', 'null'] },
+                            error: { type: 'string' }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden')
+                }
+            }
+        },
+        '/api/discover/tools': {
+            get: {
+                tags: ['Discovery'],
+                summary: 'Discovery log (viewer)',
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                responses: {
+                    200: jsonResponse('Discovered tools', {
+                        type: 'object',
+                        required: ['tools'],
+                        properties: {
+                            tools: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['id', 'name'],
+                                    properties: {
+                                        id: { type: 'string' },
+                                        name: { type: 'string' },
+                                        category: { type: ['string', 'null'] },
+                                        url: { type: ['string', 'null'] },
+                                        discoveredAt: { type: 'string' }
+                                    }
+                                }
+                            },
+                            lastScrape: { type: ['string', 'null'] },
+                            totalDiscovered: { type: 'integer' }
+                        }
+                    }),
+                    401: errorResponse('Unauthorized'),
+                    403: errorResponse('Forbidden'),
+                    500: errorResponse('ServerError')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' },
+            clientId: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-Client-Id',
+                description: 'Random 16-64 character id identifying an anonymous browser (owns its sessions)'
+            }
+        },
+        parameters: {
+            Category: { name: 'category', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+            ToolId: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+            SessionId: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+            IntentId: { name: 'id', in: 'path', required: true, schema: { type: 'string', minLength: 1 } }
+        },
+        responses: {
+            BadRequest: jsonResponse('Invalid request', ref('Error')),
+            Unauthorized: jsonResponse('Authentication required', ref('Error')),
+            Forbidden: jsonResponse('Role too low', ref('Error')),
+            NotFound: jsonResponse('Not found', ref('Error')),
+            Conflict: jsonResponse('Already exists', ref('Error')),
+            ServerError: jsonResponse('Server error', ref('Error')),
+            ReadOnly: jsonResponse('Store is read-only', ref('Error')),
+            TooManyRequests: {
+                description: 'Rate limit exceeded - retry after `Retry-After` seconds',
+                headers: {
+                    'Retry-After': { schema: { type: 'integer' } },
+                    'RateLimit-Limit': { schema: { type: 'integer' } },
+                    'RateLimit-Remaining': { schema: { type: 'integer' } },
+                    'RateLimit-Reset': { schema: { type: 'integer' } }
+                },
+                content: { 'application/json': { schema: ref('Error') } }
+            }
+        },
+        schemas: {
+            Success: {
+                type: 'object',
+                required: ['success'],
+                properties: { success: { const: true } }
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    success: { const: false },
+                    error: { type: 'string' },
+                    fields: { type: 'array', items: ref('FieldError') }
+                }
+            },
+            FieldError: {
+                type: 'object',
+                required: ['field', 'message'],
+                properties: { field: { type: 'string' }, message: { type: 'string' } }
+            },
+            User: {
+                type: 'object',
+                required: ['username', 'role'],
+                properties: {
+                    username: { type: 'string' },
+                    role: { type: 'string', enum: ['viewer', 'curator', 'admin'] }
+                }
+            },
+            Budget: {
+                type: 'string',
+                enum: ['free', 'premium'],
+                description: 'Defaults to `free`, or `premium` when maxMonthlyBudget is given'
+            },
+            MaxMonthlyBudget: {
+                type: ['number', 'null'],
+                minimum: 0,
+                maximum: 100000,
+                description: 'Most the user will pay per month. Tools with a free tier always fit; paid-only tools need a listed price at or under it'
+            },
+            Currency: { type: 'string', enum: ['USD', 'EUR', 'GBP', 'INR'], description: 'Currency of maxMonthlyBudget (default USD)' },
+            ToolFilters: {
+                type: 'object',
+                additionalProperties: false,
+                description: 'Attribute filters - each narrows the tools. A tool needs a known value to pass ' +
+                    '(its structured attributes, or its description where those aren\'t filled in).',
+                properties: {
+                    platforms: {
+                        type: 'array',
+                        maxItems: FILTER_PLATFORMS.length,
+                        items: { type: 'string', enum: FILTER_PLATFORMS },
+                        description: 'A tool must run on each (`desktop` = Windows, macOS or Linux; `mobile` = iOS or Android)'
+                    },
+                    languages: {
+                        type: 'array',
+                        maxItems: 10,
+                        items: { type: 'string', pattern: '^[a-z]{2}$' },
+                        description: 'ISO 639-1 codes; tools that list no languages count as English-only'
+                    },
+                    ...Object.fromEntries(Object.keys(FILTER_FLAGS).map(flag => [flag, { type: 'boolean' }]))
+                }
+            },
+            CostEstimate: {
+                type: 'object',
+                required: ['freeTier', 'monthly', 'currency', 'label'],
+                description: 'Estimated monthly cost, from the structured pricing',
+                properties: {
+                    freeTier: { type: 'boolean' },
+                    monthly: { type: ['number', 'null'], description: 'Cheapest paid plan per month (yearly plans divided by 12); null when no price is listed' },
+                    currency: { type: ['string', 'null'] },
+                    label: { type: 'string', description: 'e.g. "Free tier · paid $20/month", "From €11/month", "Custom quote"' }
+                }
+            },
+            Tool: toolJsonSchema,
+            CatalogTool: extendTool({
+                categoryKey: { type: 'string' },
+                categoryName: { type: 'string' }
+            }, ['categoryKey', 'categoryName']),
+            RecommendedTool: {
+                type: 'object',
+                required: ['id', 'name'],
+                description: 'A catalog tool plus display info about its category',
+                properties: {
+                    ...toolJsonSchema.properties,
+                    category: { type: 'string' },
+                    categoryIcon: { type: ['string', 'null'] },
+                    cost: ref('CostEstimate'),
+                    ranking: ref('Ranking'),
+                    tradeOff: {
+                        description: 'What this pick offers over the other top picks; null when it stands out on none',
+                        anyOf: [{
+                            type: 'object',
+                            required: ['role', 'label'],
+                            properties: {
+                                role: { type: 'string', enum: Object.keys(TRADE_OFFS) },
+                                label: { type: 'string' }
+                            }
+                        }, { type: 'null' }]
+                    }
+                }
+            },
+            Ranking: {
+                type: 'object',
+                required: ['score', 'factors', 'reasons'],
+                description: 'Why a tool ranked where it did: the weighted sum of its feature values. ' +
+                    'Features that don\'t apply to the request are left out.',
+                properties: {
+                    score: { type: 'number' },
+                    factors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['feature', 'value', 'weight', 'contribution'],
+                            properties: {
+                                feature: { type: 'string', enum: FEATURES },
+                                value: { type: 'number', minimum: 0, maximum: 1 },
+                                weight: { type: 'number', minimum: 0 },
+                                contribution: { type: 'number', description: 'value × weight' }
+                            }
+                        }
+                    },
+                    reasons: { type: 'array', items: { type: 'string' }, description: 'Short reasons for display, strongest first' }
+                }
+            },
+            Feedback: {
+                type: 'object',
+                required: ['id', 'type', 'query', 'category', 'intent', 'toolIds', 'toolId', 'comment', 'sessionId', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string', enum: FEEDBACK_TYPES },
+                    query: { type: 'string' },
+                    category: { type: ['string', 'null'] },
+                    intent: { type: ['string', 'null'], description: 'Intent pattern the query matched' },
+                    toolIds: { type: 'array', items: { type: 'string' } },
+                    toolId: { type: ['string', 'null'] },
+                    comment: { type: ['string', 'null'] },
+                    sessionId: { type: ['string', 'null'] },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            FeedbackStats: {
+                type: 'object',
+                required: ['success', 'total', 'since', 'types', 'intents'],
+                properties: {
+                    success: { const: true },
+                    total: { type: 'integer', minimum: 0 },
+                    since: { type: ['string', 'null'], description: 'When the first feedback was given' },
+                    types: {
+                        type: 'object',
+                        required: FEEDBACK_TYPES,
+                        properties: Object.fromEntries(FEEDBACK_TYPES.map(type => [type, { type: 'integer', minimum: 0 }]))
+                    },
+                    intents: {
+                        type: 'array',
+                        description: 'Most feedback first; intent null collects queries no pattern matched',
+                        items: {
+                            type: 'object',
+                            required: ['intent', 'category', 'total', 'up', 'down', 'picked', 'comments', 'satisfaction', 'tools', 'recentComments'],
+                            properties: {
+                                intent: { type: ['string', 'null'] },
+                                category: { type: ['string', 'null'] },
+                                total: { type: 'integer', minimum: 0 },
+                                up: { type: 'integer', minimum: 0 },
+                                down: { type: 'integer', minimum: 0 },
+                                picked: { type: 'integer', minimum: 0 },
+                                comments: { type: 'integer', minimum: 0 },
+                                satisfaction: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+                                tools: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'name', 'up', 'down', 'picked', 'popularity'],
+                                        properties: {
+                                            id: { type: 'string' },
+                                            name: { type: 'string' },
+                                            up: { type: 'integer', minimum: 0 },
+                                            down: { type: 'integer', minimum: 0 },
+                                            picked: { type: 'integer', minimum: 0 },
+                                            popularity: { type: 'number', minimum: 0, maximum: 1 }
+                                        }
+                                    }
+                                },
+                                recentComments: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['comment', 'query', 'toolId', 'createdAt'],
+                                        properties: {
+                                            comment: { type: 'string' },
+                                            query: { type: 'string' },
+                                            toolId: { type: ['string', 'null'] },
+                                            createdAt: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            CatalogChange: {
+                type: 'object',
+                required: ['success', 'tool', 'category'],
+                properties: {
+                    success: { const: true },
+                    tool: ref('Tool'),
+                    category: { type: 'string', description: 'Category key the tool now lives in' }
+                }
+            },
+            ChatMessage: {
+                type: 'object',
+                required: ['role', 'content'],
+                properties: {
+                    role: { type: 'string', enum: ['user', 'assistant'] },
+                    content: { type: 'string', maxLength: 10000 }
+                }
+            },
+            ChatRequest: {
+                type: 'object',
+                required: ['message'],
+                properties: {
+                    message: nonBlank(2000),
+                    history: {
+                        type: 'array',
+                        maxItems: 200,
+                        items: ref('ChatMessage'),
+                        description: 'Earlier turns (ignored when sessionId is given)'
+                    },
+                    sessionId: { type: 'string', minLength: 1, description: 'Load history from, and save the reply to, this session' }
+                }
+            },
+            FollowUp: {
+                type: 'object',
+                required: ['text', 'message'],
+                properties: { text: { type: 'string' }, message: { type: 'string' } }
+            },
+            ChatResult: {
+                description: 'What getLLMResponse (or a fallback) decided to do',
+                oneOf: [ref('ShowToolsResult'), ref('ShowToolGroupsResult'), ref('ShowWorkflowResult'), ref('ShowGuideResult'), ref('ChatReply')],
+                discriminator: {
+                    propertyName: 'type',
+                    mapping: {
+                        show_tools: '#/components/schemas/ShowToolsResult',
+                        show_tool_groups: '#/components/schemas/ShowToolGroupsResult',
+                        show_workflow: '#/components/schemas/ShowWorkflowResult',
+                        show_guide: '#/components/schemas/ShowGuideResult',
+                        chat: '#/components/schemas/ChatReply',
+                        question: '#/components/schemas/ChatReply',
+                        tool_request: '#/components/schemas/ChatReply'
+                    }
+                }
+            },
+            ShowToolsResult: {
+                type: 'object',
+                required: ['success', 'type', 'response', 'budget', 'toolIds'],
+                properties: {
+                    success: { const: true },
+                    type: { const: 'show_tools' },
+                    response: { type: 'string' },
+                    budget: ref('Budget'),
+                    toolIds: { type: 'array', items: { type: 'string' } },
+                    readyPrompt: { type: ['string', 'null'] },
+                    corrections: { type: 'array', items: ref('ToolCorrection') },
+                    followUps: { type: 'array', items: ref('FollowUp') }
+                }
+            },
+            ShowToolGroupsResult: {
+                type: 'object',
+                description: 'Recommendations for a message with several separate needs, one group per need',
+                required: ['success', 'type', 'response', 'budget', 'groups'],
+                properties: {
+                    success: { const: true },
+                    type: { const: 'show_tool_groups' },
+                    response: { type: 'string' },
+                    budget: ref('Budget'),
+                    groups: { type: 'array', minItems: 2, items: ref('ToolGroup') },
+                    corrections: { type: 'array', items: ref('ToolCorrection') },
+                    followUps: { type: 'array', items: ref('FollowUp') }
+                }
+            },
+            ToolGroup: {
+                type: 'object',
+                required: ['need', 'toolIds'],
+                properties: {
+                    need: { type: 'string', description: 'What this group is for, e.g. "promo video"' },
+                    category: { type: ['string', 'null'] },
+                    confidence: { type: ['number', 'null'], description: 'How sure the intent analysis is about this need (0..1)' },
+                    toolIds: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            ShowWorkflowResult: {
+                type: 'object',
+                required: ['success', 'type', 'response', 'steps'],
+                properties: {
+                    success: { const: true },
+                    type: { const: 'show_workflow' },
+                    response: { type: 'string' },
+                    steps: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                step: { type: 'integer' },
+                                title: { type: 'string' },
+                                tool_id: { type: 'string' },
+                                tool_name: { type: 'string' },
+                                prompt: { type: 'string' }
+                            }
+                        }
+                    },
+                    corrections: { type: 'array', items: ref('ToolCorrection') },
+                    followUps: { type: 'array', items: ref('FollowUp') }
+                }
+            },
+            ToolCorrection: {
+                type: 'object',
+                description: 'A tool ID from the model that was not in the catalog (or broke the user\'s constraints), and what it became',
+                required: ['from', 'to', 'reason'],
+                properties: {
+                    from: { description: 'ID as the model wrote it' },
+                    to: { type: ['string', 'null'], description: 'Catalog ID used instead (null when dropped)' },
+                    reason: {
+                        type: 'string',
+                        enum: ['fuzzy', 'backfill', 'dropped', 'duplicate', 'constraint'],
+                        description: '`fuzzy` near-miss name, `backfill` replaced by a candidate from intent analysis, ' +
+                            '`dropped` no replacement, `duplicate` named the same tool twice, ' +
+                            '`constraint` breaks a constraint in the message ("not Canva", "no watermark") - `to` is the replacement or null'
+                    }
+                }
+            },
+            ShowGuideResult: {
+                type: 'object',
+                required: ['success', 'type', 'response', 'toolName', 'steps'],
+                properties: {
+                    success: { const: true },
+                    type: { const: 'show_guide' },
+                    response: { type: 'string' },
+                    toolName: { type: 'string' },
+                    toolUrl: { type: 'string' },
+                    steps: { type: 'array', items: { type: 'string' } },
+                    proTips: { type: 'array', items: { type: 'string' } },
+                    followUps: { type: 'array', items: ref('FollowUp') }
+                }
+            },
+            ChatReply: {
+                type: 'object',
+                required: ['success', 'type', 'response'],
+                properties: {
+                    success: { const: true },
+                    type: {
+                        type: 'string',
+                        enum: ['chat', 'question', 'tool_request'],
+                        description: '`tool_request` means DECY asked about budget and expects the user to pick one'
+                    },
+                    response: { type: 'string' }
+                }
+            },
+            Recommendation: {
+                type: 'object',
+                required: ['success', 'source', 'tools'],
+                properties: {
+                    success: { const: true },
+                    source: { type: 'string', description: 'llm, ai_category, fallback or default' },
+                    category: { type: 'string' },
+                    reasoning: { type: 'string', description: 'When the constraints rule out every tool, says which constraint removed what' },
+                    constraints: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Hard constraints read from the query, e.g. "not canva", "under $10/month", "no watermark"'
+                    },
+                    tools: { type: 'array', items: ref('RecommendedTool') },
+                    groups: {
+                        type: 'array',
+                        minItems: 2,
+                        items: ref('ToolGroup'),
+                        description: 'For a query with several separate needs: which of the tools are for which need'
+                    }
+                }
+            },
+            SessionSummary: {
+                type: 'object',
+                required: ['id', 'title', 'createdAt', 'updatedAt', 'messageCount'],
+                properties: {
+                    id: { type: 'string' },
+                    owner: { type: 'string' },
+                    title: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    messageCount: { type: 'integer', minimum: 0 }
+                }
+            },
+            Session: {
+                type: 'object',
+                required: ['id', 'title', 'createdAt', 'updatedAt', 'messages'],
+                properties: {
+                    id: { type: 'string' },
+                    owner: { type: 'string' },
+                    title: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    messages: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['role', 'content'],
+                            properties: {
+                                role: { type: 'string', enum: ['user', 'assistant'] },
+                                content: { type: 'string' },
+                                createdAt: { type: 'string', format: 'date-time' },
+                                type: { type: 'string', description: 'Assistant replies: the ChatResult type' },
+                                result: {
+                                    type: 'object',
+                                    description: 'Structured part of the reply: { toolIds, budget, readyPrompt } | { groups, budget } | { steps } | { toolName, toolUrl, steps, proTips }'
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            DiscoveryResult: {
+                type: 'object',
+                required: ['success'],
+                properties: {
+                    success: { type: 'boolean' },
+                    tool: { type: 'object', description: 'The tool that was added' },
+                    error: { type: 'string' },
+                    name: { type: 'string' }
+                }
+            },
+            ProviderStatus: {
+                type: 'object',
+                required: ['state', 'failures'],
+                properties: {
+                    state: {
+                        type: 'string',
+                        enum: ['closed', 'open', 'half_open'],
+                        description: 'open = failing, skipped until retryAt; half_open = next call is a trial'
+                    },
+                    failures: { type: 'integer', minimum: 0, description: 'Consecutive failed calls' },
+                    lastError: { type: ['string', 'null'] },
+                    retryAt: { type: ['string', 'null'], format: 'date-time' },
+                    timeoutMs: { type: 'number' }
+                }
+            },
+            IntentPattern: {
+                ...intentJsonSchema,
+                description: 'Messages containing any `intents` phrase (20 points) or its words (5 each) match; ' +
+                    'the best match steers the model with `context` and puts `priority` tools first'
+            },
+            IntentWarning: {
+                type: 'object',
+                required: ['intentId', 'field', 'message'],
+                properties: {
+                    intentId: { type: 'string' },
+                    field: { type: 'string', enum: ['category', 'priority'] },
+                    message: { type: 'string' }
+                }
+            },
+            IntentChange: {
+                type: 'object',
+                required: ['success', 'intent'],
+                properties: {
+                    success: { const: true },
+                    intent: ref('IntentPattern')
+                }
+            },
+            IntentTestResult: {
+                type: 'object',
+                required: ['success', 'matched', 'category', 'confidence', 'tools', 'patterns'],
+                properties: {
+                    success: { const: true },
+                    matched: { type: 'boolean' },
+                    intentId: { type: ['string', 'null'], description: 'Pattern that decided the result, if any' },
+                    category: { type: ['string', 'null'] },
+                    confidence: { type: 'number' },
+                    isGuidance: { type: 'boolean' },
+                    match: {
+                        type: ['object', 'null'],
+                        description: 'Guidance queries: how the tool name was recognised',
+                        properties: {
+                            text: { type: 'string' },
+                            method: { type: 'string', enum: ['name', 'alias', 'fuzzy'] },
+                            score: { type: 'number' }
+                        }
+                    },
+                    context: { type: 'string' },
+                    constraints: { type: 'array', items: { type: 'string' }, description: 'Hard constraints read from the message' },
+                    constraintNote: {
+                        type: ['string', 'null'],
+                        description: 'Set when the constraints rule out every matching tool - says why'
+                    },
+                    tools: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'name'],
+                            properties: {
+                                id: { type: 'string' },
+                                name: { type: 'string' },
+                                category: { type: 'string' },
+                                ranking: { anyOf: [ref('Ranking'), { type: 'null' }] }
+                            }
+                        }
+                    },
+                    groups: {
+                        type: 'array',
+                        description: 'Compound requests: one entry per separate need (empty otherwise)',
+                        items: {
+                            type: 'object',
+                            required: ['intentId', 'category', 'need', 'confidence', 'tools'],
+                            properties: {
+                                intentId: { type: 'string' },
+                                category: { type: 'string' },
+                                need: { type: 'string' },
+                                confidence: { type: 'number' },
+                                tools: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'name'],
+                                        properties: {
+                                            id: { type: 'string' },
+                                            name: { type: 'string' },
+                                            category: { type: 'string' },
+                                            ranking: { anyOf: [ref('Ranking'), { type: 'null' }] }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    patterns: {
+                        type: 'array',
+                        description: 'Best-scoring patterns (up to 5)',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'score'],
+                            properties: { id: { type: 'string' }, score: { type: 'integer' } }
+                        }
+                    }
+                }
+            },
+            ActionStats: {
+                type: 'object',
+                required: ['total', 'valid', 'repaired', 'failed', 'failureRate'],
+                properties: {
+                    total: { type: 'integer', minimum: 0 },
+                    valid: { type: 'integer', minimum: 0 },
+                    repaired: { type: 'integer', minimum: 0 },
+                    failed: { type: 'integer', minimum: 0 },
+                    failureRate: { type: 'number', minimum: 0, maximum: 1, description: '(repaired + failed) / total' }
+                }
+            },
+            CacheStats: {
+                type: 'object',
+                required: ['backend', 'entries', 'hits', 'misses', 'hitRate'],
+                properties: {
+                    backend: { type: 'string', enum: ['memory', 'disk'] },
+                    entries: { type: 'integer' },
+                    maxEntries: { type: 'integer' },
+                    ttlSeconds: { type: 'number' },
+                    hits: { type: 'integer' },
+                    misses: { type: 'integer' },
+                    hitRate: { type: 'number', minimum: 0, maximum: 1 },
+                    evictions: { type: 'integer' },
+                    expired: { type: 'integer' },
+                    namespaces: { type: 'object' },
+                    since: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    }
+};
+
+module.exports = spec;
@@ -0,0 +1,188 @@
+/**
+ * DECY Pricing
+ * Turns the free-text `pricing.premium` ("$20/month", "€11/month (Standard), €33/month (Pro)",
+ * "$20 one-time") into structured fields, and answers budget questions with them.
+ *
+ *   pricing = { free, premium, currency, amount, period, tiers: [{ name, amount, period }] }
+ *
+ * `premium` stays as the text users see. `amount` and `period` describe the cheapest paid tier
+ * and are null when the text has no price ("Custom pricing for enterprises"). The catalog fills
+ * the structured fields on every write and scripts/migrate-pricing.js fills them for existing
+ * entries; tools without them are parsed on the fly.
+ */
+
+const CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR' };
+const SYMBOLS = Object.fromEntries(Object.entries(CURRENCIES).map(([symbol, code]) => [code, symbol]));
+
+// Rough USD value of each currency - only used to compare prices against a budget
+const USD_RATE = { USD: 1, EUR: 1.08, GBP: 1.27, INR: 0.012 };
+
+const PERIODS = ['month', 'year', 'week', 'one_time'];
+const PERIOD_WORDS = {
+    month: 'month', mo: 'month', monthly: 'month',
+    year: 'year', yr: 'year', annum: 'year', annually: 'year', yearly: 'year',
+    week: 'week', wk: 'week', weekly: 'week',
+    'one-time': 'one_time', 'one time': 'one_time', onetime: 'one_time', lifetime: 'one_time', once: 'one_time'
+};
+const MONTHS_PER = { month: 1, year: 12, week: 12 / 52 };
+
+// "$20/month", "€33 per month (Pro)", "$10-$30/mo", "$96 billed yearly", "$20 one-time"
+const TIER = /([$€£₹])\s*(\d+(?:[.,]\d{1,2})?)(?:\s*[-–]\s*[$€£₹]?\s*\d+(?:[.,]\d{1,2})?)?\s*(?:\/\s*|per\s+|a\s+|billed\s+)?(month|mo|monthly|year|yr|annum|annually|yearly|week|wk|weekly|one[- ]?time|lifetime|once)?\b\s*(?:\(([^)]{1,50})\))?/gi;
+
+/**
+ * Structured fields for a premium text: { currency, amount, period, tiers }. Tiers keep the
+ * text's order; a price with no period ("$20") is taken as monthly, like most of the catalog.
+ */
+function parsePricingText(text) {
+    const tiers = [];
+    let currency = null;
+
+    for (const [, symbol, amount, period, name] of String(text || '').matchAll(TIER)) {
+        currency = currency || CURRENCIES[symbol];
+        // A second currency in one entry can't be compared - keep the first one's tiers
+        if (CURRENCIES[symbol] !== currency) continue;
+        tiers.push({
+            name: name ? name.trim() : null,
+            amount: parseFloat(amount.replace(',', '.')),
+            period: PERIOD_WORDS[(period || 'month').toLowerCase()]
+        });
+    }
+
+    const cheapest = cheapestTier(tiers);
+    return {
+        currency,
+        amount: cheapest ? cheapest.amount : null,
+        period: cheapest ? cheapest.period : null,
+        tiers
+    };
+}
+
+/**
+ * A pricing object with its structured fields filled in from `premium` (returned unchanged
+ * when it already has tiers)
+ */
+function structurePricing(pricing) {
+    if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing.tiers)) return pricing;
+    return { ...pricing, ...parsePricingText(pricing.premium) };
+}
+
+/**
+ * Drop the structured fields so structurePricing() derives them again - for edits that
+ * change `premium` without sending new tiers
+ */
+function clearStructuredPricing(pricing) {
+    const { currency, amount, period, tiers, ...rest } = pricing;
+    return rest;
+}
+
+const parsed = new WeakMap();
+
+/**
+ * A tool's structured pricing, parsing `premium` when the entry predates the structured fields
+ */
+function getPricing(tool) {
+    const pricing = tool.pricing || { free: false, premium: null };
+    if (Array.isArray(pricing.tiers)) return pricing;
+    if (!parsed.has(pricing)) parsed.set(pricing, structurePricing(pricing));
+    return parsed.get(pricing);
+}
+
+/**
+ * Monthly cost of a tier, or null for one-time purchases
+ */
+function tierMonthly(tier) {
+    const months = MONTHS_PER[tier.period];
+    return months ? tier.amount / months : null;
+}
+
+function cheapestTier(tiers) {
+    const recurring = tiers.filter(tier => tierMonthly(tier) !== null);
+    const pool = recurring.length > 0 ? recurring : tiers;
+    return pool.reduce((best, tier) => (!best || (tierMonthly(tier) ?? tier.amount) < (tierMonthly(best) ?? best.amount) ? tier : best), null);
+}
+
+/**
+ * Cheapest monthly price of a paid plan in the tool's currency, or null when the entry has no
+ * recurring price
+ */
+function paidMonthly(tool) {
+    const prices = getPricing(tool).tiers.map(tierMonthly).filter(price => price !== null);
+    return prices.length > 0 ? Math.round(Math.min(...prices) * 100) / 100 : null;
+}
+
+/**
+ * Cheapest way to use the tool, per month: 0 with a free tier, otherwise the cheapest paid
+ * plan - null when that can't be told ("Custom quote")
+ */
+function monthlyCost(tool) {
+    return getPricing(tool).free ? 0 : paidMonthly(tool);
+}
+
+function toUSD(amount, currency) {
+    return amount * (USD_RATE[currency] || 1);
+}
+
+/**
+ * Whether a tool can be used for at most `maxMonthly` (in `currency`) a month. Tools with a
+ * free tier always fit; paid-only tools with no readable price don't.
+ */
+function fitsBudget(tool, maxMonthly, currency = 'USD') {
+    if (maxMonthly === null || maxMonthly === undefined) return true;
+    const cost = monthlyCost(tool);
+    if (cost === null) return false;
+    return toUSD(cost, getPricing(tool).currency || 'USD') <= toUSD(maxMonthly, currency) + 0.005;
+}
+
+/**
+ * "$20/month", "€8.33/month", "$20 one-time"
+ */
+function formatPrice(amount, currency = 'USD', period = 'month') {
+    const value = Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+    const price = `${SYMBOLS[currency] || `${currency} `}${value}`;
+    return period === 'one_time' ? `${price} one-time` : `${price}/${period}`;
+}
+
+/**
+ * What a tool costs, for display next to it:
+ * { freeTier, monthly, currency, label } - `monthly` is the cheapest paid plan per month
+ */
+function costEstimate(tool) {
+    const pricing = getPricing(tool);
+    const monthly = paidMonthly(tool);
+    const oneTime = pricing.tiers.find(tier => tier.period === 'one_time');
+
+    let paid = null;
+    if (monthly !== null) {
+        // Yearly and weekly prices are converted, so only roughly monthly
+        const approximate = pricing.tiers.some(tier => tier.period === 'year' || tier.period === 'week');
+        paid = `${pricing.tiers.length > 1 ? 'from ' : ''}${approximate ? '~' : ''}${formatPrice(monthly, pricing.currency)}`;
+    } else if (oneTime) {
+        paid = formatPrice(oneTime.amount, pricing.currency, 'one_time');
+    }
+
+    let label;
+    if (pricing.free) label = paid ? `Free tier · paid ${paid}` : 'Free';
+    else label = paid ? paid.replace(/^from/, 'From') : (pricing.premium || 'Paid - price not listed');
+
+    return {
+        freeTier: pricing.free === true,
+        monthly,
+        currency: pricing.currency,
+        label
+    };
+}
+
+module.exports = {
+    CURRENCIES,
+    PERIODS,
+    parsePricingText,
+    structurePricing,
+    clearStructuredPricing,
+    getPricing,
+    paidMonthly,
+    monthlyCost,
+    toUSD,
+    fitsBudget,
+    formatPrice,
+    costEstimate
+};
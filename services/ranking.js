@@ -0,0 +1,393 @@
+/**
+ * DECY Ranking
+ * The one place tools are put in order. Each candidate gets a value from 0 to 1 per feature and
+ * is ranked by the weighted sum:
+ *
+ *   intent      - the matched intent pattern lists it as a priority pick (1) or it's in the
+ *                 pattern's category (0.5), times how confident the match was
+ *   text        - retrieval relevance to the query (BM25 + embeddings, best hit = 1)
+ *   ease        - beginner-friendliness (ease 1..5)
+ *   price       - how well its cheapest way in fits the budget (a free tier = 1)
+ *   popularity  - how well it does with users (feedback, for the matched intent and overall),
+ *                 from context.popularity when there is a source
+ *   freshness   - how recently it was added to the catalog (`addedAt`)
+ *   constraints - share of the query's requirements its entry confirms rather than just doesn't
+ *                 contradict (tools breaking them are filtered out before ranking)
+ *
+ * A feature that doesn't apply to the request (no intent matched, no query text, no
+ * constraints) is null and adds nothing. Every ranked tool comes with a breakdown:
+ *
+ *   ranking = { score, factors: [{ feature, value, weight, contribution }], reasons: [string] }
+ *
+ * The final three are then picked for variety (diversify): maximal marginal relevance trades
+ * each candidate's score against how much it resembles the tools already picked - same kind of
+ * description, same ease, same price - so three near-identical app builders don't fill the list.
+ * labelTradeOffs() marks which pick is the easiest, the cheapest and the most powerful.
+ *
+ * Weights are relative. Overrides, later wins:
+ *   RANKING_CONFIG=path/to/ranking.json   { "weights": { "ease": 0.2 }, "freshnessDays": 90,
+ *                                           "referenceMonthlyPrice": 30, "diversity": 0.7 }
+ *   RANKING_WEIGHTS=intent:0.5,text:0.3
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPricing, monthlyCost, paidMonthly, toUSD } = require('./pricing');
+const { tokenize } = require('./retrieval/bm25');
+const { ATTRIBUTES, hasConstraints } = require('./constraints');
+
+const DEFAULT_WEIGHTS = {
+    intent: 0.42,
+    text: 0.28,
+    ease: 0.12,
+    price: 0.08,
+    popularity: 0.05,
+    constraints: 0.03,
+    freshness: 0.02
+};
+const FEATURES = Object.keys(DEFAULT_WEIGHTS);
+
+const DEFAULTS = {
+    // A tool added this many days ago no longer counts as fresh
+    freshnessDays: 180,
+    // Monthly USD price that scores 0.5 for price fit when the request sets no budget
+    referenceMonthlyPrice: 20,
+    // MMR balance for the final picks: 1 = by score only, lower = more variety
+    diversity: 0.7
+};
+
+// Candidates considered for the diverse picks - further down the list isn't worth showing
+const DIVERSITY_POOL = 8;
+// Paid plans at or above this monthly USD price count as top of the range
+const PRICE_CEILING = 50;
+
+const TRADE_OFFS = {
+    easiest: 'Easiest to start with',
+    cheapest: 'Cheapest',
+    most_powerful: 'Most powerful'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Each feature: (tool, context, config) → 0..1, or null when it doesn't apply
+ */
+const FEATURE_VALUES = {
+    intent: (tool, { intent }) => {
+        if (!intent) return null;
+        const { pattern, confidence } = intent;
+        if (pattern.priority.includes(tool.id)) return confidence;
+        return categoriesOf(tool).includes(pattern.category) ? 0.5 * confidence : 0;
+    },
+
+    text: (tool, { textScores }) => (textScores ? textScores.get(tool.id) || 0 : null),
+
+    ease: (tool) => ((tool.ease || 3) - 1) / 4,
+
+    price: (tool, { budget, constraints }, config) => {
+        const pricing = getPricing(tool);
+        if (pricing.free) return 1;
+        if (budget === 'free') return 0;
+
+        const cost = monthlyCost(tool);
+        if (cost === null) return 0.25;
+        const reference = constraints && constraints.maxMonthlyPrice !== null
+            ? toUSD(constraints.maxMonthlyPrice, constraints.currency)
+            : config.referenceMonthlyPrice;
+        return Math.max(0, 1 - toUSD(cost, pricing.currency || 'USD') / (2 * reference));
+    },
+
+    popularity: (tool, { popularity, intent }) => (popularity ? popularity(tool, intent ? intent.pattern.id : null) : null),
+
+    freshness: (tool, { now }, config) => {
+        const added = Date.parse(tool.addedAt);
+        if (Number.isNaN(added)) return 0;
+        const ageDays = Math.max(0, (now - added) / DAY_MS);
+        return Math.max(0, 1 - ageDays / config.freshnessDays);
+    },
+
+    constraints: (tool, { constraints }) => {
+        if (!hasConstraints(constraints)) return null;
+        // Exclusions, price caps, platforms and languages are all-or-nothing and already met;
+        // requirements can pass on missing information ("no signup" when the entry doesn't say)
+        if (constraints.requires.length === 0) return 1;
+
+        const text = [tool.name, tool.bestFor, tool.whySuitsYou, tool.limits, tool.deploy?.note, tool.pricing?.premium]
+            .filter(Boolean).join(' ').toLowerCase();
+        const confirmed = constraints.requires.filter(attribute => ATTRIBUTES[attribute].check(tool, text) === true);
+        return confirmed.length / constraints.requires.length;
+    }
+};
+
+/**
+ * Short reason shown for a feature that helped a tool, or null when it's not worth saying
+ */
+const REASONS = {
+    intent: (value, { intent }) => {
+        if (value <= 0) return null;
+        return value >= intent.confidence ? 'Curated pick for this kind of request' : 'In the category you need';
+    },
+    text: (value) => (value >= 0.6 ? 'Closely matches what you described' : value >= 0.25 ? 'Matches what you described' : null),
+    ease: (value) => (value >= 0.75 ? 'Very easy to pick up' : value >= 0.5 ? 'Easy to pick up' : null),
+    price: (value, context, tool) => {
+        if (getPricing(tool).free) return 'Has a free tier';
+        return value >= 0.5 ? 'Fits your budget' : null;
+    },
+    popularity: (value) => (value >= 0.6 ? 'Popular with DECY users' : null),
+    freshness: (value) => (value >= 0.5 ? 'Recently added' : null),
+    constraints: (value, { constraints }) => (value === 1 && constraints.requires.length > 0 ? 'Confirmed to meet your requirements' : null)
+};
+
+// Keys of every category a tool is in - flattened tools carry them, plain catalog entries don't
+function categoriesOf(tool) {
+    return tool.categoryKeys || [tool.categoryKey, ...(tool.secondaryCategories || [])].filter(Boolean);
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * "intent:0.5,text:0.3" → { intent: 0.5, text: 0.3 }
+ */
+function parseWeights(raw, source) {
+    const weights = {};
+    for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+        const [feature, value] = entry.split(':').map(s => s.trim());
+        if (value === undefined) {
+            throw new Error(`${source}: "${entry}" must look like feature:weight`);
+        }
+        weights[feature] = Number(value);
+    }
+    return weights;
+}
+
+/**
+ * Check a finished config so typos fail at startup rather than silently ranking differently
+ */
+function validate(config) {
+    for (const [feature, weight] of Object.entries(config.weights)) {
+        if (!FEATURES.includes(feature)) {
+            throw new Error(`Ranking config: unknown feature "${feature}" (use ${FEATURES.join(', ')})`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Ranking config: weight for "${feature}" must be a number of at least 0`);
+        }
+    }
+    for (const field of Object.keys(DEFAULTS)) {
+        if (typeof config[field] !== 'number' || !(config[field] > 0)) {
+            throw new Error(`Ranking config: ${field} must be a positive number`);
+        }
+    }
+    if (config.diversity > 1) {
+        throw new Error('Ranking config: diversity must be at most 1');
+    }
+    return config;
+}
+
+/**
+ * Defaults merged with RANKING_CONFIG and RANKING_WEIGHTS - { weights, freshnessDays, referenceMonthlyPrice }
+ */
+function loadRankingConfig(env = process.env) {
+    const config = { weights: { ...DEFAULT_WEIGHTS }, ...DEFAULTS };
+
+    if (env.RANKING_CONFIG) {
+        const file = path.resolve(env.RANKING_CONFIG);
+        let custom;
+        try {
+            custom = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            throw new Error(`RANKING_CONFIG: can't read ${file} (${error.message})`);
+        }
+
+        Object.assign(config.weights, custom.weights || {});
+        for (const field of Object.keys(DEFAULTS)) {
+            if (custom[field] !== undefined) config[field] = custom[field];
+        }
+    }
+
+    if (env.RANKING_WEIGHTS) {
+        Object.assign(config.weights, parseWeights(env.RANKING_WEIGHTS, 'RANKING_WEIGHTS'));
+    }
+
+    return validate(config);
+}
+
+let sharedConfig = null;
+
+/**
+ * Process-wide ranking config, loaded on first use
+ */
+function getRankingConfig() {
+    if (!sharedConfig) {
+        sharedConfig = loadRankingConfig();
+    }
+    return sharedConfig;
+}
+
+/**
+ * Score one tool: its ranking breakdown (see the top of the file).
+ * context = { intent: { pattern, confidence }?, textScores: Map(id → 0..1)?, constraints?,
+ *             budget?, popularity: (tool, intentId) → 0..1 or null?, now? }
+ */
+function scoreTool(tool, context = {}, config = getRankingConfig()) {
+    const ctx = { now: Date.now(), ...context };
+    const factors = [];
+
+    for (const feature of FEATURES) {
+        const value = FEATURE_VALUES[feature](tool, ctx, config);
+        if (value === null || value === undefined) continue;
+        const weight = config.weights[feature];
+        factors.push({ feature, value: round(value), weight, contribution: round(weight * value) });
+    }
+
+    const reasons = [...factors]
+        .filter(factor => factor.contribution > 0)
+        .sort((a, b) => b.contribution - a.contribution)
+        .map(factor => REASONS[factor.feature](factor.value, ctx, tool))
+        .filter(Boolean)
+        .slice(0, 3);
+
+    return {
+        score: round(factors.reduce((sum, factor) => sum + factor.contribution, 0)),
+        factors,
+        reasons
+    };
+}
+
+/**
+ * Order tools best first: [{ tool, ranking }]. Ties keep the order the tools came in.
+ */
+function rankTools(tools, context = {}, config = getRankingConfig()) {
+    const now = Date.now();
+    return tools
+        .map((tool, index) => ({ tool, index, ranking: scoreTool(tool, { now, ...context }, config) }))
+        .sort((a, b) => b.ranking.score - a.ranking.score || a.index - b.index)
+        .map(({ tool, ranking }) => ({ tool, ranking }));
+}
+
+// ---------- Diversity ----------
+
+const profiles = new WeakMap();
+
+/**
+ * What a tool is like, for telling near-duplicates apart: description tokens plus ease,
+ * price level and power, each 0..1. Power is a rough pro-grade signal - harder to learn and
+ * pricier paid plans.
+ */
+function profile(tool) {
+    if (!profiles.has(tool)) {
+        const paid = paidMonthly(tool);
+        const ease = ((tool.ease || 3) - 1) / 4;
+        const price = paid === null ? 0 : Math.min(1, toUSD(paid, getPricing(tool).currency || 'USD') / PRICE_CEILING);
+        profiles.set(tool, {
+            tokens: new Set(tokenize([tool.bestFor, tool.whySuitsYou, tool.limits].filter(Boolean).join(' '))),
+            ease,
+            price,
+            power: ((1 - ease) + price) / 2,
+            cost: monthlyCost(tool)
+        });
+    }
+    return profiles.get(tool);
+}
+
+/**
+ * How alike two tools are, 0..1: half description overlap, half trade-off profile
+ */
+function similarity(a, b) {
+    const pa = profile(a);
+    const pb = profile(b);
+    const shared = [...pa.tokens].filter(token => pb.tokens.has(token)).length;
+    const union = pa.tokens.size + pb.tokens.size - shared;
+    const text = union > 0 ? shared / union : 0;
+    const gap = (Math.abs(pa.ease - pb.ease) + Math.abs(pa.price - pb.price) + Math.abs(pa.power - pb.power)) / 3;
+    return 0.5 * text + 0.5 * (1 - gap);
+}
+
+/**
+ * Reorder ranked items ([{ tool, ranking }]) so the first `k` are varied: the best match
+ * first, then by maximal marginal relevance among the top few. The rest keep their order.
+ */
+function diversify(ranked, k = 3, config = getRankingConfig()) {
+    if (ranked.length <= 2 || config.diversity >= 1) return ranked;
+
+    const pool = ranked.slice(0, DIVERSITY_POOL);
+    const best = pool[0].ranking.score || 1;
+    const picked = [pool.shift()];
+
+    while (picked.length < k && pool.length > 0) {
+        let choice = 0;
+        let choiceValue = -Infinity;
+        pool.forEach((item, index) => {
+            const redundancy = Math.max(...picked.map(other => similarity(item.tool, other.tool)));
+            const value = config.diversity * (item.ranking.score / best) - (1 - config.diversity) * redundancy;
+            if (value > choiceValue) {
+                choice = index;
+                choiceValue = value;
+            }
+        });
+        picked.push(pool.splice(choice, 1)[0]);
+    }
+
+    return [...picked, ...ranked.filter(item => !picked.includes(item))];
+}
+
+/**
+ * Mark the trade-off each pick stands for - `tradeOff: { role, label }` with role easiest,
+ * cheapest or most_powerful - on items ([{ tool, ... }]) whose order is kept. Each role goes to
+ * a different tool, choosing the assignment where the tools stand out most; a tool that doesn't
+ * beat another pick on any free role gets null, as do lone picks.
+ */
+function labelTradeOffs(items) {
+    if (items.length < 2) return items.map(item => ({ ...item, tradeOff: null }));
+
+    const measures = {
+        easiest: tool => profile(tool).ease,
+        // A free tier first, then the cheaper paid plan; null for unknown prices
+        cheapest: tool => (profile(tool).cost === null ? null : -(profile(tool).cost * 1000 + profile(tool).price)),
+        most_powerful: tool => profile(tool).power
+    };
+    // How far each pick stands out on each role, 0 (worst of the picks, or unknown) to 1 (best).
+    // A known value beats an unknown one, so it still stands out when it's the only one known.
+    const standout = items.map(item => Object.fromEntries(Object.entries(measures).map(([role, measure]) => {
+        const values = items.map(other => measure(other.tool));
+        const known = values.filter(value => value !== null);
+        const [low, high] = [Math.min(...known), Math.max(...known)];
+        const value = measure(item.tool);
+        if (value === null) return [role, 0];
+        if (high > low) return [role, (value - low) / (high - low)];
+        return [role, known.length < values.length ? 1 : 0];
+    })));
+
+    // Few picks and roles - try every assignment; ties keep the earlier one found
+    let best = { total: 0, roles: items.map(() => null) };
+    const assign = (index, roles, used, total) => {
+        if (index === items.length) {
+            if (total > best.total) best = { total, roles: [...roles] };
+            return;
+        }
+        for (const role of Object.keys(measures)) {
+            if (used.has(role) || standout[index][role] === 0) continue;
+            used.add(role);
+            assign(index + 1, [...roles, role], used, total + standout[index][role]);
+            used.delete(role);
+        }
+        assign(index + 1, [...roles, null], used, total);
+    };
+    assign(0, [], new Set(), 0);
+
+    return items.map((item, index) => {
+        const role = best.roles[index];
+        return { ...item, tradeOff: role ? { role, label: TRADE_OFFS[role] } : null };
+    });
+}
+
+module.exports = {
+    FEATURES,
+    DEFAULT_WEIGHTS,
+    TRADE_OFFS,
+    loadRankingConfig,
+    getRankingConfig,
+    scoreTool,
+    rankTools,
+    diversify,
+    labelTradeOffs
+};
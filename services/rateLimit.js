@@ -0,0 +1,193 @@
+/**
+ * DECY Rate Limiter
+ * Token-bucket throttling plus a daily LLM quota for the endpoints that call Groq / Gemini.
+ *
+ * Clients are identified by API key (X-API-Key) when they send a valid one, otherwise by IP,
+ * and each kind has its own limits. Over the rate limit → 429 with Retry-After.
+ * Over the daily quota → the request still succeeds, but req.llmAllowed is false
+ * so the route answers from the keyword-matching fallbacks instead of a paid model.
+ * Only requests a model actually answers count towards the quota: the route calls
+ * req.countLLMCall() when it reaches a provider (cache hits and fallbacks are free).
+ *
+ * State is in memory, so every server process keeps its own counters.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a non-negative number from the environment (0 turns that limit off)
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+        ? value
+        : fallback;
+}
+
+class RateLimiter {
+    /**
+     * @param {object} auth - AuthService, used to recognise API keys
+     * @param {object} [limits] - { ip: { perMinute, burst, dailyQuota }, apiKey: { ... } }
+     */
+    constructor(auth, limits = {}) {
+        this.auth = auth;
+        this.limits = {
+            ip: {
+                perMinute: envNumber('RATE_LIMIT_IP_PER_MINUTE', 20),
+                burst: envNumber('RATE_LIMIT_IP_BURST', 10),
+                dailyQuota: envNumber('LLM_DAILY_QUOTA_IP', 200),
+                ...limits.ip
+            },
+            apiKey: {
+                perMinute: envNumber('RATE_LIMIT_KEY_PER_MINUTE', 120),
+                burst: envNumber('RATE_LIMIT_KEY_BURST', 30),
+                dailyQuota: envNumber('LLM_DAILY_QUOTA_KEY', 2000),
+                ...limits.apiKey
+            }
+        };
+
+        this.buckets = new Map(); // client → { tokens, updatedAt }
+        this.quotas = new Map();  // client → { day, used }
+
+        // Drop idle clients so the maps don't grow forever
+        this.sweeper = setInterval(() => this.sweep(), 10 * 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Express middleware for LLM-backed routes: throttles, sets RateLimit-* headers,
+     * sets req.llmAllowed from the daily quota and req.countLLMCall() to use it
+     */
+    middleware() {
+        return (req, res, next) => {
+            const { client, kind } = this.identify(req);
+            const limits = this.limits[kind];
+
+            if (limits.perMinute > 0) {
+                const bucket = this.take(client, limits);
+                const burst = Math.max(1, limits.burst);
+                res.set({
+                    'RateLimit-Policy': `${burst};w=${Math.ceil(60 * burst / limits.perMinute)}`,
+                    'RateLimit-Limit': String(burst),
+                    'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+                    'RateLimit-Reset': String(bucket.resetSeconds)
+                });
+
+                if (!bucket.allowed) {
+                    res.set('Retry-After', String(bucket.retryAfter));
+                    return res.status(429).json({
+                        success: false,
+                        error: `Too many requests - try again in ${bucket.retryAfter}s`
+                    });
+                }
+            }
+
+            req.llmAllowed = true;
+            req.countLLMCall = () => {};
+            if (limits.dailyQuota > 0) {
+                const quota = this.checkQuota(client, limits.dailyQuota);
+                req.llmAllowed = quota.allowed;
+                res.set({
+                    'X-LLM-Quota-Limit': String(limits.dailyQuota),
+                    'X-LLM-Quota-Remaining': String(quota.remaining)
+                });
+
+                // Once per request, however many model calls it makes
+                let counted = false;
+                req.countLLMCall = () => {
+                    if (counted) return;
+                    counted = true;
+                    const { remaining } = this.useQuota(client, limits.dailyQuota);
+                    if (!res.headersSent) res.set('X-LLM-Quota-Remaining', String(remaining));
+                };
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * Client key: hashed API key when valid, otherwise the IP
+     */
+    identify(req) {
+        const apiKey = req.get('x-api-key');
+        if (apiKey && this.auth.findApiKey(apiKey)) {
+            const digest = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+            return { client: `key:${digest}`, kind: 'apiKey' };
+        }
+        return { client: `ip:${req.ip}`, kind: 'ip' };
+    }
+
+    /**
+     * Refill the client's bucket for the time elapsed, then try to take one token
+     */
+    take(client, { perMinute, burst }) {
+        burst = Math.max(1, burst);
+        const now = Date.now();
+        const ratePerMs = perMinute / 60000;
+        const bucket = this.buckets.get(client) || { tokens: burst, updatedAt: now };
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        this.buckets.set(client, bucket);
+
+        return {
+            allowed,
+            tokens: bucket.tokens,
+            retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)),
+            resetSeconds: Math.ceil((burst - bucket.tokens) / ratePerMs / 1000)
+        };
+    }
+
+    /**
+     * Whether the client has LLM calls left today (UTC) - { allowed, remaining }
+     */
+    checkQuota(client, dailyQuota) {
+        const quota = this.todaysQuota(client);
+        if (quota.used >= dailyQuota) {
+            if (!quota.exhausted) {
+                quota.exhausted = true;
+                console.log(`[LIMIT] Daily LLM quota used up for ${client} - serving fallbacks until midnight UTC`);
+            }
+            return { allowed: false, remaining: 0 };
+        }
+        return { allowed: true, remaining: dailyQuota - quota.used };
+    }
+
+    /**
+     * Count one request a model answered against today's quota - { remaining }
+     */
+    useQuota(client, dailyQuota) {
+        const quota = this.todaysQuota(client);
+        quota.used++;
+        return { remaining: Math.max(0, dailyQuota - quota.used) };
+    }
+
+    todaysQuota(client) {
+        const day = Math.floor(Date.now() / DAY_MS);
+        let quota = this.quotas.get(client);
+        if (!quota || quota.day !== day) {
+            quota = { day, used: 0 };
+            this.quotas.set(client, quota);
+        }
+        return quota;
+    }
+
+    sweep() {
+        const now = Date.now();
+        const today = Math.floor(now / DAY_MS);
+        for (const [client, bucket] of this.buckets) {
+            if (now - bucket.updatedAt > 60 * 60 * 1000) this.buckets.delete(client);
+        }
+        for (const [client, quota] of this.quotas) {
+            if (quota.day !== today) this.quotas.delete(client);
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -1,47 +1,72 @@
 /**
  * DECY Recommendation Engine
- * Smart AI tool matching with Groq (Llama 3) + Gemini fallback
+ * Smart AI tool matching - model calls go through the LLM router (Groq, Gemini,
+ * OpenAI-compatible or local models, per task), with keyword matching as the last resort
  */
 
-const Groq = require('groq-sdk');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
 const DecyIntelligence = require('./intelligence');
+const JsonFieldStreamer = require('./jsonFieldStream');
+const { ChatActionValidator } = require('./chatActions');
+const ToolGrounder = require('./grounding');
+const { ResponseCache } = require('./responseCache');
+const { getRepository, isSecondaryListing } = require('./repository');
+const { getIntentMap } = require('./intentMap');
+const { withBudget, withFilters, hasConstraints, applyConstraints, explainNoResults } = require('./constraints');
+const { fitsBudget, costEstimate } = require('./pricing');
+const { scoreTool, rankTools, diversify, labelTradeOffs } = require('./ranking');
+const { getLLMRouter } = require('./llm');
+const { getEmbeddingClient } = require('./retrieval/embeddings');
 
 class RecommendationEngine {
-    constructor(geminiKey) {
-        // Primary: Groq (fast & reliable)
-        this.groqKey = process.env.GROQ_API_KEY;
-        this.groq = this.groqKey ? new Groq({ apiKey: this.groqKey }) : null;
-
-        // Backup: Gemini
-        this.geminiKey = geminiKey;
-        this.genAI = geminiKey ? new GoogleGenerativeAI(geminiKey) : null;
+    constructor(llm = getLLMRouter(), repository = getRepository(), intents = getIntentMap()) {
+        // Model calls for chat / recommend / prompt, each with its own fallback chain
+        this.llm = llm;
 
         // Load tools (dynamic - reloads when new tools are added by scraper)
-        this.toolsPath = path.join(__dirname, '..', 'data', 'tools.json');
+        this.repository = repository;
+        this.intents = intents;
         this.tools = this.loadTools();
-        this.intelligence = new DecyIntelligence(this.tools);
+        this.embedder = getEmbeddingClient(); // null = BM25-only retrieval
+        this.intelligence = this.buildIntelligence();
+        this.grounder = new ToolGrounder(this.intelligence);
+
+        // Any catalog change (scraper, CRUD API, hand edits) rebuilds tools + intelligence index
+        this.repository.on('change', () => this.refreshTools());
+
+        // Intent map edits (admin API or hand edits) rebuild it too, and cached replies may be stale
+        this.intents.on('change', () => {
+            this.refreshTools();
+            if (this.cache) {
+                this.cache.purge().catch(error => console.error('[CACHE] Purge after intent change failed:', error.message));
+            }
+        });
 
         // Scraper for auto-discovery
         this.scraper = null; // lazy-loaded to avoid circular dependency
 
-        if (this.groq) {
-            console.log('[DECY] ⚡ Using Groq (Llama 3) - Fast & Reliable');
-        } else if (this.genAI) {
-            console.log('[DECY] Using Gemini (backup mode)');
+        // Server-side chat sessions (history by session id)
+        this.sessions = null;
+
+        // Recommendation feedback - its popularity signal feeds ranking (null = none)
+        this.feedback = null;
+
+        // Response cache for LLM results (null = no caching)
+        this.cache = null;
+
+        // Schema checks (and repair) for the chat model's structured replies
+        this.actions = new ChatActionValidator();
+
+        if (!this.llm.isAvailable('chat')) {
+            console.log('[DECY] ⚠️  No LLM provider configured for chat - using keyword matching');
         }
     }
 
     /**
-     * Load tools from disk (called after scraper adds new tools)
+     * Load tools from the repository (called after scraper adds new tools)
      */
     loadTools() {
         try {
-            // Clear require cache to get fresh data
-            delete require.cache[require.resolve('../data/tools.json')];
-            return require('../data/tools.json');
+            return this.repository.getCatalog();
         } catch (e) {
             console.error('[DECY] Failed to load tools:', e.message);
             return { categories: {} };
@@ -49,11 +74,25 @@ class RecommendationEngine {
     }
 
     /**
-     * Refresh tools data (call after scraper adds new tools)
+     * Refresh tools data and rebuild the intelligence index and grounder (runs on every repository change)
      */
     refreshTools() {
         this.tools = this.loadTools();
-        console.log(`[DECY] Tools refreshed: ${this.tools.metadata?.totalTools || 0} tools`);
+        this.intelligence = this.buildIntelligence();
+        this.grounder = new ToolGrounder(this.intelligence);
+        console.log(`[DECY] Tools refreshed: ${this.intelligence.allToolsFlat.length} tools`);
+    }
+
+    /**
+     * Intelligence index over the current catalog and intent map
+     */
+    buildIntelligence(intents = this.intents.getPatterns()) {
+        return new DecyIntelligence(this.tools, {
+            embedder: this.embedder,
+            intents,
+            // Looked up on each use, so feedback counts as soon as it's recorded
+            popularity: (tool, intentId) => (this.feedback ? this.feedback.popularity(tool.id, intentId) : null)
+        });
     }
 
     /**
@@ -63,77 +102,248 @@ class RecommendationEngine {
         this.scraper = scraperInstance;
     }
 
+    /**
+     * Set session service so chats can load and save history by session id
+     */
+    setSessions(sessionService) {
+        this.sessions = sessionService;
+    }
+
+    /**
+     * Set the feedback service whose popularity signal ranking uses
+     */
+    setFeedback(feedbackService) {
+        this.feedback = feedbackService;
+    }
+
+    /**
+     * The intent pattern and category a query is filed under for feedback:
+     * { intent: pattern id | null, category: category key | null }. A given categoryKey wins.
+     */
+    classifyQuery(query, categoryKey = null) {
+        const [best] = this.intelligence.scorePatterns(query.toLowerCase().trim())
+            .filter(({ pattern }) => !categoryKey || pattern.category === categoryKey);
+        return {
+            intent: best ? best.pattern.id : null,
+            category: categoryKey || (best ? best.pattern.category : null)
+        };
+    }
+
+    /**
+     * Set the response cache used for LLM results
+     */
+    setCache(responseCache) {
+        this.cache = responseCache;
+    }
+
+    /**
+     * Cached LLM result, or null (always null when caching is off)
+     */
+    async fromCache(namespace, parts) {
+        return this.cache ? this.cache.get(namespace, parts) : null;
+    }
+
+    async toCache(namespace, parts, value) {
+        if (this.cache) await this.cache.set(namespace, parts, value);
+    }
+
+    /**
+     * Cache key parts for a chat reply: the question, what the intelligence layer made of it,
+     * and the recent turns the model also sees
+     */
+    chatCacheKey(message, history, analysis) {
+        return {
+            query: ResponseCache.normalize(message),
+            intent: {
+                category: analysis.category,
+                guidance: analysis.isGuidance ? analysis.tool.id : null,
+                tools: analysis.tools.map(t => t.id)
+            },
+            history: history.slice(-8).map(m => [m.role, ResponseCache.normalize(m.content)])
+        };
+    }
+
 
     /**
      * Main recommendation function - uses AI-detected category when available
+     * options.useLLM = false skips the LLM (client's daily LLM quota is used up);
+     * options.onLLMCall() is called if a model answers (so only those count towards the quota)
+     * options.maxMonthlyBudget (+ currency, default USD) caps the monthly price of the tools.
+     * options.filters narrows them by attribute ({ platforms, languages, openSource, hasApi, ... }).
+     * Hard constraints in the query ("not Canva", "under $10/month") apply on every path.
      */
-    async getRecommendations(userQuery, budgetType = 'free', category = null) {
-        console.log(`[DECY] Processing: "${userQuery}" | Budget: ${budgetType} | Category: ${category || 'auto-detect'}`);
+    async getRecommendations(userQuery, budgetType = 'free', category = null, options = {}) {
+        const { useLLM = true, onLLMCall = () => {}, maxMonthlyBudget = null, currency = 'USD', filters = null } = options;
+        const constraints = this.queryConstraints(userQuery, { maxMonthlyBudget, currency, filters });
+        const constraintLog = constraints ? ` | Constraints: ${this.intelligence.describeConstraints(constraints).join(', ')}` : '';
+        console.log(`[DECY] Processing: "${userQuery}" | Budget: ${budgetType} | Category: ${category || 'auto-detect'}${constraintLog}`);
 
         // If AI provided a specific category, use it directly
         if (category && this.tools.categories[category]) {
             console.log(`[DECY] Using AI-detected category: ${category}`);
-            return this.getToolsFromCategory(category, budgetType, userQuery);
+            return this.getToolsFromCategory(category, budgetType, userQuery, constraints);
         }
 
         try {
-            // Try Gemini first for smart matching
-            if (this.genAI && this.geminiKey !== 'your_gemini_api_key_here') {
-                const result = await this.getGeminiRecommendation(userQuery, budgetType);
+            // Try the LLM first for smart matching
+            if (useLLM && this.llm.isAvailable('recommend')) {
+                const cacheKey = { query: ResponseCache.normalize(userQuery), budget: budgetType };
+                if (maxMonthlyBudget !== null) Object.assign(cacheKey, { maxMonthlyBudget, currency });
+                if (filters) cacheKey.filters = filters;
+                const cached = await this.fromCache('recommend', cacheKey);
+                if (cached) return cached;
+
+                let result = await this.getLLMRecommendation(userQuery, budgetType, constraints, onLLMCall);
                 if (result && result.tools && result.tools.length > 0) {
-                    console.log('[DECY] Gemini response successful');
+                    console.log('[DECY] LLM recommendation successful');
+                    const grouped = this.groupedTools(userQuery, budgetType, constraints, result.tools.map(tool => tool.id));
+                    if (grouped) result = { ...result, ...grouped };
+                    await this.toCache('recommend', cacheKey, result);
                     return result;
                 }
             }
         } catch (error) {
-            console.log('[DECY] Gemini failed, using fallback:', error.message);
+            console.log('[DECY] LLM recommendation failed, using fallback:', error.message);
         }
 
         // Fallback to smart keyword matching
         console.log('[DECY] Using fallback recommendation engine');
-        return this.getFallbackRecommendation(userQuery, budgetType);
+        return this.getFallbackRecommendation(userQuery, budgetType, constraints);
     }
 
     /**
-     * Get tools directly from a specific category (when AI already detected it)
+     * Tools for each need of a compound query ("a logo and a promo video"): { tools, groups } with
+     * one group per need, or null for a single request. `ids` (already chosen tools) are sorted into
+     * the needs first; needs they leave empty get their own top picks.
      */
-    getToolsFromCategory(categoryKey, budgetType, userQuery) {
-        const category = this.tools.categories[categoryKey];
-        if (!category) {
-            return this.getFallbackRecommendation(userQuery, budgetType);
-        }
+    groupedTools(userQuery, budgetType, constraints = null, ids = []) {
+        const analysis = this.intelligence.analyzeIntent(userQuery, { constraints });
+        if (!analysis.multiIntent) return null;
+        const groups = this.groupByNeed(ids, analysis.groups, budgetType);
+        if (groups.length < 2) return null;
+
+        const context = this.intelligence.rankingContext((constraints && constraints.query) || userQuery, { constraints, budget: budgetType });
+        const seen = new Set();
+        const tools = groups.flatMap(group => this.withTradeOffs(group.toolIds
+            .filter(id => !seen.has(id) && seen.add(id))
+            .map(id => this.findToolById(id))
+            .filter(Boolean)
+            .map(tool => ({ ...tool, ranking: this.rankingFor(tool, context) }))));
+        return { tools, groups };
+    }
 
-        let matchedTools = category.tools.filter(tool => {
-            if (budgetType === 'free') {
-                return tool.pricing.free === true;
-            }
-            return true;
-        });
+    /**
+     * Catalog category name for a need's group. Intent categories ("music_generation") aren't
+     * always catalog keys, so the group's top tool's category stands in; null when neither is known.
+     */
+    needCategoryName(group) {
+        const category = this.tools.categories[group.category];
+        if (category) return category.name;
+        const top = group.toolIds.length > 0 ? this.findToolById(group.toolIds[0]) : null;
+        return top ? top.category : null;
+    }
 
-        // Sort by ease of use
-        matchedTools.sort((a, b) => (b.ease || 3) - (a.ease || 3));
+    /**
+     * Hard constraints in a query plus any numeric budget and attribute filters, or null when
+     * there are none
+     */
+    queryConstraints(query, { maxMonthlyBudget = null, currency = 'USD', filters = null } = {}) {
+        const parsed = this.intelligence.parseConstraints(query || '');
+        const constraints = withFilters(withBudget(parsed, maxMonthlyBudget, currency), filters);
+        return hasConstraints(constraints) ? constraints : null;
+    }
 
-        const recommendations = matchedTools.slice(0, 3).map(tool => ({
-            ...tool,
+    /**
+     * A tool as sent to users: with its estimated monthly cost
+     */
+    withCost(tool) {
+        return { ...tool, cost: costEstimate(tool) };
+    }
+
+    /**
+     * Ranking breakdown for a tool kept in a fixed order (picked by the LLM or by hand),
+     * scored as the ranking module would
+     */
+    rankingFor(tool, context) {
+        const flat = this.intelligence.allToolsFlat.find(t => t.id === tool.id);
+        return scoreTool(flat || tool, context);
+    }
+
+    /**
+     * Tools (in a fixed order) with the trade-off each stands for - see labelTradeOffs
+     */
+    withTradeOffs(tools) {
+        return labelTradeOffs(tools.map(tool => ({ tool }))).map(({ tool, tradeOff }) => ({ ...tool, tradeOff }));
+    }
+
+    /**
+     * A category's tools within the budget and constraints, ranked for the query:
+     * { tools: top three (picked for variety, trade-offs labelled) ready to send, kept, ruledOut }
+     */
+    rankCategory(categoryKey, budgetType, query, constraints = null) {
+        const category = this.tools.categories[categoryKey];
+        const listed = new Map(category.tools.map(tool => [tool.id, tool]));
+        const budgetTools = this.intelligence.allToolsFlat
+            .filter(tool => listed.has(tool.id) && (budgetType !== 'free' || tool.pricing.free === true));
+        const { tools: kept, ruledOut } = applyConstraints(budgetTools, constraints);
+
+        const context = this.intelligence.rankingContext(query, { categoryKey, constraints, budget: budgetType });
+        const picks = labelTradeOffs(diversify(rankTools(kept, context)).slice(0, 3));
+        const tools = picks.map(({ tool, ranking, tradeOff }) => ({
+            ...this.withCost(listed.get(tool.id)),
+            ranking,
+            tradeOff,
             category: category.name,
             categoryIcon: category.icon
         }));
+        return { tools, kept, ruledOut };
+    }
+
+    /**
+     * Constraint fields for a recommendation response: the constraints as labels and, when
+     * they left no tools, reasoning that says why
+     */
+    constraintFields(constraints, kept, ruledOut) {
+        if (!constraints) return {};
+        const fields = { constraints: this.intelligence.describeConstraints(constraints) };
+        if (kept.length === 0) fields.reasoning = explainNoResults(ruledOut, constraints);
+        return fields;
+    }
+
+    /**
+     * Get tools directly from a specific category (when AI already detected it)
+     */
+    getToolsFromCategory(categoryKey, budgetType, userQuery, constraints = null) {
+        const category = this.tools.categories[categoryKey];
+        if (!category) {
+            return this.getFallbackRecommendation(userQuery, budgetType, constraints);
+        }
+
+        const query = (constraints && constraints.query) || userQuery.toLowerCase();
+        const { tools, kept, ruledOut } = this.rankCategory(categoryKey, budgetType, query, constraints);
 
         return {
             success: true,
             source: 'ai_category',
             category: category.name,
             reasoning: `Here are the best ${budgetType} tools for ${this.extractKeyIntent(userQuery.toLowerCase())}:`,
-            tools: recommendations
+            ...this.constraintFields(constraints, kept, ruledOut),
+            tools
         };
     }
 
     /**
      * Get specific tools by their IDs (when AI recommends specific tools)
      * This is the TRUE ChatGPT-like approach - AI picks the tools, we just look them up
+     * options.maxMonthlyBudget (+ currency) skips tools that cost more per month
+     * options.query - the request they answer, so each tool's ranking explains its fit (the order is kept)
      */
-    getToolsByIds(toolIds, budgetType = 'free') {
+    getToolsByIds(toolIds, budgetType = 'free', { maxMonthlyBudget = null, currency = 'USD', query = '' } = {}) {
         const tools = [];
+        const context = this.intelligence.rankingContext(query, {
+            constraints: this.queryConstraints(query, { maxMonthlyBudget, currency }),
+            budget: budgetType
+        });
 
         for (const toolId of toolIds) {
             const tool = this.findToolById(toolId);
@@ -142,23 +352,26 @@ class RecommendationEngine {
                 if (budgetType === 'free' && !tool.pricing.free) {
                     continue; // Skip non-free tools if user wants free
                 }
-                tools.push(tool);
+                if (!fitsBudget(tool, maxMonthlyBudget, currency)) continue;
+                tools.push({ ...tool, ranking: this.rankingFor(tool, context) });
             }
         }
 
         console.log(`[DECY] Found ${tools.length} tools from AI's recommendations`);
-        return tools;
+        return this.withTradeOffs(tools);
     }
 
     /**
      * Generate an optimized prompt for a specific AI tool
      * This is DECY's unique feature - we don't just recommend tools, we help you USE them!
+     * options.useLLM and options.onLLMCall work as in getRecommendations.
      */
-    async generatePromptForTool(toolId, toolName, userDescription) {
+    async generatePromptForTool(toolId, toolName, userDescription, options = {}) {
+        const { useLLM = true, onLLMCall = () => {} } = options;
         console.log(`[DECY] Generating prompt for ${toolName}: "${userDescription}"`);
 
-        if (!this.groq) {
-            // Fallback if Groq is not available
+        if (!this.llm.isAvailable('prompt') || !useLLM) {
+            // Fallback if no model is available (or the client's LLM quota is used up)
             return this.generateBasicPrompt(toolName, userDescription);
         }
 
@@ -192,6 +405,10 @@ class RecommendationEngine {
 
         const toolContext = toolContexts[toolId] || `${toolName} is an AI tool. Be specific about what you want to create.`;
 
+        const cacheKey = { toolId: toolId || null, toolName, description: ResponseCache.normalize(userDescription) };
+        const cached = await this.fromCache('prompt', cacheKey);
+        if (cached) return cached;
+
         const messages = [
             {
                 role: 'system',
@@ -218,15 +435,11 @@ OUTPUT RULES:
         ];
 
         try {
-            const completion = await this.groq.chat.completions.create({
-                messages: messages,
-                model: 'llama-3.3-70b-versatile',
-                temperature: 0.7,
-                max_tokens: 600
-            });
+            const { text } = await this.llm.complete('prompt', { messages, onProvider: onLLMCall });
 
-            const prompt = completion.choices[0]?.message?.content?.trim() || '';
+            const prompt = text.trim();
             console.log(`[DECY] Generated prompt (${prompt.length} chars)`);
+            if (prompt) await this.toCache('prompt', cacheKey, prompt);
             return prompt;
         } catch (error) {
             console.error('[DECY] Prompt generation failed:', error.message);
@@ -235,7 +448,7 @@ OUTPUT RULES:
     }
 
     /**
-     * Basic prompt generation fallback (when Groq is unavailable)
+     * Basic prompt generation fallback (when no model is available)
      */
     generateBasicPrompt(toolName, userDescription) {
         return `Create ${userDescription}
@@ -252,46 +465,165 @@ Please make it polished and ready to use.`;
 
     /**
      * Handle chat messages - use AI to respond naturally to ANY input
+     * options.sessionId: history comes from the stored session and the exchange is saved to it
+     * options.useLLM = false: answer with keyword matching only (client's daily LLM quota is used up)
+     * options.onLLMCall(): called if a model answers (so only those count towards the quota)
      */
-    async handleChat(message, history = []) {
+    async handleChat(message, history = [], options = {}) {
+        const { sessionId = null, useLLM = true, onLLMCall = () => {} } = options;
+        if (sessionId) {
+            const result = await this.handleChat(message, this.sessions.getHistory(sessionId), { useLLM, onLLMCall });
+            await this.sessions.recordExchange(sessionId, message, result);
+            return result;
+        }
+
         console.log(`[DECY] Chat: "${message}" (history: ${history.length} messages)`);
 
-        // Try Groq first (fast & reliable)
-        if (this.groq) {
+        if (!useLLM) {
+            return this.getSmartFallback(message, history);
+        }
+
+        // The chat chain (Groq, then Gemini by default)
+        if (this.llm.isAvailable('chat')) {
             try {
-                const response = await this.getGroqResponse(message, history);
-                return response;
+                return await this.getLLMResponse(message, history, onLLMCall);
             } catch (error) {
-                console.log('[DECY] Groq failed:', error.message);
+                console.log('[DECY] LLM chat failed:', error.message);
             }
         }
 
-        // Try Gemini as backup
-        if (this.genAI && this.geminiKey !== 'your_gemini_api_key_here') {
+        // Fallback to keyword matching
+        return this.getSmartFallback(message, history);
+    }
+
+    /**
+     * Streaming variant of handleChat - calls emit(event, data) as the reply arrives:
+     *   token                                   { text }  next piece of the message text
+     *   show_tools | show_tool_groups |
+     *   show_workflow | show_guide              { ... }   structured payload, once the reply is complete
+     *   followUps                               { followUps }
+     *   done                                    { type, response }  final message text (authoritative)
+     * Cached replies and the keyword fallback arrive as a single token.
+     * options work as in handleChat.
+     */
+    async streamChat(message, history = [], emit, options = {}) {
+        const { sessionId = null, useLLM = true, onLLMCall = () => {} } = options;
+        if (sessionId) {
+            const result = await this.streamChat(message, this.sessions.getHistory(sessionId), emit, { useLLM, onLLMCall });
+            await this.sessions.recordExchange(sessionId, message, result);
+            return result;
+        }
+
+        console.log(`[DECY] Chat (stream): "${message}" (history: ${history.length} messages)`);
+
+        if (!useLLM) {
+            const result = this.getSmartFallback(message, history);
+            this.emitChatResult(result, emit, true);
+            return result;
+        }
+
+        if (this.llm.isAvailable('chat')) {
+            let streamedText = false;
             try {
-                const response = await this.getSmartResponse(message, history);
-                return response;
+                const { analysis, messages } = await this.buildChatMessages(message, history);
+
+                // A cached reply arrives whole, like the fallbacks
+                const cacheKey = this.chatCacheKey(message, history, analysis);
+                const cached = await this.fromCache('chat', cacheKey);
+                if (cached) {
+                    this.emitChatResult(cached, emit, true);
+                    return cached;
+                }
+
+                // JSON modes generally can't stream, so the prompt alone asks for JSON
+                const streamer = new JsonFieldStreamer('message');
+                for await (const chunk of this.llm.stream('chat', { messages, onProvider: onLLMCall })) {
+                    const text = streamer.push(chunk);
+                    if (text) {
+                        streamedText = true;
+                        emit('token', { text });
+                    }
+                }
+
+                const { result, valid } = await this.resolveChatOutput(streamer.raw, messages, analysis, message, history);
+                if (valid) await this.toCache('chat', cacheKey, result);
+                this.emitChatResult(result, emit, !streamedText);
+                return result;
             } catch (error) {
-                console.log('[DECY] Gemini failed:', error.message);
+                console.log('[DECY] LLM chat stream failed:', error.message);
+                // Text already on screen - can't silently switch to another answer
+                if (streamedText) throw error;
             }
         }
 
-        // Fallback to keyword matching
-        return this.getSmartFallback(message, history);
+        const result = this.getSmartFallback(message, history);
+        this.emitChatResult(result, emit, true);
+        return result;
+    }
+
+    /**
+     * Send a finished chat result as typed stream events
+     */
+    emitChatResult(result, emit, includeText) {
+        if (includeText) {
+            emit('token', { text: result.response });
+        }
+
+        if (result.type === 'show_tools') {
+            emit('show_tools', { budget: result.budget, toolIds: result.toolIds, readyPrompt: result.readyPrompt, corrections: result.corrections });
+        } else if (result.type === 'show_tool_groups') {
+            emit('show_tool_groups', { budget: result.budget, groups: result.groups, corrections: result.corrections });
+        } else if (result.type === 'show_workflow') {
+            emit('show_workflow', { steps: result.steps, corrections: result.corrections });
+        } else if (result.type === 'show_guide') {
+            emit('show_guide', { toolName: result.toolName, toolUrl: result.toolUrl, steps: result.steps, proTips: result.proTips });
+        }
+
+        if (result.followUps && result.followUps.length > 0) {
+            emit('followUps', { followUps: result.followUps });
+        }
+
+        emit('done', { type: result.type, response: result.response });
     }
 
     /**
-     * Get response using Groq (Llama 3) - AI-FIRST APPROACH
+     * Get response from the chat chain - AI-FIRST APPROACH
      * The AI understands the conversation and returns structured JSON
      */
-    async getGroqResponse(message, history = []) {
+    async getLLMResponse(message, history = [], onLLMCall = () => {}) {
+        const { analysis, messages } = await this.buildChatMessages(message, history);
+
+        const cacheKey = this.chatCacheKey(message, history, analysis);
+        const cached = await this.fromCache('chat', cacheKey);
+        if (cached) return cached;
+
+        const { text, provider } = await this.llm.complete('chat', { messages, json: true, onProvider: onLLMCall });
+        console.log(`[DECY] ${provider} raw response:`, text.substring(0, 150) + '...');
+
+        const { result, valid } = await this.resolveChatOutput(text, messages, analysis, message, history);
+        if (valid) await this.toCache('chat', cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Analyze the message and build the chat prompt (shared by the normal and streaming paths)
+     * Returns: { analysis, messages }
+     */
+    async buildChatMessages(message, history = []) {
         // STEP 1: Use intelligence layer to understand intent and find relevant tools
-        const analysis = this.intelligence.analyzeIntent(message);
-        const toolContext = analysis.matched
-            ? this.intelligence.buildToolContext(analysis.tools)
-            : 'No specific tools matched. Help the user clarify what they need.';
+        const queryVector = await this.intelligence.embedQuery(message);
+        const analysis = this.intelligence.analyzeIntent(message, { queryVector });
+        let toolContext = 'No specific tools matched. Help the user clarify what they need.';
+        if (analysis.multiIntent) {
+            toolContext = this.intelligence.buildGroupedToolContext(analysis.groups);
+        } else if (analysis.matched) {
+            toolContext = this.intelligence.buildToolContext(analysis.tools);
+        }
 
-        console.log(`[DECY] Intent analysis: category=${analysis.category}, confidence=${analysis.confidence.toFixed(2)}, tools=${analysis.tools.length}${analysis.isGuidance ? ', GUIDANCE MODE' : ''}`);
+        const needs = analysis.multiIntent ? `, needs=${analysis.groups.map(g => g.intentId).join('+')}` : '';
+        const constraintLabels = analysis.constraints ? this.intelligence.describeConstraints(analysis.constraints) : [];
+        const constraintLog = constraintLabels.length > 0 ? `, constraints=[${constraintLabels.join(', ')}]` : '';
+        console.log(`[DECY] Intent analysis: category=${analysis.category}, confidence=${analysis.confidence.toFixed(2)}, tools=${analysis.tools.length}${needs}${constraintLog}${analysis.isGuidance ? `, GUIDANCE MODE (${analysis.match.method} "${analysis.match.text}")` : ''}`);
 
         // STEP 2: Build LLM prompt — different for guidance vs recommendation
         let systemPrompt;
@@ -332,13 +664,36 @@ RESPONSE FORMAT (JSON only):
 Give 4-6 actionable steps and 2-3 pro tips. Be specific to ${tool.name}, not generic.
 CRITICAL: Return ONLY valid JSON.`;
         } else {
-            // NORMAL TOOL RECOMMENDATION
+            // NORMAL TOOL RECOMMENDATION (compound requests also get FORMAT D)
+            const groupFormat = analysis.multiIntent ? `
+
+FORMAT D - User has SEVERAL SEPARATE needs (found above as NEED 1, NEED 2...):
+{
+  "action": "show_tool_groups",
+  "message": "Brief friendly response covering each need.",
+  "budget": "free",
+  "groups": [
+    {"need": "Short label for need 1", "tools": ["tool_id_1", "tool_id_2"]},
+    {"need": "Short label for need 2", "tools": ["tool_id_3", "tool_id_4"]}
+  ]
+}` : '';
+            let constraintBlock = '';
+            if (constraintLabels.length > 0) {
+                constraintBlock = `\n\nUSER CONSTRAINTS (hard - every tool above meets them; never recommend one that doesn't): ${constraintLabels.join('; ')}`;
+                if (analysis.constraintNote) {
+                    constraintBlock += `\nNO TOOL MEETS THEM: ${analysis.constraintNote} Answer with action "chat": say so plainly and suggest which constraint to relax.`;
+                }
+            }
+            const toolsRule = analysis.multiIntent
+                ? `- The user has ${analysis.groups.length} separate needs → action MUST be "show_tool_groups" with one group per need, using the best 2-3 IDs from that need's list (or "show_workflow" if the needs are steps of one project)`
+                : '- If tools were found above → action MUST be "show_tools" with the best 3 IDs';
+
             systemPrompt = `You are DECY - a smart AI assistant that recommends the perfect AI tools. You genuinely understand what users need and give thoughtful, specific recommendations.
 
 YOU HAVE ANALYZED THE USER'S REQUEST AND FOUND THESE RELEVANT TOOLS:
 ${toolContext}
 
-ANALYSIS CONTEXT: ${analysis.context || 'General inquiry'}
+ANALYSIS CONTEXT: ${analysis.context || 'General inquiry'}${constraintBlock}
 
 YOUR JOB:
 1. Pick the TOP 3 tools from the list above that best match the user's need
@@ -369,10 +724,10 @@ FORMAT C - Just chatting/greeting/unclear:
 {
   "action": "chat",
   "message": "Your response. If the user seems to have a need, ask a clarifying question like: What exactly are you trying to build? Is it a website, an app, or a design?"
-}
+}${groupFormat}
 
 RULES:
-- If tools were found above → action MUST be "show_tools" with the best 3 IDs
+${toolsRule}
 - If the request is a BIG multi-step goal → use "show_workflow"
 - If unclear what user wants → action: "chat", ask a specific clarifying question
 - NEVER ask about budget. Default to free tools.
@@ -397,157 +752,241 @@ CRITICAL: Return ONLY valid JSON.`;
         // Add current message
         messages.push({ role: 'user', content: message });
 
-        const completion = await this.groq.chat.completions.create({
-            messages: messages,
-            model: 'llama-3.3-70b-versatile',
-            temperature: 0.6,
-            max_tokens: 1000,
-            response_format: { type: "json_object" }
-        });
+        return { analysis, messages };
+    }
 
-        const responseText = completion.choices[0]?.message?.content || '{}';
-        console.log('[DECY] Groq raw response:', responseText.substring(0, 150) + '...');
+    /**
+     * Validate the model's reply against the action schemas, giving it one chance to repair it.
+     * Resolves to { result, valid } - when the reply stays invalid, result is its message text
+     * as plain chat (or the keyword fallback) and valid is false, so it isn't cached.
+     */
+    async resolveChatOutput(raw, messages, analysis, message, history) {
+        let check = this.actions.check(raw);
+        const attempted = check.action;
 
-        try {
-            const aiResponse = JSON.parse(responseText);
+        if (check.valid) {
+            this.actions.record(attempted, 'valid');
+        } else {
+            console.log(`[DECY] Invalid ${attempted ? `${attempted} ` : ''}reply (${check.errors.join('; ')}) - asking for a repair`);
+            try {
+                const { text } = await this.llm.complete('chat', {
+                    messages: this.actions.repairMessages(messages, raw, check.errors),
+                    json: true
+                });
+                check = this.actions.check(text);
+            } catch (error) {
+                console.log('[DECY] Repair request failed:', error.message);
+            }
+            this.actions.record(attempted, check.valid ? 'repaired' : 'failed');
+        }
+
+        if (check.valid) {
+            return { result: this.toChatResult(check.output, analysis, message), valid: true };
+        }
 
-            if (aiResponse.action === 'show_guide' && aiResponse.steps) {
+        console.log(`[DECY] Reply still invalid (${check.errors.join('; ')}) - answering without it`);
+        const salvaged = check.output && typeof check.output.message === 'string' && check.output.message.trim();
+        return {
+            result: salvaged
+                ? { success: true, type: 'chat', response: salvaged }
+                : this.getSmartFallback(message, history),
+            valid: false
+        };
+    }
+
+    /**
+     * Turn a schema-valid model reply into the chat result sent to the client.
+     * Tool IDs are grounded against the catalog (and the message's constraints) first; fixes
+     * are listed in `corrections`.
+     */
+    toChatResult(aiResponse, analysis, message) {
+        const candidates = analysis.tools || (analysis.tool ? [analysis.tool] : []);
+        const constraints = analysis.constraints || null;
+
+        switch (aiResponse.action) {
+            case 'show_guide': {
                 console.log(`[DECY] AI generated guide for: ${aiResponse.tool_name}`);
+                const tool = this.grounder.groundGuideTool(aiResponse.tool_id, aiResponse.tool_name);
                 return {
                     success: true,
                     type: 'show_guide',
-                    toolName: aiResponse.tool_name,
-                    toolUrl: aiResponse.tool_url,
+                    toolName: tool ? tool.name : aiResponse.tool_name,
+                    toolUrl: tool ? tool.url : aiResponse.tool_url,
                     steps: aiResponse.steps,
                     proTips: aiResponse.pro_tips || [],
-                    response: aiResponse.message || `Here's how to use ${aiResponse.tool_name}! 🚀`,
-                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, [aiResponse.tool_id || ''], message)
+                    response: aiResponse.message,
+                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, [tool ? tool.id : ''], message)
                 };
-            } else if (aiResponse.action === 'show_workflow' && aiResponse.steps) {
-                console.log(`[DECY] AI generated workflow: ${aiResponse.steps.length} steps`);
-                const workflowToolIds = aiResponse.steps.map(s => s.tool_id).filter(Boolean);
+            }
+
+            case 'show_workflow': {
+                const { steps, corrections } = this.grounder.groundWorkflowSteps(aiResponse.steps, candidates, { constraints });
+                this.logCorrections(corrections);
+                if (steps.length === 0) {
+                    return { success: true, type: 'chat', response: aiResponse.message };
+                }
+
+                console.log(`[DECY] AI generated workflow: ${steps.length} steps`);
                 return {
                     success: true,
                     type: 'show_workflow',
-                    steps: aiResponse.steps,
-                    response: aiResponse.message || '🚀 Here\'s your complete plan!',
-                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, workflowToolIds, message)
+                    steps,
+                    corrections,
+                    response: aiResponse.message,
+                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, steps.map(s => s.tool_id), message)
                 };
-            } else if (aiResponse.action === 'show_tools' && aiResponse.budget && aiResponse.tools) {
-                console.log(`[DECY] AI recommended tools: ${aiResponse.tools.join(', ')} | Budget: ${aiResponse.budget}`);
+            }
+
+            case 'show_tool_groups': {
+                const budget = aiResponse.budget || 'free';
+                const groups = [];
+                const corrections = [];
+                aiResponse.groups.forEach((group, i) => {
+                    const need = this.matchNeed(analysis, group.tools, i);
+                    const grounded = this.grounder.groundToolIds(group.tools, need ? need.tools : candidates, { budget, constraints });
+                    corrections.push(...grounded.corrections);
+                    if (grounded.ids.length > 0) {
+                        groups.push({ need: group.need, category: need ? need.category : null, confidence: need ? need.confidence : null, toolIds: grounded.ids });
+                    }
+                });
+                this.logCorrections(corrections);
+                return this.toolGroupsResult(groups, budget, corrections, aiResponse.message, analysis, message);
+            }
+
+            case 'show_tools': {
+                const budget = aiResponse.budget || 'free'; // the prompt says to default to free
+                const { ids, corrections } = this.grounder.groundToolIds(aiResponse.tools, candidates, { budget, constraints });
+                this.logCorrections(corrections);
+                if (ids.length === 0) {
+                    return { success: true, type: 'chat', response: aiResponse.message };
+                }
+
+                // One flat list for a compound request - sort the picks into the needs it has
+                if (analysis.multiIntent) {
+                    const groups = this.groupByNeed(ids, analysis.groups, budget);
+                    return this.toolGroupsResult(groups, budget, corrections, aiResponse.message, analysis, message);
+                }
+
+                console.log(`[DECY] AI recommended tools: ${ids.join(', ')} | Budget: ${budget}`);
                 return {
                     success: true,
                     type: 'show_tools',
-                    budget: aiResponse.budget,
-                    toolIds: aiResponse.tools,
+                    budget,
+                    toolIds: ids,
+                    corrections,
                     readyPrompt: aiResponse.ready_prompt || null,
-                    response: aiResponse.message || '🔍 Here are the best tools for you!',
-                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, aiResponse.tools, message)
+                    response: aiResponse.message,
+                    followUps: this.intelligence.getFollowUpSuggestions(analysis.category, ids, message)
                 };
-            } else {
+            }
+
+            default:
                 console.log('[DECY] AI decided to chat');
                 return {
                     success: true,
                     type: 'chat',
-                    response: aiResponse.message || "I'm here to help you find the perfect AI tool! What would you like to create or build?"
+                    response: aiResponse.message
                 };
-            }
-        } catch (parseError) {
-            console.log('[DECY] Failed to parse AI response, treating as chat:', parseError.message);
-            // If JSON parsing fails, treat the response as a regular chat message
-            return {
-                success: true,
-                type: 'chat',
-                response: responseText
-            };
         }
     }
 
-
+    /**
+     * The analysis group a model-written group is about: the one holding one of its tools,
+     * else the one in the same position (null for single-need analyses)
+     */
+    matchNeed(analysis, toolIds, index) {
+        const needs = analysis.groups || [];
+        return needs.find(need => need.tools.some(tool => toolIds.includes(tool.id))) || needs[index] || null;
+    }
 
     /**
-     * Get intelligent response using Gemini - TRUE conversational AI like ChatGPT
+     * Sort grounded tool IDs into the analysis groups (by group membership, then category);
+     * picks that fit no need are left out. Groups left empty get their own top two tools.
      */
-    async getSmartResponse(message, history = []) {
-        // Use stable model with good parameters
-        const model = this.genAI.getGenerativeModel({
-            model: 'gemini-1.5-pro',
-            generationConfig: {
-                temperature: 0.9,
-                topP: 0.95,
-                maxOutputTokens: 1024,
+    groupByNeed(ids, needs, budget = 'free') {
+        const groups = needs.map(need => ({ need: need.need, category: need.category, confidence: need.confidence, toolIds: [] }));
+
+        for (const id of ids) {
+            const tool = this.intelligence.allToolsFlat.find(t => t.id === id);
+            let index = needs.findIndex(need => need.tools.some(t => t.id === id));
+            if (index === -1) index = needs.findIndex(need => tool && tool.categoryKeys.includes(need.category));
+            if (index !== -1) groups[index].toolIds.push(id);
+        }
+
+        groups.forEach((group, i) => {
+            if (group.toolIds.length === 0) {
+                group.toolIds = this.grounder.spareCandidates(needs[i].tools, ids, budget).slice(0, 2).map(tool => tool.id);
             }
         });
+        return groups.filter(group => group.toolIds.length > 0);
+    }
 
-        // Build conversation history for context
-        let conversationHistory = '';
-        if (history.length > 0) {
-            conversationHistory = '\n\n[Previous conversation]\n' +
-                history.slice(-8).map(msg =>
-                    `${msg.role === 'user' ? 'Human' : 'DECY'}: ${msg.content}`
-                ).join('\n') + '\n[End of previous conversation]\n';
-        }
-
-        // Natural conversational AI prompt - FOCUSED on tool recommendations
-        const systemPrompt = `You are DECY - an AI assistant specialized in recommending AI tools. Your PRIMARY MISSION is to help users find the perfect AI tool for their needs.
-
-PERSONALITY:
-- Warm, witty, and genuinely helpful
-- Chat naturally like a knowledgeable friend
-- Use emoji occasionally when appropriate
-
-EXPERTISE (50+ AI Tools):
-- App builders: Bolt, Lovable, Replit, v0 by Vercel
-- Image AI: Midjourney ($10/mo), DALL-E, Canva (free!), Leonardo AI, Ideogram
-- Video AI: Runway, Pika Labs, CapCut, InVideo, Descript
-- Coding: Cursor, GitHub Copilot, ChatGPT, Claude
-- Writing: Jasper, Copy.ai, Notion AI, Grammarly
-- Design: Canva, Figma, Kittl, Looka
-- Audio: ElevenLabs, Suno AI, Murf
-- Presentations: Gamma, Tome, Beautiful.ai
-
-CORE BEHAVIOR - ALWAYS FOLLOW:
-1. ANSWER questions naturally, but ALWAYS connect back to AI tools
-2. When users describe a problem, project, or goal -> PROACTIVELY offer: "I can recommend some great tools for that! Would you prefer free tools or are you open to premium options?"
-3. After answering any question, ADD a helpful nudge like: "By the way, if you're working on [related topic], I know some AI tools that could help!"
-4. NEVER let conversations drift without mentioning tools
-5. If conversation goes off-topic for 2+ messages, gently steer back: "That's cool! Is there any project or task I can help you find the right AI tool for?"
-
-TOOL RECOMMENDATION TRIGGER:
-Keywords: build, create, make, design, edit, generate, write, code, develop, produce, automate
--> Ask: "Would you prefer free tools or are you open to premium options?"
-
-Keep responses concise (2-3 sentences + tool mention). Stay laser-focused on your mission - helping users discover the right AI tools!`;
-
-        const prompt = `${systemPrompt}${conversationHistory}
-Human: ${message}
-DECY:`;
-
-        try {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text().trim();
+    /**
+     * Chat result for grouped recommendations - a single surviving group is shown as plain
+     * show_tools, none at all as chat
+     */
+    toolGroupsResult(groups, budget, corrections, response, analysis, message) {
+        if (groups.length === 0) {
+            return { success: true, type: 'chat', response };
+        }
 
-            console.log('[DECY] Gemini response:', text.substring(0, 100) + '...');
+        const followUps = this.intelligence.getFollowUpSuggestions(analysis.category, groups[0].toolIds, message);
+        if (groups.length === 1) {
+            return { success: true, type: 'show_tools', budget, toolIds: groups[0].toolIds, corrections, readyPrompt: null, response, followUps };
+        }
 
-            // Detect if this is a tool request by checking for budget question
-            const isToolRequest = text.toLowerCase().includes('free') &&
-                text.toLowerCase().includes('premium') &&
-                text.toLowerCase().includes('prefer');
+        console.log(`[DECY] Grouped recommendations: ${groups.map(g => `${g.need} → ${g.toolIds.join(', ')}`).join(' | ')}`);
+        return { success: true, type: 'show_tool_groups', budget, groups, corrections, response, followUps };
+    }
 
-            return {
-                success: true,
-                type: isToolRequest ? 'tool_request' : 'question',
-                response: text
-            };
-        } catch (error) {
-            console.log('[DECY] Gemini error:', error.message);
-            // Return fallback with history
-            return this.getSmartFallback(message, history);
-        }
+    /**
+     * One log line for the grounding fixes on a reply
+     */
+    logCorrections(corrections) {
+        if (corrections.length === 0) return;
+        const summary = corrections.map(({ from, to, reason }) => `${from} → ${to || '(none)'} (${reason})`);
+        console.log(`[DECY] Grounded tool IDs: ${summary.join(', ')}`);
     }
 
+    /**
+     * What the intelligence layer makes of a message, for tuning the intent map. `draft` is an
+     * unsaved pattern tried in place of the saved one with its id (or after the saved ones).
+     */
+    async explainIntent(message, draft = null) {
+        let intelligence = this.intelligence;
+        if (draft) {
+            const saved = this.intents.getPatterns();
+            const patterns = saved.some(p => p.id === draft.id)
+                ? saved.map(p => (p.id === draft.id ? draft : p))
+                : [...saved, draft];
+            intelligence = new DecyIntelligence(this.tools, { intents: patterns });
+        }
 
+        const queryVector = await this.intelligence.embedQuery(message);
+        const analysis = intelligence.analyzeIntent(message, { queryVector });
+        return {
+            matched: analysis.matched,
+            intentId: analysis.intentId || null,
+            category: analysis.category,
+            confidence: analysis.confidence,
+            isGuidance: !!analysis.isGuidance,
+            match: analysis.match || null,
+            context: analysis.context,
+            constraints: analysis.constraints ? intelligence.describeConstraints(analysis.constraints) : [],
+            constraintNote: analysis.constraintNote || null,
+            tools: analysis.tools.map(t => ({ id: t.id, name: t.name, category: t.categoryKey, ranking: (analysis.rankings || {})[t.id] || null })),
+            groups: (analysis.groups || []).map(group => ({
+                intentId: group.intentId,
+                category: group.category,
+                need: group.need,
+                confidence: group.confidence,
+                tools: group.tools.map(t => ({ id: t.id, name: t.name, category: t.categoryKey, ranking: group.rankings[t.id] || null }))
+            })),
+            patterns: intelligence.scorePatterns(message.toLowerCase().trim())
+                .slice(0, 5)
+                .map(({ pattern, score }) => ({ id: pattern.id, score }))
+        };
+    }
 
     /**
      * Build context about available tools for the AI
@@ -563,7 +1002,7 @@ ${categories}`;
     }
 
     /**
-     * Smart fallback when Gemini is unavailable - uses history for context
+     * Smart fallback when no model is available - uses history for context
      */
     getSmartFallback(message, history = []) {
         const msg = message.toLowerCase().trim();
@@ -644,8 +1083,10 @@ ${categories}`;
             'runway': "Runway is amazing for AI video editing and generation! 🎬 It can remove backgrounds, generate videos from text, and more. Limited free tier available. Interested in video creation?"
         };
 
+        // ...unless the message rules the tool out ("a logo, not canva")
+        const excluded = this.queryConstraints(message)?.exclude || [];
         for (const [tool, answer] of Object.entries(toolAnswers)) {
-            if (msg.includes(tool)) {
+            if (msg.includes(tool) && !excluded.includes(tool)) {
                 return {
                     success: true,
                     type: 'question',
@@ -654,6 +1095,23 @@ ${categories}`;
             }
         }
 
+        // Several separate needs - tools for each, straight from the intent map
+        const analysis = this.intelligence.analyzeIntent(message);
+        if (analysis.multiIntent) {
+            const groups = this.groupByNeed([], analysis.groups);
+            return this.toolGroupsResult(groups, 'free', [], "That's a few different things - here are the best free tools for each 🚀", analysis, message);
+        }
+
+        // The user's constraints ruled out everything that fits
+        if (analysis.constraintNote) {
+            const labels = this.intelligence.describeConstraints(analysis.constraints);
+            return {
+                success: true,
+                type: 'chat',
+                response: `${analysis.constraintNote} Want me to drop one of your requirements (${labels.join(', ')})?`
+            };
+        }
+
         // Clear tool request patterns
         if (/i want to|i need to|help me|looking for|recommend/i.test(msg)) {
             if (/app|website|code|program|software|video|image|photo|design|logo|presentation|slide|music|audio|voice|write|blog|article/i.test(msg)) {
@@ -675,35 +1133,34 @@ ${categories}`;
 
 
     /**
-     * Gemini-powered recommendation
+     * LLM-powered recommendation (the recommend chain - Gemini by default)
      */
-    async getGeminiRecommendation(userQuery, budgetType) {
-        const model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-
-        const prompt = this.buildPrompt(userQuery, budgetType);
+    async getLLMRecommendation(userQuery, budgetType, constraints = null, onLLMCall = () => {}) {
+        const prompt = this.buildPrompt(userQuery, budgetType, constraints);
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+        const { text, provider } = await this.llm.complete('recommend', {
+            messages: [{ role: 'user', content: prompt }],
+            onProvider: onLLMCall
+        });
 
-        // Parse the JSON response from Gemini
+        // Parse the JSON response
         try {
             const jsonMatch = text.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
                 const parsed = JSON.parse(jsonMatch[0]);
-                return this.enrichRecommendations(parsed, budgetType);
+                return this.enrichRecommendations(parsed, budgetType, constraints, userQuery);
             }
         } catch (e) {
-            console.log('[DECY] Failed to parse Gemini response');
+            console.log(`[DECY] Failed to parse ${provider} recommendation`);
         }
 
         return null;
     }
 
     /**
-     * Build the prompt for Gemini
+     * Build the recommendation prompt
      */
-    buildPrompt(userQuery, budgetType) {
+    buildPrompt(userQuery, budgetType, constraints = null) {
         const categoriesInfo = Object.entries(this.tools.categories).map(([key, cat]) => {
             const toolsList = cat.tools.map(t => `${t.name}: ${t.bestFor}`).join('\n    ');
             return `${cat.name}:\n    ${toolsList}`;
@@ -712,7 +1169,8 @@ ${categories}`;
         return `You are DECY, an AI assistant that helps users find the right AI tool for their needs.
 
 USER QUERY: "${userQuery}"
-BUDGET: ${budgetType === 'free' ? 'Free tools only' : 'Can include premium tools'}
+BUDGET: ${budgetType === 'free' ? 'Free tools only' : 'Can include premium tools'}${constraints ? `
+CONSTRAINTS (hard - never pick a tool that breaks one): ${this.intelligence.describeConstraints(constraints).join('; ')}` : ''}
 
 AVAILABLE TOOLS BY CATEGORY:
 ${categoriesInfo}
@@ -733,21 +1191,24 @@ IMPORTANT: Only use tool IDs from the database. Be concise. Maximum 3 tools.`;
     }
 
     /**
-     * Enrich the Gemini recommendations with full tool data
+     * Enrich the LLM recommendations with full tool data and rankings (tools breaking
+     * `constraints` are dropped; the model's order is kept)
      */
-    enrichRecommendations(geminiResponse, budgetType) {
+    enrichRecommendations(llmResponse, budgetType, constraints = null, userQuery = '') {
         const recommendations = [];
-        const toolIds = geminiResponse.tools || [];
+        const { ids: toolIds } = this.grounder.groundToolIds(Array.isArray(llmResponse.tools) ? llmResponse.tools : [], [], { constraints });
+        const context = this.intelligence.rankingContext((constraints && constraints.query) || userQuery, { constraints, budget: budgetType });
 
         for (const categoryKey in this.tools.categories) {
             const category = this.tools.categories[categoryKey];
             for (const tool of category.tools) {
-                if (toolIds.includes(tool.id)) {
+                if (toolIds.includes(tool.id) && !isSecondaryListing(tool, categoryKey)) {
                     // Filter based on budget
                     if (budgetType === 'free' && !tool.pricing.free) continue;
 
                     recommendations.push({
-                        ...tool,
+                        ...this.withCost(tool),
+                        ranking: this.rankingFor(tool, context),
                         category: category.name,
                         categoryIcon: category.icon
                     });
@@ -757,18 +1218,37 @@ IMPORTANT: Only use tool IDs from the database. Be concise. Maximum 3 tools.`;
 
         return {
             success: true,
-            source: 'gemini',
-            category: geminiResponse.category,
-            reasoning: geminiResponse.reasoning,
-            tools: recommendations.slice(0, 3)
+            source: 'llm',
+            category: llmResponse.category,
+            reasoning: llmResponse.reasoning,
+            ...(constraints ? { constraints: this.intelligence.describeConstraints(constraints) } : {}),
+            tools: this.withTradeOffs(recommendations.slice(0, 3))
         };
     }
 
     /**
      * Smart fallback recommendation using keyword matching
      */
-    getFallbackRecommendation(userQuery, budgetType) {
-        const query = userQuery.toLowerCase();
+    getFallbackRecommendation(userQuery, budgetType, constraints = null) {
+        // Several separate needs - tools for each, straight from the intent map
+        const grouped = this.groupedTools(userQuery, budgetType, constraints);
+        if (grouped) {
+            const needs = grouped.groups.map(group => {
+                const name = this.needCategoryName(group);
+                return name ? `${group.need} (${name})` : group.need;
+            });
+            return {
+                success: true,
+                source: 'fallback',
+                category: this.needCategoryName(grouped.groups[0]) || grouped.groups[0].need,
+                reasoning: `You asked for ${needs.length} different things - here are the best ${budgetType} tools for each: ${needs.join(', ')}.`,
+                ...(constraints ? { constraints: this.intelligence.describeConstraints(constraints) } : {}),
+                ...grouped
+            };
+        }
+
+        // Score what's left once the constraint wording is out - "not canva" isn't a vote for Canva
+        const query = (constraints && constraints.query) || userQuery.toLowerCase();
         const words = query.split(/\s+/);
 
         // Score each category
@@ -811,67 +1291,57 @@ IMPORTANT: Only use tool IDs from the database. Be concise. Maximum 3 tools.`;
 
         if (sortedCategories.length === 0) {
             // Default to general AI assistants
-            return this.getDefaultRecommendation(budgetType);
+            return this.getDefaultRecommendation(budgetType, constraints);
         }
 
         const [bestCategoryKey, bestMatch] = sortedCategories[0];
         const category = bestMatch.category;
 
-        // Get tools from the best category
-        let matchedTools = category.tools.filter(tool => {
-            if (budgetType === 'free') {
-                return tool.pricing.free === true;
-            }
-            return true;
-        });
-
-        // Sort by ease of use for beginners
-        matchedTools.sort((a, b) => (b.ease || 3) - (a.ease || 3));
-
-        // Take top 3
-        const recommendations = matchedTools.slice(0, 3).map(tool => ({
-            ...tool,
-            category: category.name,
-            categoryIcon: category.icon
-        }));
+        // Top 3 from the best category
+        const { tools, kept, ruledOut } = this.rankCategory(bestCategoryKey, budgetType, query, constraints);
 
         return {
             success: true,
             source: 'fallback',
             category: category.name,
-            reasoning: `Based on your query about "${this.extractKeyIntent(query)}", these tools are best suited for your needs.`,
-            tools: recommendations
+            // From the category the tools came from - the query may mention things they aren't for
+            reasoning: `Based on your query, these ${category.name} tools are best suited for your needs.`,
+            ...this.constraintFields(constraints, kept, ruledOut),
+            tools
         };
     }
 
     /**
      * Default recommendation when no match found
      */
-    getDefaultRecommendation(budgetType) {
-        const generalTools = [
+    getDefaultRecommendation(budgetType, constraints = null) {
+        const budgetTools = [
             this.findToolById('chatgpt'),
             this.findToolById('perplexity'),
             this.findToolById('canva')
         ].filter(t => t && (budgetType !== 'free' || t.pricing.free));
+        const { tools: generalTools, ruledOut } = applyConstraints(budgetTools, constraints);
+        const context = { constraints, budget: budgetType };
 
         return {
             success: true,
             source: 'default',
             category: 'General AI',
             reasoning: 'Here are versatile AI tools that can help with many tasks.',
-            tools: generalTools.slice(0, 3)
+            ...this.constraintFields(constraints, generalTools, ruledOut),
+            tools: generalTools.slice(0, 3).map(tool => ({ ...tool, ranking: this.rankingFor(tool, context) }))
         };
     }
 
     /**
-     * Find a tool by ID
+     * Find a tool by ID (with its primary category and estimated cost, ready to send)
      */
     findToolById(toolId) {
-        for (const category of Object.values(this.tools.categories)) {
-            const tool = category.tools.find(t => t.id === toolId);
+        for (const [categoryKey, category] of Object.entries(this.tools.categories)) {
+            const tool = category.tools.find(t => t.id === toolId && !isSecondaryListing(t, categoryKey));
             if (tool) {
                 return {
-                    ...tool,
+                    ...this.withCost(tool),
                     category: category.name,
                     categoryIcon: category.icon
                 };
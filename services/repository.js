@@ -0,0 +1,292 @@
+/**
+ * DECY Tool Repository
+ * The single place that reads and writes the tool catalog and discovery log.
+ * Picks a storage adapter from STORAGE_BACKEND: "json" (default) or "sqlite".
+ *
+ * Reads are synchronous (the catalog is small and used on every request);
+ * writes return Promises so adapters can queue or lock.
+ *
+ * Emits 'change' ({ type, toolId?, version }) after every write through it and, once
+ * watch() is called, after edits made outside this process (hand-edited tools.json,
+ * bulk-import.js, another server). Listeners rebuild whatever they derived from the catalog.
+ *
+ * A tool is stored once, under its primary category, and may be tagged with
+ * `secondaryCategories`. getCatalog() lists it under those too (the same object), so anything
+ * that walks `categories[key].tools` sees it wherever it belongs; code that wants each tool
+ * once skips the listings isSecondaryListing() flags.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const JsonStore = require('./storage/jsonStore');
+
+class ToolRepository extends EventEmitter {
+    constructor(store) {
+        super();
+        this.store = store;
+        this.version = 1;          // bumps on every catalog change
+        this.cachedCatalog = null; // dropped on every catalog change
+        this.cachedFingerprint = null;
+    }
+
+    get backend() {
+        return this.store.name;
+    }
+
+    // ---------- Catalog ----------
+
+    /**
+     * Full catalog: { categories: { key: { name, icon, keywords, tools[] } }, metadata }, with
+     * tools also listed under their secondary categories. Cached until the next change - treat
+     * it as read-only.
+     */
+    getCatalog() {
+        if (!this.cachedCatalog) {
+            this.cachedCatalog = withSecondaryListings(this.store.getCatalog());
+        }
+        return this.cachedCatalog;
+    }
+
+    /**
+     * Catalog version - changes whenever the catalog does (usable as a cache key)
+     */
+    getVersion() {
+        return this.version;
+    }
+
+    /**
+     * Hash of the catalog contents - unlike the version it's the same across restarts
+     * and processes, so it can key caches that outlive this process
+     */
+    getFingerprint() {
+        if (!this.cachedFingerprint) {
+            const { categories } = this.getCatalog();
+            this.cachedFingerprint = crypto.createHash('sha256')
+                .update(JSON.stringify(categories))
+                .digest('hex')
+                .slice(0, 16);
+        }
+        return this.cachedFingerprint;
+    }
+
+    /**
+     * Every tool once, flattened, with its primary category key and name attached
+     */
+    getAllTools() {
+        const data = this.getCatalog();
+        const tools = [];
+        for (const [categoryKey, category] of Object.entries(data.categories)) {
+            for (const tool of category.tools) {
+                if (isSecondaryListing(tool, categoryKey)) continue;
+                tools.push({ ...tool, categoryKey, categoryName: category.name });
+            }
+        }
+        return tools;
+    }
+
+    /**
+     * Find one tool: { tool, categoryKey } or null - categoryKey is its primary category
+     */
+    getTool(toolId) {
+        return this.store.getTool(toolId);
+    }
+
+    hasCategory(categoryKey) {
+        return !!this.getCatalog().categories[categoryKey];
+    }
+
+    /**
+     * Add a tool to a category (rejects duplicate IDs with error.code = 'conflict')
+     */
+    async insertTool(categoryKey, tool) {
+        await this.store.insertTool(categoryKey, tool);
+        this.notifyChange({ type: 'insert', toolId: tool.id });
+    }
+
+    /**
+     * Store `tool` under `categoryKey`, replacing (and moving) the entry currently at `toolId`
+     */
+    async saveTool(toolId, categoryKey, tool) {
+        await this.store.saveTool(toolId, categoryKey, tool);
+        this.notifyChange({ type: 'update', toolId });
+    }
+
+    /**
+     * Remove a tool - resolves to true if something was deleted
+     */
+    async deleteTool(toolId) {
+        const removed = await this.store.deleteTool(toolId);
+        if (removed) this.notifyChange({ type: 'delete', toolId });
+        return removed;
+    }
+
+    // ---------- Discoveries ----------
+
+    /**
+     * Discovery log: { tools: [{ id, name, category, discoveredAt, url }], lastScrape, totalDiscovered }
+     */
+    getDiscoveries() {
+        return this.store.getDiscoveries();
+    }
+
+    addDiscovery(entry) {
+        return this.store.addDiscovery(entry);
+    }
+
+    // ---------- Sessions ----------
+    // Chat sessions aren't part of the catalog, so they don't bump the version or emit 'change'
+
+    /**
+     * Summaries of an owner's sessions, newest first: [{ id, owner, title, createdAt, updatedAt, messageCount }]
+     */
+    listSessions(owner) {
+        return this.store.listSessions(owner);
+    }
+
+    /**
+     * One session with its messages, or null
+     */
+    getSession(sessionId) {
+        return this.store.getSession(sessionId);
+    }
+
+    createSession(session) {
+        return this.store.createSession(session);
+    }
+
+    /**
+     * Change session fields (title, updatedAt) - resolves to false if it doesn't exist
+     */
+    updateSession(sessionId, changes) {
+        return this.store.updateSession(sessionId, changes);
+    }
+
+    /**
+     * Add messages to the end of a session - resolves to false if it doesn't exist
+     */
+    appendSessionMessages(sessionId, messages, updatedAt) {
+        return this.store.appendSessionMessages(sessionId, messages, updatedAt);
+    }
+
+    deleteSession(sessionId) {
+        return this.store.deleteSession(sessionId);
+    }
+
+    // ---------- Feedback ----------
+    // Like sessions, feedback isn't catalog data - no version bump, no 'change'
+
+    /**
+     * Every recommendation feedback entry, oldest first (see services/feedback.js for the shape)
+     */
+    listFeedback() {
+        return this.store.listFeedback();
+    }
+
+    addFeedback(entry) {
+        return this.store.addFeedback(entry);
+    }
+
+    // ---------- Change notification ----------
+
+    /**
+     * Start watching the store for changes made outside this process
+     */
+    watch() {
+        this.store.watch(() => {
+            console.log('[STORAGE] Catalog changed outside DECY - reloading');
+            this.notifyChange({ type: 'external' });
+        });
+    }
+
+    unwatch() {
+        this.store.unwatch();
+    }
+
+    notifyChange(change) {
+        this.cachedCatalog = null;
+        this.cachedFingerprint = null;
+        this.version++;
+        this.emit('change', { ...change, version: this.version });
+    }
+
+    // ---------- Health ----------
+
+    getStatus() {
+        return {
+            backend: this.store.name,
+            writable: this.store.isWritable(),
+            catalogVersion: this.version
+        };
+    }
+}
+
+/**
+ * Whether `tool`, found in `categoryKey`'s list, is only there through its secondaryCategories
+ */
+function isSecondaryListing(tool, categoryKey) {
+    return Array.isArray(tool.secondaryCategories) && tool.secondaryCategories.includes(categoryKey);
+}
+
+/**
+ * Every key a tool belongs to, primary first
+ */
+function categoryKeysOf(tool, primaryKey) {
+    return [primaryKey, ...(tool.secondaryCategories || []).filter(key => key !== primaryKey)];
+}
+
+/**
+ * The stored catalog with each tool appended to its secondary categories' lists (unknown keys
+ * are ignored; the stored data isn't modified)
+ */
+function withSecondaryListings(data) {
+    const categories = {};
+    for (const [key, category] of Object.entries(data.categories)) {
+        categories[key] = { ...category, tools: [...category.tools] };
+    }
+    for (const [key, category] of Object.entries(data.categories)) {
+        for (const tool of category.tools) {
+            for (const secondary of tool.secondaryCategories || []) {
+                if (secondary !== key && categories[secondary]) categories[secondary].tools.push(tool);
+            }
+        }
+    }
+    return { ...data, categories };
+}
+
+/**
+ * Build the adapter named by STORAGE_BACKEND
+ */
+function createStore(backend = process.env.STORAGE_BACKEND || 'json') {
+    switch (backend) {
+        case 'sqlite': {
+            const SqliteStore = require('./storage/sqliteStore');
+            return new SqliteStore();
+        }
+        case 'json':
+            return new JsonStore();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use "json" or "sqlite")`);
+    }
+}
+
+let sharedRepository = null;
+
+/**
+ * Process-wide repository, so the server, engine and scraper share one store
+ */
+function getRepository() {
+    if (!sharedRepository) {
+        sharedRepository = new ToolRepository(createStore());
+        const status = sharedRepository.getStatus();
+        console.log(`[STORAGE] Using ${status.backend} store${status.writable ? '' : ' (⚠️  read-only - catalog changes will fail)'}`);
+    }
+    return sharedRepository;
+}
+
+module.exports = {
+    ToolRepository,
+    createStore,
+    getRepository,
+    isSecondaryListing,
+    categoryKeysOf
+};
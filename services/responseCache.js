@@ -0,0 +1,201 @@
+/**
+ * DECY Response Cache
+ * Caches LLM results (chat replies incl. guides/workflows, recommendations, generated prompts)
+ * so identical questions don't hit Groq / Gemini every time.
+ *
+ * Keys combine a namespace, the normalized request (query, intent analysis, budget, recent
+ * history) and the catalog fingerprint. Entries expire after a TTL, the backend evicts the
+ * least recently used beyond CACHE_MAX_ENTRIES, and the whole cache is purged whenever
+ * the catalog changes.
+ *
+ * Backend from CACHE_BACKEND: "memory" (default), "disk" (data/cache/, survives restarts) or "off".
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./repository');
+
+class ResponseCache {
+    constructor(backend, repository = getRepository(), options = {}) {
+        this.backend = backend;
+        this.repository = repository;
+        this.ttlMs = (options.ttlSeconds || 24 * 60 * 60) * 1000;
+        this.startedAt = new Date().toISOString();
+        this.resetStats();
+
+        // Answers may name tools that were just edited or removed
+        this.repository.on('change', () => {
+            this.purge().catch(error => console.error('[CACHE] Purge after catalog change failed:', error.message));
+        });
+    }
+
+    /**
+     * Lowercase, trim, collapse whitespace and drop trailing punctuation,
+     * so "How to use Lovable?" and "how to use lovable" share an entry
+     */
+    static normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/[\s?!.]+$/, '');
+    }
+
+    /**
+     * Cached value for `parts` in `namespace`, or null
+     */
+    async get(namespace, parts) {
+        const stats = this.statsFor(namespace);
+        const key = this.keyFor(namespace, parts);
+
+        let entry = null;
+        try {
+            entry = await this.backend.get(key);
+        } catch (error) {
+            console.error('[CACHE] Read failed:', error.message);
+        }
+
+        if (entry && entry.expiresAt <= Date.now()) {
+            await this.backend.delete(key).catch(() => {});
+            this.totals.expired++;
+            entry = null;
+        }
+
+        if (!entry) {
+            stats.misses++;
+            return null;
+        }
+
+        stats.hits++;
+        console.log(`[CACHE] Hit (${namespace})`);
+        return entry.value;
+    }
+
+    /**
+     * Store a value - failures are logged, never thrown (the answer is still good)
+     */
+    async set(namespace, parts, value) {
+        try {
+            const evicted = await this.backend.set(this.keyFor(namespace, parts), {
+                namespace,
+                value,
+                expiresAt: Date.now() + this.ttlMs
+            });
+            this.statsFor(namespace).sets++;
+            this.totals.evictions += evicted;
+        } catch (error) {
+            console.error('[CACHE] Write failed:', error.message);
+        }
+    }
+
+    /**
+     * Return the cached value, or run `compute` and cache its result.
+     * `shouldCache(result)` can skip caching (e.g. keyword fallbacks that didn't use an LLM).
+     */
+    async wrap(namespace, parts, compute, shouldCache = () => true) {
+        const cached = await this.get(namespace, parts);
+        if (cached) return cached;
+
+        const result = await compute();
+        if (result && shouldCache(result)) {
+            await this.set(namespace, parts, result);
+        }
+        return result;
+    }
+
+    /**
+     * Drop every entry (or one namespace's); resolves to how many were removed
+     */
+    async purge(namespace = null) {
+        const removed = await this.backend.clear(namespace);
+        if (removed > 0) {
+            console.log(`[CACHE] Purged ${removed} ${namespace ? `"${namespace}" ` : ''}entries`);
+        }
+        return removed;
+    }
+
+    /**
+     * Hit rates per namespace and overall, for the admin endpoints
+     */
+    getStats() {
+        const namespaces = {};
+        let hits = 0;
+        let misses = 0;
+        for (const [name, stats] of Object.entries(this.namespaces)) {
+            namespaces[name] = { ...stats, hitRate: this.hitRate(stats.hits, stats.misses) };
+            hits += stats.hits;
+            misses += stats.misses;
+        }
+
+        return {
+            backend: this.backend.name,
+            entries: this.backend.size(),
+            maxEntries: this.backend.maxEntries,
+            ttlSeconds: this.ttlMs / 1000,
+            hits,
+            misses,
+            hitRate: this.hitRate(hits, misses),
+            evictions: this.totals.evictions,
+            expired: this.totals.expired,
+            namespaces,
+            since: this.startedAt
+        };
+    }
+
+    resetStats() {
+        this.namespaces = {};
+        this.totals = { evictions: 0, expired: 0 };
+    }
+
+    // ---------- Internals ----------
+
+    keyFor(namespace, parts) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ namespace, catalog: this.repository.getFingerprint(), parts }))
+            .digest('hex');
+    }
+
+    statsFor(namespace) {
+        if (!this.namespaces[namespace]) {
+            this.namespaces[namespace] = { hits: 0, misses: 0, sets: 0 };
+        }
+        return this.namespaces[namespace];
+    }
+
+    hitRate(hits, misses) {
+        return hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : 0;
+    }
+}
+
+/**
+ * Build the cache named by CACHE_BACKEND - null when caching is off
+ */
+function createResponseCache(repository = getRepository(), backend = process.env.CACHE_BACKEND || 'memory') {
+    const maxEntries = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+    const ttlSeconds = Number(process.env.CACHE_TTL_SECONDS) || 24 * 60 * 60;
+
+    let store;
+    switch (backend) {
+        case 'off':
+            return null;
+        case 'disk': {
+            const DiskCache = require('./cache/diskCache');
+            store = new DiskCache({ maxEntries });
+            break;
+        }
+        case 'memory': {
+            const MemoryCache = require('./cache/memoryCache');
+            store = new MemoryCache({ maxEntries });
+            break;
+        }
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${backend}" (use "memory", "disk" or "off")`);
+    }
+
+    console.log(`[CACHE] Using ${store.name} response cache (${maxEntries} entries, ${ttlSeconds}s TTL)`);
+    return new ResponseCache(store, repository, { ttlSeconds });
+}
+
+module.exports = {
+    ResponseCache,
+    createResponseCache
+};
@@ -0,0 +1,101 @@
+/**
+ * DECY BM25 Index
+ * Lexical retrieval over the tool catalog (Okapi BM25). Runs in-process with no model, so it
+ * always works offline; ranks "turn my notes into flashcards" against every tool's text instead
+ * of needing an exact phrase from the intent map.
+ */
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'get', 'have',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'some',
+    'that', 'the', 'their', 'them', 'then', 'there', 'this', 'to', 'up', 'us', 'want', 'was', 'we', 'what',
+    'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your', 'need', 'something', 'help', 'please',
+    // Verbs and filler every request uses - "make" would otherwise match the Make tool
+    'make', 'create', 'use', 'using', 'tool', 'tools', 'ai', 'best', 'good', 'like', 'just', 'new'
+]);
+
+/**
+ * Crude suffix stripping so "songs"/"song", "flashcards"/"flashcard", "editing"/"edit" meet
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * "Turn my notes into flashcards!" → ['turn', 'note', 'flashcard']
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+class BM25Index {
+    /**
+     * @param {Array} documents - [{ id, fields: [{ text, weight }] }]; a field's terms count `weight` times
+     * @param {object} [options] - { k1, b }
+     */
+    constructor(documents, options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+
+        this.documents = documents.map(({ id, fields }) => {
+            const terms = new Map();
+            let length = 0;
+            for (const { text, weight = 1 } of fields) {
+                for (const term of tokenize(text)) {
+                    terms.set(term, (terms.get(term) || 0) + weight);
+                    length += weight;
+                }
+            }
+            return { id, terms, length };
+        });
+
+        this.averageLength = this.documents.reduce((sum, doc) => sum + doc.length, 0) / (this.documents.length || 1);
+
+        const documentFrequency = new Map();
+        for (const doc of this.documents) {
+            for (const term of doc.terms.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+        const total = this.documents.length;
+        this.idf = new Map();
+        for (const [term, df] of documentFrequency) {
+            this.idf.set(term, Math.log(1 + (total - df + 0.5) / (df + 0.5)));
+        }
+    }
+
+    /**
+     * Documents sharing terms with the query, best first: [{ id, score }]
+     */
+    search(query, limit = 10) {
+        const terms = [...new Set(tokenize(query))].filter(term => this.idf.has(term));
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const doc of this.documents) {
+            let score = 0;
+            for (const term of terms) {
+                const tf = doc.terms.get(term);
+                if (!tf) continue;
+                const norm = this.k1 * (1 - this.b + this.b * doc.length / this.averageLength);
+                score += this.idf.get(term) * (tf * (this.k1 + 1)) / (tf + norm);
+            }
+            if (score > 0) results.push({ id: doc.id, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+}
+
+module.exports = {
+    BM25Index,
+    tokenize
+};
@@ -0,0 +1,136 @@
+/**
+ * DECY Embeddings (optional)
+ * Semantic retrieval through a local embedding model, served over the OpenAI-compatible
+ * /embeddings API - Ollama (`ollama pull nomic-embed-text`), llama.cpp's llama-server
+ * (--embedding) or LM Studio. Nothing leaves the machine.
+ *
+ *   EMBEDDINGS_MODEL  model name; unset = embeddings off, retrieval is BM25 only
+ *   EMBEDDINGS_URL    server base URL (defaults to LOCAL_LLM_URL)
+ *
+ * Tool vectors are computed once per distinct tool text and kept in memory, so catalog
+ * refreshes only embed the tools that changed.
+ */
+
+const axios = require('axios');
+
+const BATCH_SIZE = 32;
+
+class EmbeddingClient {
+    /**
+     * @param {object} [options] - { baseUrl, model, apiKey, timeoutMs }
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl ?? process.env.EMBEDDINGS_URL ?? process.env.LOCAL_LLM_URL ?? '').replace(/\/+$/, '');
+        this.model = options.model ?? process.env.EMBEDDINGS_MODEL ?? '';
+        this.apiKey = options.apiKey ?? process.env.EMBEDDINGS_API_KEY ?? null;
+        this.timeoutMs = options.timeoutMs ?? (parseInt(process.env.EMBEDDINGS_TIMEOUT_MS, 10) || 30000);
+        this.vectors = new Map(); // text → vector
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && !!this.model;
+    }
+
+    /**
+     * One vector per text, in order. Cached texts aren't sent again; pass cache: false for
+     * one-off texts such as user queries.
+     */
+    async embed(texts, { cache = true } = {}) {
+        const fresh = new Map();
+        const missing = [...new Set(texts.filter(text => !this.vectors.has(text)))];
+
+        for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+            const batch = missing.slice(i, i + BATCH_SIZE);
+            const response = await axios.post(`${this.baseUrl}/embeddings`, { model: this.model, input: batch }, {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeoutMs
+            });
+
+            const data = response.data?.data;
+            if (!Array.isArray(data) || data.length !== batch.length) {
+                throw new Error(`Embedding server returned ${Array.isArray(data) ? data.length : 'no'} vectors for ${batch.length} texts`);
+            }
+            data.forEach((item, i) => fresh.set(batch[item.index ?? i], normalize(item.embedding)));
+        }
+
+        if (cache) {
+            for (const [text, vector] of fresh) this.vectors.set(text, vector);
+        }
+        return texts.map(text => this.vectors.get(text) || fresh.get(text));
+    }
+}
+
+/**
+ * Unit-length copy, so cosine similarity is a dot product
+ */
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+    return vector.map(x => x / length);
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+class EmbeddingIndex {
+    /**
+     * @param {EmbeddingClient} client
+     * @param {Array} documents - [{ id, text }]
+     */
+    constructor(client, documents) {
+        this.client = client;
+        this.documents = documents;
+        this.vectors = null; // id → vector, once build() finishes
+    }
+
+    get ready() {
+        return this.vectors !== null;
+    }
+
+    async build() {
+        const vectors = await this.client.embed(this.documents.map(doc => doc.text));
+        this.vectors = new Map(this.documents.map((doc, i) => [doc.id, vectors[i]]));
+        return this;
+    }
+
+    async embedQuery(text) {
+        const [vector] = await this.client.embed([text], { cache: false });
+        return vector;
+    }
+
+    /**
+     * Cosine similarity of every document to the query vector: [{ id, score }], best first
+     */
+    search(queryVector, limit = 10) {
+        if (!this.ready || !queryVector) return [];
+        return [...this.vectors.entries()]
+            .map(([id, vector]) => ({ id, score: dot(queryVector, vector) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+let sharedClient;
+
+/**
+ * Process-wide client (keeps its vector cache across catalog refreshes), or null when
+ * EMBEDDINGS_MODEL isn't set
+ */
+function getEmbeddingClient() {
+    if (sharedClient === undefined) {
+        const client = new EmbeddingClient();
+        sharedClient = client.isConfigured() ? client : null;
+        if (sharedClient) {
+            console.log(`[DECY] Semantic retrieval: ${client.model} at ${client.baseUrl}`);
+        }
+    }
+    return sharedClient;
+}
+
+module.exports = {
+    EmbeddingClient,
+    EmbeddingIndex,
+    getEmbeddingClient
+};
@@ -7,30 +7,21 @@
  * 2. Alternative.to AI tools
  * 3. Direct website analysis (when user asks about unknown tool)
  * 
- * Flow: Scrape → AI validates & categorizes → Add to tools.json
+ * Flow: Scrape → AI validates & categorizes → Add to catalog (via the repository)
  */
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const fs = require('fs');
-const path = require('path');
-const Groq = require('groq-sdk');
+const ToolCatalog = require('./catalog');
+const { PLATFORMS, RETENTION } = require('./toolSchema');
+const { getRepository } = require('./repository');
+const { getLLMRouter } = require('./llm');
 
 class ToolScraper {
-    constructor() {
-        this.groqKey = process.env.GROQ_API_KEY;
-        this.groq = this.groqKey ? new Groq({ apiKey: this.groqKey }) : null;
-        this.toolsPath = path.join(__dirname, '..', 'data', 'tools.json');
-        this.discoveredPath = path.join(__dirname, '..', 'data', 'discovered.json');
-        
-        // Initialize discovered tools file
-        if (!fs.existsSync(this.discoveredPath)) {
-            fs.writeFileSync(this.discoveredPath, JSON.stringify({ 
-                tools: [], 
-                lastScrape: null,
-                totalDiscovered: 0 
-            }, null, 2));
-        }
+    constructor(repository = getRepository(), llm = getLLMRouter()) {
+        this.llm = llm; // the "categorize" chain
+        this.repository = repository;
+        this.catalog = new ToolCatalog(repository);
 
         // User agent to avoid blocking
         this.headers = {
@@ -46,13 +37,10 @@ class ToolScraper {
      * Get all existing tool IDs to avoid duplicates
      */
     getExistingToolIds() {
-        const tools = JSON.parse(fs.readFileSync(this.toolsPath, 'utf-8'));
         const ids = new Set();
-        for (const category of Object.values(tools.categories)) {
-            for (const tool of category.tools) {
-                ids.add(tool.id);
-                ids.add(tool.name.toLowerCase());
-            }
+        for (const tool of this.repository.getAllTools()) {
+            ids.add(tool.id);
+            ids.add(tool.name.toLowerCase());
         }
         return ids;
     }
@@ -172,15 +160,16 @@ class ToolScraper {
      * This is the "brain" - turns raw scraped data into a proper DECY tool entry
      */
     async categorizeWithAI(toolData) {
-        if (!this.groq) {
-            console.log('[SCRAPER] No Groq API key, using basic categorization');
+        if (!this.llm.isAvailable('categorize')) {
+            console.log('[SCRAPER] No LLM provider configured, using basic categorization');
             return this.basicCategorize(toolData);
         }
 
         const existingCategories = this.getExistingCategories();
 
         try {
-            const completion = await this.groq.chat.completions.create({
+            const { text } = await this.llm.complete('categorize', {
+                json: true,
                 messages: [
                     {
                         role: 'system',
@@ -197,6 +186,7 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "name": "Tool Name",
     "bestFor": "One line describing what it's best for",
     "category": "category_key from the list above",
+    "secondaryCategories": ["other category keys from the list the tool is also a strong pick for"],
     "deploy": {
         "available": true/false,
         "type": "Free/Paid/N/A",
@@ -211,35 +201,49 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "ease": 1-5,
     "url": "https://...",
     "acceptsPrompt": true/false,
-    "promptHint": "What kind of prompt to write (if acceptsPrompt is true)"
+    "promptHint": "What kind of prompt to write (if acceptsPrompt is true)",
+    "platforms": ["where it runs, from: ${PLATFORMS.join(', ')}"],
+    "openSource": true/false/null,
+    "selfHostable": true/false/null,
+    "hasApi": true/false/null,
+    "privacy": {
+        "retention": "${RETENTION.join('/')} or null",
+        "trainsOnData": true/false/null,
+        "note": "One line on data handling, or null"
+    },
+    "languages": ["ISO 639-1 codes of the interface/output languages, e.g. en, es"],
+    "freeTierWatermark": true/false/null
 }
 
 RULES:
 - Set isAITool to false if this is NOT an AI tool
 - If you can't determine pricing, set free: true and premium: null
 - Ease is 1-5 (5 = easiest for beginners)
+- For platforms, openSource, selfHostable, hasApi, privacy, languages and freeTierWatermark use null
+  (or an empty list) unless the page says so - never guess
 - Keep descriptions concise and helpful
-- Use existing category keys ONLY`
+- Use existing category keys ONLY
+- "category" is the tool's main use; list up to 2 secondaryCategories only when it's a
+  genuine top choice there too (Canva: design, plus presentation) - usually none`
                     },
                     {
                         role: 'user',
                         content: `Analyze this tool:\n${JSON.stringify(toolData, null, 2)}`
                     }
-                ],
-                model: 'llama-3.3-70b-versatile',
-                temperature: 0.3,
-                max_tokens: 500,
-                response_format: { type: "json_object" }
+                ]
             });
 
-            const result = JSON.parse(completion.choices[0]?.message?.content || '{}');
+            const result = JSON.parse(text || '{}');
             
             if (!result.isAITool) {
                 console.log(`[SCRAPER] "${toolData.title || toolData.name}" is not an AI tool, skipping`);
                 return null;
             }
 
-            console.log(`[SCRAPER] AI categorized: ${result.name} → ${result.category}`);
+            const also = Array.isArray(result.secondaryCategories) && result.secondaryCategories.length > 0
+                ? ` (also ${result.secondaryCategories.join(', ')})`
+                : '';
+            console.log(`[SCRAPER] AI categorized: ${result.name} → ${result.category}${also}`);
             return result;
 
         } catch (error) {
@@ -249,10 +253,10 @@ RULES:
     }
 
     /**
-     * Get existing categories from tools.json
+     * Get existing categories from the catalog
      */
     getExistingCategories() {
-        const tools = JSON.parse(fs.readFileSync(this.toolsPath, 'utf-8'));
+        const tools = this.repository.getCatalog();
         return Object.entries(tools.categories).map(([key, cat]) => ({
             key,
             name: cat.name
@@ -336,11 +340,11 @@ RULES:
         }
 
         // Add to database
-        const added = this.addToolToDatabase(categorized);
+        const added = await this.addToolToDatabase(categorized);
         
         if (added) {
             // Also save to discovered log
-            this.logDiscovery(categorized);
+            await this.logDiscovery(categorized);
             return { success: true, tool: categorized };
         }
 
@@ -416,9 +420,9 @@ RULES:
                 // Categorize with AI
                 const categorized = await this.categorizeWithAI(toolData);
                 if (categorized) {
-                    const added = this.addToolToDatabase(categorized);
+                    const added = await this.addToolToDatabase(categorized);
                     if (added) {
-                        this.logDiscovery(categorized);
+                        await this.logDiscovery(categorized);
                         results.added++;
                         existingIds.add(categorized.id);
                         existingIds.add(categorized.name.toLowerCase());
@@ -439,25 +443,10 @@ RULES:
     }
 
     /**
-     * Add a validated tool to the tools.json database
+     * Add a validated tool to the catalog
      */
-    addToolToDatabase(tool) {
+    async addToolToDatabase(tool) {
         try {
-            const data = JSON.parse(fs.readFileSync(this.toolsPath, 'utf-8'));
-            
-            // Find the category
-            if (!data.categories[tool.category]) {
-                console.log(`[SCRAPER] Category "${tool.category}" not found, skipping`);
-                return false;
-            }
-
-            // Check for duplicate ID
-            const existing = data.categories[tool.category].tools.find(t => t.id === tool.id);
-            if (existing) {
-                console.log(`[SCRAPER] Tool "${tool.id}" already exists in ${tool.category}`);
-                return false;
-            }
-
             // Clean the tool entry (remove non-database fields)
             const toolEntry = {
                 id: tool.id,
@@ -475,18 +464,20 @@ RULES:
                 toolEntry.acceptsPrompt = true;
                 toolEntry.promptHint = tool.promptHint || 'Describe what you want to create';
             }
+            Object.assign(toolEntry, this.extractAttributes(tool));
 
-            // Add to category
-            data.categories[tool.category].tools.push(toolEntry);
-            
-            // Update metadata
-            data.metadata.totalTools = Object.values(data.categories)
-                .reduce((sum, cat) => sum + cat.tools.length, 0);
-            data.metadata.lastUpdated = new Date().toISOString().split('T')[0];
-
-            // Save
-            fs.writeFileSync(this.toolsPath, JSON.stringify(data, null, 2));
-            console.log(`[SCRAPER] ✅ Added "${tool.name}" to ${tool.category} (total: ${data.metadata.totalTools})`);
+            const secondaryCategories = this.extractSecondaryCategories(tool);
+            if (secondaryCategories.length > 0) toolEntry.secondaryCategories = secondaryCategories;
+
+            // Catalog checks the category, duplicate IDs and the tool schema
+            const result = await this.catalog.createTool(tool.category, toolEntry);
+            if (!result.success) {
+                const details = result.fields ? `: ${result.fields.map(f => `${f.field} ${f.message}`).join('; ')}` : '';
+                console.log(`[SCRAPER] Skipping "${tool.id}" - ${result.error}${details}`);
+                return false;
+            }
+
+            console.log(`[SCRAPER] ✅ Added "${tool.name}" to ${tool.category}`);
             return true;
 
         } catch (error) {
@@ -495,22 +486,59 @@ RULES:
         }
     }
 
+    /**
+     * The extended attributes (platforms, openSource, privacy...) from an AI categorization,
+     * keeping only values the tool schema accepts - null or malformed ones are left out, so the
+     * tool counts as "unknown" for them rather than getting a guess
+     */
+    extractAttributes(tool) {
+        const attributes = {};
+
+        const platforms = [...new Set((Array.isArray(tool.platforms) ? tool.platforms : []).map(p => String(p).toLowerCase()))]
+            .filter(platform => PLATFORMS.includes(platform));
+        if (platforms.length > 0) attributes.platforms = platforms;
+
+        for (const key of ['openSource', 'selfHostable', 'hasApi', 'freeTierWatermark']) {
+            if (typeof tool[key] === 'boolean') attributes[key] = tool[key];
+        }
+
+        const privacy = {};
+        if (RETENTION.includes(tool.privacy?.retention)) privacy.retention = tool.privacy.retention;
+        if (typeof tool.privacy?.trainsOnData === 'boolean') privacy.trainsOnData = tool.privacy.trainsOnData;
+        if (typeof tool.privacy?.note === 'string' && tool.privacy.note.trim()) privacy.note = tool.privacy.note.trim().slice(0, 300);
+        if (Object.keys(privacy).length > 0) attributes.privacy = privacy;
+
+        const languages = [...new Set((Array.isArray(tool.languages) ? tool.languages : []).map(code => String(code).toLowerCase()))]
+            .filter(code => /^[a-z]{2}$/.test(code))
+            .slice(0, 100);
+        if (languages.length > 0) attributes.languages = languages;
+
+        return attributes;
+    }
+
+    /**
+     * The AI's secondary categories that exist and aren't the primary one (at most 2)
+     */
+    extractSecondaryCategories(tool) {
+        const known = new Set(this.getExistingCategories().map(category => category.key));
+        const keys = Array.isArray(tool.secondaryCategories) ? tool.secondaryCategories : [];
+        return [...new Set(keys.map(key => String(key).toLowerCase()))]
+            .filter(key => key !== tool.category && known.has(key))
+            .slice(0, 2);
+    }
+
     /**
      * Log a discovery for analytics
      */
-    logDiscovery(tool) {
+    async logDiscovery(tool) {
         try {
-            const discovered = JSON.parse(fs.readFileSync(this.discoveredPath, 'utf-8'));
-            discovered.tools.push({
+            await this.repository.addDiscovery({
                 id: tool.id,
                 name: tool.name,
                 category: tool.category,
                 discoveredAt: new Date().toISOString(),
                 url: tool.url
             });
-            discovered.lastScrape = new Date().toISOString();
-            discovered.totalDiscovered = discovered.tools.length;
-            fs.writeFileSync(this.discoveredPath, JSON.stringify(discovered, null, 2));
         } catch (error) {
             console.error('[SCRAPER] Failed to log discovery:', error.message);
         }
@@ -521,8 +549,8 @@ RULES:
      */
     getStats() {
         try {
-            const tools = JSON.parse(fs.readFileSync(this.toolsPath, 'utf-8'));
-            const discovered = JSON.parse(fs.readFileSync(this.discoveredPath, 'utf-8'));
+            const tools = this.repository.getCatalog();
+            const discovered = this.repository.getDiscoveries();
             
             return {
                 totalTools: tools.metadata.totalTools,
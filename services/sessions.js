@@ -0,0 +1,137 @@
+/**
+ * DECY Chat Sessions
+ * Server-side conversations, so a chat can be picked up on another device
+ * and past recommendations reviewed later.
+ *
+ * Every session belongs to an owner string (a logged-in user or an anonymous browser id);
+ * lookups for someone else's session behave as if it doesn't exist.
+ */
+
+const crypto = require('crypto');
+const { getRepository } = require('./repository');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_IMPORTED_MESSAGES = 200;
+
+class SessionService {
+    constructor(repository = getRepository()) {
+        this.repository = repository;
+    }
+
+    /**
+     * Session summaries for an owner, newest first
+     */
+    list(owner) {
+        return this.repository.listSessions(owner);
+    }
+
+    /**
+     * One session with its messages - null if missing or owned by someone else
+     */
+    get(owner, sessionId) {
+        const session = this.repository.getSession(sessionId);
+        return session && session.owner === owner ? session : null;
+    }
+
+    /**
+     * Start a conversation. `messages` lets a browser import chats it kept in localStorage.
+     * Resolves to { success: true, session } or { success: false, code: 'validation', error }
+     */
+    async create(owner, { title, messages = [] } = {}) {
+        const cleanTitle = this.cleanTitle(title ?? 'New chat');
+        if (!cleanTitle) {
+            return this.invalid(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+        }
+
+        const valid = Array.isArray(messages) && messages.length <= MAX_IMPORTED_MESSAGES &&
+            messages.every(m => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string');
+        if (!valid) {
+            return this.invalid(`messages must be an array of at most ${MAX_IMPORTED_MESSAGES} { role: 'user' | 'assistant', content } entries`);
+        }
+
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            owner,
+            title: cleanTitle,
+            createdAt: now,
+            updatedAt: now,
+            messages: messages.map(m => ({ role: m.role, content: m.content, createdAt: now }))
+        };
+
+        await this.repository.createSession(session);
+        return { success: true, session };
+    }
+
+    /**
+     * Resolves to { success: true, session }, or a validation / not_found failure
+     */
+    async rename(owner, sessionId, title) {
+        if (!this.get(owner, sessionId)) {
+            return this.notFound(sessionId);
+        }
+
+        const cleanTitle = this.cleanTitle(title);
+        if (!cleanTitle) {
+            return this.invalid(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+        }
+
+        await this.repository.updateSession(sessionId, { title: cleanTitle, updatedAt: new Date().toISOString() });
+        return { success: true, session: this.repository.getSession(sessionId) };
+    }
+
+    /**
+     * Resolves to true if the session existed and belonged to `owner`
+     */
+    async delete(owner, sessionId) {
+        if (!this.get(owner, sessionId)) return false;
+        return this.repository.deleteSession(sessionId);
+    }
+
+    /**
+     * Conversation so far in the { role, content } shape the chat engine expects
+     */
+    getHistory(sessionId) {
+        const session = this.repository.getSession(sessionId);
+        return session ? session.messages.map(m => ({ role: m.role, content: m.content })) : [];
+    }
+
+    /**
+     * Store one user message and the engine's reply, keeping its structured payload
+     */
+    async recordExchange(sessionId, message, result) {
+        const now = new Date().toISOString();
+        const reply = { role: 'assistant', content: result.response, type: result.type, createdAt: now };
+
+        if (result.type === 'show_tools') {
+            reply.result = { toolIds: result.toolIds, budget: result.budget, readyPrompt: result.readyPrompt || null };
+        } else if (result.type === 'show_tool_groups') {
+            reply.result = { groups: result.groups, budget: result.budget };
+        } else if (result.type === 'show_workflow') {
+            reply.result = { steps: result.steps };
+        } else if (result.type === 'show_guide') {
+            reply.result = { toolName: result.toolName, toolUrl: result.toolUrl, steps: result.steps, proTips: result.proTips };
+        }
+
+        await this.repository.appendSessionMessages(sessionId, [
+            { role: 'user', content: message, createdAt: now },
+            reply
+        ], now);
+    }
+
+    cleanTitle(title) {
+        if (typeof title !== 'string') return null;
+        const trimmed = title.trim();
+        return trimmed && trimmed.length <= MAX_TITLE_LENGTH ? trimmed : null;
+    }
+
+    invalid(error) {
+        return { success: false, code: 'validation', error };
+    }
+
+    notFound(sessionId) {
+        return { success: false, code: 'not_found', error: `Session "${sessionId}" not found` };
+    }
+}
+
+module.exports = SessionService;
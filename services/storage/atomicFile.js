@@ -0,0 +1,133 @@
+/**
+ * DECY Atomic File Helpers
+ * Crash-safe writes, an in-process write queue and a cross-process lock file
+ * so the server, scrapers and scripts/bulk-import.js can share the JSON store.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Write to a temp file in the same directory, fsync, then rename over the target.
+ * rename() is atomic on POSIX, so readers see the old file or the new one - never half of one.
+ */
+function writeFileAtomic(filePath, content) {
+    const tmpPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Temp files left behind by a crash mid-write
+ */
+function findLeftoverTempFiles(filePath) {
+    const dir = path.dirname(filePath);
+    const prefix = `.${path.basename(filePath)}.`;
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Is a lock file abandoned? (holder died, or it's older than LOCK_STALE_MS)
+ */
+function isStaleLock(lockPath) {
+    try {
+        const stat = fs.statSync(lockPath);
+        if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) return true;
+
+        const { pid, host } = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+        if (host === os.hostname() && pid !== process.pid) {
+            try {
+                process.kill(pid, 0); // signal 0 = existence check
+            } catch (e) {
+                return e.code === 'ESRCH';
+            }
+        }
+        return false;
+    } catch (e) {
+        // Vanished or half-written lock - let the next attempt decide
+        return false;
+    }
+}
+
+/**
+ * Run `fn` while holding `<filePath>.lock`. The lock is created with O_EXCL,
+ * so only one process can hold it; others retry until LOCK_TIMEOUT_MS.
+ */
+async function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }));
+            fs.closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            if (isStaleLock(lockPath)) {
+                console.log(`[STORAGE] Removing stale lock ${path.basename(lockPath)}`);
+                fs.rmSync(lockPath, { force: true });
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for ${path.basename(lockPath)} - another process is writing`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+/**
+ * Serializes async jobs within this process - each job starts after the previous one settles
+ */
+class WriteQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+    }
+
+    run(job) {
+        const result = this.tail.then(() => job());
+        // Keep the chain alive even if a job fails
+        this.tail = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    findLeftoverTempFiles,
+    withFileLock,
+    WriteQueue
+};
@@ -0,0 +1,357 @@
+/**
+ * DECY JSON Store
+ * Storage adapter backed by data/tools.json + data/discovered.json (the original format)
+ * and data/sessions.json for chat sessions, data/feedback.json for recommendation feedback
+ *
+ * Every write is read-modify-write under a cross-process lock file, queued in-process,
+ * and lands via temp-file + rename - so parallel discoveries and bulk-import.js can't
+ * lose tools or leave a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, findLeftoverTempFiles, withFileLock, WriteQueue } = require('./atomicFile');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+class JsonStore {
+    constructor(options = {}) {
+        this.name = 'json';
+        this.toolsPath = options.toolsPath || path.join(DATA_DIR, 'tools.json');
+        this.discoveredPath = options.discoveredPath || path.join(DATA_DIR, 'discovered.json');
+        this.sessionsPath = options.sessionsPath || path.join(DATA_DIR, 'sessions.json');
+        this.feedbackPath = options.feedbackPath || path.join(DATA_DIR, 'feedback.json');
+        this.queue = new WriteQueue();
+
+        // Initialize discovered tools file
+        if (!fs.existsSync(this.discoveredPath)) {
+            this.writeJson(this.discoveredPath, {
+                tools: [],
+                lastScrape: null,
+                totalDiscovered: 0
+            });
+        }
+
+        // Refuse to start on a corrupted or partial file rather than serve an empty catalog
+        this.verifyFile(this.toolsPath, data =>
+            data && typeof data.categories === 'object' && data.metadata &&
+            Object.values(data.categories).every(cat => cat && typeof cat.name === 'string' && Array.isArray(cat.tools) &&
+                cat.tools.every(t => t && typeof t.id === 'string' && typeof t.name === 'string'))
+        );
+        this.verifyFile(this.discoveredPath, data => data && Array.isArray(data.tools));
+        // Missing = none yet; they're created on the first write (a read-only deploy can still serve)
+        this.verifyFile(this.sessionsPath, data => data && Array.isArray(data.sessions), { optional: true });
+        this.verifyFile(this.feedbackPath, data => data && Array.isArray(data.feedback), { optional: true });
+
+        this.watcher = null;
+        this.lastSignature = this.signature(this.toolsPath);
+    }
+
+    // ---------- Catalog ----------
+
+    getCatalog() {
+        return this.readJson(this.toolsPath);
+    }
+
+    getTool(toolId) {
+        const data = this.getCatalog();
+        const found = this.locate(data, toolId);
+        return found ? { tool: found.tool, categoryKey: found.categoryKey } : null;
+    }
+
+    async insertTool(categoryKey, tool) {
+        await this.mutateCatalog(data => {
+            this.requireCategory(data, categoryKey);
+            if (this.locate(data, tool.id)) {
+                throw this.conflict(tool.id);
+            }
+            data.categories[categoryKey].tools.push(tool);
+        });
+    }
+
+    async saveTool(toolId, categoryKey, tool) {
+        await this.mutateCatalog(data => {
+            this.requireCategory(data, categoryKey);
+            const found = this.locate(data, toolId);
+            if (found && found.categoryKey === categoryKey) {
+                data.categories[categoryKey].tools[found.index] = tool;
+                return;
+            }
+            if (found) {
+                data.categories[found.categoryKey].tools.splice(found.index, 1);
+            }
+            data.categories[categoryKey].tools.push(tool);
+        });
+    }
+
+    async deleteTool(toolId) {
+        let removed = false;
+        await this.mutateCatalog(data => {
+            const found = this.locate(data, toolId);
+            if (found) {
+                data.categories[found.categoryKey].tools.splice(found.index, 1);
+                removed = true;
+            }
+        });
+        return removed;
+    }
+
+    // ---------- Discoveries ----------
+
+    getDiscoveries() {
+        return this.readJson(this.discoveredPath);
+    }
+
+    addDiscovery(entry) {
+        return this.queue.run(() => withFileLock(this.discoveredPath, () => {
+            const discovered = this.readJson(this.discoveredPath);
+            discovered.tools.push(entry);
+            discovered.lastScrape = entry.discoveredAt;
+            discovered.totalDiscovered = discovered.tools.length;
+            this.writeJson(this.discoveredPath, discovered);
+        }));
+    }
+
+    // ---------- Sessions ----------
+
+    listSessions(owner) {
+        return this.readSessions().sessions
+            .filter(session => session.owner === owner)
+            .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    getSession(sessionId) {
+        return this.readSessions().sessions.find(s => s.id === sessionId) || null;
+    }
+
+    async createSession(session) {
+        await this.mutateSessions(data => {
+            data.sessions.push(session);
+        });
+    }
+
+    async updateSession(sessionId, changes) {
+        return this.mutateSessions(data => {
+            const session = data.sessions.find(s => s.id === sessionId);
+            if (!session) return false;
+            Object.assign(session, changes);
+            return true;
+        });
+    }
+
+    async appendSessionMessages(sessionId, messages, updatedAt) {
+        return this.mutateSessions(data => {
+            const session = data.sessions.find(s => s.id === sessionId);
+            if (!session) return false;
+            session.messages.push(...messages);
+            session.updatedAt = updatedAt;
+            return true;
+        });
+    }
+
+    async deleteSession(sessionId) {
+        return this.mutateSessions(data => {
+            const index = data.sessions.findIndex(s => s.id === sessionId);
+            if (index === -1) return false;
+            data.sessions.splice(index, 1);
+            return true;
+        });
+    }
+
+    // ---------- Feedback ----------
+
+    listFeedback() {
+        return this.readJsonOr(this.feedbackPath, { feedback: [] }).feedback;
+    }
+
+    addFeedback(entry) {
+        return this.queue.run(() => withFileLock(this.feedbackPath, () => {
+            const data = this.readJsonOr(this.feedbackPath, { feedback: [] });
+            data.feedback.push(entry);
+            this.writeJson(this.feedbackPath, data);
+        }));
+    }
+
+    // ---------- Watching ----------
+
+    /**
+     * Call `onChange` when tools.json is changed by someone else (hand edits, bulk-import.js).
+     * Watches the directory because atomic writes replace the file rather than modify it.
+     */
+    watch(onChange) {
+        if (this.watcher) return;
+
+        const fileName = path.basename(this.toolsPath);
+        let debounce = null;
+
+        this.watcher = fs.watch(path.dirname(this.toolsPath), (event, changed) => {
+            if (changed !== fileName) return;
+
+            clearTimeout(debounce);
+            debounce = setTimeout(() => {
+                const signature = this.signature(this.toolsPath);
+                if (!signature || signature === this.lastSignature) return; // gone, or our own write
+
+                try {
+                    this.getCatalog();
+                } catch (e) {
+                    // Editor mid-save or a typo - keep serving the last good catalog
+                    console.log(`[STORAGE] Ignoring unreadable edit to ${fileName}: ${e.message}`);
+                    return;
+                }
+
+                this.lastSignature = signature;
+                onChange();
+            }, 200);
+        });
+        this.watcher.unref();
+    }
+
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // ---------- Health ----------
+
+    isWritable() {
+        try {
+            fs.accessSync(this.toolsPath, fs.constants.W_OK);
+            fs.accessSync(path.dirname(this.toolsPath), fs.constants.W_OK);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * Read-modify-write the catalog, keeping metadata in sync.
+     * The read happens inside the lock so another process's write is never overwritten.
+     */
+    mutateCatalog(mutate) {
+        return this.queue.run(() => withFileLock(this.toolsPath, () => {
+            const data = this.getCatalog();
+            mutate(data);
+            data.metadata.totalTools = Object.values(data.categories)
+                .reduce((sum, cat) => sum + cat.tools.length, 0);
+            data.metadata.categories = Object.keys(data.categories).length;
+            data.metadata.lastUpdated = new Date().toISOString().split('T')[0];
+            this.writeJson(this.toolsPath, data);
+            this.lastSignature = this.signature(this.toolsPath);
+        }));
+    }
+
+    /**
+     * Read-modify-write sessions.json under its lock; resolves to whatever `mutate` returns
+     */
+    mutateSessions(mutate) {
+        return this.queue.run(() => withFileLock(this.sessionsPath, () => {
+            const data = this.readSessions();
+            const result = mutate(data);
+            this.writeJson(this.sessionsPath, data);
+            return result;
+        }));
+    }
+
+    readSessions() {
+        return this.readJsonOr(this.sessionsPath, { sessions: [] });
+    }
+
+    /**
+     * Startup integrity check: the file must parse and look like what we expect.
+     * Leftover temp files from a crashed write are removed once the real file checks out.
+     * options.optional - a missing file is fine (it's created on the first write)
+     */
+    verifyFile(filePath, isValidShape, { optional = false } = {}) {
+        if (optional && !fs.existsSync(filePath)) return;
+
+        const name = path.basename(filePath);
+        const leftovers = findLeftoverTempFiles(filePath);
+        let reason = null;
+
+        try {
+            if (!isValidShape(this.readJson(filePath))) {
+                reason = 'unexpected structure';
+            }
+        } catch (e) {
+            reason = e.message;
+        }
+
+        if (reason) {
+            const hint = leftovers.length > 0
+                ? ` A write was interrupted - ${leftovers.map(f => path.basename(f)).join(', ')} may hold the last good copy.`
+                : ' Restore it from git or a backup.';
+            const error = new Error(`data/${name} is corrupted or partially written (${reason}).${hint}`);
+            error.code = 'corrupt';
+            throw error;
+        }
+
+        for (const leftover of leftovers) {
+            console.log(`[STORAGE] Removing leftover temp file ${path.basename(leftover)}`);
+            fs.rmSync(leftover, { force: true });
+        }
+    }
+
+    /**
+     * Cheap identity for a file version (a rename-replace changes the inode)
+     */
+    signature(filePath) {
+        try {
+            const stat = fs.statSync(filePath);
+            return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    locate(data, toolId) {
+        for (const [categoryKey, category] of Object.entries(data.categories)) {
+            const index = category.tools.findIndex(t => t.id === toolId);
+            if (index !== -1) {
+                return { categoryKey, index, tool: category.tools[index] };
+            }
+        }
+        return null;
+    }
+
+    requireCategory(data, categoryKey) {
+        if (!data.categories[categoryKey]) {
+            const error = new Error(`Category "${categoryKey}" not found`);
+            error.code = 'not_found';
+            throw error;
+        }
+    }
+
+    conflict(toolId) {
+        const error = new Error(`Tool "${toolId}" already exists`);
+        error.code = 'conflict';
+        return error;
+    }
+
+    readJson(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+
+    /**
+     * readJson, or `empty` when the file doesn't exist yet
+     */
+    readJsonOr(filePath, empty) {
+        try {
+            return this.readJson(filePath);
+        } catch (e) {
+            if (e.code === 'ENOENT') return empty;
+            throw e;
+        }
+    }
+
+    writeJson(filePath, data) {
+        writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    }
+}
+
+module.exports = JsonStore;
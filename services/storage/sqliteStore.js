@@ -0,0 +1,382 @@
+/**
+ * DECY SQLite Store
+ * Storage adapter backed by a SQLite database (better-sqlite3)
+ *
+ * On first open the database is seeded from data/tools.json, data/discovered.json, data/sessions.json
+ * and data/feedback.json,
+ * so switching STORAGE_BACKEND=sqlite needs no manual migration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS categories (
+        key       TEXT PRIMARY KEY,
+        name      TEXT NOT NULL,
+        icon      TEXT,
+        keywords  TEXT NOT NULL DEFAULT '[]',
+        position  INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS tools (
+        id            TEXT PRIMARY KEY,
+        category_key  TEXT NOT NULL REFERENCES categories(key),
+        name          TEXT NOT NULL,
+        data          TEXT NOT NULL,
+        position      INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tools_category ON tools(category_key, position);
+    CREATE INDEX IF NOT EXISTS idx_tools_name ON tools(name COLLATE NOCASE);
+
+    CREATE TABLE IF NOT EXISTS metadata (
+        key    TEXT PRIMARY KEY,
+        value  TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS discoveries (
+        seq            INTEGER PRIMARY KEY AUTOINCREMENT,
+        tool_id        TEXT NOT NULL,
+        name           TEXT NOT NULL,
+        category       TEXT,
+        url            TEXT,
+        discovered_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_discoveries_at ON discoveries(discovered_at);
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id          TEXT PRIMARY KEY,
+        owner       TEXT NOT NULL,
+        title       TEXT NOT NULL,
+        created_at  TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_owner ON sessions(owner, updated_at);
+
+    CREATE TABLE IF NOT EXISTS session_messages (
+        seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id  TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        data        TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_messages ON session_messages(session_id, seq);
+
+    CREATE TABLE IF NOT EXISTS feedback (
+        seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+        id          TEXT NOT NULL UNIQUE,
+        created_at  TEXT NOT NULL,
+        data        TEXT NOT NULL
+    );
+`;
+
+class SqliteStore {
+    constructor(options = {}) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (e) {
+            throw new Error('STORAGE_BACKEND=sqlite needs the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        this.name = 'sqlite';
+        this.dbPath = options.dbPath || process.env.SQLITE_PATH || path.join(DATA_DIR, 'decy.db');
+        this.db = new Database(this.dbPath);
+
+        // WAL lets readers run alongside a writer; busy_timeout makes concurrent writers wait instead of failing
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        this.seedIfEmpty(
+            options.toolsPath || path.join(DATA_DIR, 'tools.json'),
+            options.discoveredPath || path.join(DATA_DIR, 'discovered.json'),
+            options.sessionsPath || path.join(DATA_DIR, 'sessions.json'),
+            options.feedbackPath || path.join(DATA_DIR, 'feedback.json')
+        );
+    }
+
+    // ---------- Catalog ----------
+
+    getCatalog() {
+        const categories = {};
+        for (const row of this.db.prepare('SELECT * FROM categories ORDER BY position').all()) {
+            categories[row.key] = {
+                name: row.name,
+                icon: row.icon,
+                keywords: JSON.parse(row.keywords),
+                tools: []
+            };
+        }
+
+        for (const row of this.db.prepare('SELECT category_key, data FROM tools ORDER BY position').all()) {
+            categories[row.category_key]?.tools.push(JSON.parse(row.data));
+        }
+
+        const meta = Object.fromEntries(
+            this.db.prepare('SELECT key, value FROM metadata').all().map(r => [r.key, r.value])
+        );
+
+        return {
+            categories,
+            metadata: {
+                version: meta.version || '1.0.0',
+                lastUpdated: meta.lastUpdated || null,
+                totalTools: Object.values(categories).reduce((sum, cat) => sum + cat.tools.length, 0),
+                categories: Object.keys(categories).length
+            }
+        };
+    }
+
+    getTool(toolId) {
+        const row = this.db.prepare('SELECT category_key, data FROM tools WHERE id = ?').get(toolId);
+        return row ? { tool: JSON.parse(row.data), categoryKey: row.category_key } : null;
+    }
+
+    async insertTool(categoryKey, tool) {
+        this.db.transaction(() => {
+            this.requireCategory(categoryKey);
+            if (this.db.prepare('SELECT 1 FROM tools WHERE id = ?').get(tool.id)) {
+                throw this.conflict(tool.id);
+            }
+            this.db.prepare('INSERT INTO tools (id, category_key, name, data, position) VALUES (?, ?, ?, ?, ?)')
+                .run(tool.id, categoryKey, tool.name, JSON.stringify(tool), this.nextPosition());
+            this.touch();
+        })();
+    }
+
+    async saveTool(toolId, categoryKey, tool) {
+        this.db.transaction(() => {
+            this.requireCategory(categoryKey);
+            const current = this.db.prepare('SELECT category_key, position FROM tools WHERE id = ?').get(toolId);
+            // Moving to another category appends, like the JSON store does
+            const position = current && current.category_key === categoryKey ? current.position : this.nextPosition();
+
+            this.db.prepare('DELETE FROM tools WHERE id = ?').run(toolId);
+            this.db.prepare('INSERT INTO tools (id, category_key, name, data, position) VALUES (?, ?, ?, ?, ?)')
+                .run(tool.id, categoryKey, tool.name, JSON.stringify(tool), position);
+            this.touch();
+        })();
+    }
+
+    async deleteTool(toolId) {
+        const result = this.db.prepare('DELETE FROM tools WHERE id = ?').run(toolId);
+        if (result.changes > 0) this.touch();
+        return result.changes > 0;
+    }
+
+    // ---------- Discoveries ----------
+
+    getDiscoveries() {
+        const tools = this.db.prepare('SELECT * FROM discoveries ORDER BY seq').all().map(row => ({
+            id: row.tool_id,
+            name: row.name,
+            category: row.category,
+            discoveredAt: row.discovered_at,
+            url: row.url
+        }));
+
+        return {
+            tools,
+            lastScrape: tools.length > 0 ? tools[tools.length - 1].discoveredAt : null,
+            totalDiscovered: tools.length
+        };
+    }
+
+    async addDiscovery(entry) {
+        this.db.prepare('INSERT INTO discoveries (tool_id, name, category, url, discovered_at) VALUES (?, ?, ?, ?, ?)')
+            .run(entry.id, entry.name, entry.category, entry.url, entry.discoveredAt);
+    }
+
+    // ---------- Sessions ----------
+
+    listSessions(owner) {
+        return this.db.prepare(`
+            SELECT s.*, (SELECT COUNT(*) FROM session_messages m WHERE m.session_id = s.id) AS message_count
+            FROM sessions s WHERE owner = ? ORDER BY updated_at DESC
+        `).all(owner).map(row => ({
+            ...this.sessionFromRow(row),
+            messageCount: row.message_count
+        }));
+    }
+
+    getSession(sessionId) {
+        const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+        if (!row) return null;
+
+        const messages = this.db.prepare('SELECT data FROM session_messages WHERE session_id = ? ORDER BY seq')
+            .all(sessionId).map(m => JSON.parse(m.data));
+        return { ...this.sessionFromRow(row), messages };
+    }
+
+    async createSession(session) {
+        this.db.transaction(() => {
+            this.db.prepare('INSERT INTO sessions (id, owner, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+                .run(session.id, session.owner, session.title, session.createdAt, session.updatedAt);
+            this.insertSessionMessages(session.id, session.messages);
+        })();
+    }
+
+    async updateSession(sessionId, changes) {
+        const current = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+        if (!current) return false;
+
+        const session = { ...this.sessionFromRow(current), ...changes };
+        this.db.prepare('UPDATE sessions SET title = ?, updated_at = ? WHERE id = ?')
+            .run(session.title, session.updatedAt, sessionId);
+        return true;
+    }
+
+    async appendSessionMessages(sessionId, messages, updatedAt) {
+        return this.db.transaction(() => {
+            const result = this.db.prepare('UPDATE sessions SET updated_at = ? WHERE id = ?').run(updatedAt, sessionId);
+            if (result.changes === 0) return false;
+            this.insertSessionMessages(sessionId, messages);
+            return true;
+        })();
+    }
+
+    async deleteSession(sessionId) {
+        return this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId).changes > 0;
+    }
+
+    // ---------- Feedback ----------
+
+    listFeedback() {
+        return this.db.prepare('SELECT data FROM feedback ORDER BY seq').all().map(row => JSON.parse(row.data));
+    }
+
+    async addFeedback(entry) {
+        this.db.prepare('INSERT INTO feedback (id, created_at, data) VALUES (?, ?, ?)')
+            .run(entry.id, entry.createdAt, JSON.stringify(entry));
+    }
+
+    // ---------- Watching ----------
+
+    /**
+     * Call `onChange` when another connection commits (sqlite3 CLI, bulk-import.js, another server).
+     * PRAGMA data_version only moves for other connections' commits, so our own writes don't fire it.
+     */
+    watch(onChange) {
+        if (this.watchTimer) return;
+
+        let lastVersion = this.db.pragma('data_version', { simple: true });
+        this.watchTimer = setInterval(() => {
+            const version = this.db.pragma('data_version', { simple: true });
+            if (version !== lastVersion) {
+                lastVersion = version;
+                onChange();
+            }
+        }, 2000);
+        this.watchTimer.unref();
+    }
+
+    unwatch() {
+        clearInterval(this.watchTimer);
+        this.watchTimer = null;
+    }
+
+    // ---------- Health ----------
+
+    isWritable() {
+        return !this.db.readonly;
+    }
+
+    // ---------- Internals ----------
+
+    /**
+     * Import the JSON files the first time the database is opened
+     */
+    seedIfEmpty(toolsPath, discoveredPath, sessionsPath, feedbackPath) {
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM categories').get();
+        if (count > 0 || !fs.existsSync(toolsPath)) return;
+
+        const catalog = JSON.parse(fs.readFileSync(toolsPath, 'utf-8'));
+        const discovered = fs.existsSync(discoveredPath)
+            ? JSON.parse(fs.readFileSync(discoveredPath, 'utf-8'))
+            : { tools: [] };
+        const sessions = fs.existsSync(sessionsPath)
+            ? JSON.parse(fs.readFileSync(sessionsPath, 'utf-8'))
+            : { sessions: [] };
+        const feedback = fs.existsSync(feedbackPath)
+            ? JSON.parse(fs.readFileSync(feedbackPath, 'utf-8'))
+            : { feedback: [] };
+
+        const insertCategory = this.db.prepare('INSERT INTO categories (key, name, icon, keywords, position) VALUES (?, ?, ?, ?, ?)');
+        const insertTool = this.db.prepare('INSERT OR IGNORE INTO tools (id, category_key, name, data, position) VALUES (?, ?, ?, ?, ?)');
+        const insertMeta = this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)');
+        const insertDiscovery = this.db.prepare('INSERT INTO discoveries (tool_id, name, category, url, discovered_at) VALUES (?, ?, ?, ?, ?)');
+        const insertSession = this.db.prepare('INSERT INTO sessions (id, owner, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)');
+        const insertFeedback = this.db.prepare('INSERT OR IGNORE INTO feedback (id, created_at, data) VALUES (?, ?, ?)');
+
+        this.db.transaction(() => {
+            let position = 0;
+            Object.entries(catalog.categories).forEach(([key, cat], i) => {
+                insertCategory.run(key, cat.name, cat.icon || null, JSON.stringify(cat.keywords || []), i);
+                for (const tool of cat.tools) {
+                    insertTool.run(tool.id, key, tool.name, JSON.stringify(tool), position++);
+                }
+            });
+            insertMeta.run('version', catalog.metadata?.version || '1.0.0');
+            insertMeta.run('lastUpdated', catalog.metadata?.lastUpdated || null);
+
+            for (const entry of discovered.tools) {
+                insertDiscovery.run(entry.id, entry.name, entry.category, entry.url, entry.discoveredAt);
+            }
+
+            for (const session of sessions.sessions) {
+                insertSession.run(session.id, session.owner, session.title, session.createdAt, session.updatedAt);
+                this.insertSessionMessages(session.id, session.messages);
+            }
+
+            for (const entry of feedback.feedback) {
+                insertFeedback.run(entry.id, entry.createdAt, JSON.stringify(entry));
+            }
+        })();
+
+        console.log(`[STORAGE] Seeded SQLite from JSON: ${Object.keys(catalog.categories).length} categories`);
+    }
+
+    insertSessionMessages(sessionId, messages) {
+        const insert = this.db.prepare('INSERT INTO session_messages (session_id, data) VALUES (?, ?)');
+        for (const message of messages) {
+            insert.run(sessionId, JSON.stringify(message));
+        }
+    }
+
+    sessionFromRow(row) {
+        return {
+            id: row.id,
+            owner: row.owner,
+            title: row.title,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    nextPosition() {
+        return this.db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM tools').get().next;
+    }
+
+    touch() {
+        this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)')
+            .run('lastUpdated', new Date().toISOString().split('T')[0]);
+    }
+
+    requireCategory(categoryKey) {
+        if (!this.db.prepare('SELECT 1 FROM categories WHERE key = ?').get(categoryKey)) {
+            const error = new Error(`Category "${categoryKey}" not found`);
+            error.code = 'not_found';
+            throw error;
+        }
+    }
+
+    conflict(toolId) {
+        const error = new Error(`Tool "${toolId}" already exists`);
+        error.code = 'conflict';
+        return error;
+    }
+}
+
+module.exports = SqliteStore;
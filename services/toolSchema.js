@@ -0,0 +1,169 @@
+/**
+ * DECY Tool Schema
+ * Formal JSON Schema for catalog tool entries + field-level validation
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const TOOL_ID_PATTERN = '^[a-z0-9][a-z0-9_\\-]*$';
+
+// Where a tool runs - 'api' means it can be used programmatically
+const PLATFORMS = ['web', 'ios', 'android', 'windows', 'macos', 'linux', 'browser_extension', 'discord', 'slack', 'api'];
+// How long user content is kept: not at all, for a limited time, or until deleted
+const RETENTION = ['none', 'limited', 'indefinite'];
+
+const toolSchema = {
+    $id: 'decy:tool',
+    type: 'object',
+    additionalProperties: false,
+    required: ['id', 'name', 'bestFor', 'deploy', 'limits', 'pricing', 'ease', 'url'],
+    properties: {
+        id: { type: 'string', pattern: TOOL_ID_PATTERN, minLength: 1, maxLength: 64 },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        bestFor: { type: 'string', minLength: 1, maxLength: 300 },
+        deploy: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['available', 'type'],
+            properties: {
+                available: { type: 'boolean' },
+                type: { type: 'string', enum: ['Free', 'Paid', 'Free/Paid', 'N/A'] },
+                note: { type: 'string', maxLength: 300 }
+            }
+        },
+        limits: { type: 'string', minLength: 1, maxLength: 300 },
+        pricing: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['free'],
+            properties: {
+                free: { type: 'boolean' },
+                premium: { type: ['string', 'null'], maxLength: 100 },
+                // Structured from `premium` by services/pricing.js - amount/period are the cheapest paid tier
+                currency: { type: ['string', 'null'], enum: ['USD', 'EUR', 'GBP', 'INR', null] },
+                amount: { type: ['number', 'null'], minimum: 0 },
+                period: { type: ['string', 'null'], enum: ['month', 'year', 'week', 'one_time', null] },
+                tiers: {
+                    type: 'array',
+                    maxItems: 10,
+                    items: {
+                        type: 'object',
+                        additionalProperties: false,
+                        required: ['amount', 'period'],
+                        properties: {
+                            name: { type: ['string', 'null'], maxLength: 50 },
+                            amount: { type: 'number', minimum: 0 },
+                            period: { type: 'string', enum: ['month', 'year', 'week', 'one_time'] }
+                        }
+                    }
+                }
+            }
+        },
+        whySuitsYou: { type: 'string', maxLength: 300 },
+        ease: { type: 'integer', minimum: 1, maximum: 5 },
+        url: { type: 'string', format: 'uri', pattern: '^https?://' },
+        acceptsPrompt: { type: 'boolean' },
+        promptHint: { type: 'string', minLength: 1, maxLength: 300 },
+        // Other names people use for the tool ("MJ", "GH Copilot") - matched like the name
+        aliases: {
+            type: 'array',
+            maxItems: 10,
+            uniqueItems: true,
+            items: { type: 'string', minLength: 1, maxLength: 50 }
+        },
+        // Other categories the tool is listed under - the one it's stored in is its primary
+        secondaryCategories: {
+            type: 'array',
+            maxItems: 5,
+            uniqueItems: true,
+            items: { type: 'string', pattern: TOOL_ID_PATTERN, minLength: 1, maxLength: 64 }
+        },
+        // Optional attributes users filter on - absent means unknown, not "no"
+        platforms: {
+            type: 'array',
+            maxItems: PLATFORMS.length,
+            uniqueItems: true,
+            items: { type: 'string', enum: PLATFORMS }
+        },
+        openSource: { type: 'boolean' },
+        selfHostable: { type: 'boolean' },
+        hasApi: { type: 'boolean' },
+        privacy: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                retention: { type: 'string', enum: RETENTION },
+                // Whether user content trains the vendor's models by default
+                trainsOnData: { type: 'boolean' },
+                note: { type: 'string', maxLength: 300 }
+            }
+        },
+        // ISO 639-1 codes of the languages the tool works in ("en", "es")
+        languages: {
+            type: 'array',
+            maxItems: 100,
+            uniqueItems: true,
+            items: { type: 'string', pattern: '^[a-z]{2}$' }
+        },
+        freeTierWatermark: { type: 'boolean' },
+        // Day the tool joined the catalog (set by ToolCatalog) - newer tools rank a little higher
+        addedAt: { type: 'string', format: 'date' }
+    },
+    // A tool that accepts prompts must tell users what to write
+    if: { properties: { acceptsPrompt: { const: true } }, required: ['acceptsPrompt'] },
+    then: { required: ['promptHint'] }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validateFull = ajv.compile(toolSchema);
+
+/**
+ * Turn Ajv errors into { field, message } pairs the admin UI can show next to inputs.
+ * `subject` names the object in "is not a known <subject> field" (null for just "field").
+ */
+function formatErrors(errors = [], subject = 'tool') {
+    return errors
+        .filter(err => err.keyword !== 'if')
+        .map(err => {
+            const base = err.instancePath.replace(/^\//, '').replace(/\//g, '.');
+            let field = base || '(root)';
+            let message = err.message;
+
+            if (err.keyword === 'required') {
+                field = base ? `${base}.${err.params.missingProperty}` : err.params.missingProperty;
+                message = 'is required';
+            } else if (err.keyword === 'additionalProperties') {
+                field = base ? `${base}.${err.params.additionalProperty}` : err.params.additionalProperty;
+                message = `is not a known ${subject ? `${subject} ` : ''}field`;
+            } else if (err.keyword === 'enum') {
+                message = `must be one of: ${err.params.allowedValues.join(', ')}`;
+            } else if (err.keyword === 'pattern' && field === 'id') {
+                message = 'must be lowercase letters, digits, "_" or "-"';
+            } else if (field === 'url' && (err.keyword === 'pattern' || err.keyword === 'format')) {
+                message = 'must be an http(s) URL';
+            }
+
+            return { field, message };
+        });
+}
+
+/**
+ * Validate a complete tool entry
+ * Returns: { valid: boolean, errors: Array<{ field, message }> }
+ */
+function validateTool(tool) {
+    const valid = validateFull(tool);
+    return { valid, errors: valid ? [] : formatErrors(validateFull.errors) };
+}
+
+module.exports = {
+    PLATFORMS,
+    RETENTION,
+    toolSchema,
+    validateTool,
+    formatErrors,
+    ajv
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ApiValidator = require('../services/apiValidator');
+
+// An app behind the validator whose /api/recommend answers with `reply` and whose curator route
+// turns away callers without an Authorization header; resolves to its base URL
+async function serve(t, reply, responseMode = 'strict') {
+    const validator = new ApiValidator(undefined, { responseMode });
+    const requireAuth = (req, res, next) => (req.get('Authorization')
+        ? next()
+        : res.status(401).json({ success: false, error: 'Authentication required' }));
+    const app = express();
+    app.use(express.json());
+    app.use(validator.middleware());
+    app.post('/api/recommend', (req, res) => res.json(reply));
+    app.post('/api/tools/:category', requireAuth, validator.validateAfterAuth(), (req, res) => res.status(201).json(reply));
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+const post = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('a bad body is rejected with the operation\'s message and the failing fields', async (t) => {
+    const base = await serve(t, {});
+    const res = await post(`${base}/api/recommend`, { query: '   ', budget: 'lots' });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Please tell me what you want to do');
+    assert.deepEqual(body.fields.map(field => field.field).sort(), ['budget', 'query']);
+    assert.equal(body.fields.find(field => field.field === 'query').message, 'must not be blank');
+});
+
+test('the operation\'s message is kept for its own fields, other failures are just invalid', async (t) => {
+    const base = await serve(t, {});
+    const res = await post(`${base}/api/recommend`, { query: 'make a logo', maxMonthlyBudget: -5 });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.equal(body.error, 'Invalid request');
+    assert.deepEqual(body.fields.map(field => field.field), ['maxMonthlyBudget']);
+    assert.equal((await (await post(`${base}/api/recommend`, {})).json()).error, 'Please tell me what you want to do');
+});
+
+test('routes that need credentials authenticate before the body is checked', async (t) => {
+    const base = await serve(t, {});
+
+    const anonymous = await post(`${base}/api/tools/design`, { name: 42 });
+    assert.equal(anonymous.status, 401);
+    assert.equal('fields' in await anonymous.json(), false);
+
+    const signedIn = await post(`${base}/api/tools/design`, { name: 42 }, { Authorization: 'Bearer token' });
+    assert.equal(signedIn.status, 400);
+    assert.ok((await signedIn.json()).fields.some(field => field.field === 'name'));
+});
+
+test('strict mode turns a response that drifts from the spec into a 500', async (t) => {
+    const base = await serve(t, { unexpected: true });
+    const res = await post(`${base}/api/recommend`, { query: 'make a logo' });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { success: false, error: 'Response failed validation' });
+});
+
+test('match prefers static segments and decodes path params', () => {
+    const validator = new ApiValidator(undefined, { responseMode: 'off' });
+
+    assert.equal(validator.match('GET', '/api/tools/all').template, '/api/tools/all');
+    const match = validator.match('GET', '/api/tools/design%20x');
+    assert.equal(match.template, '/api/tools/{category}');
+    assert.deepEqual(match.params, { category: 'design x' });
+    assert.equal(validator.match('GET', '/index.html'), null);
+});
+
+test('an unknown response mode is refused', () => {
+    assert.throws(() => new ApiValidator(undefined, { responseMode: 'loud' }), /Unknown OPENAPI_RESPONSE_VALIDATION "loud"/);
+});
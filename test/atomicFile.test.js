@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, findLeftoverTempFiles, withFileLock, WriteQueue } = require('../services/storage/atomicFile');
+const JsonStore = require('../services/storage/jsonStore');
+const { tempDir, tempRepository } = require('./helpers');
+
+test('atomic writes replace the file and leave no temp files', (t) => {
+    const file = path.join(tempDir(t), 'data.json');
+    writeFileAtomic(file, '{"a":1}');
+    writeFileAtomic(file, '{"a":2}');
+
+    assert.equal(fs.readFileSync(file, 'utf-8'), '{"a":2}');
+    assert.deepEqual(findLeftoverTempFiles(file), []);
+});
+
+test('the write queue runs jobs one at a time and survives a failed job', async () => {
+    const queue = new WriteQueue();
+    const order = [];
+    const job = (name, ms, fail = false) => () => new Promise((resolve, reject) => setTimeout(() => {
+        order.push(name);
+        if (fail) reject(new Error(name));
+        else resolve(name);
+    }, ms));
+
+    const results = await Promise.allSettled([queue.run(job('slow', 20)), queue.run(job('bad', 1, true)), queue.run(job('fast', 1))]);
+    assert.deepEqual(order, ['slow', 'bad', 'fast']);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+});
+
+test('the file lock lets one holder in at a time and is released after errors', async (t) => {
+    const file = path.join(tempDir(t), 'data.json');
+    let inside = 0;
+    let most = 0;
+    const hold = () => withFileLock(file, async () => {
+        most = Math.max(most, ++inside);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inside--;
+    });
+
+    await Promise.all([hold(), hold(), hold()]);
+    assert.equal(most, 1);
+
+    await assert.rejects(withFileLock(file, async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('a lock left by a process that is gone is taken over', async (t) => {
+    const file = path.join(tempDir(t), 'data.json');
+    fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname() }));
+
+    assert.equal(await withFileLock(file, async () => 'got it'), 'got it');
+});
+
+test('parallel tool inserts through the JSON store all land', async (t) => {
+    const { repository } = tempRepository(t);
+    const count = repository.getAllTools().length;
+    const tool = id => ({ id, name: id, bestFor: 'x', deploy: { available: false, type: 'N/A' }, limits: 'x', pricing: { free: true }, ease: 3, url: 'https://x.example' });
+
+    await Promise.all(Array.from({ length: 8 }, (_, i) => repository.insertTool('design', tool(`parallel_${i}`))));
+    assert.equal(repository.getAllTools().length, count + 8);
+});
+
+test('a corrupted catalog stops the store, pointing at the interrupted write', (t) => {
+    const { dir } = tempRepository(t);
+    const toolsPath = path.join(dir, 'tools.json');
+    fs.writeFileSync(toolsPath, '{"categories": {"design": ');
+    fs.writeFileSync(path.join(dir, '.tools.json.123.abcd.tmp'), '{}');
+
+    assert.throws(
+        () => new JsonStore({ toolsPath, discoveredPath: path.join(dir, 'discovered.json'), sessionsPath: path.join(dir, 's.json'), feedbackPath: path.join(dir, 'f.json') }),
+        error => error.code === 'corrupt' && /\.tools\.json\.123\.abcd\.tmp/.test(error.message)
+    );
+});
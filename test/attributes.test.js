@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTool } = require('../services/toolSchema');
+const { parseConstraints, withFilters, violations } = require('../services/constraints');
+const ToolCatalog = require('../services/catalog');
+const RecommendationEngine = require('../services/recommendation');
+const { tempRepository } = require('./helpers');
+
+const NEW_TOOL = {
+    id: 'penpot',
+    name: 'Penpot',
+    bestFor: 'Open source design and prototyping',
+    deploy: { available: true, type: 'Free', note: 'Share links' },
+    limits: 'Fewer plugins than Figma',
+    pricing: { free: true, premium: null },
+    whySuitsYou: 'Figma-like and self-hostable',
+    ease: 4,
+    url: 'https://penpot.app'
+};
+
+const noConstraints = () => parseConstraints('', () => null);
+
+test('the schema accepts the new attributes and rejects bad values', () => {
+    const attributes = {
+        platforms: ['web', 'linux'],
+        openSource: true,
+        selfHostable: true,
+        hasApi: true,
+        privacy: { retention: 'none', trainsOnData: false },
+        languages: ['en', 'es'],
+        freeTierWatermark: false
+    };
+    assert.equal(validateTool({ ...NEW_TOOL, ...attributes }).valid, true);
+
+    const { errors } = validateTool({ ...NEW_TOOL, platforms: ['amiga'], languages: ['English'], privacy: { retention: 'forever' } });
+    assert.deepEqual(errors.map(error => error.field).sort(), ['languages.0', 'platforms.0', 'privacy.retention']);
+});
+
+test('withFilters adds flags, platforms and languages, and false flags add nothing', () => {
+    const constraints = withFilters(noConstraints(), { openSource: true, hasApi: false, platforms: ['iOS'], languages: ['ES'] });
+
+    assert.deepEqual(constraints.requires, ['open_source']);
+    assert.deepEqual(constraints.platforms, ['ios']);
+    assert.deepEqual(constraints.languages, ['es']);
+    assert.equal(withFilters(constraints, null), constraints);
+});
+
+test('platform groups and language defaults decide what a tool runs on', () => {
+    const desktop = withFilters(noConstraints(), { platforms: ['desktop'] });
+    assert.deepEqual(violations({ id: 'a', platforms: ['macos'] }, desktop), []);
+    assert.deepEqual(violations({ id: 'b', platforms: ['web'] }, desktop), ['platform:desktop']);
+    assert.deepEqual(violations({ id: 'c' }, desktop), ['platform:desktop']);
+    assert.deepEqual(violations({ id: 'd', hasApi: true }, withFilters(noConstraints(), { platforms: ['api'] })), []);
+
+    const spanish = withFilters(noConstraints(), { languages: ['es'] });
+    assert.deepEqual(violations({ id: 'e' }, spanish), ['language:es']);
+    assert.deepEqual(violations({ id: 'f', languages: ['en', 'es'] }, spanish), []);
+    assert.deepEqual(violations({ id: 'g' }, withFilters(noConstraints(), { languages: ['en'] })), []);
+});
+
+test('recommendation filters keep only tools whose attributes match', async (t) => {
+    const { repository } = tempRepository(t);
+    const created = await new ToolCatalog(repository).createTool('design', { ...NEW_TOOL, openSource: true, platforms: ['web', 'linux'] });
+    assert.equal(created.success, true);
+    const engine = new RecommendationEngine({ isAvailable: () => false }, repository);
+
+    const result = await engine.getRecommendations('I need a logo', 'free', null, { filters: { openSource: true, platforms: ['desktop'] } });
+    assert.deepEqual(result.tools.map(tool => tool.id), ['penpot']);
+    assert.match(engine.intelligence.describeAttributes(result.tools[0]), /Open source/);
+});
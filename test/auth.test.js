@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AuthService = require('../services/auth');
+
+// AuthService reads its credentials from the environment
+function authService(t, env) {
+    const saved = { DECY_API_KEYS: process.env.DECY_API_KEYS, DECY_ADMIN_USERS: process.env.DECY_ADMIN_USERS };
+    Object.assign(process.env, env);
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+    return new AuthService();
+}
+
+const request = headers => ({ get: name => headers[name] });
+
+test('users log in with plain or scrypt passwords and get a session with their role', (t) => {
+    const auth = authService(t, { DECY_API_KEYS: '', DECY_ADMIN_USERS: `alice:admin:s3cret:x,bob:viewer:${AuthService.hashPassword('hunter2')}` });
+
+    const alice = auth.login('alice', 's3cret:x');
+    assert.equal(alice.role, 'admin');
+    assert.equal(auth.login('bob', 'hunter2').role, 'viewer');
+    assert.equal(auth.login('bob', 'hunter3'), null);
+    assert.equal(auth.login('carol', 'hunter2'), null);
+
+    assert.equal(auth.identify(request({ authorization: `Bearer ${alice.token}` })).username, 'alice');
+    auth.logout(alice.token);
+    assert.equal(auth.identify(request({ authorization: `Bearer ${alice.token}` })), null);
+});
+
+test('non-string credentials fail the login instead of throwing', (t) => {
+    const auth = authService(t, { DECY_API_KEYS: '', DECY_ADMIN_USERS: `alice:admin:pw,bob:viewer:${AuthService.hashPassword('pw')}` });
+
+    for (const password of [{}, ['pw'], 42, null, undefined]) {
+        assert.equal(auth.login('alice', password), null);
+        assert.equal(auth.login('bob', password), null);
+    }
+    assert.equal(auth.login({ toString: () => 'alice' }, 'pw'), null);
+});
+
+test('a client is locked out after repeated failed logins, even with the right password', (t) => {
+    const auth = authService(t, { DECY_API_KEYS: '', DECY_ADMIN_USERS: 'alice:admin:pw' });
+
+    for (let i = 0; i < 4; i++) auth.login('alice', 'wrong', '10.0.0.1');
+    assert.equal(auth.loginRetryAfter('10.0.0.1'), 0);
+    auth.login('alice', 'wrong', '10.0.0.1');
+
+    assert.equal(auth.loginRetryAfter('10.0.0.1'), 900);
+    assert.equal(auth.login('alice', 'pw', '10.0.0.1'), null);
+    assert.equal(auth.loginRetryAfter('10.0.0.2'), 0);
+    assert.ok(auth.login('alice', 'pw', '10.0.0.2'));
+});
+
+test('a successful login clears the failure count', (t) => {
+    const auth = authService(t, { DECY_API_KEYS: '', DECY_ADMIN_USERS: 'alice:admin:pw' });
+
+    for (let i = 0; i < 4; i++) auth.login('alice', 'wrong', 'ip');
+    auth.login('alice', 'pw', 'ip');
+    for (let i = 0; i < 4; i++) auth.login('alice', 'wrong', 'ip');
+    assert.equal(auth.loginRetryAfter('ip'), 0);
+});
+
+test('API keys carry roles and requireRole checks them', (t) => {
+    const auth = authService(t, { DECY_API_KEYS: 'k1:admin,k2:viewer,k3:boss', DECY_ADMIN_USERS: '' });
+    const status = headers => {
+        let code = 200;
+        const res = { status: c => { code = c; return res; }, json: () => res };
+        auth.requireRole('curator')(request(headers), res, () => {});
+        return code;
+    };
+
+    assert.equal(status({ 'x-api-key': 'k1' }), 200);
+    assert.equal(status({ 'x-api-key': 'k2' }), 403);
+    assert.equal(status({ 'x-api-key': 'k3' }), 401);
+    assert.equal(status({}), 401);
+});
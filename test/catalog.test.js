@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ToolCatalog = require('../services/catalog');
+const { validateTool } = require('../services/toolSchema');
+const { tempRepository } = require('./helpers');
+
+const NEW_TOOL = {
+    id: 'sketchy',
+    name: 'Sketchy',
+    bestFor: 'Turning sketches into illustrations',
+    deploy: { available: true, type: 'Free/Paid' },
+    limits: '10 images a day free',
+    pricing: { free: true, premium: '$8/month (Basic), $20/month (Pro)' },
+    ease: 4,
+    url: 'https://sketchy.example.com'
+};
+
+function catalog(t) {
+    const { repository } = tempRepository(t);
+    return { catalog: new ToolCatalog(repository), repository };
+}
+
+test('the schema reports each bad field', () => {
+    const { valid, errors } = validateTool({ ...NEW_TOOL, id: 'Bad Id', ease: 9, extra: true });
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(error => error.field).sort(), ['ease', 'extra', 'id']);
+});
+
+test('created tools get structured pricing and an added date, and duplicate IDs conflict', async (t) => {
+    const { catalog: tools, repository } = catalog(t);
+    const created = await tools.createTool('image_generation', NEW_TOOL);
+
+    assert.equal(created.success, true);
+    assert.equal(created.tool.pricing.amount, 8);
+    assert.equal(created.tool.pricing.tiers.length, 2);
+    assert.match(created.tool.addedAt, /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal(repository.getTool('sketchy').categoryKey, 'image_generation');
+
+    assert.equal((await tools.createTool('design', NEW_TOOL)).code, 'conflict');
+    assert.equal((await tools.createTool('nope', NEW_TOOL)).code, 'not_found');
+    assert.equal((await tools.createTool('design', { ...NEW_TOOL, id: 'x2', secondaryCategories: ['design'] })).code, 'validation');
+});
+
+test('PATCH merges nested fields, refreshes stale pricing and clears fields set to null', async (t) => {
+    const { catalog: tools } = catalog(t);
+    await tools.createTool('image_generation', { ...NEW_TOOL, whySuitsYou: 'Quick drafts' });
+
+    const { tool } = await tools.updateTool('image_generation', 'sketchy', { pricing: { premium: '$12/month' }, deploy: { note: 'Export PNG' }, whySuitsYou: null });
+    assert.equal(tool.pricing.free, true);
+    assert.equal(tool.pricing.amount, 12);
+    assert.equal(tool.pricing.tiers.length, 1);
+    assert.deepEqual(tool.deploy, { available: true, type: 'Free/Paid', note: 'Export PNG' });
+    assert.equal('whySuitsYou' in tool, false);
+
+    const cleared = await tools.updateTool('image_generation', 'sketchy', { deploy: null });
+    assert.equal(cleared.code, 'validation');
+    assert.equal((await tools.updateTool('image_generation', 'sketchy', { id: 'other' })).code, 'validation');
+});
+
+test('moving to a secondary category swaps it with the primary; deleting there only unlists', async (t) => {
+    const { catalog: tools, repository } = catalog(t);
+
+    const moved = await tools.moveTool('design', 'canva', 'presentation');
+    assert.equal(moved.success, true);
+    assert.equal(repository.getTool('canva').categoryKey, 'presentation');
+    assert.deepEqual(repository.getTool('canva').tool.secondaryCategories, ['image_editing', 'design']);
+
+    await tools.deleteTool('image_editing', 'canva');
+    assert.deepEqual(repository.getTool('canva').tool.secondaryCategories, ['design']);
+    assert.equal((await tools.deleteTool('writing', 'canva')).code, 'not_found');
+
+    await tools.deleteTool('presentation', 'canva');
+    assert.equal(repository.getTool('canva'), null);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatActionValidator } = require('../services/chatActions');
+const RecommendationEngine = require('../services/recommendation');
+const { tempRepository } = require('./helpers');
+
+// A model that answers with `replies` in turn, recording what it was sent
+function scriptedLLM(replies) {
+    const requests = [];
+    return {
+        requests,
+        isAvailable: () => true,
+        complete: async (task, request) => {
+            requests.push(request);
+            return { provider: 'fake', text: replies[requests.length - 1] };
+        }
+    };
+}
+
+test('check accepts a valid action and digs JSON out of a code fence', () => {
+    const actions = new ChatActionValidator();
+    const reply = { action: 'show_tools', message: 'Try these', budget: 'free', tools: ['looka'] };
+
+    assert.deepEqual(actions.check(JSON.stringify(reply)), { valid: true, action: 'show_tools', output: reply, errors: [] });
+    assert.equal(actions.check('Sure!\n```json\n{"action": "chat", "message": "Hi"}\n```').valid, true);
+});
+
+test('check names what is wrong with an invalid reply', () => {
+    const actions = new ChatActionValidator();
+
+    assert.match(actions.check('not json').errors[0], /^reply is not valid JSON/);
+    assert.deepEqual(actions.check('[1]').errors, ['reply must be a JSON object']);
+    assert.equal(actions.check('{"action": "dance"}').action, null);
+
+    const check = actions.check(JSON.stringify({ action: 'show_tools', message: 'Here', tools: [], extra: 1 }));
+    assert.equal(check.valid, false);
+    assert.equal(check.action, 'show_tools');
+    assert.ok(check.errors.some(error => /tools/.test(error)));
+    assert.ok(check.errors.some(error => /extra/.test(error)));
+});
+
+test('repairMessages appends the bad reply and the errors to the conversation', () => {
+    const messages = [{ role: 'user', content: 'hi' }];
+    const repair = new ChatActionValidator().repairMessages(messages, '{"oops"', ['reply is not valid JSON']);
+
+    assert.equal(repair.length, 3);
+    assert.deepEqual(repair[1], { role: 'assistant', content: '{"oops"' });
+    assert.match(repair[2].content, /- reply is not valid JSON/);
+});
+
+test('stats count valid, repaired and failed replies per action', () => {
+    const actions = new ChatActionValidator();
+    actions.record('chat', 'valid');
+    actions.record('chat', 'repaired');
+    actions.record(null, 'failed');
+
+    const { actions: stats } = actions.getStats();
+    assert.deepEqual(stats.chat, { total: 2, valid: 1, repaired: 1, failed: 0, failureRate: 0.5 });
+    assert.equal(stats.unknown.failed, 1);
+    assert.equal(stats.show_tools.failureRate, 0);
+});
+
+test('an invalid chat reply gets one repair round-trip with the errors fed back', async (t) => {
+    const llm = scriptedLLM(['{"action": "chat"}', '{"action": "chat", "message": "Fixed it"}']);
+    const engine = new RecommendationEngine(llm, tempRepository(t).repository);
+
+    const result = await engine.handleChat('hello there');
+    assert.equal(result.response, 'Fixed it');
+    assert.equal(llm.requests.length, 2);
+    assert.match(llm.requests[1].messages.at(-1).content, /message/);
+    assert.equal(engine.actions.getStats().actions.chat.repaired, 1);
+});
+
+test('a reply that stays invalid is salvaged as plain chat and counted as failed', async (t) => {
+    const bad = '{"action": "show_tools", "message": "Have a look", "tools": []}';
+    const engine = new RecommendationEngine(scriptedLLM([bad, bad]), tempRepository(t).repository);
+
+    const result = await engine.handleChat('hello there');
+    assert.deepEqual(result, { success: true, type: 'chat', response: 'Have a look' });
+    assert.equal(engine.actions.getStats().actions.show_tools.failed, 1);
+});
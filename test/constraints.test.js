@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConstraints, withBudget, violations, applyConstraints, describeConstraints, explainNoResults } = require('../services/constraints');
+
+const NAMES = { canva: 'canva', midjourney: 'midjourney', 'dall-e': 'dalle' };
+const findTool = text => (NAMES[text] ? { id: NAMES[text] } : null);
+const parse = message => parseConstraints(message, findTool);
+
+function tool(id, fields = {}) {
+    return { id, name: id, bestFor: 'Design things', pricing: { free: true, premium: '$10/month', currency: 'USD', amount: 10, period: 'month' }, ...fields };
+}
+
+test('exclusions and requirements are pulled out of the query text', () => {
+    const constraints = parse('a poster not canva for my bakery, no signup');
+
+    assert.deepEqual(constraints.exclude, ['canva']);
+    assert.deepEqual(constraints.requires, ['no_signup']);
+    assert.equal(constraints.query, 'a poster for my bakery,');
+    assert.deepEqual(parse('anything but midjourney or dall-e').exclude, ['midjourney', 'dalle']);
+    assert.deepEqual(parse('not sure what to use').exclude, []);
+});
+
+test('price caps become a monthly amount in the currency they were given in', () => {
+    const cap = message => {
+        const { maxMonthlyPrice, currency } = parse(message);
+        return [maxMonthlyPrice, currency];
+    };
+    assert.deepEqual(cap('under $10/month'), [10, 'USD']);
+    assert.deepEqual(cap('less than 15 euros a month'), [15, 'EUR']);
+    assert.deepEqual(cap('budget of £120 per year'), [10, 'GBP']);
+    assert.deepEqual(cap('a video under 60 seconds'), [null, null]);
+});
+
+test('an API budget only tightens the cap', () => {
+    const parsed = parse('under $10/month');
+    assert.equal(withBudget(parsed, 20, 'USD'), parsed);
+    assert.equal(withBudget(parsed, 5, 'USD').maxMonthlyPrice, 5);
+    assert.equal(withBudget(parse('a logo'), null).maxMonthlyPrice, null);
+});
+
+test('requirements need evidence, exclusions-of-features need a contrary statement', () => {
+    const openSource = parse('open source only');
+    assert.deepEqual(violations(tool('a'), openSource), ['open_source']);
+    assert.deepEqual(violations(tool('b', { openSource: true }), openSource), []);
+    assert.deepEqual(violations(tool('c', { limits: 'Free but open-source core' }), openSource), []);
+
+    const noWatermark = parse('no watermark');
+    assert.deepEqual(violations(tool('d'), noWatermark), []);
+    assert.deepEqual(violations(tool('e', { limits: 'Watermark on free tier' }), noWatermark), ['no_watermark']);
+});
+
+test('when nothing fits, the reason is spelled out', () => {
+    const constraints = parse('not canva under $5/month, open source only');
+    const paid = { pricing: { free: false, premium: '$10/month', currency: 'USD', amount: 10, period: 'month' } };
+    const { tools, ruledOut } = applyConstraints([tool('canva', paid), tool('kittl', paid), tool('penpot', { ...paid, openSource: true })], constraints);
+
+    assert.deepEqual(tools, []);
+    assert.deepEqual(describeConstraints(constraints), ['not canva', 'under $5/month', 'open source']);
+    assert.equal(
+        explainNoResults(ruledOut, constraints),
+        'None of the 3 matching tools fit: canva is excluded; 3 cost more than $5/month; 2 aren\'t known to meet "open source".'
+    );
+});
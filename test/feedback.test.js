@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FeedbackService } = require('../services/feedback');
+const { tempRepository, pageFunction } = require('./helpers');
+
+function service(t) {
+    const { repository } = tempRepository(t);
+    const classify = (query, category) => ({ intent: /app/.test(query) ? 'app' : null, category: category || (/app/.test(query) ? 'app_building' : null) });
+    return new FeedbackService(repository, { classify });
+}
+
+test('records feedback filed under the query intent, without exposing who gave it', async (t) => {
+    const feedback = service(t);
+    const result = await feedback.record('ip:a', { type: 'picked', query: ' build a web app ', toolIds: ['lovable', 'bolt'], toolId: 'bolt' }, 'client:a');
+
+    assert.equal(result.success, true);
+    assert.equal(result.feedback.query, 'build a web app');
+    assert.equal(result.feedback.intent, 'app');
+    assert.equal(result.feedback.category, 'app_building');
+    assert.equal('voter' in result.feedback, false);
+    assert.equal('clientId' in result.feedback, false);
+});
+
+test('rejects unknown tools, missing fields per type and over-long text', async (t) => {
+    const feedback = service(t);
+    const fields = async body => (await feedback.record('v', body)).fields.map(f => f.field);
+
+    assert.deepEqual(await fields({ type: 'picked', query: 'x', toolIds: ['nope'] }), ['toolIds.0', 'toolId']);
+    assert.deepEqual(await fields({ type: 'comment', query: 'x' }), ['comment']);
+    assert.deepEqual(await fields({ type: 'up', query: 'x', toolIds: ['bolt'], toolId: 'lovable' }), ['toolId']);
+    assert.deepEqual(await fields({ type: 'up', query: 'x'.repeat(2001) }), ['query']);
+    assert.deepEqual(await fields({ type: 'comment', query: 'x', comment: 'y'.repeat(1001) }), ['comment']);
+    assert.deepEqual(await fields({ type: 'meh', query: 'x', category: 'nope' }), ['type', 'category']);
+});
+
+test('popularity is null without feedback, then counts each voter once', async (t) => {
+    const feedback = service(t);
+    assert.equal(feedback.popularity('bolt'), null);
+
+    for (let i = 0; i < 5; i++) {
+        await feedback.record('ip:a', { type: 'up', query: 'build an app', toolId: 'bolt' });
+    }
+    await feedback.record('ip:b', { type: 'down', query: 'build an app', toolId: 'lovable' });
+
+    // One up from one voter: (1 + 2) / (1 + 4) overall, counted again under the intent
+    assert.equal(feedback.popularity('bolt'), 3 / 5);
+    assert.equal(feedback.popularity('bolt', 'app'), 4 / 6);
+    assert.equal(feedback.popularity('lovable'), 2 / 5);
+    assert.equal(feedback.popularity('replit'), 0.5);
+});
+
+test('new client ids from one voter do not add up in popularity, only in the stats', async (t) => {
+    const feedback = service(t);
+    for (let i = 0; i < 5; i++) {
+        await feedback.record('ip:a', { type: 'up', query: 'build an app', toolId: 'bolt' }, `client:${i}`);
+    }
+
+    assert.equal(feedback.popularity('bolt'), 3 / 5);
+    assert.equal(feedback.getStats().intents[0].tools[0].up, 5);
+});
+
+test('votes stored under a client id (before IP keying) stay out of popularity', async (t) => {
+    const { repository } = tempRepository(t);
+    for (let i = 0; i < 3; i++) {
+        await repository.addFeedback({ id: String(i), type: 'up', query: 'q', intent: null, toolId: 'bolt', voter: `client:${i}`, createdAt: '2026-01-01T00:00:00.000Z' });
+    }
+    assert.equal(new FeedbackService(repository).popularity('bolt'), 0.5);
+});
+
+test('a voter changing their mind replaces their earlier thumb', async (t) => {
+    const feedback = service(t);
+    await feedback.record('ip:a', { type: 'up', query: 'q', toolId: 'bolt' });
+    await feedback.record('ip:a', { type: 'down', query: 'q', toolId: 'bolt' });
+    assert.equal(feedback.popularity('bolt'), 2 / 5);
+});
+
+test('stats group feedback per intent with satisfaction, tools and recent comments', async (t) => {
+    const feedback = service(t);
+    await feedback.record('a', { type: 'up', query: 'build an app', toolId: 'bolt' });
+    await feedback.record('b', { type: 'down', query: 'build an app' });
+    await feedback.record('c', { type: 'comment', query: 'build an app', comment: 'More options please' });
+    await feedback.record('d', { type: 'up', query: 'something else' });
+
+    const stats = feedback.getStats();
+    assert.equal(stats.total, 4);
+    assert.deepEqual(stats.types, { up: 2, down: 1, picked: 0, comment: 1 });
+
+    const [app, none] = stats.intents;
+    assert.equal(app.intent, 'app');
+    assert.equal(app.satisfaction, 0.5);
+    assert.deepEqual(app.tools.map(tool => tool.id), ['bolt']);
+    assert.equal(app.recentComments[0].comment, 'More options please');
+    assert.equal(none.intent, null);
+    assert.equal(none.category, null);
+});
+
+test('the admin page escapes feedback text for attributes as well as text', () => {
+    const esc = pageFunction('admin.html', 'esc');
+    const query = '" onmouseover="alert(1)" x=\'<b>';
+
+    assert.equal(esc(query), '&quot; onmouseover=&quot;alert(1)&quot; x=&#39;&lt;b&gt;');
+    assert.equal(esc(null), '');
+});
+
+test('feedback.json is only created by the first write', async (t) => {
+    const fs = require('fs');
+    const path = require('path');
+    const { dir, repository } = tempRepository(t);
+    const feedbackPath = path.join(dir, 'feedback.json');
+
+    assert.equal(fs.existsSync(feedbackPath), false);
+    assert.deepEqual(repository.listFeedback(), []);
+
+    await new FeedbackService(repository).record('a', { type: 'up', query: 'q' });
+    assert.equal(JSON.parse(fs.readFileSync(feedbackPath, 'utf-8')).feedback.length, 1);
+});
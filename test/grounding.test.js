@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecyIntelligence = require('../services/intelligence');
+const ToolGrounder = require('../services/grounding');
+const { tempRepository, intentPatterns } = require('./helpers');
+
+function setup(t) {
+    const intelligence = new DecyIntelligence(tempRepository(t).repository.getCatalog(), { intents: intentPatterns() });
+    const tools = ids => ids.map(id => intelligence.allToolsFlat.find(tool => tool.id === id));
+    return { intelligence, grounder: new ToolGrounder(intelligence), tools };
+}
+
+test('near-miss IDs are mapped to the catalog and unknown ones backfilled', (t) => {
+    const { grounder, tools } = setup(t);
+    const { ids, corrections } = grounder.groundToolIds(['midjourney_ai', 'nope'], tools(['midjourney', 'leonardo']));
+
+    assert.deepEqual(ids, ['midjourney', 'leonardo']);
+    assert.deepEqual(corrections, [
+        { from: 'midjourney_ai', to: 'midjourney', reason: 'fuzzy' },
+        { from: 'nope', to: 'leonardo', reason: 'backfill' }
+    ]);
+});
+
+test('repeated tools are replaced so the list keeps its length', (t) => {
+    const { grounder, tools } = setup(t);
+    const { ids, corrections } = grounder.groundToolIds(['bolt', 'Bolt.new', 'lovable'], tools(['bolt', 'lovable', 'v0']));
+
+    assert.deepEqual(ids, ['bolt', 'lovable', 'v0']);
+    assert.deepEqual(corrections, [{ from: 'Bolt.new', to: 'v0', reason: 'duplicate' }]);
+});
+
+test('tools the user ruled out are swapped for allowed candidates', (t) => {
+    const { intelligence, grounder, tools } = setup(t);
+    const constraints = intelligence.parseConstraints('a poster, not canva');
+    const { ids, corrections } = grounder.groundToolIds(['canva'], tools(['canva', 'kittl']), { constraints });
+
+    assert.deepEqual(ids, ['kittl']);
+    assert.deepEqual(corrections, [{ from: 'canva', to: 'kittl', reason: 'constraint' }]);
+});
+
+test('workflow steps resolve by text to tools no earlier step uses', (t) => {
+    const { grounder } = setup(t);
+    const steps = [
+        { step: 1, title: 'Design a logo', tool_id: 'looka', tool_name: 'Looka' },
+        { step: 2, title: 'Design a logo variant', tool_id: 'made_up', tool_name: 'Logo maker' },
+        { step: 3, title: 'Nothing', tool_id: null, tool_name: '' }
+    ];
+    const result = grounder.groundWorkflowSteps(steps);
+    const ids = result.steps.map(step => step.tool_id);
+
+    assert.equal(ids[0], 'looka');
+    assert.notEqual(ids[1], 'looka');
+    assert.deepEqual(result.steps.map(step => step.step), ids.map((id, i) => i + 1));
+    assert.equal(new Set(ids).size, ids.length);
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared test fixtures: a JSON-backed repository in a temp directory, seeded from data/
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../services/storage/jsonStore');
+const { ToolRepository } = require('../services/repository');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Temp directory removed when the test (t) ends
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decy-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Repository over a copy of data/tools.json and data/discovered.json in a temp directory
+ */
+function tempRepository(t) {
+    const dir = tempDir(t);
+    for (const file of ['tools.json', 'discovered.json']) {
+        fs.copyFileSync(path.join(DATA_DIR, file), path.join(dir, file));
+    }
+    const store = new JsonStore({
+        toolsPath: path.join(dir, 'tools.json'),
+        discoveredPath: path.join(dir, 'discovered.json'),
+        sessionsPath: path.join(dir, 'sessions.json'),
+        feedbackPath: path.join(dir, 'feedback.json')
+    });
+    return { dir, repository: new ToolRepository(store) };
+}
+
+/**
+ * The intent patterns in data/intents.json
+ */
+function intentPatterns() {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'intents.json'), 'utf-8')).intents;
+}
+
+/**
+ * A function declared in a page's inline script, e.g. pageFunction('admin.html', 'esc')
+ */
+function pageFunction(page, name) {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'public', page), 'utf-8');
+    const match = html.match(new RegExp(`\\n( *)function ${name}\\([\\s\\S]*?\\n\\1}`));
+    if (!match) throw new Error(`function ${name} not found in ${page}`);
+    return new Function(`${match[0]}\nreturn ${name};`)();
+}
+
+module.exports = {
+    tempDir,
+    tempRepository,
+    intentPatterns,
+    pageFunction
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecyIntelligence = require('../services/intelligence');
+const { tempRepository, intentPatterns } = require('./helpers');
+
+function intelligence(t) {
+    return new DecyIntelligence(tempRepository(t).repository.getCatalog(), { intents: intentPatterns() });
+}
+
+test('guidance queries find misspelt, spaced and aliased tool names', (t) => {
+    const intel = intelligence(t);
+    const guided = query => intel.detectToolGuidance(query)?.tool.id;
+
+    assert.equal(guided('how to use lovabel'), 'lovable');
+    assert.equal(intel.detectToolGuidance('how to use lovabel').match.method, 'fuzzy');
+    assert.equal(guided('guide me on mid journey'), 'midjourney');
+    assert.equal(guided('eleven labs tutorial'), 'elevenlabs');
+    assert.equal(guided('how to use bolt'), 'bolt');
+});
+
+test('generic how-to requests are not mistaken for a tool guide', (t) => {
+    const intel = intelligence(t);
+
+    for (const query of ['tutorial on video editing', 'how to create slides', 'how do i use ai to draw', 'how to make a logo']) {
+        assert.equal(intel.detectToolGuidance(query), null, query);
+        assert.notEqual(intel.analyzeIntent(query).isGuidance, true, query);
+    }
+});
+
+test('a compound request comes back as one group per need, each with its own tools', (t) => {
+    const analysis = intelligence(t).analyzeIntent('I need a logo and a promo video for my bakery');
+
+    assert.equal(analysis.multiIntent, true);
+    assert.deepEqual(analysis.groups.map(group => [group.intentId, group.need]), [['logo', 'logo'], ['video', 'promo video for my bakery']]);
+    assert.equal(analysis.confidence, Math.min(...analysis.groups.map(group => group.confidence)));
+    for (const group of analysis.groups) {
+        assert.ok(group.tools.length > 0);
+        assert.ok(group.tools.every(tool => analysis.tools.includes(tool)));
+    }
+});
+
+test('"and" inside one need does not split it', (t) => {
+    const intel = intelligence(t);
+
+    for (const query of ['a logo and business cards', 'rock and roll music']) {
+        const analysis = intel.analyzeIntent(query);
+        assert.notEqual(analysis.multiIntent, true, query);
+        assert.equal(analysis.groups, undefined, query);
+    }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { IntentMap } = require('../services/intentMap');
+const RecommendationEngine = require('../services/recommendation');
+const { tempDir, tempRepository } = require('./helpers');
+
+const INTENTS = path.join(__dirname, '..', 'data', 'intents.json');
+
+const flashcards = {
+    id: 'flashcards',
+    intents: ['flashcards', 'study cards'],
+    category: 'writing',
+    context: 'The user wants to turn notes into flashcards for studying.',
+    priority: ['scholarcy']
+};
+
+// An intent map over a copy of data/intents.json, checked against a temp catalog
+function intentMap(t) {
+    const filePath = path.join(tempDir(t), 'intents.json');
+    fs.copyFileSync(INTENTS, filePath);
+    const { repository } = tempRepository(t);
+    return { filePath, repository, intents: new IntentMap(repository, { filePath }) };
+}
+
+test('create saves the pattern, bumps the version and emits a change', async (t) => {
+    const { filePath, intents } = intentMap(t);
+    const version = intents.getVersion();
+    const changes = [];
+    intents.on('change', change => changes.push(change));
+
+    const result = await intents.create(flashcards);
+
+    assert.deepEqual(result, { success: true, intent: flashcards });
+    assert.deepEqual(changes, [{ type: 'intent_created', intentId: 'flashcards', version: version + 1 }]);
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    assert.equal(saved.version, version + 1);
+    assert.deepEqual(saved.intents.at(-1), flashcards);
+    assert.equal((await intents.create(flashcards)).code, 'conflict');
+});
+
+test('invalid patterns and unknown IDs are refused without touching the file', async (t) => {
+    const { filePath, intents } = intentMap(t);
+    const before = fs.readFileSync(filePath, 'utf-8');
+
+    const invalid = await intents.create({ ...flashcards, intents: [], extra: true });
+    assert.equal(invalid.code, 'validation');
+    assert.deepEqual(invalid.fields.map(field => field.field).sort(), ['extra', 'intents']);
+
+    assert.equal((await intents.replace('nope', flashcards)).code, 'validation');
+    const { id, ...withoutId } = flashcards;
+    assert.equal((await intents.replace('nope', withoutId)).code, 'not_found');
+    assert.equal((await intents.remove('nope')).code, 'not_found');
+    assert.equal(fs.readFileSync(filePath, 'utf-8'), before);
+});
+
+test('priority tools and categories missing from the catalog are warned about', (t) => {
+    const { intents } = intentMap(t);
+    const warnings = intents.getWarnings([{ ...flashcards, category: 'cooking', priority: ['scholarcy', 'ghost'] }]);
+
+    assert.deepEqual(warnings, [
+        { intentId: 'flashcards', field: 'category', message: 'unknown category "cooking"' },
+        { intentId: 'flashcards', field: 'priority', message: 'tool "ghost" is not in the catalog' }
+    ]);
+});
+
+test('a broken or duplicated intent file stops loading', (t) => {
+    const { filePath, repository } = intentMap(t);
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    fs.writeFileSync(filePath, JSON.stringify({ ...data, intents: [...data.intents, data.intents[0]] }));
+    assert.throws(() => new IntentMap(repository, { filePath }), /is used twice/);
+
+    fs.writeFileSync(filePath, JSON.stringify({ intents: data.intents }));
+    assert.throws(() => new IntentMap(repository, { filePath }), /failed validation/);
+});
+
+test('the engine matches a new pattern as soon as it is saved', async (t) => {
+    const { repository, intents } = intentMap(t);
+    const engine = new RecommendationEngine({ isAvailable: () => false }, repository, intents);
+    assert.notEqual((await engine.explainIntent('study cards for biology')).intentId, 'flashcards');
+
+    await intents.create(flashcards);
+    const explained = await engine.explainIntent('study cards for biology');
+    assert.equal(explained.intentId, 'flashcards');
+    assert.equal(explained.tools[0].id, 'scholarcy');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../services/llm/config');
+const { LLMRouter } = require('../services/llm');
+const CircuitBreaker = require('../services/llm/circuitBreaker');
+
+// A configured provider answering with `reply` (a function: request → text, or throws)
+function fakeProvider(name, reply) {
+    const calls = [];
+    return {
+        name,
+        calls,
+        isConfigured: () => true,
+        complete: async request => {
+            calls.push(request);
+            return reply(request);
+        }
+    };
+}
+
+const ENV = { LLM_RETRIES: '0' };
+
+test('each provider in the chat chain gets its own default parameters', async () => {
+    const groq = fakeProvider('groq', () => { throw Object.assign(new Error('bad key'), { status: 401 }); });
+    const gemini = fakeProvider('gemini', () => 'hello');
+    const router = new LLMRouter(loadConfig(ENV), { groq, gemini });
+
+    const answered = [];
+    const reply = await router.complete('chat', { messages: [{ role: 'user', content: 'hi' }], onProvider: link => answered.push(link) });
+
+    assert.deepEqual(reply, { text: 'hello', provider: 'gemini', model: 'gemini-1.5-pro' });
+    assert.deepEqual(answered, [{ provider: 'gemini', model: 'gemini-1.5-pro' }]);
+    assert.equal(groq.calls[0].temperature, 0.6);
+    assert.equal(groq.calls[0].maxTokens, 1000);
+    assert.equal(gemini.calls[0].temperature, 0.9);
+    assert.equal(gemini.calls[0].topP, 0.95);
+    assert.equal(gemini.calls[0].maxTokens, 1024);
+});
+
+test('provider defaults survive an LLM_CHAIN override; chain entries still win', async () => {
+    const gemini = fakeProvider('gemini', () => 'ok');
+    const router = new LLMRouter(loadConfig({ ...ENV, LLM_CHAIN_CHAT: 'gemini:gemini-2.0-flash' }), { gemini });
+    await router.complete('chat', { messages: [] });
+    assert.equal(gemini.calls[0].temperature, 0.9);
+    assert.equal(gemini.calls[0].model, 'gemini-2.0-flash');
+
+    const config = loadConfig(ENV);
+    config.tasks.chat.chain = [{ provider: 'gemini', model: 'm', temperature: 0.2 }];
+    await new LLMRouter(config, { gemini }).complete('chat', { messages: [] });
+    assert.equal(gemini.calls[1].temperature, 0.2);
+});
+
+test('config typos fail at load time', () => {
+    assert.throws(() => loadConfig({ LLM_CHAIN_CHAT: 'groq' }), /provider:model/);
+    assert.throws(() => loadConfig({ LLM_CHAIN_CHAT: 'acme:model' }), /unknown provider "acme"/);
+});
+
+test('the circuit opens after repeated failures and lets one trial through after the cooldown', () => {
+    const breaker = new CircuitBreaker('groq', { failureThreshold: 2, cooldownMs: 1000 });
+    const realNow = Date.now;
+    let now = 0;
+    Date.now = () => now;
+    try {
+        breaker.failure(new Error('one'));
+        assert.equal(breaker.allow(), true);
+        breaker.failure(new Error('two'));
+        assert.equal(breaker.allow(), false);
+
+        now = 1000;
+        assert.equal(breaker.allow(), true);
+        assert.equal(breaker.allow(), false);
+        breaker.success();
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.allow(), true);
+    } finally {
+        Date.now = realNow;
+    }
+});
+
+test('an open circuit skips the provider and the next one answers', async () => {
+    const groq = fakeProvider('groq', () => { throw Object.assign(new Error('down'), { status: 503 }); });
+    const gemini = fakeProvider('gemini', () => 'fine');
+    const router = new LLMRouter(loadConfig({ ...ENV, LLM_BREAKER_THRESHOLD: '1' }), { groq, gemini });
+
+    await router.complete('chat', { messages: [] });
+    await router.complete('chat', { messages: [] });
+
+    assert.equal(groq.calls.length, 1);
+    assert.equal(gemini.calls.length, 2);
+    assert.equal(router.getProviderStatus().groq.state, 'open');
+});
+
+test('transient errors are retried, bad keys are not', async () => {
+    let failures = 1;
+    const groq = fakeProvider('groq', () => {
+        if (failures-- > 0) throw Object.assign(new Error('busy'), { status: 503 });
+        return 'second try';
+    });
+    const router = new LLMRouter(loadConfig({ LLM_RETRIES: '2', LLM_RETRY_BASE_MS: '0' }), { groq });
+
+    assert.equal((await router.complete('chat', { messages: [] })).text, 'second try');
+    assert.equal(groq.calls.length, 2);
+
+    assert.equal(router.isRetryable({ status: 429 }), true);
+    assert.equal(router.isRetryable({ status: 401 }), false);
+    assert.equal(router.isRetryable({ code: 'ECONNRESET' }), true);
+    assert.equal(router.isRetryable({ name: 'APIConnectionTimeoutError' }), true);
+    assert.equal(router.isRetryable(new Error('bad JSON')), false);
+});
+
+test('a provider that hangs is timed out and the next one answers', async () => {
+    const groq = fakeProvider('groq', () => new Promise(() => {}));
+    const gemini = fakeProvider('gemini', () => 'on time');
+    const router = new LLMRouter(loadConfig({ ...ENV, LLM_TIMEOUT_MS: '20' }), { groq, gemini });
+
+    const reply = await router.complete('chat', { messages: [] });
+    assert.equal(reply.provider, 'gemini');
+    assert.equal(router.getProviderStatus().groq.failures, 1);
+});
+
+test('a stream falls through only until the first chunk is out', async () => {
+    const streaming = (name, chunks, failAt) => ({
+        ...fakeProvider(name, () => ''),
+        async *stream() {
+            for (const [index, chunk] of chunks.entries()) {
+                if (index === failAt) throw new Error(`${name} dropped`);
+                yield chunk;
+            }
+        }
+    });
+    const collect = async router => {
+        let text = '';
+        for await (const chunk of router.stream('chat', { messages: [] })) text += chunk;
+        return text;
+    };
+
+    const fallsThrough = new LLMRouter(loadConfig(ENV), {
+        groq: streaming('groq', ['never'], 0),
+        gemini: streaming('gemini', ['he', 'llo'])
+    });
+    assert.equal(await collect(fallsThrough), 'hello');
+
+    const midStream = new LLMRouter(loadConfig(ENV), {
+        groq: streaming('groq', ['par', 'tial'], 1),
+        gemini: streaming('gemini', ['unused'])
+    });
+    await assert.rejects(collect(midStream), /groq dropped/);
+});
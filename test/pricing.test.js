@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePricingText, structurePricing, monthlyCost, fitsBudget, formatPrice, costEstimate } = require('../services/pricing');
+
+const tool = (free, premium) => ({ id: 'a', pricing: { free, premium } });
+
+test('premium text is parsed into currency, amount, period and tiers', () => {
+    assert.deepEqual(parsePricingText('€11/month (Standard), €33/month (Pro)'), {
+        currency: 'EUR',
+        amount: 11,
+        period: 'month',
+        tiers: [{ name: 'Standard', amount: 11, period: 'month' }, { name: 'Pro', amount: 33, period: 'month' }]
+    });
+    assert.deepEqual(parsePricingText('$20 one-time'), { currency: 'USD', amount: 20, period: 'one_time', tiers: [{ name: null, amount: 20, period: 'one_time' }] });
+    assert.deepEqual(parsePricingText('Custom pricing for enterprises'), { currency: null, amount: null, period: null, tiers: [] });
+});
+
+test('the cheapest recurring tier wins over a one-time price and a pricier plan', () => {
+    const parsed = parsePricingText('$120/year or $15/month, $299 lifetime');
+    assert.equal(parsed.amount, 120);
+    assert.equal(parsed.period, 'year');
+    assert.equal(monthlyCost(tool(false, '$120/year or $15/month, $299 lifetime')), 10);
+});
+
+test('structurePricing leaves entries that already have tiers alone', () => {
+    const pricing = { free: false, premium: '$20/month', tiers: [] };
+    assert.equal(structurePricing(pricing), pricing);
+    assert.equal(structurePricing({ free: false, premium: '$20/month' }).amount, 20);
+});
+
+test('fitsBudget: free tiers always fit, unknown prices never do, currencies are converted', () => {
+    assert.equal(fitsBudget(tool(true, '$50/month'), 5), true);
+    assert.equal(fitsBudget(tool(false, 'Contact sales'), 100), false);
+    assert.equal(fitsBudget(tool(false, '$10/month'), 10), true);
+    assert.equal(fitsBudget(tool(false, '£10/month'), 10, 'USD'), false);
+    assert.equal(fitsBudget(tool(false, '₹800/month'), 10, 'USD'), true);
+    assert.equal(fitsBudget(tool(false, '$99/month'), null), true);
+});
+
+test('costEstimate labels what a tool costs', () => {
+    assert.equal(costEstimate(tool(true, null)).label, 'Free');
+    assert.equal(costEstimate(tool(true, '$20/month')).label, 'Free tier · paid $20/month');
+    assert.equal(costEstimate(tool(false, '$96/year')).label, '~$8/month');
+    assert.equal(costEstimate(tool(false, '€11/month (Standard), €33/month (Pro)')).label, 'From €11/month');
+    assert.equal(costEstimate(tool(false, '$49 one-time')).label, '$49 one-time');
+    assert.equal(costEstimate(tool(false, 'Custom quote')).label, 'Custom quote');
+    assert.equal(formatPrice(8.333, 'GBP'), '£8.33/month');
+});
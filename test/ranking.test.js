@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRankingConfig, scoreTool, rankTools, diversify, labelTradeOffs } = require('../services/ranking');
+const { parseConstraints } = require('../services/constraints');
+const RecommendationEngine = require('../services/recommendation');
+const { tempDir, tempRepository } = require('./helpers');
+
+const config = loadRankingConfig({});
+
+function tool(id, { free = false, premium = '', ease = 3, bestFor = '' } = {}) {
+    return { id, name: id, categoryKey: 'design', ease, bestFor, pricing: { free, premium } };
+}
+
+const roles = items => Object.fromEntries(labelTradeOffs(items.map(t => ({ tool: t })))
+    .map(item => [item.tool.id, item.tradeOff && item.tradeOff.role]));
+
+test('a free tool is the cheapest even when another pick has no listed price', () => {
+    const labels = roles([
+        tool('a', { free: true, premium: '$10/month', ease: 3 }),
+        tool('b', { premium: '$40/month', ease: 2 }),
+        tool('c', { premium: 'Custom quote', ease: 5 })
+    ]);
+    assert.equal(labels.a, 'cheapest');
+    assert.equal(labels.c, 'easiest');
+});
+
+test('the only pick with a known price is the cheapest', () => {
+    const labels = roles([tool('a', { premium: 'Contact sales', ease: 5 }), tool('b', { premium: '$15/month', ease: 1 })]);
+    assert.equal(labels.b, 'cheapest');
+    assert.equal(labels.a, 'easiest');
+});
+
+test('lone picks and identical picks get no trade-off', () => {
+    assert.deepEqual(roles([tool('a')]), { a: null });
+    assert.deepEqual(roles([tool('a'), tool('b')]), { a: null, b: null });
+});
+
+test('scoreTool leaves out features that do not apply and explains the rest', () => {
+    const ranking = scoreTool(tool('a', { free: true, ease: 5 }), { now: 0 }, config);
+    const features = ranking.factors.map(factor => factor.feature);
+
+    assert.deepEqual(features, ['ease', 'price', 'freshness']);
+    assert.equal(ranking.score, config.weights.ease + config.weights.price);
+    assert.ok(ranking.reasons.length > 0);
+});
+
+test('rankTools puts intent priority picks first and keeps ties in order', () => {
+    const intent = { pattern: { id: 'logo', category: 'design', priority: ['c'] }, confidence: 1 };
+    const ranked = rankTools([tool('a'), tool('b'), tool('c')], { intent }, config);
+    assert.deepEqual(ranked.map(item => item.tool.id), ['c', 'a', 'b']);
+});
+
+test('loadRankingConfig merges RANKING_WEIGHTS and rejects bad values', () => {
+    assert.equal(loadRankingConfig({ RANKING_WEIGHTS: 'ease:0.5' }).weights.ease, 0.5);
+    assert.throws(() => loadRankingConfig({ RANKING_WEIGHTS: 'speed:1' }), /unknown feature "speed"/);
+    assert.throws(() => loadRankingConfig({ RANKING_WEIGHTS: 'ease' }), /feature:weight/);
+    assert.throws(() => loadRankingConfig({ RANKING_WEIGHTS: 'ease:-1' }), /at least 0/);
+});
+
+test('diversify keeps the best match first and swaps in a different kind of tool', () => {
+    const builder = { bestFor: 'build full stack web apps from a prompt', ease: 4, premium: '$20/month' };
+    const ranked = [
+        { tool: tool('a', builder), ranking: { score: 1 } },
+        { tool: tool('b', builder), ranking: { score: 0.95 } },
+        { tool: tool('c', builder), ranking: { score: 0.9 } },
+        { tool: tool('d', { bestFor: 'edit photos and remove backgrounds', ease: 1, free: true }), ranking: { score: 0.8 } }
+    ];
+
+    const ids = diversify(ranked, 3, config).map(item => item.tool.id);
+    assert.equal(ids[0], 'a');
+    assert.ok(ids.slice(0, 3).includes('d'));
+    assert.equal(ids.length, 4);
+    assert.deepEqual(diversify(ranked, 3, { ...config, diversity: 1 }), ranked);
+});
+
+test('RANKING_CONFIG is merged over the defaults and RANKING_WEIGHTS over both', (t) => {
+    const file = path.join(tempDir(t), 'ranking.json');
+    fs.writeFileSync(file, JSON.stringify({ weights: { ease: 0.4, text: 0.1 }, freshnessDays: 30 }));
+
+    const custom = loadRankingConfig({ RANKING_CONFIG: file, RANKING_WEIGHTS: 'ease:0.2' });
+    assert.deepEqual([custom.weights.ease, custom.weights.text, custom.weights.intent], [0.2, 0.1, config.weights.intent]);
+    assert.equal(custom.freshnessDays, 30);
+    assert.equal(custom.diversity, config.diversity);
+
+    fs.writeFileSync(file, JSON.stringify({ diversity: 2 }));
+    assert.throws(() => loadRankingConfig({ RANKING_CONFIG: file }), /diversity must be at most 1/);
+    assert.throws(() => loadRankingConfig({ RANKING_CONFIG: path.join(file, 'missing.json') }), /RANKING_CONFIG: can't read/);
+});
+
+test('price fit follows the budget cap and requirements count only when confirmed', () => {
+    const paid = tool('a', { premium: '$10/month' });
+    const price = ranking => ranking.factors.find(factor => factor.feature === 'price').value;
+
+    assert.equal(price(scoreTool(paid, { now: 0 }, config)), 0.75);
+    assert.equal(price(scoreTool(paid, { now: 0, budget: 'free' }, config)), 0);
+    assert.equal(price(scoreTool(paid, { now: 0, constraints: parseConstraints('under $5/month', () => null) }, config)), 0);
+
+    const openSource = parseConstraints('open source only', () => null);
+    const confirmed = scoreTool({ ...paid, openSource: true }, { now: 0, constraints: openSource }, config);
+    assert.equal(confirmed.factors.find(factor => factor.feature === 'constraints').value, 1);
+    assert.ok(confirmed.reasons.includes('Confirmed to meet your requirements'));
+});
+
+test('recommended tools come with their ranking breakdown', async (t) => {
+    const engine = new RecommendationEngine({ isAvailable: () => false }, tempRepository(t).repository);
+    const result = await engine.getRecommendations('I need a logo for my bakery', 'free');
+
+    for (const { ranking } of result.tools) {
+        const total = ranking.factors.reduce((sum, factor) => sum + factor.contribution, 0);
+        assert.ok(Math.abs(ranking.score - total) < 0.01);
+        assert.ok(ranking.reasons.length > 0);
+    }
+    assert.ok(result.tools[0].ranking.factors.some(factor => factor.feature === 'intent' && factor.value > 0));
+});
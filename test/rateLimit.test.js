@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../services/rateLimit');
+
+const auth = { findApiKey: key => (key === 'good' ? { role: 'viewer' } : null) };
+
+function limiter(t, limits) {
+    const rateLimiter = new RateLimiter(auth, limits);
+    t.after(() => clearInterval(rateLimiter.sweeper));
+    return rateLimiter;
+}
+
+// Run the middleware for one request: { req, res, passed }
+function call(middleware, { ip = '10.0.0.1', apiKey } = {}) {
+    const req = { ip, get: name => (name === 'x-api-key' ? apiKey : undefined) };
+    const res = {
+        headers: {},
+        statusCode: 200,
+        headersSent: false,
+        set(headers, value) {
+            Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+test('a client over its burst gets 429 with Retry-After', (t) => {
+    const middleware = limiter(t, { ip: { perMinute: 60, burst: 2, dailyQuota: 0 } }).middleware();
+
+    assert.equal(call(middleware).passed, true);
+    assert.equal(call(middleware).passed, true);
+    const { res, passed } = call(middleware);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '1');
+    assert.equal(call(middleware, { ip: '10.0.0.2' }).passed, true);
+});
+
+test('valid API keys get their own bucket and limits', (t) => {
+    const middleware = limiter(t, { ip: { perMinute: 60, burst: 1, dailyQuota: 0 }, apiKey: { perMinute: 60, burst: 3, dailyQuota: 0 } }).middleware();
+
+    call(middleware);
+    assert.equal(call(middleware).passed, false);
+    assert.equal(call(middleware, { apiKey: 'bad' }).passed, false);
+    assert.equal(call(middleware, { apiKey: 'good' }).res.headers['RateLimit-Limit'], '3');
+});
+
+test('only requests a model answers count towards the daily quota', (t) => {
+    const middleware = limiter(t, { ip: { perMinute: 0, dailyQuota: 2 } }).middleware();
+
+    // Cache hits and fallbacks never call countLLMCall
+    for (let i = 0; i < 5; i++) {
+        assert.equal(call(middleware).req.llmAllowed, true);
+    }
+
+    const first = call(middleware);
+    first.req.countLLMCall();
+    first.req.countLLMCall(); // a repair call in the same request
+    assert.equal(first.res.headers['X-LLM-Quota-Remaining'], '1');
+
+    const second = call(middleware);
+    assert.equal(second.req.llmAllowed, true);
+    second.req.countLLMCall();
+
+    const third = call(middleware);
+    assert.equal(third.req.llmAllowed, false);
+    assert.equal(third.res.headers['X-LLM-Quota-Remaining'], '0');
+    assert.equal(third.passed, true);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecommendationEngine = require('../services/recommendation');
+const { tempRepository } = require('./helpers');
+
+const COMPOUND = 'I need a logo and a promo video for my bakery, not Canva';
+
+function engine(t, llm = { isAvailable: () => false }) {
+    const { repository } = tempRepository(t);
+    return new RecommendationEngine(llm, repository);
+}
+
+// A model that always recommends `tools`
+const fakeLLM = tools => ({
+    isAvailable: () => true,
+    complete: async (task, { onProvider = () => {} }) => {
+        onProvider({ provider: 'fake', model: 'fake' });
+        return { provider: 'fake', text: JSON.stringify({ category: 'Design', tools, reasoning: 'Picked for you' }) };
+    }
+});
+
+test('the fallback splits a compound query into needs, each with its own tools', async (t) => {
+    const result = await engine(t).getRecommendations(COMPOUND, 'free');
+
+    assert.equal(result.source, 'fallback');
+    assert.deepEqual(result.groups.map(group => group.category), ['design', 'video_creation']);
+    assert.match(result.reasoning, /logo \(Design & Graphics\), promo video/);
+    const ids = result.tools.map(tool => tool.id);
+    assert.deepEqual(result.groups.flatMap(group => group.toolIds), ids);
+    assert.equal(ids.includes('canva'), false);
+});
+
+test('needs whose intent category is not a catalog category are named after their tools', async (t) => {
+    for (const query of ['I need a logo and a song for my bakery', 'make a song and take meeting notes']) {
+        const result = await engine(t).getRecommendations(query, 'free');
+
+        assert.equal(result.success, true, query);
+        assert.equal(result.groups.length, 2, query);
+        assert.ok(result.groups.some(group => group.category === 'music_generation'), query);
+        assert.doesNotMatch(result.reasoning, /\(null\)|undefined/, query);
+    }
+    const result = await engine(t).getRecommendations('I need a logo and a song for my bakery', 'free');
+    assert.match(result.reasoning, /song for my bakery \(Audio/);
+});
+
+test('single-need fallback reasoning names the category its tools came from', async (t) => {
+    const result = await engine(t).getRecommendations('I need a logo for my bakery', 'free');
+
+    assert.equal(result.groups, undefined);
+    assert.equal(result.category, 'Design & Graphics');
+    assert.match(result.reasoning, /Design & Graphics tools/);
+});
+
+test('LLM picks for a compound query are sorted into the needs, empty needs filled', async (t) => {
+    const result = await engine(t, fakeLLM(['looka'])).getRecommendations(COMPOUND, 'free');
+
+    assert.equal(result.source, 'llm');
+    assert.equal(result.reasoning, 'Picked for you');
+    assert.deepEqual(result.groups[0].toolIds, ['looka']);
+    assert.equal(result.groups[1].category, 'video_creation');
+    assert.ok(result.groups[1].toolIds.length > 0);
+});
+
+test('onLLMCall fires only when a model answers', async (t) => {
+    let calls = 0;
+    const onLLMCall = () => calls++;
+
+    await engine(t).getRecommendations('I need a logo', 'free', null, { onLLMCall });
+    await engine(t).handleChat('hello there', [], { onLLMCall });
+    assert.equal(calls, 0);
+
+    await engine(t, fakeLLM(['looka'])).getRecommendations('I need a logo', 'free', null, { onLLMCall });
+    assert.equal(calls, 1);
+});
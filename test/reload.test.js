@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RecommendationEngine = require('../services/recommendation');
+const ToolCatalog = require('../services/catalog');
+const { tempRepository } = require('./helpers');
+
+const TOOL = {
+    id: 'sketchy',
+    name: 'Sketchy',
+    bestFor: 'Turning pencil sketches into illustrations',
+    deploy: { available: true, type: 'Free' },
+    limits: 'None',
+    pricing: { free: true, premium: null },
+    ease: 4,
+    url: 'https://sketchy.example.com'
+};
+
+const settle = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('catalog changes rebuild the engine index straight away', async (t) => {
+    const { repository } = tempRepository(t);
+    const engine = new RecommendationEngine({ isAvailable: () => false }, repository);
+
+    await new ToolCatalog(repository).createTool('image_generation', TOOL);
+    assert.ok(engine.intelligence.allToolsFlat.some(tool => tool.id === 'sketchy'));
+    assert.equal(engine.grounder.resolveId('Sketchy').id, 'sketchy');
+    assert.equal(engine.getToolsByIds(['sketchy'])[0].name, 'Sketchy');
+});
+
+test('hand edits to tools.json are picked up; our own writes and broken edits are not reported', async (t) => {
+    const { dir, repository } = tempRepository(t);
+    const toolsPath = path.join(dir, 'tools.json');
+    const changes = [];
+    repository.on('change', change => changes.push(change.type));
+    repository.watch();
+    t.after(() => repository.unwatch());
+
+    await repository.insertTool('design', TOOL);
+    await settle(400);
+    assert.deepEqual(changes, ['insert']);
+
+    const data = JSON.parse(fs.readFileSync(toolsPath, 'utf-8'));
+    fs.writeFileSync(toolsPath, '{"categories": ');
+    await settle(400);
+    assert.deepEqual(changes, ['insert']);
+
+    data.categories.design.tools = data.categories.design.tools.filter(tool => tool.id !== 'sketchy');
+    fs.writeFileSync(toolsPath, JSON.stringify(data));
+    await settle(400);
+    assert.deepEqual(changes, ['insert', 'external']);
+    assert.equal(repository.getTool('sketchy'), null);
+});
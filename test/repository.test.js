@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecyIntelligence = require('../services/intelligence');
+const { isSecondaryListing } = require('../services/repository');
+const { tempRepository, intentPatterns } = require('./helpers');
+
+test('a tool with secondary categories is stored once and listed under each', (t) => {
+    const { repository } = tempRepository(t);
+    const { categories } = repository.getCatalog();
+    const canva = categories.presentation.tools.find(tool => tool.id === 'canva');
+
+    assert.ok(categories.design.tools.some(tool => tool.id === 'canva'));
+    assert.ok(categories.image_editing.tools.includes(canva));
+    assert.equal(isSecondaryListing(canva, 'presentation'), true);
+    assert.equal(isSecondaryListing(canva, 'design'), false);
+    assert.equal(repository.getAllTools().filter(tool => tool.id === 'canva').length, 1);
+    assert.equal(repository.getAllTools().find(tool => tool.id === 'canva').categoryKey, 'design');
+});
+
+test('the intelligence index holds each tool once, with all its categories', (t) => {
+    const { repository } = tempRepository(t);
+    const intelligence = new DecyIntelligence(repository.getCatalog(), { intents: intentPatterns() });
+    const canva = intelligence.allToolsFlat.filter(tool => tool.id === 'canva');
+
+    assert.equal(canva.length, 1);
+    assert.deepEqual(canva[0].categoryKeys, ['design', 'image_editing', 'presentation']);
+});
+
+test('excluding a tool names only that tool, whatever it is listed under', (t) => {
+    const { repository } = tempRepository(t);
+    const intelligence = new DecyIntelligence(repository.getCatalog(), { intents: intentPatterns() });
+
+    assert.deepEqual(intelligence.parseConstraints('slides for my pitch, not canva').exclude, ['canva']);
+    assert.deepEqual(intelligence.parseConstraints('a logo without canva or looka').exclude, ['canva', 'looka']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ResponseCache } = require('../services/responseCache');
+const MemoryCache = require('../services/cache/memoryCache');
+const DiskCache = require('../services/cache/diskCache');
+const { tempDir, tempRepository } = require('./helpers');
+
+function cache(t, backend = new MemoryCache({ maxEntries: 2 }), options = {}) {
+    const { repository } = tempRepository(t);
+    return { cache: new ResponseCache(backend, repository, options), repository };
+}
+
+test('questions that differ only in case, spacing and end punctuation share an entry', async (t) => {
+    const { cache: responses } = cache(t);
+    await responses.set('chat', { query: ResponseCache.normalize('How to use  Lovable?') }, 'reply');
+
+    assert.equal(await responses.get('chat', { query: ResponseCache.normalize('how to use lovable') }), 'reply');
+    assert.equal(await responses.get('prompt', { query: 'how to use lovable' }), null);
+    assert.deepEqual(responses.getStats().namespaces.chat, { hits: 1, misses: 0, sets: 1, hitRate: 1 });
+});
+
+test('the least recently used entry is evicted past the limit', async (t) => {
+    const { cache: responses } = cache(t);
+    await responses.set('chat', 'a', 1);
+    await responses.set('chat', 'b', 2);
+    await responses.get('chat', 'a');
+    await responses.set('chat', 'c', 3);
+
+    assert.equal(await responses.get('chat', 'b'), null);
+    assert.equal(await responses.get('chat', 'a'), 1);
+    assert.equal(responses.getStats().evictions, 1);
+});
+
+test('entries expire after the TTL', async (t) => {
+    const { cache: responses } = cache(t, undefined, { ttlSeconds: 0.01 });
+    await responses.set('chat', 'a', 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(await responses.get('chat', 'a'), null);
+    assert.equal(responses.getStats().expired, 1);
+});
+
+test('wrap computes once, and skips caching when told to', async (t) => {
+    const { cache: responses } = cache(t);
+    let runs = 0;
+    const compute = async () => ({ answer: ++runs });
+
+    await responses.wrap('recommend', 'q', compute);
+    assert.deepEqual(await responses.wrap('recommend', 'q', compute), { answer: 1 });
+    await responses.wrap('recommend', 'fallback', compute, () => false);
+    await responses.wrap('recommend', 'fallback', compute, () => false);
+    assert.equal(runs, 3);
+});
+
+test('a catalog change purges the disk cache', async (t) => {
+    const dir = tempDir(t);
+    const { cache: responses, repository } = cache(t, new DiskCache({ dir, maxEntries: 10 }));
+    await responses.set('chat', 'a', { text: 'kept on disk' });
+    assert.deepEqual(await responses.get('chat', 'a'), { text: 'kept on disk' });
+    assert.equal(fs.readdirSync(dir).length, 1);
+
+    await repository.deleteTool('canva');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BM25Index, tokenize } = require('../services/retrieval/bm25');
+const DecyIntelligence = require('../services/intelligence');
+const { tempRepository, intentPatterns } = require('./helpers');
+
+test('tokenize drops filler words and stems plurals and -ing forms', () => {
+    assert.deepEqual(tokenize('Turn my notes into flashcards!'), ['turn', 'note', 'flashcard']);
+    assert.deepEqual(tokenize('I want to make songs using AI'), ['song']);
+    assert.deepEqual(tokenize('editing studies'), ['edit', 'study']);
+});
+
+test('BM25 ranks rarer and heavier-weighted terms higher', () => {
+    const index = new BM25Index([
+        { id: 'cards', fields: [{ text: 'Flashcard maker', weight: 3 }, { text: 'study from your notes' }] },
+        { id: 'notes', fields: [{ text: 'Notes app', weight: 3 }, { text: 'write and share notes' }] },
+        { id: 'music', fields: [{ text: 'Song generator', weight: 3 }] }
+    ]);
+
+    assert.deepEqual(index.search('flashcards from my notes').map(hit => hit.id), ['cards', 'notes']);
+    assert.deepEqual(index.search('notes').map(hit => hit.id), ['notes', 'cards']);
+    assert.deepEqual(index.search('make something'), []);
+});
+
+test('retrieval finds tools for requests the intent map has no phrase for', (t) => {
+    const intel = new DecyIntelligence(tempRepository(t).repository.getCatalog(), { intents: intentPatterns() });
+
+    assert.equal(intel.retrieve("make a song for my cousin's wedding")[0].tool.id, 'suno');
+    const hits = intel.retrieve('turn my notes into flashcards', { limit: 3 });
+    assert.equal(hits[0].tool.id, 'scholarcy');
+    assert.equal(hits[0].score, 1);
+    assert.ok(hits.every(hit => hit.semantic === 0));
+});
+
+test('with an embedding model, scores blend lexical and semantic similarity', async (t) => {
+    // Every tool points along x except Udio, which points along y - as does every query
+    const embedder = {
+        embed: async texts => texts.map(text => (text.startsWith('Udio') || !text.includes('.') ? [0, 1] : [1, 0]))
+    };
+    const intel = new DecyIntelligence(tempRepository(t).repository.getCatalog(), { intents: intentPatterns(), embedder });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const queryVector = await intel.embedQuery('a song for a wedding');
+    const hits = intel.retrieve('a song for a wedding', { queryVector, limit: 3 });
+    const udio = hits.find(hit => hit.tool.id === 'udio');
+
+    assert.deepEqual(queryVector, [0, 1]);
+    assert.equal(udio.semantic, 1);
+    assert.equal(udio.score, 0.5 * udio.lexical + 0.5);
+    assert.equal(hits[0].tool.id, 'udio');
+});
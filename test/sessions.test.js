@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SessionService = require('../services/sessions');
+const JsonStore = require('../services/storage/jsonStore');
+const { ToolRepository } = require('../services/repository');
+const { tempDir, tempRepository } = require('./helpers');
+
+test('sessions belong to their owner', async (t) => {
+    const sessions = new SessionService(tempRepository(t).repository);
+    const { session } = await sessions.create('client:a', { title: 'Logos' });
+
+    assert.equal(sessions.get('client:a', session.id).title, 'Logos');
+    assert.equal(sessions.get('client:b', session.id), null);
+    assert.equal((await sessions.rename('client:b', session.id, 'Mine')).code, 'not_found');
+    assert.equal(await sessions.delete('client:b', session.id), false);
+    assert.deepEqual(sessions.list('client:b'), []);
+});
+
+test('validates titles and imported messages', async (t) => {
+    const sessions = new SessionService(tempRepository(t).repository);
+
+    assert.equal((await sessions.create('a', { title: '   ' })).code, 'validation');
+    assert.equal((await sessions.create('a', { title: 'x'.repeat(101) })).code, 'validation');
+    assert.equal((await sessions.create('a', { messages: [{ role: 'system', content: 'hi' }] })).code, 'validation');
+
+    const { session } = await sessions.create('a', { messages: [{ role: 'user', content: 'hi' }] });
+    assert.deepEqual(sessions.getHistory(session.id), [{ role: 'user', content: 'hi' }]);
+});
+
+test('recordExchange keeps the structured result of a reply', async (t) => {
+    const sessions = new SessionService(tempRepository(t).repository);
+    const { session } = await sessions.create('a');
+
+    await sessions.recordExchange(session.id, 'a logo', { type: 'show_tools', response: 'Try these', toolIds: ['looka'], budget: 'free' });
+    const [question, reply] = sessions.get('a', session.id).messages;
+    assert.equal(question.content, 'a logo');
+    assert.deepEqual(reply.result, { toolIds: ['looka'], budget: 'free', readyPrompt: null });
+    assert.equal(sessions.list('a')[0].messageCount, 2);
+});
+
+test('sessions.json is only created by the first write', async (t) => {
+    const { dir, repository } = tempRepository(t);
+    const sessionsPath = path.join(dir, 'sessions.json');
+
+    assert.equal(fs.existsSync(sessionsPath), false);
+    assert.deepEqual(repository.listSessions('a'), []);
+
+    await new SessionService(repository).create('a');
+    assert.equal(JSON.parse(fs.readFileSync(sessionsPath, 'utf-8')).sessions.length, 1);
+});
+
+test('a store whose sessions file cannot be written still starts and serves reads', async (t) => {
+    const dir = tempDir(t);
+    for (const file of ['tools.json', 'discovered.json']) {
+        fs.copyFileSync(path.join(__dirname, '..', 'data', file), path.join(dir, file));
+    }
+    const store = new JsonStore({
+        toolsPath: path.join(dir, 'tools.json'),
+        discoveredPath: path.join(dir, 'discovered.json'),
+        // A directory that doesn't exist stands in for a read-only filesystem
+        sessionsPath: path.join(dir, 'read-only', 'sessions.json'),
+        feedbackPath: path.join(dir, 'feedback.json')
+    });
+    const sessions = new SessionService(new ToolRepository(store));
+
+    assert.deepEqual(sessions.list('a'), []);
+    await assert.rejects(sessions.create('a'));
+    assert.ok(store.getCatalog().categories);
+});
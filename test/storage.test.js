@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const SqliteStore = require('../services/storage/sqliteStore');
+const { ToolRepository } = require('../services/repository');
+const { tempRepository } = require('./helpers');
+
+const STORES = {
+    json: t => tempRepository(t).repository,
+    sqlite: t => {
+        const { dir } = tempRepository(t);
+        const store = new SqliteStore({
+            dbPath: path.join(dir, 'decy.db'),
+            toolsPath: path.join(dir, 'tools.json'),
+            discoveredPath: path.join(dir, 'discovered.json'),
+            sessionsPath: path.join(dir, 'sessions.json'),
+            feedbackPath: path.join(dir, 'feedback.json')
+        });
+        t.after(() => store.db.close());
+        return new ToolRepository(store);
+    }
+};
+
+const TOOL = {
+    id: 'sketchy',
+    name: 'Sketchy',
+    bestFor: 'Turning sketches into illustrations',
+    deploy: { available: true, type: 'Free' },
+    limits: 'None',
+    pricing: { free: true, premium: null },
+    ease: 4,
+    url: 'https://sketchy.example.com'
+};
+
+for (const [backend, open] of Object.entries(STORES)) {
+    test(`${backend} store: tools are inserted, moved and deleted, with change events`, async (t) => {
+        const repository = open(t);
+        const changes = [];
+        repository.on('change', change => changes.push(change.type));
+        const count = repository.getAllTools().length;
+
+        await repository.insertTool('design', TOOL);
+        await assert.rejects(repository.insertTool('design', TOOL), error => error.code === 'conflict');
+        assert.equal(repository.getTool('sketchy').categoryKey, 'design');
+        assert.equal(repository.getAllTools().length, count + 1);
+
+        await repository.saveTool('sketchy', 'image_generation', { ...TOOL, ease: 5 });
+        const moved = repository.getTool('sketchy');
+        assert.equal(moved.categoryKey, 'image_generation');
+        assert.equal(moved.tool.ease, 5);
+
+        assert.equal(await repository.deleteTool('sketchy'), true);
+        assert.equal(await repository.deleteTool('sketchy'), false);
+        assert.equal(repository.getTool('sketchy'), null);
+        assert.deepEqual(changes, ['insert', 'update', 'delete']);
+    });
+
+    test(`${backend} store: sessions, discoveries and feedback round-trip`, async (t) => {
+        const repository = open(t);
+        const at = '2026-01-01T00:00:00.000Z';
+
+        await repository.createSession({ id: 's1', owner: 'client:a', title: 'Logo', createdAt: at, updatedAt: at, messages: [] });
+        await repository.appendSessionMessages('s1', [{ role: 'user', content: 'hi' }], '2026-01-02T00:00:00.000Z');
+        assert.deepEqual(repository.getSession('s1').messages, [{ role: 'user', content: 'hi' }]);
+        assert.equal(repository.listSessions('client:a').length, 1);
+        assert.equal(repository.listSessions('client:b').length, 0);
+
+        const discovered = repository.getDiscoveries().tools.length;
+        await repository.addDiscovery({ id: 'newtool', name: 'New Tool', category: 'design', url: 'https://x.example', discoveredAt: at });
+        assert.equal(repository.getDiscoveries().tools.length, discovered + 1);
+
+        await repository.addFeedback({ id: 'f1', type: 'up', query: 'q', toolId: 'canva', createdAt: at });
+        assert.deepEqual(repository.listFeedback().map(entry => entry.id), ['f1']);
+    });
+}
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonFieldStreamer = require('../services/jsonFieldStream');
+const RecommendationEngine = require('../services/recommendation');
+const { tempRepository } = require('./helpers');
+
+// Feed `raw` in `size`-character chunks, collecting the decoded field text
+function streamField(raw, size) {
+    const streamer = new JsonFieldStreamer('message');
+    let text = '';
+    for (let i = 0; i < raw.length; i += size) {
+        text += streamer.push(raw.slice(i, i + size));
+    }
+    return text;
+}
+
+test('the message field is decoded as it streams, whatever the chunk size', () => {
+    const raw = JSON.stringify({ action: 'chat', message: 'Line one\nSay "hi" \\ café ☕', tools: [] });
+    for (const size of [1, 2, 3, 7, raw.length]) {
+        assert.equal(streamField(raw, size), 'Line one\nSay "hi" \\ café ☕', `chunk size ${size}`);
+    }
+});
+
+test('nothing is emitted before the field starts or after it ends', () => {
+    const streamer = new JsonFieldStreamer('message');
+    assert.equal(streamer.push('{"action": "show_tools", "mess'), '');
+    assert.equal(streamer.push('age": "Try '), 'Try ');
+    assert.equal(streamer.push('this", "tools": ["x"], "message": "again"}'), 'this');
+});
+
+test('streamChat sends tokens, then the structured result, then done', async (t) => {
+    const reply = JSON.stringify({ action: 'show_tools', message: 'Looka is great for logos', budget: 'free', tools: ['looka'] });
+    const llm = {
+        isAvailable: () => true,
+        async *stream() {
+            for (let i = 0; i < reply.length; i += 5) yield reply.slice(i, i + 5);
+        }
+    };
+    const engine = new RecommendationEngine(llm, tempRepository(t).repository);
+    const events = [];
+
+    const result = await engine.streamChat('I need a logo', [], (event, data) => events.push({ event, data }));
+
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    assert.equal(tokens, 'Looka is great for logos');
+    assert.deepEqual(events.find(e => e.event === 'show_tools').data.toolIds, ['looka']);
+    assert.equal(events[events.length - 1].event, 'done');
+    assert.equal(result.type, 'show_tools');
+});
+
+test('without a model the keyword fallback arrives as one token', async (t) => {
+    const engine = new RecommendationEngine({ isAvailable: () => false }, tempRepository(t).repository);
+    const events = [];
+
+    await engine.streamChat('hello', [], (event, data) => events.push(event), { useLLM: false });
+    assert.deepEqual(events, ['token', 'done']);
+});